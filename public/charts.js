@@ -0,0 +1,299 @@
+/**
+ * Chart helpers for analytics answers
+ * Turns the `rawData` returned by /api/chat into Chart.js configs and table
+ * models. Loaded before the Vue app; exposes window.AnalyticsCharts.
+ */
+(function () {
+  const PALETTE = [
+    "#3b82f6", "#8b5cf6", "#10b981", "#f59e0b", "#ef4444",
+    "#06b6d4", "#ec4899", "#84cc16", "#f97316", "#64748b",
+  ];
+
+  const TIME_DIMENSIONS = ["date", "dateHour", "dateHourMinute"];
+
+  // Ratios and averages can't be shown as a share of a whole
+  const NON_ADDITIVE = /Rate$|PerSession$|PerUser$|^average|^active\d+DayUsers$/;
+
+  const PIE_MAX_SLICES = 8;
+  // Low-cardinality dimensions whose values split a whole
+  const SHARE_DIMENSIONS = [
+    "deviceCategory", "platform", "newVsReturning", "userGender",
+    "userAgeBracket", "sessionDefaultChannelGroup", "continent", "medium",
+  ];
+
+  function isComparison(data) {
+    return Boolean(data?.metadata?.comparison);
+  }
+
+  function isFunnel(data) {
+    return Boolean(data?.metadata?.funnel);
+  }
+
+  function rangeNames(data) {
+    return (data?.metadata?.dateRanges || []).map((r) => r.name);
+  }
+
+  /**
+   * "20260115" → "2026-01-15", "2026011514" → "2026-01-15 14:00"
+   */
+  function formatDimensionValue(dim, value) {
+    if (!TIME_DIMENSIONS.includes(dim) || !/^\d{8,12}$/.test(value)) return value;
+    const day = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+    if (value.length === 8) return day;
+    return `${day} ${value.slice(8, 10)}:${value.length === 12 ? value.slice(10, 12) : "00"}`;
+  }
+
+  function formatPercent(value) {
+    return typeof value === "number" ? `${(value * 100).toFixed(1)}%` : "—";
+  }
+
+  function formatNumber(value) {
+    if (typeof value !== "number") return value ?? "";
+    return Number.isInteger(value)
+      ? value.toLocaleString()
+      : value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  }
+
+  function rowLabel(row, dimensions) {
+    return dimensions.map((d) => formatDimensionValue(d, row[d])).join(" · ") || "Total";
+  }
+
+  function timeDimension(data) {
+    return data.metadata.dimensions.find((d) => TIME_DIMENSIONS.includes(d));
+  }
+
+  /**
+   * Chart types that make sense for this payload, best first
+   * @returns {string[]} Subset of line, bar, pie, kpi
+   */
+  function availableTypes(data) {
+    if (!data?.metadata || !Array.isArray(data.rows)) return [];
+    const { dimensions, metrics } = data.metadata;
+    const rows = data.rows;
+
+    if (dimensions.length === 0 || rows.length === 0) return ["kpi"];
+    if (isFunnel(data)) return ["bar"];
+
+    const types = [];
+    if (rows.length === 1) types.push("kpi");
+    if (!isComparison(data) && timeDimension(data)) types.push("line");
+
+    const additive = !NON_ADDITIVE.test(metrics[0]);
+    const fewSlices = rows.length > 1 && rows.length <= PIE_MAX_SLICES;
+    const isShareQuestion = dimensions.length === 1 && SHARE_DIMENSIONS.includes(dimensions[0]);
+    if (!isComparison(data) && additive && fewSlices && isShareQuestion) types.push("pie");
+
+    types.push("bar");
+    if (!types.includes("line") && !isComparison(data)) types.push("line");
+    return types;
+  }
+
+  /**
+   * Pick the default visualization for an answer
+   * @returns {string|null} line | bar | pie | kpi | table, or null when there's nothing to chart
+   */
+  function pickChartType(data) {
+    // A funnel reads best as its table of steps and drop-offs
+    if (isFunnel(data) && data.rows.length > 0) return "table";
+    const types = availableTypes(data);
+    return types.length > 0 ? types[0] : null;
+  }
+
+  function sortedRows(data) {
+    const dim = timeDimension(data);
+    if (!dim) return data.rows;
+    return [...data.rows].sort((a, b) => String(a[dim]).localeCompare(String(b[dim])));
+  }
+
+  /**
+   * Build a Chart.js config for line, bar or pie
+   */
+  function buildChartConfig(data, type) {
+    if (isFunnel(data)) return buildFunnelChartConfig(data);
+    const { dimensions, metrics } = data.metadata;
+    const rows = type === "line" ? sortedRows(data) : data.rows;
+    const labels = rows.map((row) => rowLabel(row, dimensions));
+
+    let datasets;
+    if (isComparison(data)) {
+      // One bar per range for the first metric
+      datasets = rangeNames(data).map((name, i) => ({
+        label: `${metrics[0]} (${name})`,
+        data: rows.map((row) => row.ranges?.[name]?.[metrics[0]] ?? null),
+        backgroundColor: PALETTE[i % PALETTE.length],
+        borderColor: PALETTE[i % PALETTE.length],
+      }));
+    } else if (type === "pie") {
+      datasets = [
+        {
+          label: metrics[0],
+          data: rows.map((row) => row[metrics[0]]),
+          backgroundColor: rows.map((_, i) => PALETTE[i % PALETTE.length]),
+          borderColor: "#1a2234",
+        },
+      ];
+    } else {
+      datasets = metrics.map((met, i) => ({
+        label: met,
+        data: rows.map((row) => row[met]),
+        backgroundColor: PALETTE[i % PALETTE.length],
+        borderColor: PALETTE[i % PALETTE.length],
+        tension: 0.25,
+        pointRadius: rows.length > 60 ? 0 : 2,
+        // Metrics on very different scales get their own axis
+        yAxisID: i === 0 ? "y" : "y1",
+      }));
+    }
+
+    const axisColor = "#8b95a8";
+    const gridColor = "rgba(139, 149, 168, 0.12)";
+    const options = {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { labels: { color: axisColor, boxWidth: 12 } },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => `${ctx.dataset.label}: ${formatNumber(ctx.parsed.y ?? ctx.parsed)}`,
+          },
+        },
+      },
+    };
+
+    if (type !== "pie") {
+      options.scales = {
+        x: { ticks: { color: axisColor, maxRotation: 45, autoSkip: true }, grid: { color: gridColor } },
+        y: { ticks: { color: axisColor }, grid: { color: gridColor }, beginAtZero: true },
+      };
+      if (datasets.some((d) => d.yAxisID === "y1")) {
+        options.scales.y1 = {
+          position: "right",
+          ticks: { color: axisColor },
+          grid: { drawOnChartArea: false },
+          beginAtZero: true,
+        };
+      }
+    }
+
+    return { type, data: { labels, datasets }, options };
+  }
+
+  /**
+   * Users reaching each funnel step: one bar per step, one series per breakdown value
+   */
+  function buildFunnelChartConfig(data) {
+    const { funnel } = data.metadata;
+    const steps = funnel.steps.map((step, i) => `${i + 1}. ${step.name}`);
+    const groups = new Map();
+    for (const row of data.rows) {
+      const group = funnel.breakdown ? row[funnel.breakdown] : "activeUsers";
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(row.activeUsers);
+    }
+    const datasets = [...groups].map(([label, values], i) => ({
+      label,
+      data: values,
+      backgroundColor: PALETTE[i % PALETTE.length],
+      borderColor: PALETTE[i % PALETTE.length],
+    }));
+    const axisColor = "#8b95a8";
+    const gridColor = "rgba(139, 149, 168, 0.12)";
+    return {
+      type: "bar",
+      data: { labels: steps, datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: "index", intersect: false },
+        plugins: { legend: { labels: { color: axisColor, boxWidth: 12 } } },
+        scales: {
+          x: { ticks: { color: axisColor }, grid: { color: gridColor } },
+          y: { ticks: { color: axisColor }, grid: { color: gridColor }, beginAtZero: true },
+        },
+      },
+    };
+  }
+
+  /**
+   * KPI tiles: one per metric, from totals (or the single row)
+   * @returns {Object[]} [{ label, value, delta }]
+   */
+  function buildKpis(data) {
+    const { metrics } = data.metadata;
+
+    if (isComparison(data)) {
+      const [primary, baseline] = rangeNames(data);
+      const source = data.rows.length === 1 ? data.rows[0] : data.totals;
+      return metrics.map((met) => ({
+        label: met,
+        value: formatNumber(source.ranges?.[primary]?.[met]),
+        delta: source.deltas?.[baseline]?.[met]?.percent ?? null,
+      }));
+    }
+
+    const source = data.rows.length === 1 ? data.rows[0] : data.totals || {};
+    return metrics.map((met) => ({ label: met, value: formatNumber(source[met]), delta: null }));
+  }
+
+  /**
+   * Table model for the "Table" view
+   * @returns {Object} { columns: [...], rows: [[...]] }
+   */
+  function buildTable(data) {
+    const { dimensions, metrics } = data.metadata;
+
+    if (isFunnel(data)) {
+      return {
+        columns: [...dimensions, "users", "completion", "drop-offs", "drop-off rate", "of first step"],
+        rows: data.rows.map((row) => [
+          ...dimensions.map((d) => row[d]),
+          formatNumber(row.activeUsers),
+          formatPercent(row.completionRate),
+          row.dropOffs === null ? "—" : formatNumber(row.dropOffs),
+          formatPercent(row.dropOffRate),
+          formatPercent(row.overallRate),
+        ]),
+      };
+    }
+
+    if (isComparison(data)) {
+      const names = rangeNames(data);
+      const [, ...others] = names;
+      const columns = [
+        ...dimensions,
+        ...metrics.flatMap((met) => [
+          ...names.map((n) => `${met} (${n})`),
+          ...others.map((n) => `${met} Δ% vs ${n}`),
+        ]),
+      ];
+      const rows = data.rows.map((row) => [
+        ...dimensions.map((d) => formatDimensionValue(d, row[d])),
+        ...metrics.flatMap((met) => [
+          ...names.map((n) => formatNumber(row.ranges?.[n]?.[met])),
+          ...others.map((n) => {
+            const pct = row.deltas?.[n]?.[met]?.percent;
+            return pct === null || pct === undefined ? "—" : `${pct > 0 ? "+" : ""}${pct}%`;
+          }),
+        ]),
+      ]);
+      return { columns, rows };
+    }
+
+    return {
+      columns: [...dimensions, ...metrics],
+      rows: data.rows.map((row) => [
+        ...dimensions.map((d) => formatDimensionValue(d, row[d])),
+        ...metrics.map((m) => formatNumber(row[m])),
+      ]),
+    };
+  }
+
+  window.AnalyticsCharts = {
+    availableTypes,
+    pickChartType,
+    buildChartConfig,
+    buildKpis,
+    buildTable,
+  };
+})();
@@ -0,0 +1,481 @@
+/**
+ * Analysis Agent
+ * Answers a question in steps. Each step the model may call run_ga4_report
+ * (one or more times); the server validates and runs those reports and shows
+ * the model their results, until it says it has enough or a limit is hit:
+ * AGENT_MAX_STEPS model turns and AGENT_MAX_TOKENS tokens spent planning.
+ * The answer is then written from every report, citing each by id ([R1], [R2], ...).
+ *
+ * AGENT_MAX_STEPS=1 gives single-shot behaviour: one round of reports, then the answer.
+ *
+ * The model never sees raw rows: every report and earlier answer goes through
+ * the question's privacy guard (./privacy), which the caller also uses to
+ * restore the written answer.
+ *
+ * Nor does it do arithmetic or number formatting: the answer is written from
+ * figures formatted server-side (./formatting), and tables are inserted where
+ * the model puts a [TABLE_R1] marker (finishAnswer / finishStream).
+ */
+
+const { interpret } = require("./ai");
+const { queryGA4 } = require("./ga4");
+const { validateQuery } = require("./validate");
+const { getCatalogue, fieldNames } = require("./metadata");
+const { log } = require("./logger");
+const { createGuard } = require("./privacy");
+const { formatMetric, formatShown, reportTable } = require("./formatting");
+const { describeFilters } = require("./filters");
+const { applyRefinement, describeChanges, describeChange } = require("./refine");
+
+const MAX_STEPS = Number(process.env.AGENT_MAX_STEPS || 4);
+const MAX_TOKENS = Number(process.env.AGENT_MAX_TOKENS || 30000);
+
+// How many times the model may correct an invalid query before we give up
+const MAX_CORRECTION_ATTEMPTS = 2;
+
+// Rows of each report the model sees between steps (totals always cover every row)
+const RESULT_ROWS = 25;
+
+const describeCalls = (queries) =>
+  queries.map((q) => `Called run_ga4_report with ${JSON.stringify(q)}`).join("\n");
+
+/**
+ * Ask the AI which GA4 reports to run next, validating them and feeding errors
+ * back so the model can self-correct
+ * @param {string} prompt - The question, or the results of the previous step
+ * @param {Array} history - Chat history
+ * @param {Array} scratch - Earlier turns on this question
+ * @param {Object} catalogue - The property's fields, from ./metadata
+ * @param {Object} guard - The question's privacy guard
+ * @param {Object[]} previous - The previous answer's reports a query may refine ([{ id, query }])
+ * @returns {Object} { type: "ga4_query", queries: [validated params], refines, note }
+ *   (refines: per query, { report, changes } when it refined one of `previous`, else null),
+ *   { type: "text", content }, { type: "invalid", errors } or { error };
+ *   all but { error } carry provider and tokens
+ */
+async function interpretQuery(prompt, history, scratch, catalogue, guard, previous) {
+  const fields = fieldNames(catalogue);
+  let turns = scratch;
+  let tokens = 0;
+
+  for (let attempt = 0; attempt <= MAX_CORRECTION_ATTEMPTS; attempt++) {
+    const reply = await interpret(prompt, history, { scratch: turns, catalogue });
+    if (reply.error) return reply;
+    tokens += reply.tokens;
+    if (reply.type === "text") return { ...reply, tokens };
+
+    // A filter on a value the model only saw as a placeholder needs the real value;
+    // a refinement is applied to the stored query it names before either is checked
+    const refined = reply.queries.map((query) => {
+      const revealed = guard.reveal(query);
+      return revealed.refine ? applyRefinement(revealed.refine, previous) : { query: revealed };
+    });
+    const results = refined.map(({ query, error }) =>
+      error ? { valid: false, errors: [error], warnings: [] } : validateQuery(query, { fields })
+    );
+    const errors = results.flatMap((result, i) =>
+      result.errors.map((e) => (results.length > 1 ? `Report ${i + 1}: ${e}` : e))
+    );
+
+    if (errors.length === 0) {
+      const warnings = results.flatMap((result) => result.warnings);
+      if (warnings.length > 0) {
+        log.info("query repaired", { warnings });
+      }
+      return {
+        type: "ga4_query",
+        queries: results.map((result) => result.params),
+        refines: refined.map(({ base }, i) => {
+          if (!base) return null;
+          const before = previous.find((p) => p.id === base).query;
+          return { report: base, changes: describeChanges(before, results[i].params) };
+        }),
+        note: reply.note,
+        provider: reply.provider,
+        tokens,
+      };
+    }
+
+    log.info("invalid query", { attempt: attempt + 1, errors });
+
+    if (attempt === MAX_CORRECTION_ATTEMPTS) {
+      return { type: "invalid", errors, provider: reply.provider, tokens };
+    }
+
+    turns = [
+      ...turns,
+      { role: "user", content: prompt },
+      { role: "assistant", content: describeCalls(reply.queries) },
+    ];
+    prompt = `That query was rejected by validation:
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Call run_ga4_report again with corrected input, using only the dimensions and metrics listed in your instructions.`;
+  }
+}
+
+/**
+ * Run a step's reports, numbering them after the ones already run
+ * @param {Object[]} [refines] - Per query, what it changed of a previous report (see interpretQuery)
+ * @returns {Promise<Object[]>} [{ id, step, query, rawData, refines? }]
+ */
+async function runReports(queries, property, step, firstNumber, refines = []) {
+  const results = await Promise.all(queries.map((query) => queryGA4(query, property)));
+  return queries.map((query, i) => ({
+    id: `R${firstNumber + i}`,
+    step,
+    query,
+    rawData: results[i],
+    ...(refines[i] ? { refines: refines[i] } : {}),
+  }));
+}
+
+/**
+ * The question (masked, like everything else the model sees), plus the
+ * previous answer's reports for a follow-up to refine
+ */
+function questionPrompt(message, previous, guard) {
+  const question = guard.maskText(message);
+  if (previous.length === 0) return question;
+  const reports = previous.map(({ id, query }) => `${id} — ${guard.maskText(JSON.stringify(query))}`);
+  return `${question}
+
+Reports behind the previous answer (if this question changes one of them, call run_ga4_report with
+"refine" naming it, instead of writing the whole query again — see FOLLOW-UPS):
+${reports.join("\n")}`;
+}
+
+/**
+ * What the model sees of a step's reports before deciding on the next one
+ */
+function resultsPrompt(reports, stepsLeft, guard) {
+  const results = reports.map(({ id, query, rawData }) => {
+    const { rowCount, truncated } = rawData.metadata;
+    const { rows, rest } = guard.report(id, rawData, RESULT_ROWS);
+    const shown = rest || truncated ? ` (first ${rows.length} of ${rowCount})` : "";
+    return `${id} — params: ${guard.maskText(JSON.stringify(query))}
+${id} — totals: ${JSON.stringify(rawData.totals)}
+${id} — rows${shown}: ${JSON.stringify(rows)}`;
+  });
+  const placeholders = guard.instructions();
+
+  return `Report results:
+${results.join("\n\n")}
+${placeholders ? `\n${placeholders}\n` : ""}
+If you need more data to answer, call run_ga4_report again (${stepsLeft} step${
+    stepsLeft === 1 ? "" : "s"
+  } left). Otherwise reply in plain text with a one or two sentence summary of what the data shows.`;
+}
+
+/**
+ * Answer a question with as many rounds of GA4 reports as it needs
+ * @param {Object} request
+ * @param {string} request.message - User's question
+ * @param {Array} request.history - Chat history, [{ role, content, data? }] (data: the reports behind an answer)
+ * @param {Object} request.property - GA4 property to query
+ * @param {Object[]} [request.previous] - Reports behind the previous answer, which a
+ *   follow-up may refine ([{ id: "P1", query }], see ./refine)
+ * @param {Function} [request.onQueries] - Called with (queries, step) before a step's reports run
+ * @param {Function} [request.onStep] - Called with (step, reports) after they have
+ * @param {number} [request.maxSteps] - Defaults to AGENT_MAX_STEPS
+ * @param {number} [request.maxTokens] - Defaults to AGENT_MAX_TOKENS
+ * @returns {Promise<Object>} { type: "text", content, provider }, or
+ *   { type: "analysis", reports, steps, summary, stopped, tokens, provider, guard } where
+ *   steps are [{ step, note, reports: [ids] }], stopped names the limit hit, if any,
+ *   and guard is the privacy guard the answer must be written and restored with
+ */
+async function runAgent({
+  message,
+  history,
+  property,
+  previous = [],
+  onQueries,
+  onStep,
+  maxSteps = MAX_STEPS,
+  maxTokens = MAX_TOKENS,
+}) {
+  const catalogue = await getCatalogue(property);
+  const guard = createGuard();
+  // Earlier answers may quote values the reports would hide, including those of their own reports
+  history.forEach((turn) => (turn.data || []).forEach(guard.protect));
+  const context = history.map(({ role, content }) => ({ role, content: guard.maskText(content) }));
+  const reports = [];
+  const steps = [];
+  const scratch = [];
+  let prompt = questionPrompt(message, previous, guard);
+  let tokens = 0;
+  let provider;
+  let summary = "";
+  let stopped = null;
+
+  for (let step = 1; step <= maxSteps; step++) {
+    const reply = await interpretQuery(prompt, context, scratch, catalogue, guard, previous);
+    tokens += reply.tokens || 0;
+    provider = reply.provider || provider;
+
+    if (reply.type !== "ga4_query" && reports.length === 0) {
+      // Nothing to present: the model's text, the validation failure or the AI error is the answer
+      if (reply.type === "invalid") {
+        return {
+          type: "text",
+          provider,
+          content: `I couldn't build a valid Google Analytics query for that question:\n\n${reply.errors
+            .map((e) => `- ${e}`)
+            .join("\n")}\n\nTry rephrasing it or naming the metric you're after.`,
+        };
+      }
+      return { type: "text", content: reply.error || guard.restore(reply.content), provider };
+    }
+
+    if (reply.type === "text") {
+      summary = reply.content;
+      break;
+    }
+    if (reply.type !== "ga4_query") {
+      // A later step failed; answer from the reports already run
+      log.warn("agent step failed", { step, error: reply.error || reply.errors.join("; ") });
+      break;
+    }
+
+    if (onQueries) onQueries(reply.queries, step);
+    const ran = await runReports(reply.queries, property, step, reports.length + 1, reply.refines);
+    reports.push(...ran);
+    const entry = { step, note: reply.note || "", reports: ran.map((r) => r.id) };
+    steps.push(entry);
+    if (onStep) onStep(entry, ran);
+
+    if (step === maxSteps) {
+      // With a single step the model never sees results, so it wasn't cut short
+      if (maxSteps > 1) stopped = "steps";
+      break;
+    }
+    if (tokens >= maxTokens) {
+      stopped = "tokens";
+      break;
+    }
+
+    scratch.push({ role: "user", content: prompt }, { role: "assistant", content: describeCalls(reply.queries) });
+    prompt = resultsPrompt(ran, maxSteps - step, guard);
+  }
+
+  return { type: "analysis", reports, steps, summary, stopped, tokens, provider, guard };
+}
+
+/**
+ * Notes on how to read one report's data, as the model is shown it
+ */
+function dataNotes(rawData, shown) {
+  const notes = [];
+  if (rawData.metadata.realtime) {
+    notes.push(`This is realtime data: activity in the last ${rawData.metadata.minutes} minutes
+       as of ${rawData.metadata.fetchedAt}. Describe it as what's happening right now.`);
+  }
+  if (rawData.metadata.comparison) {
+    notes.push(`This is a period comparison: each row has per-range values under "ranges" and
+       precomputed changes under "deltas" (first range vs each other range). Present
+       those deltas as given.`);
+    if (rawData.metadata.partialRows) {
+      notes.push(`${rawData.metadata.partialRows} row(s) are marked "partial": the page ended before
+       their other ranges came back, so those ranges and deltas are null (unknown, not zero).
+       Don't describe them as drops or rises.`);
+    }
+  }
+  if (rawData.metadata.funnel) {
+    const { steps, open, breakdown, conversionRate } = rawData.metadata.funnel;
+    notes.push(`This is a ${open ? "open" : "closed"} funnel of ${steps.length} steps${
+      breakdown ? `, broken down by ${breakdown} (the "(all users)" rows are everyone)` : ""
+    }: one row per step with the users who reached it, completionRate and dropOffs/dropOffRate
+       to the next step, and overallRate from the first step. Overall conversion from the first
+       to the last step: ${formatMetric("conversionRate", conversionRate) || "n/a (no users started)"}. Name the step with the
+       biggest drop-off, and show the funnel with its table marker.`);
+  }
+  if (rawData.metadata.truncated) {
+    const { returned, rowCount } = rawData.metadata;
+    notes.push(`PARTIAL DATA: only ${returned} of ${rowCount} rows were
+       returned. Say clearly that the answer covers the top ${returned} rows only,
+       and don't present totals or rankings as if they covered every row (the "totals"
+       object does cover all rows).`);
+  }
+  if (shown.rest) {
+    notes.push(`Only the first ${shown.rows.length} of ${rawData.rows.length} rows are listed. "rest"
+       adds up the other ${shown.rest.rows} (for metrics that can be summed) and "stats" covers
+       every row; use them rather than guessing at the rows not shown.`);
+  }
+  return notes.map((note) => `\n       ${note}`).join("");
+}
+
+// Where the model wants a report's table: [TABLE_R1]
+const TABLE_MARKER = /\[TABLE_(R\d+)\]/g;
+
+/**
+ * The reports an answer can show as a table, with what each covers
+ */
+function tableChoices(reports) {
+  return reports
+    .filter(({ rawData }) => reportTable(rawData) !== "")
+    .map(({ id, rawData }) => {
+      const { dimensions, metrics, rowCount } = rawData.metadata;
+      return `[TABLE_${id}] (${dimensions.join(", ") || "comparison"} by ${metrics.join(", ")}, ${rowCount} row${
+        rowCount === 1 ? "" : "s"
+      })`;
+    });
+}
+
+/**
+ * What a report was filtered to, so the answer can say which slice it covers
+ */
+function filterNote(id, query, guard) {
+  const filters = describeFilters(query);
+  if (!filters) return "";
+  const applied = [filters.dimension, filters.metric && `rows where ${filters.metric}`].filter(Boolean);
+  return `
+       ${id} — Filters applied (mention them): ${guard.maskText(applied.join("; "))}`;
+}
+
+/**
+ * What a refined report changed of the previous answer's, so the answer can say so
+ */
+function changeNote(id, refines, guard) {
+  if (!refines) return "";
+  const changes = refines.changes.map(describeChange).join("; ") || "nothing (the same query)";
+  return `
+       ${id} — Follow-up to the previous answer's ${refines.report}; changed (mention briefly): ${guard.maskText(changes)}`;
+}
+
+/**
+ * Prompt for the formatting step: the question plus the GA4 data to present
+ * @param {string} message - User's question
+ * @param {Object} analysis - runAgent result (or the same shape, with a guard)
+ */
+function buildFormatPrompt(message, { reports, summary, stopped, guard }) {
+  const data = reports
+    .map(({ id, query, rawData, refines }) => {
+      const shown = guard.report(id, rawData);
+      const notes = filterNote(id, query, guard) + changeNote(id, refines, guard);
+      return `${dataNotes(rawData, shown)}
+
+       ${id} — GA4 Query params: ${guard.maskText(JSON.stringify(query))}${notes}
+       ${id} — GA4 Data: ${JSON.stringify(formatShown(shown, rawData))}`;
+    })
+    .join("\n");
+  const placeholders = guard.instructions();
+  const tables = tableChoices(reports);
+
+  return `Here is the GA4 data for the user's question "${guard.maskText(message)}".
+       Write a clear, insightful answer. Include key insights and trends. Keep it concise but informative.
+       If relevant, suggest follow-up questions.
+       The data comes from ${reports.length} report${reports.length === 1 ? "" : "s"} (${reports
+    .map((r) => r.id)
+    .join(", ")}); cite them by id.${
+    tables.length > 0
+      ? `
+       Ready-made tables: ${tables.join("; ")}. To show one, put its marker on a line of its own;
+       it is replaced with the full table, including totals and shares.`
+      : ""
+  }${
+    summary
+      ? `
+       Analyst's summary after reviewing the reports: ${summary}`
+      : ""
+  }${
+    stopped
+      ? `
+       The analysis hit its ${stopped === "steps" ? "step" : "token"} limit before it finished;
+       say briefly that a deeper look may need a narrower question.`
+      : ""
+  }${
+    placeholders
+      ? `
+       ${placeholders}`
+      : ""
+  }
+${data}`;
+}
+
+/**
+ * Replace the model's table markers with the reports' tables, built from
+ * guard-masked values so they read as the rest of the answer does once restored
+ */
+function insertTables(text, { reports, guard }) {
+  return text.replace(TABLE_MARKER, (marker, id) => {
+    const report = reports.find((r) => r.id === id);
+    const table = report && reportTable(report.rawData, { mask: guard.mask });
+    return table ? guard.restore(table) : "";
+  });
+}
+
+/**
+ * The written answer as the user gets it: tables in, withheld values restored
+ * @param {Object} analysis - runAgent result (or the same shape, with a guard)
+ * @param {string} text - What the model wrote
+ */
+function finishAnswer(analysis, text) {
+  if (typeof text !== "string") return text;
+  return insertTables(analysis.guard.restore(text), analysis);
+}
+
+/**
+ * finishAnswer() over a stream of text chunks
+ * @param {AsyncIterable<string>} chunks
+ * @returns {AsyncGenerator<string>}
+ */
+async function* finishStream(analysis, chunks) {
+  // restoreStream() holds back a "[TABLE_R..." cut off at the end of a chunk, like a placeholder
+  for await (const text of analysis.guard.restoreStream(chunks)) {
+    yield insertTables(text, analysis);
+  }
+}
+
+/**
+ * Report ids an answer cites, in order of first mention
+ */
+function citationsIn(content, reports) {
+  const ids = new Set(reports.map((r) => r.id));
+  const cited = new Set();
+  for (const [, group] of content.matchAll(/\[(R\d+(?:\s*,\s*R\d+)*)\]/g)) {
+    for (const id of group.split(/\s*,\s*/)) {
+      if (ids.has(id)) cited.add(id);
+    }
+  }
+  return [...cited];
+}
+
+/**
+ * Answer fields for an analysis: the first report is `query`/`rawData` (charts,
+ * exports); when there are several, all of them are in `reports`. `withheld`
+ * says what the privacy guard kept from the model, if anything, `filters`
+ * what each filtered report was narrowed to ([{ report, dimension?, metric? }])
+ * and `refinements` what each follow-up changed of the previous answer's
+ * reports ([{ report, refines: "P1", changes: [{ field, from, to }] }]).
+ */
+function analysisFields({ reports, steps, stopped, guard }, content) {
+  const [first] = reports;
+  const withheld = guard.withheld();
+  const filters = reports
+    .map(({ id, query }) => ({ report: id, ...describeFilters(query) }))
+    .filter((f) => f.dimension || f.metric);
+  const refinements = reports
+    .filter((r) => r.refines)
+    .map(({ id, refines }) => ({ report: id, refines: refines.report, changes: refines.changes }));
+  return {
+    rawData: first.rawData,
+    query: first.query,
+    ...(reports.length > 1 ? { reports } : {}),
+    steps,
+    citations: citationsIn(content, reports),
+    ...(stopped ? { stopped } : {}),
+    ...(withheld ? { withheld } : {}),
+    ...(filters.length > 0 ? { filters } : {}),
+    ...(refinements.length > 0 ? { refinements } : {}),
+  };
+}
+
+module.exports = {
+  runAgent,
+  buildFormatPrompt,
+  finishAnswer,
+  finishStream,
+  analysisFields,
+  MAX_STEPS,
+  MAX_TOKENS,
+};
@@ -1,23 +1,202 @@
 /**
  * AI Provider Abstraction Layer
- * Supports: Gemini (Google), Groq (Llama)
- * Switch via AI_PROVIDER env variable
+ * Supports: Claude (Anthropic), Gemini (Google), Groq (Llama) and any
+ * OpenAI-compatible endpoint (OpenAI, Ollama, ...).
+ *
+ * AI_PROVIDERS is an ordered fallback chain, e.g. "claude,groq": if the first
+ * provider errors or is rate limited, the next one answers. AI_PROVIDER (a
+ * single name) still works.
+ *
+ * Every provider module exports { name, label, requiredEnv, model(),
+ * complete(request, usage), callTools(request), stream(request, usage) } where
+ * request is { system, messages: [{ role: "user" | "assistant", content }], tools? }.
+ * Query generation goes through callTools with the GA4 report tool, so the
+ * model returns structured input instead of JSON scraped from text. Each call
+ * reports the tokens the API billed when it says (callTools as `tokens`,
+ * complete and stream in `usage.tokens`); otherwise they are estimated. Every
+ * successful call is recorded in the current audit entry (see ./audit).
  */
 
-const provider = process.env.AI_PROVIDER || "gemini";
+const {
+  systemPrompt,
+  FORMAT_SYSTEM_PROMPT,
+  REPORT_TOOL,
+  buildMessages,
+  readToolCalls,
+} = require("./prompts");
+const { log } = require("./logger");
+const { recordModelCall } = require("./audit");
 
-let aiModule;
+const PROVIDERS = {
+  claude: require("./claude"),
+  gemini: require("./gemini"),
+  groq: require("./groq"),
+  openai: require("./openai"),
+};
 
-switch (provider.toLowerCase()) {
-  case "groq":
-    aiModule = require("./groq");
-    console.log("✅ AI Provider: Groq (Llama 3.3 70B)");
-    break;
-  case "gemini":
-  default:
-    aiModule = require("./gemini");
-    console.log("✅ AI Provider: Gemini (gemini-2.0-flash)");
-    break;
+const ALIASES = { anthropic: "claude", llama: "groq", ollama: "openai" };
+
+let chain = null;
+
+/**
+ * The configured providers, in fallback order
+ * @throws {Error} For an unknown provider name
+ */
+function providerChain() {
+  if (chain) return chain;
+
+  const names = (process.env.AI_PROVIDERS || process.env.AI_PROVIDER || "gemini")
+    .split(",")
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean)
+    .map((n) => ALIASES[n] || n);
+
+  const unknown = names.filter((n) => !PROVIDERS[n]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown AI provider "${unknown[0]}". Use one of: ${Object.keys(PROVIDERS).join(", ")}`
+    );
+  }
+
+  chain = [...new Set(names)].map((n) => PROVIDERS[n]);
+  return chain;
+}
+
+/**
+ * Environment variables the configured providers need
+ */
+function requiredEnv() {
+  return providerChain().flatMap((p) => p.requiredEnv);
+}
+
+function describe(provider) {
+  return { name: provider.name, model: provider.model() };
+}
+
+function failure(errors) {
+  // One provider: its message as-is; several: say which said what
+  const detail =
+    errors.length === 1
+      ? errors[0].err.message
+      : errors.map((e) => `${e.name}: ${e.err.message}`).join("; ");
+  const err = new Error(`AI processing failed: ${detail}`);
+  log.error("every AI provider failed", { err });
+  return err;
+}
+
+// Rough count for APIs that don't report usage: ~4 characters per token
+function estimateTokens(request, replyText) {
+  const chars =
+    request.system.length +
+    request.messages.reduce((sum, m) => sum + m.content.length, 0) +
+    replyText.length;
+  return Math.ceil(chars / 4);
+}
+
+/**
+ * Run `call` on the first provider that succeeds
+ * @param {Function} call - async (provider) => result
+ * @returns {Promise<Object>} { result, provider: { name, model } }
+ */
+async function firstAvailable(call) {
+  const errors = [];
+  for (const provider of providerChain()) {
+    try {
+      return { result: await call(provider), provider: describe(provider) };
+    } catch (err) {
+      log.warn("AI provider failed", { provider: provider.name, err });
+      errors.push({ name: provider.name, err });
+    }
+  }
+  throw failure(errors);
+}
+
+/**
+ * Interpret a question: the model either calls the GA4 report tool (one or
+ * more times) or answers in plain text
+ * @param {string} message - User's question, or the next prompt in a multi-step answer
+ * @param {Array} history - Chat history
+ * @param {Object} [options]
+ * @param {Array} [options.scratch] - Earlier turns on this question (see buildMessages)
+ * @param {Object} [options.catalogue] - The property's fields, from ./metadata
+ * @returns {Object} { type: "ga4_query", queries, note, provider, tokens } or
+ *   { type: "text", content, provider, tokens }; { error } if every provider failed
+ */
+async function interpret(message, history = [], { scratch = [], catalogue = null } = {}) {
+  const request = {
+    system: systemPrompt(catalogue),
+    messages: buildMessages(message, history, scratch),
+    tools: [REPORT_TOOL],
+  };
+  try {
+    const { result, provider } = await firstAvailable((p) => p.callTools(request));
+    const tokens =
+      result.tokens || estimateTokens(request, result.text + JSON.stringify(result.toolCalls));
+    recordModelCall({ provider, tokens, estimated: !result.tokens, purpose: "plan" });
+    return { ...readToolCalls(result), provider, tokens };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * Write the answer from GA4 data
+ * @param {string} message - Formatting prompt with the GA4 data
+ * @returns {Object} { type: "text", content, provider } or { error }
+ */
+async function formatAnswer(message) {
+  const request = { system: FORMAT_SYSTEM_PROMPT, messages: buildMessages(message) };
+  try {
+    const usage = {};
+    const { result, provider } = await firstAvailable((p) => p.complete(request, usage));
+    const tokens = usage.tokens || estimateTokens(request, result);
+    recordModelCall({ provider, tokens, estimated: !usage.tokens, purpose: "answer" });
+    return { type: "text", content: result, provider };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * Stream a formatted answer token by token. Falls back to the next provider
+ * only if one fails before sending anything — switching mid-answer would
+ * garble it.
+ * @param {string} message - Formatting prompt with the GA4 data
+ * @param {Object} [used] - Receives `provider` ({ name, model }) once streaming starts
+ * @returns {AsyncGenerator<string>} Text chunks as they arrive
+ */
+async function* streamFormat(message, used = {}) {
+  const request = { system: FORMAT_SYSTEM_PROMPT, messages: buildMessages(message) };
+  const errors = [];
+
+  for (const provider of providerChain()) {
+    let started = false;
+    let streamed = "";
+    const usage = {};
+    try {
+      for await (const text of provider.stream(request, usage)) {
+        if (!started) {
+          started = true;
+          used.provider = describe(provider);
+        }
+        streamed += text;
+        yield text;
+      }
+      used.provider = describe(provider);
+      recordModelCall({
+        provider: used.provider,
+        tokens: usage.tokens || estimateTokens(request, streamed),
+        estimated: !usage.tokens,
+        purpose: "answer",
+      });
+      return;
+    } catch (err) {
+      if (started) throw err;
+      log.warn("AI provider failed", { provider: provider.name, err });
+      errors.push({ name: provider.name, err });
+    }
+  }
+  throw failure(errors);
 }
 
-module.exports = aiModule;
+module.exports = { interpret, formatAnswer, streamFormat, providerChain, requiredEnv };
@@ -0,0 +1,199 @@
+/**
+ * Anomaly Detection
+ * Decides whether the latest period of a metric's series is out of line:
+ *   rolling    its distance from the mean of the previous `window` periods, in
+ *              standard deviations
+ *   seasonal   the same, against the same weekday (daily) or weekday and hour
+ *              (hourly) in the previous `window` weeks
+ *   threshold  only the static min/max
+ * min/max may be set with any method and always alert when crossed.
+ *
+ * Also finds the dimension values that moved the most, to explain an anomaly.
+ */
+
+const METHODS = ["rolling", "seasonal", "threshold"];
+const GRANULARITIES = ["daily", "hourly"];
+
+// GA4 time dimension per granularity, and how many periods make a week
+const TIME_DIMENSION = { daily: "date", hourly: "dateHour" };
+const WEEK = { daily: 7, hourly: 168 };
+
+// Floor for the standard deviation, so a flat series doesn't alert on a change of one
+const MIN_SPREAD = 1;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+
+function stddev(values, avg = mean(values)) {
+  return Math.sqrt(mean(values.map((v) => (v - avg) ** 2)));
+}
+
+/**
+ * Periods needed to check one: the baseline plus the period itself
+ */
+function seriesLength({ method, granularity, window }) {
+  return (method === "seasonal" ? WEEK[granularity] * window : window) + 1;
+}
+
+/**
+ * Indices of the baseline periods for the last one in a series of `length`
+ */
+function baselineIndices(length, { method, granularity, window }) {
+  const last = length - 1;
+  if (method === "seasonal") {
+    const step = WEEK[granularity];
+    return Array.from({ length: window }, (_, i) => last - step * (i + 1)).filter((i) => i >= 0);
+  }
+  return Array.from({ length: window }, (_, i) => last - window + i).filter((i) => i >= 0);
+}
+
+// A period counts as complete once GA4 has had this long to process it
+const LAG_HOURS = Number(process.env.MONITOR_LAG_HOURS ?? 1);
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * The wall-clock hour of `date` in `timeZone` (default: the server's), as a
+ * UTC date to step through without daylight-saving shifts
+ */
+function wallClock(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone || undefined,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour));
+}
+
+// GA4's date / dateHour formats, of a wallClock() date
+function periodKey(date, granularity) {
+  const day = `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+  return granularity === "hourly" ? `${day}${pad(date.getUTCHours())}` : day;
+}
+
+/**
+ * The periods to fetch, oldest first, ending with the last complete one: the
+ * last day or hour that ended at least `lagHours` ago, in the property's time
+ * zone (GA4's dates and hours are)
+ * @param {Object} rule - { method, granularity, window }
+ * @param {Date} [now]
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - The property's (default: the server's)
+ * @param {number} [options.lagHours] - Default MONITOR_LAG_HOURS
+ * @returns {string[]} GA4 date ("20240107") or dateHour ("2024010713") values
+ */
+function periodsFor(rule, now = new Date(), { timeZone = null, lagHours = LAG_HOURS } = {}) {
+  const periods = [];
+  const t = wallClock(new Date(now.getTime() - lagHours * 3600000), timeZone);
+  if (rule.granularity === "daily") t.setUTCHours(0);
+
+  for (let i = seriesLength(rule); i > 0; i--) {
+    if (rule.granularity === "daily") t.setUTCDate(t.getUTCDate() - 1);
+    else t.setUTCHours(t.getUTCHours() - 1);
+    periods.unshift(periodKey(t, rule.granularity));
+  }
+  return periods;
+}
+
+/**
+ * "20240107" → "2024-01-07", "2024010713" → "2024-01-07 13:00"
+ */
+function formatPeriod(period) {
+  const day = `${period.slice(0, 4)}-${period.slice(4, 6)}-${period.slice(6, 8)}`;
+  return period.length > 8 ? `${day} ${period.slice(8)}:00` : day;
+}
+
+/**
+ * Metric values per period; periods GA4 returned no row for count as 0
+ * (a broken tag shows up as missing rows, not zeros)
+ */
+function seriesFrom(rows, periods, timeDimension, metric) {
+  const byPeriod = new Map(rows.map((row) => [String(row[timeDimension]), Number(row[metric]) || 0]));
+  return periods.map((p) => byPeriod.get(p) ?? 0);
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Check the last value of a series
+ * @param {number[]} values - Oldest first, from periodsFor/seriesFrom
+ * @param {Object} rule - { method, granularity, window, sensitivity, min?, max? }
+ * @returns {Object} { anomalous, value, expected, lower, upper, score, direction: "drop" | "spike",
+ *   reason, baseline: [indices] }
+ */
+function detect(values, rule) {
+  const value = values[values.length - 1];
+  const baseline = baselineIndices(values.length, rule);
+  const history = baseline.map((i) => values[i]);
+  const expected = round(mean(history));
+  const direction = value < expected ? "drop" : "spike";
+  const result = { anomalous: false, value, expected, lower: null, upper: null, score: null, direction, baseline };
+
+  if (rule.method !== "threshold" && history.length > 1) {
+    const spread = Math.max(stddev(history), MIN_SPREAD);
+    const score = round((value - expected) / spread);
+    Object.assign(result, {
+      lower: round(expected - rule.sensitivity * spread),
+      upper: round(expected + rule.sensitivity * spread),
+      score,
+    });
+    if (Math.abs(score) >= rule.sensitivity) {
+      const basis =
+        rule.method === "seasonal"
+          ? `the same ${rule.granularity === "daily" ? "weekday" : "hour"} over the previous ${history.length} weeks`
+          : `the previous ${history.length} ${rule.granularity === "daily" ? "days" : "hours"}`;
+      result.anomalous = true;
+      result.reason = `${Math.abs(score)} standard deviations ${score < 0 ? "below" : "above"} ${basis}`;
+    }
+  }
+
+  if (rule.min !== null && rule.min !== undefined && value < rule.min) {
+    Object.assign(result, { anomalous: true, direction: "drop", reason: `below the minimum of ${rule.min}` });
+  } else if (rule.max !== null && rule.max !== undefined && value > rule.max) {
+    Object.assign(result, { anomalous: true, direction: "spike", reason: `above the maximum of ${rule.max}` });
+  }
+  return result;
+}
+
+/**
+ * The values of one dimension that moved the most in the checked period,
+ * each against its own baseline
+ * @param {Object[]} rows - [{ [timeDimension], [dimension], [metric] }] over the same periods
+ * @param {Object} spec - { periods, baseline: [indices], timeDimension, dimension, metric }
+ * @returns {Object[]} Up to 3 [{ value, actual, expected, change }], biggest change first
+ */
+function topMovers(rows, { periods, baseline, timeDimension, dimension, metric }) {
+  const series = new Map();
+  for (const row of rows) {
+    const key = row[dimension] || "(not set)";
+    if (!series.has(key)) series.set(key, new Map());
+    series.get(key).set(String(row[timeDimension]), Number(row[metric]) || 0);
+  }
+
+  const last = periods[periods.length - 1];
+  return [...series.entries()]
+    .map(([value, byPeriod]) => {
+      const actual = byPeriod.get(last) || 0;
+      const expected = round(mean(baseline.map((i) => byPeriod.get(periods[i]) || 0)));
+      return { value, actual, expected, change: round(actual - expected) };
+    })
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, 3);
+}
+
+module.exports = {
+  METHODS,
+  GRANULARITIES,
+  TIME_DIMENSION,
+  detect,
+  periodsFor,
+  formatPeriod,
+  seriesFrom,
+  topMovers,
+};
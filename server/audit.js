@@ -0,0 +1,318 @@
+/**
+ * Audit Trail & Usage
+ * One entry per question, direct query, dashboard load, export, scheduled
+ * report run and monitor check: who, what they asked, the GA4 reports it ran
+ * (params, row count, latency, cache hit), the AI calls it made (provider,
+ * model, tokens), estimated cost, errors and duration. ./ga4 and ./ai report
+ * their calls into the entry of the current request context (see ./logger);
+ * entries are appended to DATA_DIR/audit/<YYYY-MM-DD>.jsonl and kept for
+ * AUDIT_RETENTION_DAYS days.
+ *
+ * Costs are estimates: USD per million tokens, input and output blended, per
+ * model (LLM_PRICES adds or overrides prices). Providers that don't report
+ * usage are counted at ~4 characters per token.
+ */
+
+const crypto = require("crypto");
+const { appendLine, readLines, listFiles, remove } = require("./store");
+const { log, currentContext, withContext } = require("./logger");
+
+const DIR = "audit";
+const RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS || 90);
+
+const DEFAULT_PRICES = {
+  "claude-sonnet-4-20250514": 6,
+  "gemini-2.0-flash": 0.2,
+  "llama-3.3-70b-versatile": 0.7,
+};
+
+const TOP_QUESTIONS = 10;
+
+let prices = null;
+function priceOf(model) {
+  if (!prices) {
+    prices = { ...DEFAULT_PRICES };
+    try {
+      Object.assign(prices, JSON.parse(process.env.LLM_PRICES || "{}"));
+    } catch (err) {
+      log.warn("LLM_PRICES is not valid JSON; using the default prices", { err });
+    }
+  }
+  return typeof prices[model] === "number" ? prices[model] : null;
+}
+
+/**
+ * Estimated cost of some tokens, or null when the model has no price
+ */
+function costOf(model, tokens) {
+  const price = priceOf(model);
+  return price === null ? null : (tokens / 1e6) * price;
+}
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+// ─── Recording ────────────────────────────────────────────
+
+/**
+ * Start an audit entry in the current context
+ * @param {string} type - "chat", "query", "dashboard", "export", "schedule" or "monitor"
+ * @param {Object} fields - { user?: { id, name?, role? }, question?, subject?, propertyId? }
+ *   where subject names what ran when it isn't a question (a dashboard, a schedule, ...)
+ */
+function startAudit(type, { user = null, question = null, subject = null, propertyId = null } = {}) {
+  const context = currentContext();
+  if (!context) return;
+  context.audit = {
+    type,
+    user: user && { id: user.id, name: user.name || null, role: user.role || null },
+    question,
+    subject,
+    propertyId,
+    startedAt: Date.now(),
+    reports: [],
+    models: [],
+  };
+}
+
+/**
+ * A GA4 report run for the current entry, if there is one
+ * @param {Object} report - { propertyId, query, rowCount?, latencyMs, cached?, error? }
+ */
+function recordReport(report) {
+  currentContext()?.audit?.reports.push(report);
+}
+
+/**
+ * An AI call made for the current entry, if there is one
+ * @param {Object} call - { provider: { name, model }, tokens, estimated, purpose }
+ */
+function recordModelCall({ provider, tokens, estimated, purpose }) {
+  currentContext()?.audit?.models.push({
+    provider: provider.name,
+    model: provider.model,
+    purpose,
+    tokens,
+    estimated,
+  });
+}
+
+let prunedOn = null;
+
+// Drop day files past the retention period, once a day
+function prune(today) {
+  if (prunedOn === today) return;
+  prunedOn = today;
+  const cutoff = dayOf(new Date(Date.now() - RETENTION_DAYS * 86400000));
+  for (const file of listFiles(DIR, ".jsonl")) {
+    if (file.slice(DIR.length + 1, -6) < cutoff) remove(file);
+  }
+}
+
+/**
+ * Write the current entry
+ * @param {Object} [outcome] - { status?: number (HTTP), error?: string }
+ * @returns {Object|null} The entry, or null outside an audited context
+ */
+function finishAudit({ status = null, error = null } = {}) {
+  const context = currentContext();
+  const audit = context?.audit;
+  if (!audit) return null;
+  context.audit = null;
+
+  const { startedAt, ...fields } = audit;
+  const tokens = audit.models.reduce((sum, m) => sum + (m.tokens || 0), 0);
+  const costs = audit.models.map((m) => costOf(m.model, m.tokens || 0));
+  const errors = [...(error ? [error] : []), ...context.errors];
+  const now = new Date();
+  const entry = {
+    id: context.requestId,
+    at: now.toISOString(),
+    ...fields,
+    status: errors.length > 0 || status >= 400 ? "error" : "ok",
+    ...(status ? { httpStatus: status } : {}),
+    durationMs: now - startedAt,
+    tokens,
+    costUsd: costs.some((c) => c !== null) ? costs.reduce((sum, c) => sum + (c || 0), 0) : null,
+    errors,
+  };
+
+  try {
+    prune(dayOf(now));
+    appendLine(`${DIR}/${dayOf(now)}.jsonl`, entry);
+  } catch (err) {
+    log.error("could not write the audit trail", { err });
+  }
+  return entry;
+}
+
+/**
+ * Express middleware: audit the rest of the request as `type`, finishing the
+ * entry when the response is sent. Mount after auth.
+ * @param {string} type
+ * @param {Function} [describe] - req => { question?, subject?, propertyId? }
+ */
+function auditRequest(type, describe = () => ({})) {
+  return (req, res, next) => {
+    startAudit(type, { user: req.user, ...describe(req) });
+    const context = currentContext();
+    res.on("finish", () => withContext(context, () => finishAudit({ status: res.statusCode })));
+    next();
+  };
+}
+
+/**
+ * Run background work (a scheduled report, a monitor check) as its own audit entry
+ * @returns {Promise<*>} What `fn` returns
+ */
+function auditRun(type, fields, fn) {
+  const parent = currentContext();
+  const context = {
+    requestId: parent?.requestId || crypto.randomUUID(),
+    userId: fields.user?.id || null,
+    errors: [],
+  };
+  return withContext(context, async () => {
+    startAudit(type, fields);
+    try {
+      const result = await fn();
+      finishAudit();
+      return result;
+    } catch (err) {
+      finishAudit({ error: err.message });
+      throw err;
+    }
+  });
+}
+
+// ─── Reading ──────────────────────────────────────────────
+
+/**
+ * Entries from the last `days` days, oldest first
+ */
+function readEntries(days) {
+  const since = dayOf(new Date(Date.now() - (days - 1) * 86400000));
+  return listFiles(DIR, ".jsonl")
+    .filter((file) => file.slice(DIR.length + 1, -6) >= since)
+    .sort()
+    .flatMap((file) => readLines(file));
+}
+
+/**
+ * Recent entries, newest first
+ * @param {Object} [filter] - { days = 7, limit = 100, userId?, type?, status? }
+ */
+function listAudit({ days = 7, limit = 100, userId, type, status } = {}) {
+  return readEntries(days)
+    .filter(
+      (e) =>
+        (!userId || e.user?.id === userId) && (!type || e.type === type) && (!status || e.status === status)
+    )
+    .reverse()
+    .slice(0, limit);
+}
+
+const round = (n, places = 2) => (n === null ? null : Math.round(n * 10 ** places) / 10 ** places);
+
+// Questions that differ only in case, spacing or final punctuation count as one
+const normalizeQuestion = (q) => q.toLowerCase().replace(/\s+/g, " ").replace(/[\s?.!]+$/, "").trim();
+
+function tally(entries) {
+  const costs = entries.map((e) => e.costUsd).filter((c) => c !== null && c !== undefined);
+  const failures = entries.filter((e) => e.status === "error").length;
+  return {
+    requests: entries.length,
+    failures,
+    failureRate: entries.length ? round(failures / entries.length, 3) : 0,
+    tokens: entries.reduce((sum, e) => sum + (e.tokens || 0), 0),
+    costUsd: round(costs.reduce((sum, c) => sum + c, 0), 4),
+  };
+}
+
+function groupBy(items, key) {
+  const groups = new Map();
+  for (const item of items) {
+    const k = key(item);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Usage over the last `days` days: totals, per user, per day, per model, the
+ * most common questions and GA4 report stats
+ */
+function usageSummary({ days = 30 } = {}) {
+  const entries = readEntries(days);
+
+  const byUser = [...groupBy(entries, (e) => e.user?.id || "system")].map(([id, list]) => ({
+    userId: id,
+    name: list.findLast((e) => e.user?.name)?.user.name || id,
+    ...tally(list),
+    lastSeen: list[list.length - 1].at,
+  }));
+
+  const byDay = [...groupBy(entries, (e) => e.at.slice(0, 10))].map(([date, list]) => ({
+    date,
+    ...tally(list),
+  }));
+
+  const calls = entries.flatMap((e) => e.models || []);
+  const byModel = [...groupBy(calls, (c) => `${c.provider}/${c.model}`)].map(([, list]) => {
+    const tokens = list.reduce((sum, c) => sum + (c.tokens || 0), 0);
+    return {
+      provider: list[0].provider,
+      model: list[0].model,
+      calls: list.length,
+      tokens,
+      estimatedTokens: list.filter((c) => c.estimated).reduce((sum, c) => sum + (c.tokens || 0), 0),
+      costUsd: round(costOf(list[0].model, tokens), 4),
+    };
+  });
+
+  const asked = entries.filter((e) => e.question);
+  const topQuestions = [...groupBy(asked, (e) => normalizeQuestion(e.question))]
+    .map(([, list]) => ({
+      question: list[list.length - 1].question,
+      count: list.length,
+      failures: list.filter((e) => e.status === "error").length,
+      lastAsked: list[list.length - 1].at,
+    }))
+    .sort((a, b) => b.count - a.count || b.lastAsked.localeCompare(a.lastAsked))
+    .slice(0, TOP_QUESTIONS);
+
+  const reports = entries.flatMap((e) => e.reports || []);
+  const fetched = reports.filter((r) => !r.cached && !r.error);
+
+  return {
+    days,
+    since: entries[0]?.at || null,
+    ...tally(entries),
+    byType: Object.fromEntries([...groupBy(entries, (e) => e.type)].map(([type, list]) => [type, tally(list)])),
+    byUser: byUser.sort((a, b) => b.requests - a.requests),
+    byDay,
+    byModel: byModel.sort((a, b) => b.tokens - a.tokens),
+    topQuestions,
+    ga4: {
+      reports: reports.length,
+      failures: reports.filter((r) => r.error).length,
+      cached: reports.filter((r) => r.cached).length,
+      avgLatencyMs: fetched.length
+        ? Math.round(fetched.reduce((sum, r) => sum + r.latencyMs, 0) / fetched.length)
+        : null,
+      rows: reports.reduce((sum, r) => sum + (r.rowCount || 0), 0),
+    },
+  };
+}
+
+module.exports = {
+  startAudit,
+  recordReport,
+  recordModelCall,
+  finishAudit,
+  auditRequest,
+  auditRun,
+  listAudit,
+  usageSummary,
+  costOf,
+};
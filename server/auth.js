@@ -0,0 +1,54 @@
+/**
+ * API Key Auth & Roles
+ * viewer  → chat + dashboards
+ * analyst → chat + direct /api/query + scheduled reports + monitors & alerts
+ * admin   → everything, including user and property management
+ *
+ * With no users configured the app stays open (internal networks only) and
+ * every request runs as an anonymous analyst.
+ */
+
+const { hasUsers, hasRole, authenticateKey } = require("./users");
+const { currentContext } = require("./logger");
+
+const ANONYMOUS = { id: "anonymous", name: "Anonymous", role: "analyst" };
+
+// Tag the request's log lines with the user
+function identify(req, user) {
+  req.user = user;
+  const context = currentContext();
+  if (context) context.userId = user.id;
+}
+
+function authMiddleware(req, res, next) {
+  if (!hasUsers()) {
+    identify(req, ANONYMOUS);
+    return next();
+  }
+
+  const header = req.headers.authorization || "";
+  const provided = header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+
+  const user = authenticateKey(provided);
+  if (!user) {
+    return res.status(401).json({ error: "Unauthorized. Invalid API key." });
+  }
+
+  identify(req, user);
+  next();
+}
+
+/**
+ * Auth plus a minimum role, e.g. app.post("/api/query", requireRole("analyst"), ...)
+ */
+function requireRole(role) {
+  return (req, res, next) =>
+    authMiddleware(req, res, () => {
+      if (!hasRole(req.user.role, role)) {
+        return res.status(403).json({ error: `Forbidden. Requires the ${role} role.` });
+      }
+      next();
+    });
+}
+
+module.exports = { authMiddleware, requireRole };
@@ -0,0 +1,279 @@
+/**
+ * GA4 Report Cache
+ * Sits in front of runReport, keyed on a normalized form of the query:
+ * property, dimensions, metrics, the resolved absolute date range(s), filters,
+ * ordering, limit and offset. Ranges that include today expire quickly; fully past
+ * ranges are kept much longer.
+ *
+ * GA4_CACHE=memory (default) | disk | off
+ */
+
+const crypto = require("crypto");
+const { readJson, writeJson, remove, listJson } = require("./store");
+
+const DISK_DIR = "cache";
+
+const TTL = {
+  // Range includes today — numbers still moving
+  today: Number(process.env.GA4_CACHE_TTL_TODAY || 5 * 60),
+  // Ends in the last two days — GA4 may still be processing
+  recent: Number(process.env.GA4_CACHE_TTL_RECENT || 60 * 60),
+  // Fully in the past
+  past: Number(process.env.GA4_CACHE_TTL_PAST || 24 * 60 * 60),
+};
+
+const MAX_MEMORY_ENTRIES = Number(process.env.GA4_CACHE_MAX_ENTRIES || 500);
+
+// ─── Key normalization ────────────────────────────────────
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolve a GA4 date ("today", "yesterday", "NdaysAgo", "YYYY-MM-DD") to YYYY-MM-DD
+ * @param {string} value
+ * @param {Date} [now]
+ */
+function resolveDate(value, now = new Date()) {
+  const day = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  if (value === "today") return isoDay(day);
+  if (value === "yesterday") return isoDay(new Date(day - 86400000));
+  const relative = /^(\d+)daysAgo$/.exec(value);
+  if (relative) return isoDay(new Date(day - Number(relative[1]) * 86400000));
+  return value;
+}
+
+/**
+ * JSON with object keys sorted, so equivalent filters hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function rangesOf(params, now) {
+  const ranges = params.dateRanges?.length > 1
+    ? params.dateRanges
+    : [{ startDate: params.startDate || "7daysAgo", endDate: params.endDate || "yesterday" }];
+  return ranges.map((r) => ({
+    name: r.name || null,
+    startDate: resolveDate(r.startDate, now),
+    endDate: resolveDate(r.endDate, now),
+  }));
+}
+
+/**
+ * Normalized description of a query — the cache key is its hash
+ */
+function normalize(params, propertyId, now = new Date()) {
+  return {
+    propertyId: String(propertyId),
+    dimensions: params.dimensions || ["date"],
+    metrics: params.metrics || ["totalUsers", "sessions"],
+    dateRanges: rangesOf(params, now),
+    dimensionFilter: params.dimensionFilter || null,
+    // Only when set, so unfiltered queries keep their keys
+    ...(params.metricFilter ? { metricFilter: params.metricFilter } : {}),
+    ...(params.funnel ? { funnel: params.funnel } : {}),
+    orderBys: params.orderBys && params.orderBys.length > 0 ? params.orderBys : null,
+    limit: params.limit || 100,
+    offset: params.offset || 0,
+  };
+}
+
+function keyFor(normalized) {
+  return crypto.createHash("sha256").update(stableStringify(normalized)).digest("hex").slice(0, 32);
+}
+
+/**
+ * Seconds to keep a result, based on how recent its latest date is
+ */
+function ttlFor(normalized, now = new Date()) {
+  const today = resolveDate("today", now);
+  const twoDaysAgo = resolveDate("2daysAgo", now);
+  const latest = normalized.dateRanges.map((r) => r.endDate).sort().pop();
+  if (latest >= today) return TTL.today;
+  if (latest >= twoDaysAgo) return TTL.recent;
+  return TTL.past;
+}
+
+// ─── Backends ─────────────────────────────────────────────
+// Each backend stores entries { key, value, summary, cachedAt, expiresAt }
+
+function createMemoryBackend() {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      // Re-insert so the Map's order tracks recency (oldest first)
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    set(entry) {
+      entries.delete(entry.key);
+      entries.set(entry.key, entry);
+      while (entries.size > MAX_MEMORY_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    list() {
+      return [...entries.values()];
+    },
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
+function createDiskBackend() {
+  const fileFor = (key) => (/^[a-f0-9]+$/.test(key) ? `${DISK_DIR}/${key}.json` : null);
+
+  return {
+    name: "disk",
+    get(key) {
+      const file = fileFor(key);
+      return file ? readJson(file, null) : null;
+    },
+    set(entry) {
+      writeJson(fileFor(entry.key), entry);
+    },
+    delete(key) {
+      const file = fileFor(key);
+      if (file) remove(file);
+    },
+    list() {
+      return listJson(DISK_DIR)
+        .map((file) => readJson(file, null))
+        .filter(Boolean);
+    },
+    clear() {
+      listJson(DISK_DIR).forEach(remove);
+    },
+  };
+}
+
+function createBackend(type) {
+  switch ((type || "memory").toLowerCase()) {
+    case "off":
+    case "none":
+      return null;
+    case "disk":
+      return createDiskBackend();
+    case "memory":
+    default:
+      return createMemoryBackend();
+  }
+}
+
+const backend = createBackend(process.env.GA4_CACHE);
+const stats = { hits: 0, misses: 0 };
+
+// ─── Public API ───────────────────────────────────────────
+
+function isExpired(entry, now = Date.now()) {
+  return new Date(entry.expiresAt).getTime() <= now;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Run `fetch` unless a fresh cached result exists for the same query.
+ * The result's metadata.cache says whether it was a hit.
+ * @param {Object} params - GA4 query params
+ * @param {string} propertyId
+ * @param {Function} fetch - async () => queryGA4 result
+ * @param {Object} [options]
+ * @param {boolean} [options.bypass] - Skip the lookup (still stores the fresh result)
+ */
+async function cached(params, propertyId, fetch, options = {}) {
+  if (!backend) return fetch();
+
+  const normalized = normalize(params, propertyId);
+  const key = keyFor(normalized);
+
+  const entry = options.bypass ? null : backend.get(key);
+  if (entry && !isExpired(entry)) {
+    stats.hits++;
+    const value = clone(entry.value);
+    value.metadata.cache = { hit: true, key, cachedAt: entry.cachedAt, expiresAt: entry.expiresAt };
+    return value;
+  }
+  if (entry) backend.delete(key);
+
+  stats.misses++;
+  const value = await fetch();
+
+  const now = new Date();
+  const cachedAt = now.toISOString();
+  const expiresAt = new Date(now.getTime() + ttlFor(normalized, now) * 1000).toISOString();
+  backend.set({
+    key,
+    value: clone(value),
+    summary: {
+      propertyId: normalized.propertyId,
+      dimensions: normalized.dimensions,
+      metrics: normalized.metrics,
+      dateRanges: normalized.dateRanges,
+    },
+    cachedAt,
+    expiresAt,
+  });
+
+  value.metadata.cache = { hit: false, key, cachedAt, expiresAt };
+  return value;
+}
+
+/**
+ * Cache contents for the admin endpoint (values omitted)
+ */
+function inspect() {
+  const now = Date.now();
+  const entries = backend ? backend.list() : [];
+  return {
+    backend: backend ? backend.name : "off",
+    ttlSeconds: TTL,
+    hits: stats.hits,
+    misses: stats.misses,
+    entries: entries.map(({ key, summary, cachedAt, expiresAt }) => ({
+      key,
+      ...summary,
+      cachedAt,
+      expiresAt,
+      expired: new Date(expiresAt).getTime() <= now,
+    })),
+  };
+}
+
+/**
+ * Drop cached reports — one key, one property's, or everything
+ * @returns {number} Entries removed
+ */
+function flush({ key, propertyId } = {}) {
+  if (!backend) return 0;
+  const entries = backend.list();
+  const doomed = entries.filter(
+    (e) => (!key || e.key === key) && (!propertyId || e.summary?.propertyId === String(propertyId))
+  );
+  if (!key && !propertyId) backend.clear();
+  else doomed.forEach((e) => backend.delete(e.key));
+  return doomed.length;
+}
+
+module.exports = { cached, inspect, flush, resolveDate, normalize, keyFor };
@@ -1,3 +1,7 @@
+/**
+ * Claude (Anthropic) provider
+ */
+
 const Anthropic = require("@anthropic-ai/sdk");
 
 let client = null;
@@ -8,132 +12,90 @@ function getClient() {
   return client;
 }
 
-const SYSTEM_PROMPT = `You are a Google Analytics 4 data analyst assistant for a team. Your job is to interpret natural language questions about website analytics and convert them into GA4 API query parameters.
-
-AVAILABLE GA4 DIMENSIONS:
-- date, dateHour, dateHourMinute
-- country, city, region, continent
-- deviceCategory, browser, operatingSystem, platform
-- pagePath, pageTitle, landingPage, landingPagePlusQueryString
-- source, medium, sessionDefaultChannelGroup, campaignName
-- newVsReturning, userAgeBracket, userGender
-- eventName, isConversionEvent
-
-AVAILABLE GA4 METRICS:
-- totalUsers, newUsers, activeUsers, active1DayUsers, active7DayUsers, active28DayUsers
-- sessions, sessionsPerUser, engagedSessions, engagementRate
-- screenPageViews, screenPageViewsPerSession, screenPageViewsPerUser
-- bounceRate, averageSessionDuration, userEngagementDuration
-- eventCount, eventsPerSession, conversions
-- totalRevenue, transactions
-
-DATE FORMATS:
-- Specific dates: "YYYY-MM-DD" (e.g., "2026-01-15")
-- Relative dates: "today", "yesterday", "NdaysAgo" (e.g., "7daysAgo", "30daysAgo")
-
-RULES:
-1. Always respond with valid JSON
-2. Choose appropriate dimensions and metrics based on the question
-3. Use sensible date ranges (default: last 7 days)
-4. Set reasonable limits (default: 20, max: 100)
-5. If the question cannot be answered with GA4 data, respond with:
-   {"type": "text", "content": "your explanation here"}
-6. For ambiguous questions, make reasonable assumptions and note them
-
-RESPONSE FORMAT for GA4 queries:
-{
-  "type": "ga4_query",
-  "dimensions": ["dimension1", "dimension2"],
-  "metrics": ["metric1", "metric2"],
-  "startDate": "7daysAgo",
-  "endDate": "yesterday",
-  "limit": 20,
-  "orderBys": [{"metric": {"metricName": "metricName"}, "desc": true}]
+function model() {
+  return process.env.CLAUDE_MODEL || "claude-sonnet-4-20250514";
 }
 
-RESPONSE FORMAT for non-GA4 questions:
-{
-  "type": "text",
-  "content": "Your helpful response here"
-}`;
-
-const FORMAT_SYSTEM_PROMPT = `You are a data analyst presenting Google Analytics insights to a team. 
-Format your responses using markdown for readability:
-- Use tables for tabular data
-- Use bullet points for key insights
-- Bold important numbers and trends
-- Include percentage changes where relevant
-- Suggest 2-3 follow-up questions at the end
-- Be concise but insightful
-- Format numbers with commas (e.g., 1,234)
-- Format percentages to 1 decimal place
-- Format durations in human-readable format (e.g., "2m 34s" instead of 154.23)
-- If bounce rate or engagement rate is a decimal (0.45), convert to percentage (45.0%)
-Keep the tone professional but friendly.`;
+const totalOf = (usage) => usage && usage.input_tokens + usage.output_tokens;
 
 /**
- * Process a natural language query
- * @param {string} message - User's question
- * @param {Array} history - Chat history
- * @param {boolean} isFormatting - Whether this is a formatting request (step 2)
- * @returns {Object} GA4 params or formatted text
+ * @param {Object} request - { system, messages: [{ role, content }] }
+ * @param {Object} [usage] - Receives `tokens` billed
+ * @returns {Promise<string>} The model's reply
  */
-async function processQuery(message, history = [], isFormatting = false) {
-  const anthropic = getClient();
-
-  const messages = [];
-
-  // Add relevant history (last 4 exchanges max)
-  const recentHistory = history.slice(-8);
-  for (const msg of recentHistory) {
-    messages.push({
-      role: msg.role === "user" ? "user" : "assistant",
-      content: msg.content,
-    });
-  }
-
-  messages.push({ role: "user", content: message });
-
-  try {
-    const response = await anthropic.messages.create({
-      model: process.env.CLAUDE_MODEL || "claude-sonnet-4-20250514",
-      max_tokens: 2048,
-      system: isFormatting ? FORMAT_SYSTEM_PROMPT : SYSTEM_PROMPT,
-      messages,
-    });
-
-    const text = response.content[0]?.text || "";
-
-    if (isFormatting) {
-      return { type: "text", content: text };
-    }
-
-    // Parse GA4 query params from Claude's response
-    try {
-      // Extract JSON from response (handle markdown code blocks)
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        return { type: "text", content: text };
-      }
+async function complete({ system, messages }, usage = {}) {
+  const response = await getClient().messages.create({
+    model: model(),
+    max_tokens: 2048,
+    system,
+    messages,
+  });
+  usage.tokens = totalOf(response.usage);
+  return response.content[0]?.text || "";
+}
 
-      const parsed = JSON.parse(jsonMatch[0]);
-      return parsed;
-    } catch (parseErr) {
-      console.error("[Parse Error]", parseErr.message, "Raw:", text);
-      return { type: "text", content: text };
-    }
-  } catch (err) {
-    console.error("[Claude Error]", err.message);
+/**
+ * @param {Object} request - { system, messages, tools: [{ name, description, parameters }] }
+ * @returns {Promise<Object>} { text, toolCalls: [{ id, name, input }], tokens? }
+ */
+async function callTools({ system, messages, tools }) {
+  const response = await getClient().messages.create({
+    model: model(),
+    max_tokens: 2048,
+    system,
+    messages,
+    tools: tools.map((t) => ({
+      name: t.name,
+      description: t.description,
+      input_schema: t.parameters,
+    })),
+  });
+
+  return {
+    text: response.content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join(""),
+    toolCalls: response.content
+      .filter((block) => block.type === "tool_use")
+      .map((block) => ({ id: block.id, name: block.name, input: block.input })),
+    tokens: totalOf(response.usage),
+  };
+}
 
-    if (err.message.includes("api_key")) {
-      return {
-        error:
-          "Claude API key not configured. Please set ANTHROPIC_API_KEY in .env",
-      };
+/**
+ * @param {Object} request - { system, messages: [{ role, content }] }
+ * @param {Object} [usage] - Receives `tokens` billed, once the stream ends
+ * @returns {AsyncGenerator<string>} Text chunks as they arrive
+ */
+async function* stream({ system, messages }, usage = {}) {
+  const response = await getClient().messages.create({
+    model: model(),
+    max_tokens: 2048,
+    system,
+    messages,
+    stream: true,
+  });
+
+  // Input tokens come with the start of the message, output tokens (so far) with each delta
+  let input = 0;
+  let output = 0;
+  for await (const event of response) {
+    if (event.type === "message_start") input = event.message?.usage?.input_tokens || 0;
+    if (event.type === "message_delta") output = event.usage?.output_tokens || output;
+    if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+      yield event.delta.text;
     }
-
-    return { error: `AI processing failed: ${err.message}` };
   }
+  usage.tokens = input + output || undefined;
 }
 
-module.exports = { processQuery };
+module.exports = {
+  name: "claude",
+  label: "Claude",
+  requiredEnv: ["ANTHROPIC_API_KEY"],
+  model,
+  complete,
+  callTools,
+  stream,
+};
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * User administration CLI
+ *
+ *   npm run users -- list
+ *   npm run users -- add <name> [viewer|analyst|admin]
+ *   npm run users -- role <user> <role>
+ *   npm run users -- remove <user>
+ *   npm run users -- issue <user> [label]
+ *   npm run users -- revoke <keyId>
+ *
+ * <user> is a user id or name.
+ */
+
+require("dotenv").config();
+
+const users = require("./users");
+
+const USAGE = `Usage: npm run users -- <command>
+
+  list                         List users and their keys
+  add <name> [role]            Create a user (role: ${users.ROLES.join(" | ")}, default viewer)
+  role <user> <role>           Change a user's role
+  remove <user>                Delete a user and all their keys
+  issue <user> [label]         Issue an additional API key
+  revoke <keyId>               Revoke an API key`;
+
+function printKey(key) {
+  console.log(`\n  API key: ${key}\n`);
+  console.log("  Store it now — it cannot be shown again.\n");
+}
+
+function run([command, ...args]) {
+  switch (command) {
+    case "list": {
+      const list = users.listUsers();
+      if (list.length === 0) {
+        console.log("No users yet — the app is in open access mode.");
+        return;
+      }
+      for (const u of list) {
+        console.log(`${u.id}  ${u.name}  (${u.role})`);
+        for (const k of u.keys) {
+          const state = k.revokedAt ? `revoked ${k.revokedAt}` : "active";
+          console.log(`    ${k.id}  ${k.prefix}…  ${k.label || ""}  ${state}`);
+        }
+      }
+      return;
+    }
+    case "add": {
+      const { user, key } = users.createUser(args[0], args[1] || "viewer");
+      console.log(`✅ Created ${user.name} (${user.role}) — ${user.id}`);
+      printKey(key);
+      return;
+    }
+    case "role": {
+      const user = users.updateUser(args[0], { role: args[1] });
+      console.log(`✅ ${user.name} is now ${user.role}`);
+      return;
+    }
+    case "remove": {
+      const user = users.deleteUser(args[0]);
+      console.log(`✅ Removed ${user.name}`);
+      return;
+    }
+    case "issue": {
+      const { keyId, key } = users.issueKey(args[0], args[1]);
+      console.log(`✅ Issued ${keyId}`);
+      printKey(key);
+      return;
+    }
+    case "revoke": {
+      users.revokeKey(args[0]);
+      console.log(`✅ Revoked ${args[0]}`);
+      return;
+    }
+    default:
+      console.log(USAGE);
+      if (command) process.exitCode = 1;
+  }
+}
+
+try {
+  run(process.argv.slice(2));
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+}
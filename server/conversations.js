@@ -0,0 +1,195 @@
+/**
+ * Conversation History
+ * One JSON file per thread in DATA_DIR/conversations. Each AI turn keeps the
+ * GA4 query and raw data it was based on, so answers can be re-opened,
+ * shared and exported later.
+ */
+
+const crypto = require("crypto");
+const { readJson, writeJson, remove, listJson } = require("./store");
+
+const DIR = "conversations";
+
+// Messages sent to the model as context for a follow-up
+const HISTORY_LENGTH = 8;
+
+const TITLE_LENGTH = 60;
+
+function newId(prefix, bytes = 8) {
+  return `${prefix}_${crypto.randomBytes(bytes).toString("hex")}`;
+}
+
+function fileFor(id) {
+  // Ids are generated here; refuse anything that could escape the directory
+  if (!/^cnv_[a-f0-9]+$/.test(id)) return null;
+  return `${DIR}/${id}.json`;
+}
+
+function load(id) {
+  const file = fileFor(id);
+  return file ? readJson(file, null) : null;
+}
+
+function save(conversation) {
+  conversation.updatedAt = new Date().toISOString();
+  writeJson(fileFor(conversation.id), conversation);
+}
+
+/**
+ * Change a thread as it is stored now rather than the caller's copy, which a
+ * chat turn holds for as long as the agent runs: saving that copy back would
+ * drop messages, a new title or a share link written meanwhile. Reading,
+ * changing and writing happen in one synchronous step, so changes to a thread
+ * are applied one after another and never interleave. The caller's copy is
+ * brought up to date; a thread deleted meanwhile stays deleted.
+ * @param {Object} conversation - The caller's copy
+ * @param {Function} change - Mutates the stored thread; its result is returned
+ */
+function update(conversation, change) {
+  const current = load(conversation.id);
+  if (!current) return change(conversation);
+  const result = change(current);
+  save(current);
+  Object.assign(conversation, current);
+  return result;
+}
+
+function summarize(c) {
+  return {
+    id: c.id,
+    title: c.title,
+    propertyId: c.propertyId,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+    messageCount: c.messages.length,
+    shareId: c.shareId,
+  };
+}
+
+function titleFrom(message) {
+  const line = message.trim().split("\n")[0];
+  return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 1)}…` : line;
+}
+
+/**
+ * Start a thread, titled after its first question
+ */
+function createConversation(ownerId, firstMessage, propertyId = null) {
+  const now = new Date().toISOString();
+  const conversation = {
+    id: newId("cnv"),
+    ownerId,
+    title: titleFrom(firstMessage),
+    propertyId,
+    createdAt: now,
+    updatedAt: now,
+    shareId: null,
+    messages: [],
+  };
+  save(conversation);
+  return conversation;
+}
+
+/**
+ * A user's conversation, or null if it doesn't exist or belongs to someone else
+ */
+function getConversation(id, ownerId) {
+  const conversation = load(id);
+  if (!conversation || conversation.ownerId !== ownerId) return null;
+  return conversation;
+}
+
+/**
+ * Summaries of a user's threads, most recently active first
+ */
+function listConversations(ownerId) {
+  return listJson(DIR)
+    .map((file) => readJson(file, null))
+    .filter((c) => c && c.ownerId === ownerId)
+    .map(summarize)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Recent messages in the { role, content } shape the AI providers expect, plus
+ * `data`: the report results an answer was written from, for the privacy guard
+ */
+function historyOf(conversation) {
+  return conversation.messages.slice(-HISTORY_LENGTH).map(({ role, content, rawData, reports }) => ({
+    role,
+    content,
+    data: (reports || [{ rawData }]).map((r) => r.rawData).filter(Boolean),
+  }));
+}
+
+/**
+ * Append messages (user question, AI answer) to a thread
+ * @param {Object[]} messages - [{ role, content, query?, rawData? }]
+ * @returns {Object[]} The stored messages, with ids
+ */
+function appendMessages(conversation, messages) {
+  const stored = messages.map((m) => ({
+    id: newId("msg", 6),
+    createdAt: new Date().toISOString(),
+    ...m,
+  }));
+  update(conversation, (c) => c.messages.push(...stored));
+  return stored;
+}
+
+function renameConversation(conversation, title) {
+  if (!title || typeof title !== "string") throw new Error("Title is required");
+  update(conversation, (c) => {
+    c.title = title.trim().slice(0, 200);
+  });
+  return summarize(conversation);
+}
+
+function deleteConversation(conversation) {
+  remove(fileFor(conversation.id));
+}
+
+/**
+ * Create (or return the existing) read-only share token for a thread
+ */
+function shareConversation(conversation) {
+  if (conversation.shareId) return conversation.shareId;
+  return update(conversation, (c) => {
+    c.shareId ||= crypto.randomBytes(16).toString("base64url");
+    return c.shareId;
+  });
+}
+
+function unshareConversation(conversation) {
+  update(conversation, (c) => {
+    c.shareId = null;
+  });
+}
+
+/**
+ * Read-only view of a shared thread (no owner id)
+ */
+function getShared(shareId) {
+  if (!shareId) return null;
+  const conversation = listJson(DIR)
+    .map((file) => readJson(file, null))
+    .find((c) => c && c.shareId === shareId);
+  if (!conversation) return null;
+
+  const { ownerId, ...shared } = conversation;
+  return shared;
+}
+
+module.exports = {
+  createConversation,
+  getConversation,
+  listConversations,
+  historyOf,
+  appendMessages,
+  renameConversation,
+  deleteConversation,
+  shareConversation,
+  unshareConversation,
+  getShared,
+  summarize,
+};
@@ -0,0 +1,145 @@
+/**
+ * Cron Schedules
+ * Standard five-field expressions — minute hour day-of-month month day-of-week —
+ * with *, lists (1,15), ranges (1-5), steps (*\/15, 9-17/2) and month/day names
+ * (jan, mon), plus @hourly, @daily, @weekly and @monthly. Times are in the
+ * server's local time zone (set TZ to change it).
+ *
+ * As in cron, when both day fields are restricted a day matching either one runs;
+ * a day field starting with * (such as *\/2) doesn't count as restricted.
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  {
+    name: "month",
+    min: 1,
+    max: 12,
+    names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"],
+  },
+  // 7 is Sunday too
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+// Give up looking for a matching time after this long (e.g. "0 0 31 2 *")
+const SEARCH_YEARS = 5;
+
+function parseValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  if (index !== -1) return index + (field.name === "month" ? 1 : 0);
+  if (!/^\d+$/.test(text)) throw new Error(`Invalid ${field.name} "${text}"`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${value} is out of range (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+/**
+ * Values one field allows, e.g. "*\/15" → {0, 15, 30, 45}
+ */
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name} "${part}"`);
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== "*") {
+      const [start, end] = range.split("-");
+      from = parseValue(start, field);
+      // "5/10" means from 5 to the end, every 10
+      to = end !== undefined ? parseValue(end, field) : stepText === undefined ? from : field.max;
+      if (from > to) throw new Error(`Invalid ${field.name} range "${range}"`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 9 * * mon" (Mondays at 09:00)
+ * @returns {Object} { minutes, hours, days, months, weekdays: Set<number>, anyDay, anyWeekday }
+ * @throws {Error} Saying what is wrong with the expression
+ */
+function parseCron(expression) {
+  if (typeof expression !== "string" || !expression.trim()) {
+    throw new Error("Schedule is required (cron expression, e.g. \"0 9 * * 1\")");
+  }
+  const text = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid schedule "${expression}": expected 5 fields (minute hour day month weekday)`);
+  }
+
+  try {
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (weekdays.delete(7)) weekdays.add(0);
+    return {
+      minutes,
+      hours,
+      days,
+      months,
+      weekdays,
+      anyDay: parts[2].startsWith("*"),
+      anyWeekday: parts[4].startsWith("*"),
+    };
+  } catch (err) {
+    throw new Error(`Invalid schedule "${expression}": ${err.message}`);
+  }
+}
+
+function dayMatches(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  // A field starting with * is no restriction of its own: days must then match both
+  if (cron.anyDay || cron.anyWeekday) return day && weekday;
+  return day || weekday;
+}
+
+/**
+ * The first time after `after` that a schedule fires
+ * @param {string|Object} cron - Expression or parseCron result
+ * @param {Date} [after] - Defaults to now
+ * @returns {Date|null} null if it never fires (e.g. February 31st)
+ */
+function nextRun(cron, after = new Date()) {
+  const schedule = typeof cron === "string" ? parseCron(cron) : cron;
+  const t = new Date(after);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  const limit = new Date(t);
+  limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+  // Skip whole months, days and hours that can't match before stepping minutes
+  while (t < limit) {
+    if (!schedule.months.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, t)) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1, 0, 0);
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextRun };
@@ -0,0 +1,205 @@
+/**
+ * Dashboards
+ * Named boards of tiles, each a saved GA4 query (the `query` params of a chat
+ * answer, not its text) that is re-run whenever the board is opened. Stored in
+ * DATA_DIR/dashboards.json. A board is private to its owner until shared;
+ * teammates can then open it, but only the owner changes it.
+ */
+
+const crypto = require("crypto");
+const { readJson, writeJson } = require("./store");
+const { getProperty } = require("./properties");
+
+const DASHBOARDS_FILE = "dashboards.json";
+
+const MAX_TILES = 20;
+const WIDTHS = ["half", "full"];
+
+function load() {
+  return readJson(DASHBOARDS_FILE, []);
+}
+
+function save(dashboards) {
+  writeJson(DASHBOARDS_FILE, dashboards);
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString("hex")}`;
+}
+
+const canSee = (dashboard, userId) => dashboard.ownerId === userId || dashboard.shared;
+
+/**
+ * The board as a user sees it: `editable` when it is theirs
+ */
+function view({ ownerId, ...dashboard }, userId) {
+  return { ...dashboard, editable: ownerId === userId };
+}
+
+/**
+ * List view: the board without its tiles' queries
+ */
+function summarize(dashboard, userId) {
+  const { tiles, ...rest } = view(dashboard, userId);
+  return { ...rest, tileCount: tiles.length };
+}
+
+function nameFrom(value, label = "Name") {
+  const name = typeof value === "string" ? value.trim().slice(0, 100) : "";
+  if (!name) throw new Error(`${label} is required`);
+  return name;
+}
+
+/**
+ * Check and normalize a tile's fields; `current` fills in what isn't given.
+ * The query itself is checked against the property's fields by the route.
+ * @throws {Error} Saying what is wrong
+ */
+function normalizeTile(input, current = {}) {
+  const merged = { ...current, ...input };
+
+  const property = getProperty(merged.propertyId);
+  if (!property) throw new Error(`Unknown property "${merged.propertyId}"`);
+
+  const { query } = merged;
+  if (!query || typeof query !== "object" || !(Array.isArray(query.metrics) || query.funnel)) {
+    throw new Error("Query params with metrics or a funnel are required");
+  }
+
+  const width = merged.width || "half";
+  if (!WIDTHS.includes(width)) throw new Error(`Width must be one of ${WIDTHS.join(", ")}`);
+
+  return {
+    title: nameFrom(merged.title, "Title"),
+    propertyId: property.id,
+    query,
+    width,
+  };
+}
+
+function touch(dashboard) {
+  dashboard.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Start an empty board
+ * @param {Object} owner - The user ({ id, name })
+ * @param {Object} input - { name, shared? }
+ */
+function createDashboard(owner, input) {
+  const now = new Date().toISOString();
+  const dashboard = {
+    id: newId("dsh"),
+    ownerId: owner.id,
+    ownerName: owner.name,
+    name: nameFrom(input.name),
+    shared: input.shared === true,
+    createdAt: now,
+    updatedAt: now,
+    tiles: [],
+  };
+  save([...load(), dashboard]);
+  return view(dashboard, owner.id);
+}
+
+/**
+ * A board the user may open (theirs, or shared), or null
+ * @returns {Object|null} The full record, ownerId included
+ */
+function getDashboard(id, userId) {
+  const dashboard = load().find((d) => d.id === id);
+  if (!dashboard || !canSee(dashboard, userId)) return null;
+  return dashboard;
+}
+
+/**
+ * The user's boards, then those teammates shared, each alphabetically
+ */
+function listDashboards(userId) {
+  return load()
+    .filter((d) => canSee(d, userId))
+    .map((d) => summarize(d, userId))
+    .sort((a, b) => Number(b.editable) - Number(a.editable) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Apply a change to a stored board and save it
+ * @throws {Error} If it doesn't exist
+ */
+function change(id, userId, apply) {
+  const dashboards = load();
+  const dashboard = dashboards.find((d) => d.id === id);
+  if (!dashboard) throw new Error(`Dashboard "${id}" not found`);
+
+  const result = apply(dashboard);
+  touch(dashboard);
+  save(dashboards);
+  return result === undefined ? view(dashboard, userId) : result;
+}
+
+/**
+ * Rename, share or unshare a board, or reorder its tiles
+ * @param {Object} changes - { name?, shared?, tileOrder?: [tileId] }
+ */
+function updateDashboard(id, userId, changes) {
+  return change(id, userId, (dashboard) => {
+    if ("name" in changes) dashboard.name = nameFrom(changes.name);
+    if ("shared" in changes) dashboard.shared = changes.shared === true;
+    if ("tileOrder" in changes) {
+      const order = changes.tileOrder;
+      const ids = dashboard.tiles.map((t) => t.id);
+      if (!Array.isArray(order) || order.length !== ids.length || !ids.every((t) => order.includes(t))) {
+        throw new Error("tileOrder must list every tile id once");
+      }
+      dashboard.tiles = order.map((t) => dashboard.tiles.find((tile) => tile.id === t));
+    }
+  });
+}
+
+function deleteDashboard(id) {
+  save(load().filter((d) => d.id !== id));
+}
+
+/**
+ * Pin a saved query to the end of a board
+ * @param {Object} input - { title, propertyId, query, width? }
+ * @returns {Object} The tile
+ */
+function addTile(id, userId, input) {
+  return change(id, userId, (dashboard) => {
+    if (dashboard.tiles.length >= MAX_TILES) throw new Error(`At most ${MAX_TILES} tiles per dashboard`);
+    const tile = { id: newId("tile"), ...normalizeTile(input) };
+    dashboard.tiles.push(tile);
+    return tile;
+  });
+}
+
+/**
+ * @throws {Error} If the tile isn't on the board or the change is invalid
+ */
+function updateTile(id, userId, tileId, changes) {
+  return change(id, userId, (dashboard) => {
+    const tile = dashboard.tiles.find((t) => t.id === tileId);
+    if (!tile) throw new Error("Tile not found");
+    Object.assign(tile, normalizeTile(changes, tile));
+    return tile;
+  });
+}
+
+function removeTile(id, userId, tileId) {
+  return change(id, userId, (dashboard) => {
+    dashboard.tiles = dashboard.tiles.filter((t) => t.id !== tileId);
+  });
+}
+
+module.exports = {
+  createDashboard,
+  getDashboard,
+  listDashboards,
+  updateDashboard,
+  deleteDashboard,
+  addTile,
+  updateTile,
+  removeTile,
+  view,
+};
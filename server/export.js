@@ -0,0 +1,188 @@
+/**
+ * Export analytics answers as CSV, XLSX or JSON
+ * Works on the `rawData` returned by queryGA4: header rows use the GA4
+ * dimension/metric names, a totals row is appended, and the property and
+ * date range are recorded as file metadata.
+ */
+
+const ExcelJS = require("exceljs");
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+function rangeNames(rawData) {
+  return (rawData.metadata.dateRanges || []).map((r) => r.name);
+}
+
+/**
+ * Flatten rawData into a header row, data rows and a totals row
+ * @returns {Object} { headers: [...], rows: [[...]], totals: [...] | null }
+ */
+function toTable(rawData) {
+  const { dimensions, metrics, comparison } = rawData.metadata;
+
+  if (comparison) {
+    const names = rangeNames(rawData);
+    const [, ...others] = names;
+    const headers = [
+      ...dimensions,
+      ...metrics.flatMap((met) => [
+        ...names.map((n) => `${met} (${n})`),
+        ...others.flatMap((n) => [`${met} change vs ${n}`, `${met} change % vs ${n}`]),
+      ]),
+    ];
+    const cells = (entry) =>
+      metrics.flatMap((met) => [
+        ...names.map((n) => entry.ranges?.[n]?.[met] ?? null),
+        ...others.flatMap((n) => [
+          entry.deltas?.[n]?.[met]?.absolute ?? null,
+          entry.deltas?.[n]?.[met]?.percent ?? null,
+        ]),
+      ]);
+
+    return {
+      headers,
+      rows: rawData.rows.map((row) => [...dimensions.map((d) => row[d]), ...cells(row)]),
+      totals: rawData.totals?.ranges
+        ? [...dimensions.map((d, i) => (i === 0 ? "Total" : "")), ...cells(rawData.totals)]
+        : null,
+    };
+  }
+
+  const hasTotals = rawData.totals && Object.keys(rawData.totals).length > 0;
+  return {
+    headers: [...dimensions, ...metrics],
+    rows: rawData.rows.map((row) => [
+      ...dimensions.map((d) => row[d]),
+      ...metrics.map((m) => row[m]),
+    ]),
+    totals: hasTotals
+      ? [
+          ...dimensions.map((d, i) => (i === 0 ? "Total" : "")),
+          ...metrics.map((m) => rawData.totals[m] ?? null),
+        ]
+      : null,
+  };
+}
+
+/**
+ * File metadata: which property and dates the numbers come from
+ */
+function describe(rawData, property) {
+  const { metadata } = rawData;
+  return {
+    property: property ? `${property.name} (${property.id})` : metadata.propertyId,
+    dateRanges: metadata.dateRanges || [metadata.dateRange],
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+function formatRange(r) {
+  return `${r.name ? `${r.name}: ` : ""}${r.startDate} → ${r.endDate}`;
+}
+
+// Text a spreadsheet would run as a formula (=, +, - or @ first, or a tab or
+// carriage return before one). Dimension values come from site visitors, so
+// they're prefixed with ' to stay text.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function safeCell(value) {
+  return typeof value === "string" && FORMULA_START.test(value) ? `'${value}` : value;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(safeCell(value));
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rawData, property) {
+  const { headers, rows, totals } = toTable(rawData);
+  const info = describe(rawData, property);
+
+  const lines = [
+    `# Property: ${info.property}`,
+    ...info.dateRanges.map((r) => `# Date range: ${formatRange(r)}`),
+    `# Generated: ${info.generatedAt}`,
+    headers.map(csvCell).join(","),
+    ...rows.map((row) => row.map(csvCell).join(",")),
+  ];
+  if (totals) lines.push(totals.map(csvCell).join(","));
+
+  return Buffer.from(`${lines.join("\r\n")}\r\n`, "utf8");
+}
+
+async function toXlsx(rawData, property, query) {
+  const { headers, rows, totals } = toTable(rawData);
+  const info = describe(rawData, property);
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "GA4 Team Chat";
+  workbook.created = new Date(info.generatedAt);
+  workbook.title = `GA4 export — ${info.property}`;
+  workbook.subject = info.dateRanges.map(formatRange).join("; ");
+  workbook.keywords = rawData.metadata.metrics.join(", ");
+
+  const sheet = workbook.addWorksheet("Data");
+  sheet.addRow(headers.map(safeCell)).font = { bold: true };
+  rows.forEach((row) => sheet.addRow(row.map(safeCell)));
+  if (totals) sheet.addRow(totals.map(safeCell)).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+  sheet.columns.forEach((col, i) => {
+    col.width = Math.min(Math.max(String(headers[i]).length + 2, 12), 50);
+  });
+
+  const infoSheet = workbook.addWorksheet("Info");
+  infoSheet.addRow(["Property", info.property]);
+  info.dateRanges.forEach((r) => infoSheet.addRow(["Date range", formatRange(r)]));
+  infoSheet.addRow(["Generated", info.generatedAt]);
+  if (query) infoSheet.addRow(["GA4 query", JSON.stringify(query)]);
+  infoSheet.getColumn(1).font = { bold: true };
+  infoSheet.getColumn(1).width = 14;
+  infoSheet.getColumn(2).width = 60;
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function toJson(rawData, property, query) {
+  const { headers, rows, totals } = toTable(rawData);
+  return Buffer.from(
+    JSON.stringify(
+      { metadata: { ...describe(rawData, property), query }, headers, rows, totals },
+      null,
+      2
+    ),
+    "utf8"
+  );
+}
+
+/**
+ * Render an export file
+ * @param {string} format - csv | xlsx | json
+ * @param {Object} rawData - queryGA4 result
+ * @param {Object} [property] - { id, name } the data came from
+ * @param {Object} [query] - GA4 params, recorded in XLSX/JSON metadata
+ * @returns {Promise<Object>} { body: Buffer, contentType, filename }
+ */
+async function exportData(format, rawData, property, query) {
+  const spec = FORMATS[format];
+  if (!spec) throw new Error(`Unsupported format "${format}". Use csv, xlsx or json`);
+
+  let body;
+  if (format === "csv") body = toCsv(rawData, property);
+  else if (format === "xlsx") body = await toXlsx(rawData, property, query);
+  else body = toJson(rawData, property, query);
+
+  const { startDate, endDate } = rawData.metadata.dateRange;
+  const filename = `ga4-${rawData.metadata.propertyId}-${startDate}_${endDate}.${spec.extension}`;
+
+  return { body, contentType: spec.contentType, filename };
+}
+
+module.exports = { exportData, FORMATS };
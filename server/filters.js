@@ -0,0 +1,283 @@
+/**
+ * Report Filters
+ * Checks and repairs GA4 FilterExpressions (dimensionFilter, metricFilter)
+ * before they reach runReport, and describes them for people:
+ *   { andGroup: { expressions: [...] } }, { orGroup: ... }, { notExpression: {...} }
+ *   { filter: { fieldName, stringFilter | inListFilter | numericFilter | betweenFilter | emptyFilter } }
+ * Every field must exist; a metricFilter's fields must also be metrics of the
+ * report (it filters the aggregated rows, like SQL's HAVING).
+ */
+
+const { formatMetric } = require("./formatting");
+
+const MATCH_TYPES = ["EXACT", "BEGINS_WITH", "ENDS_WITH", "CONTAINS", "FULL_REGEXP", "PARTIAL_REGEXP"];
+const OPERATIONS = {
+  EQUAL: "=",
+  LESS_THAN: "<",
+  LESS_THAN_OR_EQUAL: "≤",
+  GREATER_THAN: ">",
+  GREATER_THAN_OR_EQUAL: "≥",
+};
+const OPERATION_ALIASES = { "=": "EQUAL", "<": "LESS_THAN", "<=": "LESS_THAN_OR_EQUAL", ">": "GREATER_THAN", ">=": "GREATER_THAN_OR_EQUAL" };
+
+// How big an expression may get
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 20;
+
+const FILTER_TYPES = ["stringFilter", "inListFilter", "numericFilter", "betweenFilter", "emptyFilter"];
+const METRIC_FILTER_TYPES = ["numericFilter", "betweenFilter", "emptyFilter"];
+
+/**
+ * A NumericValue ({ int64Value } or { doubleValue }) from what the model wrote:
+ * that, a number or a numeric string
+ * @returns {Object|null}
+ */
+function numericValue(value) {
+  const raw = value && typeof value === "object" ? value.int64Value ?? value.doubleValue : value;
+  const n = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+  if (typeof n !== "number" || !Number.isFinite(n)) return null;
+  return Number.isInteger(n) ? { int64Value: String(n) } : { doubleValue: n };
+}
+
+const numberOf = (value) => Number(value.int64Value ?? value.doubleValue);
+
+/**
+ * Check and repair a filter expression
+ * @param {*} expression - As given (by the model, /api/query, a saved query)
+ * @param {Object} options
+ * @param {string} options.label - "dimensionFilter" or "metricFilter", for messages
+ * @param {Function} options.resolve - fieldName => { name } (canonical) or { error }
+ * @param {string[]} errors - Problems are appended here
+ * @param {string[]} warnings - Repairs are appended here
+ * @returns {Object|null} The repaired expression, or null when there is none
+ */
+function validateFilter(expression, { label, resolve }, errors, warnings) {
+  if (expression === null || expression === undefined) return null;
+  const metric = label === "metricFilter";
+  let conditions = 0;
+
+  function leaf(filter, path) {
+    if (!filter || typeof filter !== "object") {
+      errors.push(`${path}.filter must be an object`);
+      return null;
+    }
+    conditions++;
+
+    const field = resolve(filter.fieldName);
+    if (field.error) {
+      errors.push(`${path}: ${field.error}`);
+      return null;
+    }
+    if (field.name !== filter.fieldName) {
+      warnings.push(`Replaced ${label} field "${filter.fieldName}" with "${field.name}"`);
+    }
+
+    const types = FILTER_TYPES.filter((type) => filter[type] !== undefined);
+    if (types.length !== 1) {
+      errors.push(`${path} on "${field.name}" needs exactly one of ${FILTER_TYPES.join(", ")}`);
+      return null;
+    }
+    const [type] = types;
+    if (metric && !METRIC_FILTER_TYPES.includes(type)) {
+      errors.push(`${path}: metricFilter takes ${METRIC_FILTER_TYPES.join(", ")}, not ${type}`);
+      return null;
+    }
+    const spec = filter[type] || {};
+
+    switch (type) {
+      case "stringFilter": {
+        const matchType = String(spec.matchType || "EXACT").toUpperCase();
+        if (!MATCH_TYPES.includes(matchType)) {
+          errors.push(`${path}: unknown matchType "${spec.matchType}" (use ${MATCH_TYPES.join(", ")})`);
+          return null;
+        }
+        if (typeof spec.value !== "string") {
+          errors.push(`${path}: stringFilter on "${field.name}" needs a string value`);
+          return null;
+        }
+        if (matchType.endsWith("REGEXP")) {
+          try {
+            new RegExp(spec.value);
+          } catch {
+            errors.push(`${path}: invalid regular expression "${spec.value}"`);
+            return null;
+          }
+        }
+        return {
+          fieldName: field.name,
+          stringFilter: { matchType, value: spec.value, caseSensitive: Boolean(spec.caseSensitive) },
+        };
+      }
+      case "inListFilter": {
+        const values = Array.isArray(spec.values) ? spec.values.map(String) : [];
+        if (values.length === 0) {
+          errors.push(`${path}: inListFilter on "${field.name}" needs a non-empty "values" list`);
+          return null;
+        }
+        return { fieldName: field.name, inListFilter: { values, caseSensitive: Boolean(spec.caseSensitive) } };
+      }
+      case "numericFilter": {
+        const operation = OPERATION_ALIASES[spec.operation] || String(spec.operation || "").toUpperCase();
+        if (!(operation in OPERATIONS)) {
+          errors.push(`${path}: unknown operation "${spec.operation}" (use ${Object.keys(OPERATIONS).join(", ")})`);
+          return null;
+        }
+        const value = numericValue(spec.value);
+        if (!value) {
+          errors.push(`${path}: numericFilter on "${field.name}" needs a numeric value`);
+          return null;
+        }
+        return { fieldName: field.name, numericFilter: { operation, value: asRatio(field.name, value, label, warnings) } };
+      }
+      case "betweenFilter": {
+        const from = numericValue(spec.fromValue);
+        const to = numericValue(spec.toValue);
+        if (!from || !to) {
+          errors.push(`${path}: betweenFilter on "${field.name}" needs numeric fromValue and toValue`);
+          return null;
+        }
+        if (numberOf(from) > numberOf(to)) {
+          errors.push(`${path}: betweenFilter on "${field.name}" has fromValue above toValue`);
+          return null;
+        }
+        return {
+          fieldName: field.name,
+          betweenFilter: {
+            fromValue: asRatio(field.name, from, label, warnings),
+            toValue: asRatio(field.name, to, label, warnings),
+          },
+        };
+      }
+      default:
+        return { fieldName: field.name, emptyFilter: {} };
+    }
+  }
+
+  function group(expressions, path, depth) {
+    if (!Array.isArray(expressions) || expressions.length === 0) {
+      errors.push(`${path}.expressions must be a non-empty list`);
+      return null;
+    }
+    const checked = expressions.map((e, i) => check(e, `${path}.expressions[${i}]`, depth + 1));
+    return checked.includes(null) ? null : { expressions: checked };
+  }
+
+  function check(node, path, depth) {
+    if (depth > MAX_DEPTH) {
+      errors.push(`${label} is nested more than ${MAX_DEPTH} levels deep`);
+      return null;
+    }
+    // A bare list means all of them; a bare filter means just that one
+    if (Array.isArray(node)) {
+      warnings.push(`Read a list in ${label} as an andGroup`);
+      node = { andGroup: { expressions: node } };
+    } else if (node && typeof node === "object" && "fieldName" in node) {
+      node = { filter: node };
+    }
+    if (!node || typeof node !== "object") {
+      errors.push(`${path} must be a GA4 FilterExpression object`);
+      return null;
+    }
+
+    const keys = ["andGroup", "orGroup", "notExpression", "filter"].filter((k) => node[k] !== undefined);
+    if (keys.length !== 1) {
+      errors.push(`${path} needs exactly one of andGroup, orGroup, notExpression or filter`);
+      return null;
+    }
+    const [key] = keys;
+    if (key === "andGroup" || key === "orGroup") {
+      const checked = group(node[key]?.expressions, `${path}.${key}`, depth);
+      return checked && { [key]: checked };
+    }
+    if (key === "notExpression") {
+      const inner = check(node.notExpression, `${path}.notExpression`, depth + 1);
+      return inner && { notExpression: inner };
+    }
+    const filter = leaf(node.filter, path);
+    return filter && { filter };
+  }
+
+  const checked = check(expression, label, 1);
+  if (conditions > MAX_CONDITIONS) {
+    errors.push(`${label} has ${conditions} conditions; at most ${MAX_CONDITIONS} are allowed`);
+    return null;
+  }
+  return checked;
+}
+
+/**
+ * Rates are ratios in GA4 (bounceRate 0.45); "bounce rate above 50" means 0.5
+ */
+function asRatio(fieldName, value, label, warnings) {
+  const n = numberOf(value);
+  if (!/Rate$/.test(fieldName) || n <= 1 || n > 100) return value;
+  warnings.push(`Read ${label} value ${n} on "${fieldName}" as ${n}% (${n / 100})`);
+  return { doubleValue: n / 100 };
+}
+
+// ─── Describing ───────────────────────────────────────────
+
+const quote = (value) => `"${value}"`;
+
+function describeLeaf(filter) {
+  const { fieldName } = filter;
+  if (filter.stringFilter) {
+    const { matchType, value, caseSensitive } = filter.stringFilter;
+    const how = {
+      EXACT: "is",
+      BEGINS_WITH: "begins with",
+      ENDS_WITH: "ends with",
+      CONTAINS: "contains",
+      FULL_REGEXP: "matches",
+      PARTIAL_REGEXP: "contains a match for",
+    }[matchType];
+    const shown = matchType.endsWith("REGEXP") ? `/${value}/` : quote(value);
+    return `${fieldName} ${how} ${shown}${caseSensitive ? " (case-sensitive)" : ""}`;
+  }
+  if (filter.inListFilter) {
+    const { values } = filter.inListFilter;
+    return values.length === 1
+      ? `${fieldName} is ${quote(values[0])}`
+      : `${fieldName} is one of ${values.map(quote).join(", ")}`;
+  }
+  const number = (value) => formatMetric(fieldName, numberOf(value));
+  if (filter.numericFilter) {
+    const { operation, value } = filter.numericFilter;
+    return `${fieldName} ${OPERATIONS[operation]} ${number(value)}`;
+  }
+  if (filter.betweenFilter) {
+    const { fromValue, toValue } = filter.betweenFilter;
+    return `${fieldName} between ${number(fromValue)} and ${number(toValue)}`;
+  }
+  return `${fieldName} is empty`;
+}
+
+/**
+ * A filter expression in words: `deviceCategory is "mobile" and (country is
+ * "France" or country is "Belgium")`
+ * @param {Object} expression - A validated FilterExpression
+ * @returns {string}
+ */
+function describeFilter(expression, nested = false) {
+  if (expression.filter) return describeLeaf(expression.filter);
+  if (expression.notExpression) return `not (${describeFilter(expression.notExpression)})`;
+  const [key, joiner] = expression.andGroup ? ["andGroup", " and "] : ["orGroup", " or "];
+  const { expressions } = expression[key];
+  if (expressions.length === 1) return describeFilter(expressions[0], nested);
+  const text = expressions.map((e) => describeFilter(e, true)).join(joiner);
+  return nested ? `(${text})` : text;
+}
+
+/**
+ * What a query is filtered to, in words
+ * @param {Object} query - Validated query params
+ * @returns {Object|null} { dimension?, metric? }, or null when unfiltered
+ */
+function describeFilters(query) {
+  const described = {};
+  if (query?.dimensionFilter) described.dimension = describeFilter(query.dimensionFilter);
+  if (query?.metricFilter) described.metric = describeFilter(query.metricFilter);
+  return Object.keys(described).length > 0 ? described : null;
+}
+
+module.exports = { validateFilter, describeFilter, describeFilters, MATCH_TYPES, OPERATIONS };
@@ -0,0 +1,264 @@
+/**
+ * Number Formatting & Report Tables
+ * Turns queryGA4 output into what people read: integers with separators,
+ * rates as percentages (0.452 → 45.2%), durations as "2m 34s", money in the
+ * property's currency. Done here, deterministically, so the model is handed
+ * finished figures to quote and never converts or adds anything itself.
+ *
+ * A metric's kind comes from the GA4 response's metric type (metadata.metricTypes)
+ * and, for results without one, from its name. FORMAT_LOCALE picks the number
+ * style (default en-US).
+ */
+
+const TIME_DIMENSIONS = ["date", "dateHour", "dateHourMinute"];
+
+// Rows in an answer's table; the UI's own table and exports have every row
+const TABLE_ROWS = 20;
+
+const DURATION_UNITS = { TYPE_SECONDS: 1, TYPE_MILLISECONDS: 0.001, TYPE_MINUTES: 60, TYPE_HOURS: 3600 };
+
+const locale = () => process.env.FORMAT_LOCALE || "en-US";
+
+/**
+ * How a metric's values read: "integer", "decimal", "percent", "duration" or "currency"
+ * @param {string} metric
+ * @param {Object} [metadata] - queryGA4 metadata, for metricTypes
+ */
+function metricKind(metric, metadata = {}) {
+  const type = metadata.metricTypes?.[metric];
+  if (type === "TYPE_CURRENCY" || (!type && /Revenue/.test(metric))) return "currency";
+  if (type in DURATION_UNITS || (!type && /Duration$/.test(metric))) return "duration";
+  // GA4 rates are ratios typed as plain floats (bounceRate 0.452)
+  if (/Rate$/.test(metric)) return "percent";
+  if (type === "TYPE_INTEGER") return "integer";
+  if (type === "TYPE_FLOAT" || /PerSession$|PerUser$|^average/.test(metric)) return "decimal";
+  return "integer";
+}
+
+function number(value, digits = 0) {
+  return value.toLocaleString(locale(), { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+// 154.2 → "2m 34s", 3723 → "1h 2m", 42 → "42s"
+function duration(seconds) {
+  const total = Math.round(seconds);
+  if (total < 60) return seconds > 0 && total === 0 ? "<1s" : `${total}s`;
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  return h > 0 ? `${h}h ${m}m` : `${m}m ${total % 60}s`;
+}
+
+function money(value, currency) {
+  if (currency) {
+    try {
+      return value.toLocaleString(locale(), { style: "currency", currency });
+    } catch {
+      // An unknown code: fall through to a plain amount
+    }
+  }
+  return `${number(value, 2)}${currency ? ` ${currency}` : ""}`;
+}
+
+/**
+ * One metric value as shown to people
+ * @param {string} metric
+ * @param {*} value - A number; anything else is returned as a string
+ * @param {Object} [metadata] - queryGA4 metadata (metricTypes, currencyCode)
+ */
+function formatMetric(metric, value, metadata = {}) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return value === null || value === undefined ? "" : String(value);
+  const kind = metricKind(metric, metadata);
+  switch (kind) {
+    case "percent":
+      return `${number(value * 100, 1)}%`;
+    case "duration":
+      return duration(value * (DURATION_UNITS[metadata.metricTypes?.[metric]] || 1));
+    case "currency":
+      return money(value, metadata.currencyCode);
+    case "decimal":
+      return number(value, 2);
+    default:
+      return Number.isInteger(value) ? number(value) : number(value, 2);
+  }
+}
+
+/**
+ * A change between periods: percent-point for rates, otherwise the relative
+ * change (or the absolute one when the baseline was zero); empty when unknown
+ * @param {Object} delta - { absolute, percent } from ./ga4
+ */
+function formatDelta(metric, delta, metadata = {}) {
+  const sign = (n) => (n > 0 ? "+" : n < 0 ? "−" : "±");
+  if (delta.absolute === null) return "";
+  if (metricKind(metric, metadata) === "percent") {
+    return `${sign(delta.absolute)}${number(Math.abs(delta.absolute) * 100, 1)} pp`;
+  }
+  if (delta.percent !== null && delta.percent !== undefined) {
+    return `${sign(delta.percent)}${number(Math.abs(delta.percent), 1)}%`;
+  }
+  return `${sign(delta.absolute)}${formatMetric(metric, Math.abs(delta.absolute), metadata)}`;
+}
+
+/**
+ * "20260115" → "2026-01-15", "2026011514" → "2026-01-15 14:00"
+ */
+function formatDimension(dimension, value) {
+  if (!TIME_DIMENSIONS.includes(dimension) || !/^\d{8,12}$/.test(value)) return value;
+  const day = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+  if (value.length === 8) return day;
+  return `${day} ${value.slice(8, 10)}:${value.length === 12 ? value.slice(10, 12) : "00"}`;
+}
+
+/**
+ * Additive metrics sum to their total across rows (sessions); ratios and
+ * averages don't (bounceRate), so they have no share or subtotal
+ * @param {boolean} complete - Whether `rows` are every row of the report
+ */
+function isAdditive(rows, metric, total, complete) {
+  if (typeof total !== "number" || rows.length < 2) return false;
+  const sum = rows.reduce((s, row) => s + (Number(row[metric]) || 0), 0);
+  const slack = Math.max(Math.abs(total) * 0.005, 1e-9);
+  return sum <= total + slack && (!complete || sum >= total - slack);
+}
+
+/**
+ * The metric whose share of the total each row gets: the first, when it adds up
+ */
+function shareMetric({ rows, totals, metadata }) {
+  if (metadata.comparison || metadata.dimensions.length === 0) return null;
+  const [metric] = metadata.metrics;
+  return isAdditive(rows, metric, totals[metric], !metadata.truncated) ? metric : null;
+}
+
+const shareLabel = (metric) => `share of ${metric}`;
+
+/**
+ * A report as the model is shown it (see ./privacy `report`) with every
+ * number formatted, and each row's share of the total where it has one
+ * @param {Object} shown - { rows, totals, metadata, rest?, stats? }
+ * @param {Object} rawData - The full report, for shares
+ */
+function formatShown(shown, rawData) {
+  const { metadata } = rawData;
+  const values = (obj) =>
+    Object.fromEntries(
+      Object.entries(obj).map(([key, value]) =>
+        metadata.metrics.includes(key) ? [key, formatMetric(key, value, metadata)] : [key, value]
+      )
+    );
+  const deltas = (obj) =>
+    Object.fromEntries(
+      Object.entries(obj).map(([range, byMetric]) => [
+        range,
+        Object.fromEntries(Object.entries(byMetric).map(([m, d]) => [m, formatDelta(m, d, metadata)])),
+      ])
+    );
+  const entry = (row) =>
+    metadata.comparison
+      ? {
+          ...row,
+          ranges: Object.fromEntries(Object.entries(row.ranges).map(([name, r]) => [name, values(r)])),
+          deltas: deltas(row.deltas),
+        }
+      : values(row);
+
+  const share = shareMetric(rawData);
+  const rows = shown.rows.map((row, i) => {
+    const formatted = entry(row);
+    if (share) {
+      formatted[shareLabel(share)] = formatMetric("shareRate", rawData.rows[i][share] / rawData.totals[share]);
+    }
+    return formatted;
+  });
+
+  const stats = (byMetric) =>
+    Object.fromEntries(
+      Object.entries(byMetric).map(([m, s]) => [
+        m,
+        Object.fromEntries(Object.entries(s).map(([stat, value]) => [stat, formatMetric(m, value, metadata)])),
+      ])
+    );
+
+  const { metricTypes, currencyCode, ...about } = shown.metadata;
+  return {
+    ...shown,
+    rows,
+    totals: entry(shown.totals),
+    ...(shown.rest ? { rest: values(shown.rest) } : {}),
+    ...(shown.stats ? { stats: stats(shown.stats) } : {}),
+    metadata: about,
+  };
+}
+
+const cell = (value) => String(value).replace(/\|/g, "\\|").replace(/\n/g, " ");
+
+/**
+ * A report as a markdown table: its first TABLE_ROWS rows, a total row and,
+ * when the first metric adds up, each row's share of it. Comparisons get a
+ * column per period and the change against each later one.
+ * @param {Object} rawData - queryGA4 result
+ * @param {Object} [options]
+ * @param {Function} [options.mask] - (value, dimension) => what to print for a
+ *   dimension value (see ./privacy), by default the value itself
+ * @returns {string} The table, or "" for a report of a single total
+ */
+function reportTable(rawData, { mask = (value) => value } = {}) {
+  const { rows, totals, metadata } = rawData;
+  const { dimensions, metrics } = metadata;
+  if (rows.length === 0 || (dimensions.length === 0 && !metadata.comparison)) return "";
+
+  const names = metadata.comparison ? metadata.dateRanges.map((r) => r.name) : [];
+  const share = shareMetric(rawData);
+  const header = [
+    ...dimensions,
+    ...(metadata.comparison
+      ? metrics.flatMap((m) => [...names.map((n) => `${m} (${n})`), ...names.slice(1).map((n) => `${m} vs ${n}`)])
+      : metrics),
+    ...(share ? [shareLabel(share)] : []),
+  ];
+
+  const figures = (row) =>
+    metadata.comparison
+      ? metrics.flatMap((m) => [
+          ...names.map((n) => formatMetric(m, row.ranges[n]?.[m], metadata)),
+          ...names.slice(1).map((n) => formatDelta(m, row.deltas[n][m], metadata)),
+        ])
+      : metrics.map((m) => formatMetric(m, row[m], metadata));
+
+  const shown = rows.slice(0, TABLE_ROWS);
+  const lines = shown.map((row) => [
+    ...dimensions.map((d) => mask(formatDimension(d, row[d]), d)),
+    ...figures(row),
+    ...(share ? [formatMetric("shareRate", row[share] / totals[share])] : []),
+  ]);
+
+  const hasTotals = metadata.comparison
+    ? Object.keys(totals.ranges || {}).length > 0
+    : metrics.some((m) => typeof totals[m] === "number");
+  if (hasTotals && rows.length > 1) {
+    const label = metadata.rowCount > shown.length ? `**Total (all ${number(metadata.rowCount)} rows)**` : "**Total**";
+    lines.push([
+      label,
+      ...dimensions.slice(1).map(() => ""),
+      ...figures(totals).map((value) => `**${value}**`),
+      ...(share ? ["**100.0%**"] : []),
+    ]);
+  }
+
+  const table = [header, header.map(() => "---"), ...lines].map((cells) => `| ${cells.map(cell).join(" | ")} |`);
+  if (metadata.rowCount > shown.length) {
+    table.push("", `_Top ${shown.length} of ${number(metadata.rowCount)} rows._`);
+  }
+  return table.join("\n");
+}
+
+module.exports = {
+  metricKind,
+  formatMetric,
+  formatDelta,
+  formatDimension,
+  formatShown,
+  reportTable,
+  isAdditive,
+  TABLE_ROWS,
+};
@@ -1,29 +1,39 @@
-const { BetaAnalyticsDataClient } = require("@google-analytics/data");
+const { BetaAnalyticsDataClient, v1alpha } = require("@google-analytics/data");
 const { GoogleAuth } = require("google-auth-library");
 
-let analyticsClient = null;
+const { getProperty } = require("./properties");
+const { cached } = require("./cache");
+const { log } = require("./logger");
+const { recordReport } = require("./audit");
+
+const SCOPES = ["https://www.googleapis.com/auth/analytics.readonly"];
+
+// One client per API and credential set ("default" = GA_CREDENTIALS_JSON / GOOGLE_APPLICATION_CREDENTIALS)
+const clients = new Map();
+
+// runFunnelReport is only in the v1alpha API
+const APIS = { beta: BetaAnalyticsDataClient, alpha: v1alpha.AlphaAnalyticsDataClient };
+
+// "Fetch all" walks pages of this size up to a ceiling
+const PAGE_SIZE = Number(process.env.GA4_PAGE_SIZE || 10000);
+const FETCH_ALL_MAX_ROWS = Number(process.env.GA4_FETCH_ALL_MAX_ROWS || 50000);
 
 /**
- * Initialize GA4 client with service account credentials
+ * Initialize the default GA4 client with service account credentials
+ * @param {Function} Client - Client class of the API version
  */
-function getClient() {
-  if (analyticsClient) return analyticsClient;
-
+function createDefaultClient(Client) {
   // Try to use credentials from environment variable first (for Docker/Railway)
   const credentialsJson = process.env.GA_CREDENTIALS_JSON;
 
   if (credentialsJson) {
     try {
       const credentials = JSON.parse(credentialsJson);
-      const auth = new GoogleAuth({
-        credentials,
-        scopes: ["https://www.googleapis.com/auth/analytics.readonly"],
-      });
-      analyticsClient = new BetaAnalyticsDataClient({ auth });
-      console.log("✅ Using GA credentials from GA_CREDENTIALS_JSON environment variable");
-      return analyticsClient;
+      const auth = new GoogleAuth({ credentials, scopes: SCOPES });
+      log.info("using GA credentials from GA_CREDENTIALS_JSON");
+      return new Client({ auth });
     } catch (err) {
-      console.error("Failed to parse GA_CREDENTIALS_JSON:", err.message);
+      log.error("failed to parse GA_CREDENTIALS_JSON", { err });
       throw new Error("Invalid GA_CREDENTIALS_JSON format");
     }
   }
@@ -36,14 +46,32 @@ function getClient() {
     );
   }
 
-  const auth = new GoogleAuth({
-    keyFilename: credentialsPath,
-    scopes: ["https://www.googleapis.com/auth/analytics.readonly"],
-  });
+  const auth = new GoogleAuth({ keyFilename: credentialsPath, scopes: SCOPES });
+  log.info("using GA credentials from file", { path: credentialsPath });
+  return new Client({ auth });
+}
+
+/**
+ * GA4 client for a credential set, created on first use
+ * @param {string|null} credentialsPath - Service account key file, or null for the default
+ * @param {string} [api] - "beta" (reports, realtime, metadata) or "alpha" (funnels)
+ */
+function getClient(credentialsPath = null, api = "beta") {
+  const key = `${api}:${credentialsPath || "default"}`;
+  if (clients.has(key)) return clients.get(key);
 
-  analyticsClient = new BetaAnalyticsDataClient({ auth });
-  console.log("✅ Using GA credentials from file:", credentialsPath);
-  return analyticsClient;
+  const Client = APIS[api];
+  let client;
+  if (credentialsPath) {
+    const auth = new GoogleAuth({ keyFilename: credentialsPath, scopes: SCOPES });
+    client = new Client({ auth });
+    log.info("using GA credentials from file", { path: credentialsPath });
+  } else {
+    client = createDefaultClient(Client);
+  }
+
+  clients.set(key, client);
+  return client;
 }
 
 /**
@@ -53,42 +81,97 @@ function getClient() {
  * @param {string[]} params.metrics - GA4 metrics (e.g., ['totalUsers', 'sessions'])
  * @param {string} params.startDate - Start date (YYYY-MM-DD or relative like '7daysAgo')
  * @param {string} params.endDate - End date (YYYY-MM-DD or relative like 'yesterday')
+ * @param {Object[]} params.dateRanges - Optional named ranges to compare
+ *   (e.g., [{ name: 'current', ... }, { name: 'previous', ... }]); overrides startDate/endDate
  * @param {number} params.limit - Max rows to return (default 100)
- * @param {Object} params.dimensionFilter - Optional dimension filter
+ * @param {number} params.offset - Rows to skip, for pagination (default 0)
+ * @param {Object} params.dimensionFilter - Optional dimension filter (GA4 FilterExpression, see ./filters)
+ * @param {Object} params.metricFilter - Optional filter on the aggregated metrics
  * @param {Object[]} params.orderBys - Optional order by clauses
  * @returns {Object} { rows: [...], totals: {...}, metadata: {...} }
+ *   metadata.rowCount is the total GA4 has; metadata.truncated is set when rows
+ *   beyond this page exist. For comparisons each row/totals entry is { ranges: { name: {...} }, deltas: {...} }
+ *   metadata.cache tells whether the result came from the report cache
+ *   metadata.metricTypes and metadata.currencyCode, when GA4 sends them, say what units values are in
+ *   Each call is recorded in the current audit entry (see ./audit).
+ * @param {boolean} params.realtime - Realtime report instead (see runRealtime)
+ * @param {Object} params.funnel - Funnel report instead (see runFunnel)
+ * @param {Object} [property] - Property from ./properties (default: the first configured)
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh] - Bypass the cache and hit GA4
  */
-async function queryGA4(params) {
-  const client = getClient();
-  const propertyId = process.env.GA4_PROPERTY_ID;
+async function queryGA4(params, property = getProperty(), options = {}) {
+  if (!property) {
+    throw new Error("No GA4 property configured. Set GA4_PROPERTY_ID or GA4_PROPERTIES");
+  }
 
-  if (!propertyId) {
-    throw new Error("GA4_PROPERTY_ID environment variable not set");
+  const started = Date.now();
+  const report = { propertyId: property.id, query: params };
+  try {
+    // Realtime data is never cached: it's only interesting while it's current
+    const run = params.funnel ? runFunnel : runQuery;
+    const data = params.realtime
+      ? await runRealtime(params, property)
+      : await cached(params, property.id, () => run(params, property), {
+          bypass: Boolean(options.fresh),
+        });
+    recordReport({
+      ...report,
+      rowCount: data.metadata.rowCount,
+      latencyMs: Date.now() - started,
+      cached: Boolean(data.metadata.cache?.hit),
+    });
+    return data;
+  } catch (err) {
+    recordReport({ ...report, latencyMs: Date.now() - started, error: err.message });
+    throw err;
   }
+}
+
+async function runQuery(params, property) {
+  const client = getClient(property.credentials);
+  const propertyId = property.id;
 
   const {
     dimensions = ["date"],
     metrics = ["totalUsers", "sessions"],
     startDate = "7daysAgo",
     endDate = "yesterday",
+    dateRanges = null,
     limit = 100,
+    offset = 0,
     dimensionFilter = null,
+    metricFilter = null,
     orderBys = null,
   } = params;
 
+  const isComparison = Array.isArray(dateRanges) && dateRanges.length > 1;
+
   // Build request
   const request = {
     property: `properties/${propertyId}`,
-    dateRanges: [{ startDate, endDate }],
+    dateRanges: isComparison
+      ? dateRanges.map(({ name, startDate, endDate }) => ({ name, startDate, endDate }))
+      : [{ startDate, endDate }],
     dimensions: dimensions.map((d) => ({ name: d })),
     metrics: metrics.map((m) => ({ name: m })),
-    limit,
+    metricAggregations: ["TOTAL"],
+    // GA4 returns one row per dimension combination *and* range, so a
+    // comparison asks for enough rows to cover every range of `limit` combinations
+    limit: isComparison ? limit * dateRanges.length : limit,
   };
 
-  // Add dimension filter if provided
+  if (offset > 0) {
+    request.offset = offset;
+  }
+
+  // Add filters if provided
   if (dimensionFilter) {
     request.dimensionFilter = dimensionFilter;
   }
+  if (metricFilter) {
+    request.metricFilter = metricFilter;
+  }
 
   // Add ordering
   if (orderBys && orderBys.length > 0) {
@@ -106,57 +189,467 @@ async function queryGA4(params) {
   try {
     const [response] = await client.runReport(request);
 
-    // Parse rows
-    const rows = (response.rows || []).map((row) => {
-      const parsed = {};
-      dimensions.forEach((dim, i) => {
-        parsed[dim] = row.dimensionValues[i]?.value || "";
-      });
-      metrics.forEach((met, i) => {
-        const val = row.metricValues[i]?.value || "0";
-        // Try to parse as number
-        parsed[met] = isNaN(val) ? val : parseFloat(val);
-      });
-      return parsed;
-    });
-
-    // Parse totals
-    const totals = {};
-    if (response.totals && response.totals.length > 0) {
-      metrics.forEach((met, i) => {
-        const val = response.totals[0].metricValues[i]?.value || "0";
-        totals[met] = isNaN(val) ? val : parseFloat(val);
-      });
+    if (isComparison) {
+      return parseComparison(response, { dimensions, metrics, dateRanges, propertyId, limit, offset });
     }
 
+    const { rows, totals } = parseRows(response, dimensions, metrics);
+    const rowCount = response.rowCount || offset + rows.length;
+
     return {
       rows,
       totals,
       metadata: {
-        rowCount: response.rowCount || rows.length,
+        rowCount,
+        offset,
+        returned: rows.length,
+        truncated: offset + rows.length < rowCount,
         dimensions,
         metrics,
         dateRange: { startDate, endDate },
+        ...unitsOf(response),
         propertyId,
       },
     };
   } catch (err) {
-    console.error("[GA4 Error]", err.message);
-    console.error("Full GA4 error:", err);
-    console.error("Stack:", err.stack);
-
-    if (err.message.includes("permission")) {
-      throw new Error(
-        "Permission denied. Check service account access in GA4."
-      );
+    throw explainError(err, propertyId);
+  }
+}
+
+/**
+ * Realtime report: activity in the last `minutes` minutes (runRealtimeReport).
+ * No dates, offset or comparisons; otherwise the same result shape as runQuery,
+ * with metadata.realtime and metadata.minutes.
+ */
+async function runRealtime(params, property) {
+  const client = getClient(property.credentials);
+  const propertyId = property.id;
+
+  const {
+    dimensions = [],
+    metrics = ["activeUsers"],
+    minutes = 30,
+    limit = 100,
+    dimensionFilter = null,
+    metricFilter = null,
+    orderBys = null,
+  } = params;
+
+  const request = {
+    property: `properties/${propertyId}`,
+    dimensions: dimensions.map((d) => ({ name: d })),
+    metrics: metrics.map((m) => ({ name: m })),
+    minuteRanges: [{ name: `last${minutes}Minutes`, startMinutesAgo: minutes - 1, endMinutesAgo: 0 }],
+    metricAggregations: ["TOTAL"],
+    limit,
+    orderBys:
+      orderBys && orderBys.length > 0 ? orderBys : [{ metric: { metricName: metrics[0] }, desc: true }],
+  };
+  if (dimensionFilter) {
+    request.dimensionFilter = dimensionFilter;
+  }
+  if (metricFilter) {
+    request.metricFilter = metricFilter;
+  }
+
+  try {
+    const [response] = await client.runRealtimeReport(request);
+    const { rows, totals } = parseRows(response, dimensions, metrics);
+    const rowCount = response.rowCount || rows.length;
+
+    return {
+      rows,
+      totals,
+      metadata: {
+        realtime: true,
+        minutes,
+        fetchedAt: new Date().toISOString(),
+        rowCount,
+        offset: 0,
+        returned: rows.length,
+        truncated: rows.length < rowCount,
+        dimensions,
+        metrics,
+        dateRange: { startDate: `${minutes}minutesAgo`, endDate: "now" },
+        ...unitsOf(response),
+        propertyId,
+      },
+    };
+  } catch (err) {
+    throw explainError(err, propertyId);
+  }
+}
+
+// What each funnel row has, after its step (and breakdown value)
+const FUNNEL_METRICS = ["activeUsers", "completionRate", "dropOffs", "dropOffRate", "overallRate"];
+
+// The breakdown value GA4 gives the all-users rows of a broken-down funnel
+const FUNNEL_TOTAL = "RESERVED_TOTAL";
+
+/**
+ * A funnel step's GA4 filter: the event, or a page view of the path
+ */
+function funnelStepFilter(step) {
+  if (step.event) return { funnelEventFilter: { eventName: step.event } };
+  return {
+    funnelFieldFilter: {
+      fieldName: "pagePath",
+      stringFilter: { matchType: step.match || "EXACT", value: step.page },
+    },
+  };
+}
+
+/**
+ * Funnel report (v1alpha runFunnelReport): how many users reach each of the
+ * ordered steps, optionally per value of a breakdown dimension. An open
+ * funnel lets users enter at any step; a closed one only at the first.
+ * Rows are one per step (per breakdown value) with activeUsers,
+ * completionRate and dropOffs/dropOffRate to the next step, and overallRate
+ * (the share of the first step's users who got this far); metadata.funnel has
+ * the steps and the overall conversion rate.
+ */
+async function runFunnel(params, property) {
+  const client = getClient(property.credentials, "alpha");
+  const propertyId = property.id;
+  const { funnel, startDate = "7daysAgo", endDate = "yesterday", limit = 5, dimensionFilter = null } = params;
+
+  const request = {
+    property: `properties/${propertyId}`,
+    dateRanges: [{ startDate, endDate }],
+    funnel: {
+      isOpenFunnel: Boolean(funnel.open),
+      steps: funnel.steps.map((step) => ({ name: step.name, filterExpression: funnelStepFilter(step) })),
+    },
+  };
+  if (funnel.breakdown) {
+    request.funnelBreakdown = { breakdownDimension: { name: funnel.breakdown }, limit };
+  }
+  if (dimensionFilter) {
+    request.dimensionFilter = dimensionFilter;
+  }
+
+  try {
+    const [response] = await client.runFunnelReport(request);
+    return parseFunnel(response.funnelTable || {}, { funnel, startDate, endDate, propertyId });
+  } catch (err) {
+    throw explainError(err, propertyId);
+  }
+}
+
+/**
+ * Funnel table rows → one row per step (per breakdown value), drop-offs computed here
+ */
+function parseFunnel(table, { funnel, startDate, endDate, propertyId }) {
+  const names = funnel.steps.map((s) => s.name);
+  const usersAt = (table.metricHeaders || []).findIndex((h) => h.name === "activeUsers");
+
+  // GA4 names steps "1. Landing page"; group each breakdown value's steps in order
+  const groups = new Map();
+  for (const row of table.rows || []) {
+    const [stepValue, breakdownValue] = row.dimensionValues.map((v) => v?.value || "");
+    const index = Number(/^(\d+)\./.exec(stepValue)?.[1]) - 1;
+    const step = index >= 0 ? index : names.indexOf(stepValue);
+    if (step < 0 || step >= names.length) continue;
+    const group = funnel.breakdown ? breakdownValue : FUNNEL_TOTAL;
+    if (!groups.has(group)) groups.set(group, new Array(names.length).fill(0));
+    groups.get(group)[step] = parseMetric(row.metricValues[Math.max(usersAt, 0)]?.value);
+  }
+
+  // All users first, then the breakdown values by how many started
+  const ordered = [...groups].sort(
+    ([a, x], [b, y]) => (b === FUNNEL_TOTAL) - (a === FUNNEL_TOTAL) || y[0] - x[0]
+  );
+  const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+  const rows = ordered.flatMap(([group, users]) =>
+    users.map((count, i) => {
+      const next = i + 1 < users.length ? users[i + 1] : null;
+      return {
+        funnelStepName: `${i + 1}. ${names[i]}`,
+        ...(funnel.breakdown ? { [funnel.breakdown]: group === FUNNEL_TOTAL ? "(all users)" : group } : {}),
+        activeUsers: count,
+        completionRate: next === null ? null : ratio(next, count),
+        dropOffs: next === null ? null : count - next,
+        dropOffRate: next === null ? null : ratio(count - next, count),
+        overallRate: ratio(count, users[0]),
+      };
+    })
+  );
+
+  const overall = groups.get(FUNNEL_TOTAL) || ordered[0]?.[1] || [];
+  return {
+    rows,
+    totals: {},
+    metadata: {
+      funnel: {
+        steps: funnel.steps,
+        open: Boolean(funnel.open),
+        breakdown: funnel.breakdown || null,
+        conversionRate: ratio(overall.at(-1) || 0, overall[0] || 0),
+      },
+      rowCount: rows.length,
+      offset: 0,
+      returned: rows.length,
+      truncated: false,
+      dimensions: ["funnelStepName", ...(funnel.breakdown ? [funnel.breakdown] : [])],
+      metrics: FUNNEL_METRICS,
+      dateRange: { startDate, endDate },
+      propertyId,
+    },
+  };
+}
+
+/**
+ * The property's dimensions and metrics, including its custom definitions
+ * (getMetadata). See ./metadata for the cached, normalized form.
+ * @returns {Promise<Object>} Raw Metadata resource: { dimensions: [...], metrics: [...] }
+ */
+async function fetchMetadata(property) {
+  const client = getClient(property.credentials);
+  try {
+    const [metadata] = await client.getMetadata({ name: `properties/${property.id}/metadata` });
+    return metadata;
+  } catch (err) {
+    throw explainError(err, property.id);
+  }
+}
+
+/**
+ * Rows keyed by field name (metric values as numbers) and the totals row
+ */
+function parseRows(response, dimensions, metrics) {
+  const rows = (response.rows || []).map((row) => {
+    const parsed = {};
+    dimensions.forEach((dim, i) => {
+      parsed[dim] = row.dimensionValues[i]?.value || "";
+    });
+    metrics.forEach((met, i) => {
+      parsed[met] = parseMetric(row.metricValues[i]?.value);
+    });
+    return parsed;
+  });
+
+  const totals = {};
+  if (response.totals && response.totals.length > 0) {
+    metrics.forEach((met, i) => {
+      totals[met] = parseMetric(response.totals[0].metricValues[i]?.value);
+    });
+  }
+
+  return { rows, totals };
+}
+
+/**
+ * What the values are in, for ./formatting: metricTypes (metric → GA4 MetricType,
+ * e.g. TYPE_SECONDS) and currencyCode, where the response says
+ */
+function unitsOf(response) {
+  const units = {};
+  const typed = (response.metricHeaders || []).filter((h) => h.type && h.type !== "METRIC_TYPE_UNSPECIFIED");
+  if (typed.length > 0) {
+    units.metricTypes = Object.fromEntries(typed.map((h) => [h.name, h.type]));
+  }
+  if (response.metadata?.currencyCode) {
+    units.currencyCode = response.metadata.currencyCode;
+  }
+  return units;
+}
+
+/**
+ * A GA4 API error with the common causes spelled out
+ */
+function explainError(err, propertyId) {
+  log.warn("GA4 request failed", { propertyId, code: err.code, err });
+
+  if (err.message.includes("permission")) {
+    return new Error("Permission denied. Check service account access in GA4.");
+  }
+  if (err.message.includes("not found")) {
+    return new Error(`Property ${propertyId} not found. Check your GA4_PROPERTY_ID / GA4_PROPERTIES.`);
+  }
+  return err;
+}
+
+/**
+ * Fetch every row of a report by walking pages, up to a ceiling
+ * @param {Object} params - Same as queryGA4
+ * @param {Object} [property]
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - Ceiling (default GA4_FETCH_ALL_MAX_ROWS)
+ * @param {boolean} [options.fresh] - Bypass the cache
+ * @returns {Object} Same shape as queryGA4, with metadata.pages; truncated if the ceiling was hit
+ */
+async function queryAllGA4(params, property = getProperty(), options = {}) {
+  const maxRows = Math.min(options.maxRows || FETCH_ALL_MAX_ROWS, FETCH_ALL_MAX_ROWS);
+  const start = params.offset || 0;
+
+  // A funnel is always whole: its limit counts breakdown values (at most
+  // 15, see ./validate), not rows, so it runs as it was asked
+  if (params.funnel) return queryGA4(params, property, options);
+
+  // Comparison rows are regrouped per page, and realtime reports have no
+  // offset, so both come back in one request
+  if (params.realtime || (Array.isArray(params.dateRanges) && params.dateRanges.length > 1)) {
+    return queryGA4({ ...params, offset: 0, limit: maxRows }, property, options);
+  }
+
+  const pageSize = Math.min(PAGE_SIZE, maxRows);
+  const first = await queryGA4({ ...params, offset: start, limit: pageSize }, property, options);
+  const rows = [...first.rows];
+  const { rowCount } = first.metadata;
+  let pages = 1;
+
+  while (rows.length < maxRows && start + rows.length < rowCount) {
+    const page = await queryGA4(
+      {
+        ...params,
+        offset: start + rows.length,
+        limit: Math.min(pageSize, maxRows - rows.length),
+      },
+      property,
+      options
+    );
+    if (page.rows.length === 0) break;
+    rows.push(...page.rows);
+    pages++;
+  }
+
+  return {
+    rows,
+    totals: first.totals,
+    metadata: {
+      ...first.metadata,
+      offset: start,
+      returned: rows.length,
+      truncated: start + rows.length < rowCount,
+      pages,
+    },
+  };
+}
+
+function parseMetric(value) {
+  const val = value || "0";
+  return isNaN(val) ? val : parseFloat(val);
+}
+
+/**
+ * Absolute and percentage change of each metric from `baseline` to `current`
+ * (percent is null when the baseline is zero; both are null when either side
+ * is unknown)
+ */
+function computeDeltas(current, baseline, metrics) {
+  const deltas = {};
+  metrics.forEach((met) => {
+    if (current[met] === null || baseline[met] === null) {
+      deltas[met] = { absolute: null, percent: null };
+      return;
     }
-    if (err.message.includes("not found")) {
-      throw new Error(
-        `Property ${propertyId} not found. Check your GA4_PROPERTY_ID.`
-      );
+    const a = typeof current[met] === "number" ? current[met] : 0;
+    const b = typeof baseline[met] === "number" ? baseline[met] : 0;
+    deltas[met] = {
+      absolute: a - b,
+      percent: b === 0 ? null : Math.round(((a - b) / b) * 1000) / 10,
+    };
+  });
+  return deltas;
+}
+
+/**
+ * Deltas of the first (primary) range against every other range
+ */
+function deltasByRange(ranges, names, metrics) {
+  const [primary, ...others] = names;
+  const deltas = {};
+  others.forEach((name) => {
+    deltas[name] = computeDeltas(ranges[primary], ranges[name], metrics);
+  });
+  return deltas;
+}
+
+/**
+ * Parse a multi-dateRange runReport response. GA4 adds a `dateRange`
+ * dimension to every row; rows are regrouped per dimension combination,
+ * keeping the first `limit` combinations.
+ *
+ * GA4 leaves out a range with no data for a combination, so a missing range
+ * counts as 0 — unless the page stopped short, when the range may just be on
+ * a later page. Such rows are marked `partial`, with null for the ranges
+ * they lack and for the deltas against them.
+ */
+function parseComparison(response, { dimensions, metrics, dateRanges, propertyId, limit = Infinity, offset = 0 }) {
+  const names = dateRanges.map((r) => r.name);
+  const headers = (response.dimensionHeaders || []).map((h) => h.name);
+  const rangeIndex = headers.includes("dateRange") ? headers.indexOf("dateRange") : dimensions.length;
+
+  // GA4 counts one row per dimension combination *and* range
+  const sourceRows = (response.rows || []).length;
+  const truncated = offset + sourceRows < (response.rowCount || 0);
+
+  const rangesOf = (value) =>
+    Object.fromEntries(names.map((name) => [name, Object.fromEntries(metrics.map((m) => [m, value]))]));
+
+  const grouped = new Map();
+  (response.rows || []).forEach((row) => {
+    const key = dimensions.map((dim) => {
+      const i = headers.includes(dim) ? headers.indexOf(dim) : dimensions.indexOf(dim);
+      return row.dimensionValues[i]?.value || "";
+    });
+    const id = JSON.stringify(key);
+    if (!grouped.has(id)) {
+      const entry = {};
+      dimensions.forEach((dim, i) => (entry[dim] = key[i]));
+      entry.ranges = rangesOf(null);
+      grouped.set(id, entry);
     }
-    throw err;
-  }
+
+    const range = row.dimensionValues[rangeIndex]?.value;
+    const target = grouped.get(id).ranges[range];
+    if (!target) return;
+    metrics.forEach((met, i) => {
+      target[met] = parseMetric(row.metricValues[i]?.value);
+    });
+  });
+
+  const rows = [...grouped.values()].slice(0, limit).map((entry) => {
+    const missing = names.filter((name) => metrics.every((m) => entry.ranges[name][m] === null));
+    if (missing.length > 0 && !truncated) {
+      missing.forEach((name) => (entry.ranges[name] = rangesOf(0)[name]));
+    }
+    return {
+      ...entry,
+      ...(missing.length > 0 && truncated ? { partial: true } : {}),
+      deltas: deltasByRange(entry.ranges, names, metrics),
+    };
+  });
+
+  // Totals come back as one row per range
+  const totalRanges = rangesOf(0);
+  (response.totals || []).forEach((total, i) => {
+    const name = total.dimensionValues?.[rangeIndex]?.value;
+    const target = totalRanges[name] || totalRanges[names[i]];
+    if (!target) return;
+    metrics.forEach((met, j) => {
+      target[met] = parseMetric(total.metricValues[j]?.value);
+    });
+  });
+
+  return {
+    rows,
+    totals: { ranges: totalRanges, deltas: deltasByRange(totalRanges, names, metrics) },
+    metadata: {
+      rowCount: truncated ? Math.ceil(response.rowCount / names.length) : grouped.size,
+      offset,
+      returned: rows.length,
+      truncated: truncated || rows.length < grouped.size,
+      partialRows: rows.filter((row) => row.partial).length,
+      dimensions,
+      metrics,
+      dateRange: { startDate: dateRanges[0].startDate, endDate: dateRanges[0].endDate },
+      dateRanges,
+      comparison: true,
+      ...unitsOf(response),
+      propertyId,
+    },
+  };
 }
 
-module.exports = { queryGA4 };
+module.exports = { queryGA4, queryAllGA4, fetchMetadata, FETCH_ALL_MAX_ROWS };
@@ -1,3 +1,7 @@
+/**
+ * Gemini (Google) provider
+ */
+
 const { GoogleGenAI } = require("@google/genai");
 
 let client = null;
@@ -8,124 +12,96 @@ function getClient() {
   return client;
 }
 
-const SYSTEM_PROMPT = `You are a Google Analytics 4 data analyst assistant for a team. Your job is to interpret natural language questions about website analytics and convert them into GA4 API query parameters.
-
-AVAILABLE GA4 DIMENSIONS:
-- date, dateHour, dateHourMinute
-- country, city, region, continent
-- deviceCategory, browser, operatingSystem, platform
-- pagePath, pageTitle, landingPage, landingPagePlusQueryString
-- source, medium, sessionDefaultChannelGroup, campaignName
-- newVsReturning, userAgeBracket, userGender
-- eventName, isConversionEvent
-
-AVAILABLE GA4 METRICS:
-- totalUsers, newUsers, activeUsers, active1DayUsers, active7DayUsers, active28DayUsers
-- sessions, sessionsPerUser, engagedSessions, engagementRate
-- screenPageViews, screenPageViewsPerSession, screenPageViewsPerUser
-- bounceRate, averageSessionDuration, userEngagementDuration
-- eventCount, eventsPerSession, conversions
-- totalRevenue, transactions
-
-DATE FORMATS:
-- Specific dates: "YYYY-MM-DD" (e.g., "2026-01-15")
-- Relative dates: "today", "yesterday", "NdaysAgo" (e.g., "7daysAgo", "30daysAgo")
-
-RULES:
-1. Always respond with valid JSON
-2. Choose appropriate dimensions and metrics based on the question
-3. Use sensible date ranges (default: last 7 days)
-4. Set reasonable limits (default: 20, max: 100)
-5. If the question cannot be answered with GA4 data, respond with:
-   {"type": "text", "content": "your explanation here"}
-6. For ambiguous questions, make reasonable assumptions and note them
-
-RESPONSE FORMAT for GA4 queries:
-{
-  "type": "ga4_query",
-  "dimensions": ["dimension1", "dimension2"],
-  "metrics": ["metric1", "metric2"],
-  "startDate": "7daysAgo",
-  "endDate": "yesterday",
-  "limit": 20,
-  "orderBys": [{"metric": {"metricName": "metricName"}, "desc": true}]
+function model() {
+  return process.env.GEMINI_MODEL || "gemini-2.0-flash";
 }
 
-RESPONSE FORMAT for non-GA4 questions:
-{
-  "type": "text",
-  "content": "Your helpful response here"
-}`;
-
-const FORMAT_SYSTEM_PROMPT = `You are a data analyst presenting Google Analytics insights to a team.
-Format your responses using markdown for readability:
-- Use tables for tabular data
-- Use bullet points for key insights
-- Bold important numbers and trends
-- Include percentage changes where relevant
-- Suggest 2-3 follow-up questions at the end
-- Be concise but insightful
-- Format numbers with commas (e.g., 1,234)
-- Format percentages to 1 decimal place
-- Format durations in human-readable format (e.g., "2m 34s" instead of 154.23)
-- If bounce rate or engagement rate is a decimal (0.45), convert to percentage (45.0%)
-Keep the tone professional but friendly.`;
-
-async function processQuery(message, history = [], isFormatting = false) {
-  const ai = getClient();
-
-  const contents = [];
-
-  const recentHistory = history.slice(-8);
-  for (const msg of recentHistory) {
-    contents.push({
-      role: msg.role === "user" ? "user" : "model",
-      parts: [{ text: msg.content }],
-    });
-  }
-
-  contents.push({ role: "user", parts: [{ text: message }] });
-
-  try {
-    const response = await ai.models.generateContent({
-      model: process.env.GEMINI_MODEL || "gemini-2.0-flash",
-      contents,
-      config: {
-        systemInstruction: isFormatting ? FORMAT_SYSTEM_PROMPT : SYSTEM_PROMPT,
-        maxOutputTokens: 2048,
-      },
-    });
-
-    const text = response.text || "";
-
-    if (isFormatting) {
-      return { type: "text", content: text };
-    }
-
-    try {
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        return { type: "text", content: text };
-      }
+function toContents(messages) {
+  return messages.map((msg) => ({
+    role: msg.role === "user" ? "user" : "model",
+    parts: [{ text: msg.content }],
+  }));
+}
 
-      const parsed = JSON.parse(jsonMatch[0]);
-      return parsed;
-    } catch (parseErr) {
-      console.error("[Parse Error]", parseErr.message, "Raw:", text);
-      return { type: "text", content: text };
-    }
-  } catch (err) {
-    console.error("[Gemini Error]", err.message);
+/**
+ * @param {Object} request - { system, messages: [{ role, content }] }
+ * @param {Object} [usage] - Receives `tokens` billed
+ * @returns {Promise<string>} The model's reply
+ */
+async function complete({ system, messages }, usage = {}) {
+  const response = await getClient().models.generateContent({
+    model: model(),
+    contents: toContents(messages),
+    config: { systemInstruction: system, maxOutputTokens: 2048 },
+  });
+  usage.tokens = response.usageMetadata?.totalTokenCount;
+  return response.text || "";
+}
 
-    if (err.message.includes("API_KEY") || err.message.includes("api key")) {
-      return {
-        error:
-          "Gemini API key not configured. Please set GEMINI_API_KEY in .env",
-      };
-    }
+/**
+ * @param {Object} request - { system, messages, tools: [{ name, description, parameters }] }
+ * @returns {Promise<Object>} { text, toolCalls: [{ id, name, input }], tokens? }
+ */
+async function callTools({ system, messages, tools }) {
+  const response = await getClient().models.generateContent({
+    model: model(),
+    contents: toContents(messages),
+    config: {
+      systemInstruction: system,
+      maxOutputTokens: 2048,
+      tools: [
+        {
+          functionDeclarations: tools.map((t) => ({
+            name: t.name,
+            description: t.description,
+            parametersJsonSchema: t.parameters,
+          })),
+        },
+      ],
+    },
+  });
+
+  // Read text parts directly — response.text warns when function calls are present
+  const parts = response.candidates?.[0]?.content?.parts || [];
+  return {
+    text: parts
+      .filter((part) => part.text)
+      .map((part) => part.text)
+      .join(""),
+    toolCalls: (response.functionCalls || []).map((call) => ({
+      id: call.id,
+      name: call.name,
+      input: call.args,
+    })),
+    tokens: response.usageMetadata?.totalTokenCount,
+  };
+}
 
-    return { error: `AI processing failed: ${err.message}` };
+/**
+ * @param {Object} request - { system, messages: [{ role, content }] }
+ * @param {Object} [usage] - Receives `tokens` billed, once the stream ends
+ * @returns {AsyncGenerator<string>} Text chunks as they arrive
+ */
+async function* stream({ system, messages }, usage = {}) {
+  const response = await getClient().models.generateContentStream({
+    model: model(),
+    contents: toContents(messages),
+    config: { systemInstruction: system, maxOutputTokens: 2048 },
+  });
+
+  // Each chunk carries the usage so far; the last one has the total
+  for await (const chunk of response) {
+    if (chunk.usageMetadata) usage.tokens = chunk.usageMetadata.totalTokenCount;
+    if (chunk.text) yield chunk.text;
   }
 }
 
-module.exports = { processQuery };
+module.exports = {
+  name: "gemini",
+  label: "Gemini",
+  requiredEnv: ["GEMINI_API_KEY"],
+  model,
+  complete,
+  callTools,
+  stream,
+};
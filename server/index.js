@@ -1,29 +1,69 @@
 require("dotenv").config();
 
 // ─── Environment Validation ─────────────────────────────
-const provider = process.env.AI_PROVIDER || "gemini";
-const requiredEnv = ["GOOGLE_APPLICATION_CREDENTIALS", "GA4_PROPERTY_ID"];
+const ai = require("./ai");
+const requiredEnv = ["GOOGLE_APPLICATION_CREDENTIALS"];
 
-if (provider.toLowerCase() === "groq") {
-  requiredEnv.push("GROQ_API_KEY");
-} else {
-  requiredEnv.push("GEMINI_API_KEY");
+// Either a single property or a list of them (see server/properties.js)
+if (!process.env.GA4_PROPERTIES) {
+  requiredEnv.push("GA4_PROPERTY_ID");
 }
 
-const missing = requiredEnv.filter((key) => !process.env[key]);
+// Every provider in the AI fallback chain (see server/ai.js)
+try {
+  requiredEnv.push(...ai.requiredEnv());
+} catch (err) {
+  console.error(`\n${err.message}\n`);
+  process.exit(1);
+}
+
+const missing = [...new Set(requiredEnv)].filter((key) => !process.env[key]);
 if (missing.length > 0) {
   console.error(`\nMissing required environment variables:\n  ${missing.join("\n  ")}\n`);
   console.error("Copy .env.example to .env and fill in all required values.\n");
   process.exit(1);
 }
 
+console.log(
+  `✅ AI Provider: ${ai.providerChain().map((p) => `${p.label} (${p.model()})`).join(" → ")}`
+);
+
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const path = require("path");
-const { queryGA4 } = require("./ga4");
-const { processQuery } = require("./ai");
+const { queryGA4, queryAllGA4 } = require("./ga4");
+const { formatAnswer, streamFormat } = ai;
+const { runAgent, buildFormatPrompt, finishAnswer, finishStream, analysisFields } = require("./agent");
+const { validateQuery } = require("./validate");
+const { previousReports } = require("./refine");
+const {
+  listProperties,
+  getProperty,
+  listPropertiesWithCredentials,
+  saveProperty,
+  removeProperty,
+} = require("./properties");
+const { authMiddleware, requireRole } = require("./auth");
+const users = require("./users");
+const conversations = require("./conversations");
+const { exportData, FORMATS } = require("./export");
+const reportCache = require("./cache");
+const {
+  COMMON_METRICS,
+  COMMON_DIMENSIONS,
+  REALTIME_DIMENSIONS,
+  REALTIME_METRICS,
+} = require("./schema");
+const { getCatalogue, fieldNames } = require("./metadata");
+const schedules = require("./schedules");
+const { startRun, startScheduler } = require("./scheduler");
+const monitors = require("./monitors");
+const { checkMonitor } = require("./monitoring");
+const dashboards = require("./dashboards");
+const { log, requestContext } = require("./logger");
+const { auditRequest, listAudit, usageSummary } = require("./audit");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -57,170 +97,530 @@ app.use(
 app.use(cors());
 app.use(express.json({ limit: "1mb" }));
 
-// Rate limiting — 30 queries per minute per IP
+// Request ids, per-request JSON log lines and the audit context (see server/logger.js)
+app.use("/api/", requestContext);
+
+// Rate limiting — 30 queries per minute per IP (RATE_LIMIT_PER_MINUTE)
 const apiLimiter = rateLimit({
   windowMs: 60 * 1000,
-  max: 30,
+  max: Number(process.env.RATE_LIMIT_PER_MINUTE || 30),
   message: { error: "Too many requests. Please wait a moment." },
 });
 app.use("/api/", apiLimiter);
 
-// ─── Simple Token Auth ────────────────────────────────────
-function authMiddleware(req, res, next) {
-  const token = process.env.TEAM_ACCESS_TOKEN;
-  if (!token) return next(); // No token configured = open access
+// ─── Auth ─────────────────────────────────────────────────
+// Per-user API keys with roles — see server/auth.js and `npm run users`
+if (process.env.TEAM_ACCESS_TOKEN) {
+  console.warn(
+    "⚠️  TEAM_ACCESS_TOKEN is no longer used. Create users with `npm run users -- add <name> <role>`."
+  );
+}
 
-  const provided =
-    req.headers.authorization?.replace("Bearer ", "") ||
-    req.query.token;
+// ─── Serve Frontend ───────────────────────────────────────
+app.use(express.static(path.join(__dirname, "..", "public")));
+// Chart.js is served from node_modules rather than a CDN
+app.use(
+  "/vendor/chart.js",
+  express.static(path.join(__dirname, "..", "node_modules", "chart.js", "dist"))
+);
 
-  // Debug logging (remove after fixing)
-  console.log("🔐 Auth Debug:");
-  console.log("  Expected token:", JSON.stringify(token));
-  console.log("  Provided token:", JSON.stringify(provided));
-  console.log("  Match:", provided === token);
+// ─── Chat Helpers ─────────────────────────────────────────
 
-  if (provided !== token) {
-    return res.status(401).json({ error: "Unauthorized. Invalid access token." });
-  }
-  next();
+/**
+ * @returns {string|null} Why the chat message is unacceptable, if it is
+ */
+function checkMessage(message) {
+  if (!message || typeof message !== "string") return "Message is required";
+  if (message.length > 2000) return "Message too long (max 2000 chars)";
+  return null;
 }
 
-// ─── Serve Frontend ───────────────────────────────────────
-app.use(express.static(path.join(__dirname, "..", "public")));
+/**
+ * Thread for a chat turn: the requested one, or a new one started by this message
+ * @returns {Object|null} null when conversationId isn't one of the user's threads
+ */
+function openConversation(user, conversationId, message, property) {
+  if (conversationId) return conversations.getConversation(conversationId, user.id);
+  return conversations.createConversation(user.id, message, property.id);
+}
+
+/**
+ * Model context for a turn: the stored thread, or client-sent history for a new one
+ */
+function contextFor(conversation, history) {
+  if (conversation.messages.length > 0) return conversations.historyOf(conversation);
+  return Array.isArray(history) ? history.slice(-8) : [];
+}
+
+/**
+ * Persist a question and its answer, returning the reply payload for the client
+ */
+function recordTurn(conversation, message, reply) {
+  const [, stored] = conversations.appendMessages(conversation, [
+    { role: "user", content: message },
+    { role: "ai", ...reply },
+  ]);
+  return { ...reply, conversationId: conversation.id, messageId: stored.id };
+}
 
 // ─── API Routes ───────────────────────────────────────────
 
 // Health check (with auth if token is configured)
 app.get("/api/health", authMiddleware, (req, res) => {
+  const property = getProperty();
   res.json({
     status: "ok",
-    property: process.env.GA4_PROPERTY_ID || "not set",
+    property: property ? property.id : "not set",
+    propertyCount: listProperties().length,
+    aiProviders: ai.providerChain().map((p) => p.name),
     timestamp: new Date().toISOString(),
   });
 });
 
+// Current user
+app.get("/api/me", authMiddleware, (req, res) => {
+  res.json(req.user);
+});
+
+// Configured GA4 properties (first one is the default)
+app.get("/api/properties", authMiddleware, (req, res) => {
+  const properties = listProperties();
+  res.json({ properties, default: properties[0]?.id || null });
+});
+
+// Chat requests are audited with the question asked (see server/audit.js)
+const auditChat = auditRequest("chat", (req) => ({
+  question: typeof req.body.message === "string" ? req.body.message : null,
+  propertyId: getProperty(req.body.propertyId)?.id || null,
+}));
+
 // Chat endpoint — the core magic
-app.post("/api/chat", authMiddleware, async (req, res) => {
+app.post("/api/chat", authMiddleware, auditChat, async (req, res) => {
+  let conversation = null;
   try {
-    const { message, history = [] } = req.body;
+    const { message, history = [], propertyId, conversationId } = req.body;
 
-    if (!message || typeof message !== "string") {
-      return res.status(400).json({ error: "Message is required" });
+    const messageError = checkMessage(message);
+    if (messageError) {
+      return res.status(400).json({ error: messageError });
     }
 
-    if (message.length > 2000) {
-      return res.status(400).json({ error: "Message too long (max 2000 chars)" });
+    const property = getProperty(propertyId);
+    if (!property) {
+      return res.status(400).json({ error: `Unknown property "${propertyId}"` });
     }
 
-    console.log(`[${new Date().toISOString()}] Query: ${message}`);
+    conversation = openConversation(req.user, conversationId, message, property);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
 
-    // Step 1: Claude interprets the query and generates GA4 API params
-    const ga4Params = await processQuery(message, history);
+    log.info("chat question", { conversationId: conversation.id, propertyId: property.id });
 
-    if (ga4Params.error) {
-      return res.json({
-        type: "text",
-        content: ga4Params.error,
-      });
-    }
+    // Steps 1-2: AI plans GA4 reports, and we run them, until it has what it needs
+    const analysis = await runAgent({
+      message,
+      history: contextFor(conversation, history),
+      previous: previousReports(conversation.messages),
+      property,
+    });
 
-    if (ga4Params.type === "text") {
-      return res.json({
-        type: "text",
-        content: ga4Params.content,
-      });
+    if (analysis.type === "text") {
+      const reply = { type: "text", content: analysis.content, provider: analysis.provider };
+      return res.json(recordTurn(conversation, message, reply));
     }
 
-    // Step 2: Execute GA4 query
-    const ga4Data = await queryGA4(ga4Params);
+    // Step 3: AI writes the answer from every report; tables go in and withheld values are put back
+    const response = await formatAnswer(buildFormatPrompt(message, analysis));
+    const content = finishAnswer(analysis, response.content) || response.error;
+    if (response.error) log.error("answer formatting failed", { error: response.error });
 
-    // Step 3: Claude formats the response
-    const response = await processQuery(
-      `Here is the raw GA4 data for the user's question "${message}". 
-       Format this data as a clear, insightful answer. Use markdown tables where appropriate.
-       Include key insights and trends. Keep it concise but informative.
-       If relevant, suggest follow-up questions.
-       
-       GA4 Query params: ${JSON.stringify(ga4Params)}
-       GA4 Data: ${JSON.stringify(ga4Data)}`,
-      [],
-      true
+    res.json(
+      recordTurn(conversation, message, {
+        type: "analytics",
+        content,
+        ...analysisFields(analysis, content),
+        provider: response.provider,
+      })
     );
-
-    res.json({
-      type: "analytics",
-      content: response.content || response,
-      rawData: ga4Data,
-      query: ga4Params,
-    });
   } catch (err) {
-    console.error("[Chat Error]", err.message);
-    console.error("Full error:", err);
-    console.error("Stack trace:", err.stack);
+    log.error("chat failed", { err });
+    const error = "Failed to process your query. Please try again.";
+    if (conversation) recordTurn(conversation, req.body.message, { type: "error", content: error });
     res.status(500).json({
-      error: "Failed to process your query. Please try again.",
+      error,
+      conversationId: conversation?.id,
       details: process.env.NODE_ENV === "development" ? err.message : undefined,
     });
   }
 });
 
-// Direct GA4 query (for advanced users)
-app.post("/api/query", authMiddleware, async (req, res) => {
+// Streaming chat — same pipeline as /api/chat, reported as Server-Sent Events:
+//   conversation { id, title }
+//   status { stage }   interpreting | fetching | analyzing | formatting
+//   query  { ...params }     once per report
+//   data   { rowCount, ... } once per report
+//   step   { step, note, reports: [ids], queries }  after each agent step
+//   token  { text }     formatted answer, incrementally
+//   done   { type, content, rawData?, query?, reports?, steps?, citations?, provider?, conversationId, messageId }
+//   error  { error }
+app.post("/api/chat/stream", authMiddleware, auditChat, async (req, res) => {
+  const { message, history = [], propertyId, conversationId } = req.body;
+
+  const messageError = checkMessage(message);
+  if (messageError) {
+    return res.status(400).json({ error: messageError });
+  }
+
+  const property = getProperty(propertyId);
+  if (!property) {
+    return res.status(400).json({ error: `Unknown property "${propertyId}"` });
+  }
+
+  const conversation = openConversation(req.user, conversationId, message, property);
+  if (!conversation) {
+    return res.status(404).json({ error: "Conversation not found" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on("close", () => (closed = true));
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
   try {
-    const { dimensions, metrics, startDate, endDate, limit, dimensionFilter } =
-      req.body;
+    log.info("chat question", { conversationId: conversation.id, propertyId: property.id, stream: true });
+    send("conversation", { id: conversation.id, title: conversation.title });
+
+    send("status", { stage: "interpreting" });
+    const analysis = await runAgent({
+      message,
+      history: contextFor(conversation, history),
+      previous: previousReports(conversation.messages),
+      property,
+      onQueries: (queries) => {
+        queries.forEach((query) => send("query", query));
+        send("status", { stage: "fetching" });
+      },
+      onStep: (step, reports) => {
+        for (const { rawData } of reports) {
+          send("data", {
+            rowCount: rawData.metadata.rowCount,
+            returned: rawData.metadata.returned,
+            truncated: rawData.metadata.truncated,
+            cached: rawData.metadata.cache?.hit,
+          });
+        }
+        send("step", { ...step, queries: reports.map((r) => r.query) });
+        send("status", { stage: "analyzing" });
+      },
+    });
 
-    if (!metrics || !Array.isArray(metrics) || metrics.length === 0) {
-      return res.status(400).json({ error: "At least one metric is required" });
+    if (analysis.type === "text") {
+      const reply = { type: "text", content: analysis.content, provider: analysis.provider };
+      send("done", recordTurn(conversation, message, reply));
+      return res.end();
     }
 
-    const data = await queryGA4({
-      dimensions: dimensions || ["date"],
-      metrics,
-      startDate: startDate || "7daysAgo",
-      endDate: endDate || "yesterday",
-      limit: Math.min(limit || 100, 1000),
-      dimensionFilter,
+    send("status", { stage: "formatting" });
+    let content = "";
+    const used = {};
+    const answer = streamFormat(buildFormatPrompt(message, analysis), used);
+    for await (const text of finishStream(analysis, answer)) {
+      if (closed) break;
+      content += text;
+      send("token", { text });
+    }
+
+    send(
+      "done",
+      recordTurn(conversation, message, {
+        type: "analytics",
+        content,
+        ...analysisFields(analysis, content),
+        provider: used.provider,
+      })
+    );
+  } catch (err) {
+    log.error("chat stream failed", { err });
+    const error = "Failed to process your query. Please try again.";
+    recordTurn(conversation, message, { type: "error", content: error });
+    send("error", {
+      error,
+      details: process.env.NODE_ENV === "development" ? err.message : undefined,
     });
+  }
+  res.end();
+});
+
+// ─── Conversations ────────────────────────────────────────
 
-    res.json(data);
+/**
+ * Load the caller's conversation, answering 404 if it isn't theirs
+ */
+function withConversation(handler) {
+  return (req, res) => {
+    const conversation = conversations.getConversation(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+    try {
+      handler(req, res, conversation);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  };
+}
+
+app.get("/api/conversations", authMiddleware, (req, res) => {
+  res.json({ conversations: conversations.listConversations(req.user.id) });
+});
+
+app.get(
+  "/api/conversations/:id",
+  authMiddleware,
+  withConversation((req, res, conversation) => {
+    const { ownerId, ...rest } = conversation;
+    res.json(rest);
+  })
+);
+
+app.patch(
+  "/api/conversations/:id",
+  authMiddleware,
+  withConversation((req, res, conversation) => {
+    res.json(conversations.renameConversation(conversation, req.body.title));
+  })
+);
+
+app.delete(
+  "/api/conversations/:id",
+  authMiddleware,
+  withConversation((req, res, conversation) => {
+    conversations.deleteConversation(conversation);
+    res.json({ deleted: conversation.id });
+  })
+);
+
+// Read-only share link: /share/<shareId> (optionally #<messageId> for one answer)
+app.post(
+  "/api/conversations/:id/share",
+  authMiddleware,
+  withConversation((req, res, conversation) => {
+    const shareId = conversations.shareConversation(conversation);
+    res.json({ shareId, url: `/share/${shareId}` });
+  })
+);
+
+app.delete(
+  "/api/conversations/:id/share",
+  authMiddleware,
+  withConversation((req, res, conversation) => {
+    conversations.unshareConversation(conversation);
+    res.json({ shareId: null });
+  })
+);
+
+// Any signed-in teammate can open a shared thread
+app.get("/api/shared/:shareId", authMiddleware, (req, res) => {
+  const conversation = conversations.getShared(req.params.shareId);
+  if (!conversation) {
+    return res.status(404).json({ error: "Shared conversation not found" });
+  }
+  res.json(conversation);
+});
+
+/**
+ * Opaque page cursors for /api/query — base64url JSON { offset }
+ */
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Paging info for a result: where it starts and cursors for the neighbouring pages
+ */
+function pageOf(data, limit) {
+  const { offset = 0, returned = data.rows.length, rowCount, comparison } = data.metadata;
+  return {
+    offset,
+    limit,
+    returned,
+    rowCount,
+    // Comparisons have no next page (see ./validate)
+    nextCursor: !comparison && offset + returned < rowCount ? encodeCursor(offset + returned) : null,
+    prevCursor: offset > 0 ? encodeCursor(Math.max(offset - limit, 0)) : null,
+  };
+}
+
+// Direct GA4 query (for advanced users).
+// Pass the previous response's page.nextCursor as `cursor` for the next page, or
+// `fetchAll: true` to walk every page up to GA4_FETCH_ALL_MAX_ROWS.
+app.post(
+  "/api/query",
+  requireRole("analyst"),
+  auditRequest("query", (req) => ({ propertyId: getProperty(req.body.propertyId)?.id || null })),
+  async (req, res) => {
+    try {
+      const {
+        dimensions,
+        metrics,
+        startDate,
+        endDate,
+        dateRanges,
+        limit,
+        dimensionFilter,
+        metricFilter,
+        orderBys,
+        propertyId,
+        cursor,
+        fetchAll,
+        maxRows,
+        realtime,
+        minutes,
+        funnel,
+      } = req.body;
+
+      let { offset } = req.body;
+      if (cursor) {
+        offset = decodeCursor(cursor);
+        if (offset === null) {
+          return res.status(400).json({ error: "Invalid cursor" });
+        }
+      }
+
+      const property = getProperty(propertyId);
+      if (!property) {
+        return res.status(400).json({ error: `Unknown property "${propertyId}"` });
+      }
+
+      if (!funnel && (!metrics || !Array.isArray(metrics) || metrics.length === 0)) {
+        return res.status(400).json({ error: "At least one metric is required" });
+      }
+
+      const result = validateQuery(
+        realtime
+          ? { realtime: true, dimensions, metrics, minutes, limit, dimensionFilter, metricFilter, orderBys }
+          : funnel
+          ? { funnel, startDate, endDate, dateRanges, limit, dimensionFilter, metricFilter }
+          : {
+              dimensions,
+              metrics,
+              startDate,
+              endDate,
+              dateRanges,
+              limit,
+              offset,
+              dimensionFilter,
+              metricFilter,
+              orderBys,
+            },
+        { maxLimit: 1000, defaultLimit: 100, fields: fieldNames(await getCatalogue(property)) }
+      );
+
+      if (!result.valid) {
+        return res.status(400).json({ error: "Invalid query", details: result.errors });
+      }
+
+      // Realtime reports are a single page of the last few minutes, funnels one row per step
+      if (realtime || funnel) {
+        return res.json(await queryGA4(result.params, property));
+      }
+
+      if (fetchAll) {
+        const data = await queryAllGA4(result.params, property, { maxRows: Number(maxRows) || undefined });
+        return res.json({ ...data, page: pageOf(data, data.metadata.returned) });
+      }
+
+      const data = await queryGA4(result.params, property);
+
+      res.json({ ...data, page: pageOf(data, result.params.limit) });
+    } catch (err) {
+      log.error("query failed", { err });
+      res.status(500).json({ error: "Failed to query GA4" });
+    }
+  }
+);
+
+// ─── Realtime ─────────────────────────────────────────────
+
+// The live panel's breakdowns of active users in the last 30 minutes
+const REALTIME_BREAKDOWNS = ["country", "unifiedScreenName", "deviceCategory", "eventName"];
+const REALTIME_POLL_SECONDS = Math.max(Number(process.env.REALTIME_POLL_SECONDS || 30), 5);
+
+// Everyone watching a launch polls the same property; share one snapshot per property for a few seconds
+const REALTIME_REUSE_MS = 5000;
+const realtimeSnapshots = new Map();
+
+async function realtimeSnapshot(property) {
+  const recent = realtimeSnapshots.get(property.id);
+  if (recent && Date.now() - recent.at < REALTIME_REUSE_MS) return recent.snapshot;
+
+  const reports = await Promise.all(
+    REALTIME_BREAKDOWNS.map((dimension) =>
+      queryGA4(
+        { realtime: true, dimensions: [dimension], metrics: ["activeUsers"], minutes: 30, limit: 10 },
+        property
+      )
+    )
+  );
+  const snapshot = {
+    activeUsers: reports[0].totals.activeUsers || 0,
+    minutes: 30,
+    fetchedAt: reports[0].metadata.fetchedAt,
+    breakdowns: Object.fromEntries(REALTIME_BREAKDOWNS.map((d, i) => [d, reports[i].rows])),
+  };
+  realtimeSnapshots.set(property.id, { at: Date.now(), snapshot });
+  return snapshot;
+}
+
+// Live panel: active users now, by country, page, device and event
+app.get("/api/realtime", authMiddleware, async (req, res) => {
+  const property = getProperty(req.query.propertyId);
+  if (!property) {
+    return res.status(400).json({ error: `Unknown property "${req.query.propertyId}"` });
+  }
+
+  try {
+    const snapshot = await realtimeSnapshot(property);
+    res.json({ ...snapshot, propertyId: property.id, pollSeconds: REALTIME_POLL_SECONDS });
   } catch (err) {
-    console.error("[Query Error]", err.message);
-    res.status(500).json({ error: "Failed to query GA4" });
+    log.error("realtime snapshot failed", { propertyId: property.id, err });
+    res.status(500).json({ error: "Failed to load realtime data" });
   }
 });
 
 // ─── Available metrics/dimensions info ────────────────────
-app.get("/api/schema", authMiddleware, (req, res) => {
+// The property's fields (custom definitions included) for the field browser
+app.get("/api/schema", authMiddleware, async (req, res) => {
+  const property = getProperty(req.query.propertyId);
+  if (!property) {
+    return res.status(400).json({ error: `Unknown property "${req.query.propertyId}"` });
+  }
+
+  const catalogue = await getCatalogue(property, { fresh: req.query.refresh === "1" });
   res.json({
-    commonMetrics: [
-      "totalUsers",
-      "newUsers",
-      "activeUsers",
-      "sessions",
-      "screenPageViews",
-      "bounceRate",
-      "averageSessionDuration",
-      "engagedSessions",
-      "engagementRate",
-      "eventCount",
-      "conversions",
-    ],
-    commonDimensions: [
-      "date",
-      "country",
-      "city",
-      "deviceCategory",
-      "browser",
-      "operatingSystem",
-      "pagePath",
-      "pageTitle",
-      "source",
-      "medium",
-      "sessionDefaultChannelGroup",
-      "landingPage",
-    ],
+    ...catalogue,
+    realtime: { dimensions: REALTIME_DIMENSIONS, metrics: REALTIME_METRICS },
+    commonMetrics: COMMON_METRICS,
+    commonDimensions: COMMON_DIMENSIONS,
     exampleQueries: [
       "Show me active users for the last 7 days",
       "What are the top 10 pages by views this month?",
@@ -234,21 +634,560 @@ app.get("/api/schema", authMiddleware, (req, res) => {
   });
 });
 
+// ─── Export ───────────────────────────────────────────────
+
+/**
+ * Send one analytics answer as a CSV/XLSX/JSON download.
+ * ?format=csv|xlsx|json (default csv); ?fresh=1 re-runs the stored query;
+ * ?all=1 re-runs it fetching every page, for answers based on partial data
+ */
+async function sendExport(req, res, conversation) {
+  try {
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    const message = conversation.messages.find((m) => m.id === req.params.messageId);
+    if (!message || !message.query) {
+      return res.status(404).json({ error: "No analytics data for that message" });
+    }
+
+    // ?report=N picks one of several reports behind an answer (1-based)
+    const reports = message.reports || [{ query: message.query, rawData: message.rawData }];
+    const report = reports[Number(req.query.report || 1) - 1];
+    if (!report) {
+      return res.status(404).json({ error: "No such report for that message" });
+    }
+
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (!FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported format "${format}". Use csv, xlsx or json` });
+    }
+
+    const property = getProperty(report.rawData?.metadata?.propertyId || conversation.propertyId);
+    const all = req.query.all === "1";
+    let rawData = report.rawData;
+    if (req.query.fresh === "1" || all || !rawData) {
+      if (!property) {
+        return res.status(400).json({ error: "The property for this answer is no longer configured" });
+      }
+      const run = all ? queryAllGA4 : queryGA4;
+      rawData = await run(report.query, property, { fresh: req.query.fresh === "1" });
+    }
+
+    const file = await exportData(format, rawData, property, report.query);
+    res.set({
+      "Content-Type": file.contentType,
+      "Content-Disposition": `attachment; filename="${file.filename}"`,
+    });
+    res.send(file.body);
+  } catch (err) {
+    log.error("export failed", { err });
+    res.status(500).json({ error: "Failed to export data" });
+  }
+}
+
+const auditExport = auditRequest("export", (req) => ({
+  subject: `${req.params.messageId} (${req.query.format || "csv"}${req.query.all === "1" ? ", all rows" : ""})`,
+}));
+
+app.get("/api/conversations/:id/messages/:messageId/export", authMiddleware, auditExport, (req, res) =>
+  sendExport(req, res, conversations.getConversation(req.params.id, req.user.id))
+);
+
+app.get("/api/shared/:shareId/messages/:messageId/export", authMiddleware, auditExport, (req, res) =>
+  sendExport(req, res, conversations.getShared(req.params.shareId))
+);
+
+// ─── Scheduled reports ────────────────────────────────────
+// Analysts' saved questions/queries, run on a cron schedule by ./scheduler
+const requireAnalyst = requireRole("analyst");
+
+/**
+ * Load the caller's schedule, answering 404 if it isn't theirs
+ */
+function withSchedule(handler) {
+  return async (req, res) => {
+    const schedule = schedules.getSchedule(req.params.id, req.user.id);
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    try {
+      await handler(req, res, schedule);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  };
+}
+
+/**
+ * Saved query params must be valid for the property when they are saved
+ * @throws {Error} Listing what is wrong
+ */
+async function checkScheduleQuery({ query, propertyId }) {
+  const property = getProperty(propertyId);
+  if (!query || !property) return;
+  const result = validateQuery(query, {
+    maxLimit: 1000,
+    defaultLimit: 100,
+    fields: fieldNames(await getCatalogue(property)),
+  });
+  if (!result.valid) throw new Error(`Invalid query: ${result.errors.join("; ")}`);
+}
+
+app.get("/api/schedules", requireAnalyst, (req, res) => {
+  res.json({ schedules: schedules.listSchedules(req.user.id) });
+});
+
+app.post("/api/schedules", requireAnalyst, async (req, res) => {
+  try {
+    await checkScheduleQuery(req.body);
+    res.status(201).json(schedules.createSchedule(req.user.id, req.body));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// With its run history
+app.get(
+  "/api/schedules/:id",
+  requireAnalyst,
+  withSchedule((req, res, schedule) => {
+    const { ownerId, ...rest } = schedule;
+    res.json(rest);
+  })
+);
+
+app.patch(
+  "/api/schedules/:id",
+  requireAnalyst,
+  withSchedule(async (req, res, schedule) => {
+    await checkScheduleQuery({ ...schedule, ...req.body });
+    res.json(schedules.updateSchedule(schedule.id, req.body));
+  })
+);
+
+app.delete(
+  "/api/schedules/:id",
+  requireAnalyst,
+  withSchedule((req, res, schedule) => {
+    schedules.deleteSchedule(schedule.id);
+    res.json({ deleted: schedule.id });
+  })
+);
+
+// Run now, outside the schedule. Answers at once with the running run; how it
+// went (deliveries included) shows in the schedule's history when it finishes
+app.post(
+  "/api/schedules/:id/run",
+  requireAnalyst,
+  withSchedule((req, res, schedule) => {
+    res.status(202).json(startRun(schedule, "manual"));
+  })
+);
+
+// ─── Monitors & alerts ────────────────────────────────────
+// Analysts' anomaly monitors, checked on a cron schedule by ./scheduler
+
+/**
+ * Load the caller's monitor, answering 404 if it isn't theirs
+ */
+function withMonitor(handler) {
+  return async (req, res) => {
+    const monitor = monitors.getMonitor(req.params.id, req.user.id);
+    if (!monitor) {
+      return res.status(404).json({ error: "Monitor not found" });
+    }
+    try {
+      await handler(req, res, monitor);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  };
+}
+
+/**
+ * Check a monitor's metric and filter against the property's fields
+ * @returns {Promise<Object>} The changes, with the metric's current API name
+ * @throws {Error} Listing what is wrong
+ */
+async function checkMonitorQuery(changes, current = {}) {
+  const { metric, dimensionFilter, propertyId } = { ...current, ...changes };
+  const property = getProperty(propertyId);
+  if (!metric || !property) return changes;
+  const result = validateQuery(
+    { dimensions: ["date"], metrics: [metric], dimensionFilter },
+    { fields: fieldNames(await getCatalogue(property)) }
+  );
+  if (!result.valid) throw new Error(`Invalid monitor: ${result.errors.join("; ")}`);
+  return {
+    ...changes,
+    ...(changes.metric ? { metric: result.params.metrics[0] } : {}),
+    ...(changes.dimensionFilter ? { dimensionFilter: result.params.dimensionFilter } : {}),
+  };
+}
+
+app.get("/api/monitors", requireAnalyst, (req, res) => {
+  res.json({ monitors: monitors.listMonitors(req.user.id) });
+});
+
+app.post("/api/monitors", requireAnalyst, async (req, res) => {
+  try {
+    res.status(201).json(monitors.createMonitor(req.user.id, await checkMonitorQuery(req.body)));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// With its recent checks and alerts
+app.get(
+  "/api/monitors/:id",
+  requireAnalyst,
+  withMonitor((req, res, monitor) => {
+    const { ownerId, ...rest } = monitor;
+    res.json(rest);
+  })
+);
+
+app.patch(
+  "/api/monitors/:id",
+  requireAnalyst,
+  withMonitor(async (req, res, monitor) => {
+    res.json(monitors.updateMonitor(monitor.id, await checkMonitorQuery(req.body, monitor)));
+  })
+);
+
+app.delete(
+  "/api/monitors/:id",
+  requireAnalyst,
+  withMonitor((req, res, monitor) => {
+    monitors.deleteMonitor(monitor.id);
+    res.json({ deleted: monitor.id });
+  })
+);
+
+// Check now, outside the schedule
+app.post(
+  "/api/monitors/:id/check",
+  requireAnalyst,
+  withMonitor(async (req, res, monitor) => {
+    res.json(await checkMonitor(monitor, "manual"));
+  })
+);
+
+// Alerts from the caller's monitors, newest first (?open=1: not yet acknowledged)
+app.get("/api/alerts", requireAnalyst, (req, res) => {
+  res.json({ alerts: monitors.listAlerts(req.user.id, { open: req.query.open === "1" }) });
+});
+
+app.post("/api/alerts/:id/acknowledge", requireAnalyst, (req, res) => {
+  const alert = monitors.acknowledgeAlert(req.params.id, req.user.id);
+  if (!alert) {
+    return res.status(404).json({ error: "Alert not found" });
+  }
+  res.json(alert);
+});
+
+// ─── Dashboards ───────────────────────────────────────────
+// Boards of saved queries, re-run on load; shared ones are read-only for teammates
+
+/**
+ * Load a board the caller may see, answering 404 if they can't (or 403 when
+ * `edit` and it isn't theirs)
+ */
+function withDashboard(handler, { edit = false } = {}) {
+  return async (req, res) => {
+    const dashboard = dashboards.getDashboard(req.params.id, req.user.id);
+    if (!dashboard) {
+      return res.status(404).json({ error: "Dashboard not found" });
+    }
+    if (edit && dashboard.ownerId !== req.user.id) {
+      return res.status(403).json({ error: "Only the owner can change this dashboard" });
+    }
+    try {
+      await handler(req, res, dashboard);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  };
+}
+
+const DASHBOARD_QUERY_LIMITS = { maxLimit: 1000, defaultLimit: 100 };
+
+/**
+ * A tile's query as it will run: the dashboard's date range replaces the saved
+ * one, except for realtime and comparison tiles, which keep their own
+ * @returns {Promise<Object>} validateQuery's result
+ */
+async function tileQuery(tile, property, range) {
+  const { query } = tile;
+  const keepsOwnRange = !range || query.realtime || query.dateRanges?.length > 1;
+  return validateQuery(
+    keepsOwnRange ? query : { ...query, ...range, dateRanges: null },
+    { ...DASHBOARD_QUERY_LIMITS, fields: fieldNames(await getCatalogue(property)) }
+  );
+}
+
+/**
+ * A pinned query must be valid for its property when it is saved
+ * @returns {Promise<Object>} The tile input with the repaired query
+ * @throws {Error} Listing what is wrong
+ */
+async function checkTileQuery(input, current = {}) {
+  const property = getProperty(input.propertyId ?? current.propertyId);
+  if (!input.query || !property) return input;
+  const result = await tileQuery({ query: input.query }, property, null);
+  if (!result.valid) throw new Error(`Invalid query: ${result.errors.join("; ")}`);
+  const { offset, ...query } = result.params;
+  return { ...input, query };
+}
+
+app.get("/api/dashboards", authMiddleware, (req, res) => {
+  res.json({ dashboards: dashboards.listDashboards(req.user.id) });
+});
+
+app.post("/api/dashboards", authMiddleware, (req, res) => {
+  try {
+    res.status(201).json(dashboards.createDashboard(req.user, req.body));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get(
+  "/api/dashboards/:id",
+  authMiddleware,
+  withDashboard((req, res, dashboard) => {
+    res.json(dashboards.view(dashboard, req.user.id));
+  })
+);
+
+// { name?, shared?, tileOrder? }
+app.patch(
+  "/api/dashboards/:id",
+  authMiddleware,
+  withDashboard(
+    (req, res, dashboard) => {
+      res.json(dashboards.updateDashboard(dashboard.id, req.user.id, req.body));
+    },
+    { edit: true }
+  )
+);
+
+app.delete(
+  "/api/dashboards/:id",
+  authMiddleware,
+  withDashboard(
+    (req, res, dashboard) => {
+      dashboards.deleteDashboard(dashboard.id);
+      res.json({ deleted: dashboard.id });
+    },
+    { edit: true }
+  )
+);
+
+// Pin a query: { title, propertyId, query, width? }.
+// Tiles run their queries for everyone who opens the board, so only those who
+// may run queries themselves (see /api/query) pin or change them.
+app.post(
+  "/api/dashboards/:id/tiles",
+  requireAnalyst,
+  withDashboard(
+    async (req, res, dashboard) => {
+      res.status(201).json(dashboards.addTile(dashboard.id, req.user.id, await checkTileQuery(req.body)));
+    },
+    { edit: true }
+  )
+);
+
+app.patch(
+  "/api/dashboards/:id/tiles/:tileId",
+  requireAnalyst,
+  withDashboard(
+    async (req, res, dashboard) => {
+      const tile = dashboard.tiles.find((t) => t.id === req.params.tileId);
+      const changes = await checkTileQuery(req.body, tile);
+      res.json(dashboards.updateTile(dashboard.id, req.user.id, req.params.tileId, changes));
+    },
+    { edit: true }
+  )
+);
+
+app.delete(
+  "/api/dashboards/:id/tiles/:tileId",
+  authMiddleware,
+  withDashboard(
+    (req, res, dashboard) => {
+      res.json(dashboards.removeTile(dashboard.id, req.user.id, req.params.tileId));
+    },
+    { edit: true }
+  )
+);
+
+// Every tile's data, fresh (or from the report cache).
+// ?startDate=&endDate= applies one date range to the whole board.
+app.get(
+  "/api/dashboards/:id/data",
+  authMiddleware,
+  auditRequest("dashboard", (req) => ({ subject: req.params.id })),
+  withDashboard(async (req, res, dashboard) => {
+    const { startDate, endDate } = req.query;
+    if (Boolean(startDate) !== Boolean(endDate)) {
+      return res.status(400).json({ error: "Give both startDate and endDate, or neither" });
+    }
+    const range = startDate ? { startDate, endDate } : null;
+
+    const tiles = await Promise.all(
+      dashboard.tiles.map(async (tile) => {
+        const property = getProperty(tile.propertyId);
+        if (!property) return { id: tile.id, error: `Unknown property "${tile.propertyId}"` };
+        try {
+          const result = await tileQuery(tile, property, range);
+          if (!result.valid) return { id: tile.id, error: result.errors.join("; ") };
+          return { id: tile.id, query: result.params, data: await queryGA4(result.params, property) };
+        } catch (err) {
+          log.error("dashboard tile failed", { dashboardId: dashboard.id, tileId: tile.id, err });
+          return { id: tile.id, error: "Failed to query GA4" };
+        }
+      })
+    );
+    res.json({ range, tiles });
+  })
+);
+
+// ─── Admin: users & properties ────────────────────────────
+const requireAdmin = requireRole("admin");
+
+/**
+ * A ?days= window, within a year
+ */
+function clampDays(value, fallback) {
+  return Math.min(Math.max(Math.round(Number(value)) || fallback, 1), 366);
+}
+
+/**
+ * Wrap a synchronous admin operation, mapping store errors to 400/404
+ */
+function adminAction(handler) {
+  return (req, res) => {
+    try {
+      res.json(handler(req));
+    } catch (err) {
+      const status = err.message.includes("not found") ? 404 : 400;
+      res.status(status).json({ error: err.message });
+    }
+  };
+}
+
+app.get("/api/admin/users", requireAdmin, adminAction(() => ({ users: users.listUsers() })));
+
+// Returns the new user's API key — it is never shown again
+app.post(
+  "/api/admin/users",
+  requireAdmin,
+  adminAction((req) => users.createUser(req.body.name, req.body.role))
+);
+
+app.patch(
+  "/api/admin/users/:id",
+  requireAdmin,
+  adminAction((req) => users.updateUser(req.params.id, { role: req.body.role, name: req.body.name }))
+);
+
+app.delete(
+  "/api/admin/users/:id",
+  requireAdmin,
+  adminAction((req) => users.deleteUser(req.params.id))
+);
+
+app.post(
+  "/api/admin/users/:id/keys",
+  requireAdmin,
+  adminAction((req) => users.issueKey(req.params.id, req.body.label))
+);
+
+app.delete(
+  "/api/admin/keys/:keyId",
+  requireAdmin,
+  adminAction((req) => users.revokeKey(req.params.keyId))
+);
+
+// Report cache: inspect, flush everything / one property (?propertyId=) / one key
+app.get("/api/admin/cache", requireAdmin, adminAction(() => reportCache.inspect()));
+
+app.delete(
+  "/api/admin/cache",
+  requireAdmin,
+  adminAction((req) => ({ flushed: reportCache.flush({ propertyId: req.query.propertyId }) }))
+);
+
+app.delete(
+  "/api/admin/cache/:key",
+  requireAdmin,
+  adminAction((req) => ({ flushed: reportCache.flush({ key: req.params.key }) }))
+);
+
+app.get(
+  "/api/admin/properties",
+  requireAdmin,
+  adminAction(() => ({ properties: listPropertiesWithCredentials() }))
+);
+
+app.put(
+  "/api/admin/properties/:id",
+  requireAdmin,
+  adminAction((req) => saveProperty({ ...req.body, id: req.params.id }))
+);
+
+app.delete(
+  "/api/admin/properties/:id",
+  requireAdmin,
+  adminAction((req) => {
+    removeProperty(req.params.id);
+    return { deleted: req.params.id };
+  })
+);
+
+// Usage: totals, per user, per day, per model (with estimated cost), top questions.
+// ?days= (default 30)
+app.get(
+  "/api/admin/usage",
+  requireAdmin,
+  adminAction((req) => usageSummary({ days: clampDays(req.query.days, 30) }))
+);
+
+// Audit trail entries, newest first. ?days= (default 7) &limit= &userId= &type= &status=ok|error
+app.get(
+  "/api/admin/audit",
+  requireAdmin,
+  adminAction((req) => {
+    const { userId, type, status } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    return { entries: listAudit({ days: clampDays(req.query.days, 7), limit, userId, type, status }) };
+  })
+);
+
 // SPA fallback
 app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "..", "public", "index.html"));
 });
 
 // ─── Start Server ─────────────────────────────────────────
-app.listen(PORT, () => {
-  console.log(`
+// Only listen when run directly — the test suite mounts the app itself
+if (require.main === module) {
+  startScheduler();
+  app.listen(PORT, () => {
+    console.log(`
 ╔═══════════════════════════════════════════════════════╗
 ║          GA4 Team Chat — Ready!                       ║
 ║                                                       ║
 ║  🌐  http://localhost:${PORT}                          ║
-║  📊  Property: ${(process.env.GA4_PROPERTY_ID || "NOT SET").padEnd(38)}║
-║  🔐  Auth: ${(process.env.TEAM_ACCESS_TOKEN ? "Enabled" : "Disabled (open access)").padEnd(42)}║
+║  📊  Properties: ${(listProperties().map((p) => p.id).join(", ") || "NOT SET").padEnd(36)}║
+║  🔐  Auth: ${(users.hasUsers() ? "API keys" : "Disabled (open access)").padEnd(42)}║
 ║                                                       ║
 ╚═══════════════════════════════════════════════════════╝
-  `);
-});
+    `);
+  });
+}
+
+module.exports = app;
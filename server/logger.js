@@ -0,0 +1,112 @@
+/**
+ * Structured Logging
+ * One JSON object per line: { time, level, msg, requestId?, userId?, ...fields }.
+ * Inside a request (or a scheduled run) the context set by `withContext` —
+ * request id, user, and the audit entry being built (see ./audit) — is picked
+ * up automatically, so modules deep in the call stack don't need it passed in.
+ *
+ * LOG_LEVEL: debug | info (default) | warn | error. Error stacks are only
+ * logged at debug. LOG_FORMAT=pretty prints a line per entry for local use.
+ */
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const storage = new AsyncLocalStorage();
+
+// Incoming X-Request-Id values we are willing to echo back
+const REQUEST_ID = /^[\w.:-]{1,64}$/;
+
+const threshold = () => LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+/**
+ * The current request's (or run's) context, or null outside one
+ */
+function currentContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Run `fn` with `context` as the current context
+ */
+function withContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+// `err` fields become their message (and stack, at debug level)
+function serialize(fields) {
+  const out = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value instanceof Error) {
+      out[key] = value.message;
+      if (threshold() <= LEVELS.debug) out[`${key}Stack`] = value.stack;
+    } else if (value !== undefined) {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function write(level, msg, fields = {}) {
+  const context = currentContext();
+  if (level === "error" && context?.errors) {
+    const err = fields.err || fields.error;
+    context.errors.push(err ? `${msg}: ${err.message || err}` : msg);
+  }
+  if (LEVELS[level] < threshold()) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(context?.requestId ? { requestId: context.requestId } : {}),
+    ...(context?.userId ? { userId: context.userId } : {}),
+    ...serialize(fields),
+  };
+  const line =
+    process.env.LOG_FORMAT === "pretty"
+      ? `${entry.time} ${level.toUpperCase()} ${msg}${Object.entries(entry)
+          .slice(3)
+          .map(([k, v]) => ` ${k}=${typeof v === "string" ? v : JSON.stringify(v)}`)
+          .join("")}`
+      : JSON.stringify(entry);
+  (LEVELS[level] >= LEVELS.warn ? console.error : console.log)(line);
+}
+
+const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+/**
+ * Express middleware: give each request an id (the caller's X-Request-Id if
+ * sensible), echo it back, run the rest of the request in its context and log
+ * one line when the response is done. Mount after the body parser — parsing
+ * happens outside the context otherwise.
+ */
+function requestContext(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const started = Date.now();
+  const context = { requestId, userId: null, errors: [] };
+
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+  res.on("finish", () => {
+    withContext(context, () =>
+      log.info("request", {
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        status: res.statusCode,
+        durationMs: Date.now() - started,
+      })
+    );
+  });
+  withContext(context, next);
+}
+
+module.exports = { log, currentContext, withContext, requestContext };
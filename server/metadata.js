@@ -0,0 +1,106 @@
+/**
+ * GA4 Property Metadata
+ * The dimensions and metrics a property actually has — the standard fields
+ * plus its custom definitions (customEvent:*, customUser:*, customItem:* and
+ * custom metrics) — from the Data API's getMetadata, cached per property.
+ * When the API can't be reached, the built-in catalogue in ./schema is used
+ * and the fetch is retried after a minute.
+ *
+ * GA4_METADATA_TTL (seconds, default 21600)
+ */
+
+const { fetchMetadata } = require("./ga4");
+const { log } = require("./logger");
+const { DIMENSION_GROUPS, METRIC_GROUPS } = require("./schema");
+
+const TTL_SECONDS = Number(process.env.GA4_METADATA_TTL || 6 * 60 * 60);
+const RETRY_SECONDS = 60;
+
+// propertyId → { catalogue, expires }
+const catalogues = new Map();
+
+function normalizeField(field) {
+  return {
+    apiName: field.apiName,
+    uiName: field.uiName || field.apiName,
+    description: field.description || "",
+    category: field.category || "",
+    custom: Boolean(field.customDefinition),
+    deprecatedApiNames: field.deprecatedApiNames || [],
+  };
+}
+
+/**
+ * The built-in catalogue in the same shape as a fetched one
+ */
+function builtinCatalogue(propertyId) {
+  const toFields = (groups) =>
+    groups.flatMap(({ category, fields }) =>
+      fields.map((apiName) => ({
+        apiName,
+        uiName: apiName,
+        description: "",
+        category,
+        custom: false,
+        deprecatedApiNames: [],
+      }))
+    );
+  return {
+    propertyId,
+    source: "builtin",
+    fetchedAt: null,
+    dimensions: toFields(DIMENSION_GROUPS),
+    metrics: toFields(METRIC_GROUPS),
+  };
+}
+
+/**
+ * A property's dimensions and metrics
+ * @param {Object} property - From ./properties
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh] - Refetch even if a cached copy is current
+ * @returns {Promise<Object>} { propertyId, source: "ga4" | "builtin", fetchedAt,
+ *   dimensions: [{ apiName, uiName, description, category, custom, deprecatedApiNames }],
+ *   metrics: [... , type] }
+ */
+async function getCatalogue(property, options = {}) {
+  const hit = catalogues.get(property.id);
+  if (hit && !options.fresh && hit.expires > Date.now()) return hit.catalogue;
+
+  let catalogue;
+  let ttl = TTL_SECONDS;
+  try {
+    const metadata = await fetchMetadata(property);
+    catalogue = {
+      propertyId: property.id,
+      source: "ga4",
+      fetchedAt: new Date().toISOString(),
+      dimensions: (metadata.dimensions || []).map(normalizeField),
+      metrics: (metadata.metrics || []).map((m) => ({ ...normalizeField(m), type: m.type || "" })),
+    };
+  } catch (err) {
+    log.warn("GA4 metadata unavailable, using the built-in catalogue", { propertyId: property.id, err });
+    catalogue = hit?.catalogue || builtinCatalogue(property.id);
+    ttl = RETRY_SECONDS;
+  }
+
+  catalogues.set(property.id, { catalogue, expires: Date.now() + ttl * 1000 });
+  return catalogue;
+}
+
+/**
+ * Field names a catalogue accepts, for validation
+ * @returns {Object} { dimensions: string[], metrics: string[], aliases: { deprecatedName: apiName } }
+ */
+function fieldNames(catalogue) {
+  const fields = [...catalogue.dimensions, ...catalogue.metrics];
+  return {
+    dimensions: catalogue.dimensions.map((f) => f.apiName),
+    metrics: catalogue.metrics.map((f) => f.apiName),
+    aliases: Object.fromEntries(
+      fields.flatMap((f) => f.deprecatedApiNames.map((old) => [old, f.apiName]))
+    ),
+  };
+}
+
+module.exports = { getCatalogue, fieldNames };
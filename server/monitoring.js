@@ -0,0 +1,222 @@
+/**
+ * Monitor Checks
+ * Pulls a monitor's series with queryGA4, checks the latest period with
+ * ./anomaly and, when it is out of line, raises an alert: which breakdown
+ * values moved the most, an AI-written explanation of the likely driver, and
+ * delivery to the monitor's destinations. One alert per period — re-checking
+ * the same anomaly doesn't raise it again.
+ */
+
+const crypto = require("crypto");
+const { queryGA4 } = require("./ga4");
+const { formatAnswer } = require("./ai");
+const { validateQuery } = require("./validate");
+const { getCatalogue, fieldNames } = require("./metadata");
+const { getProperty } = require("./properties");
+const { deliverAll } = require("./webhooks");
+const { withRetries } = require("./retry");
+const { log } = require("./logger");
+const { createGuard } = require("./privacy");
+const { auditRun } = require("./audit");
+const { TIME_DIMENSION, detect, periodsFor, formatPeriod, seriesFrom, topMovers } = require("./anomaly");
+const monitors = require("./monitors");
+
+// Periods of the series shown to the model when it explains an alert
+const EXPLAIN_PERIODS = 14;
+
+// GA4's row limit per request
+const MAX_ROWS = 100000;
+
+const dashed = (period) => formatPeriod(period.slice(0, 8));
+
+/**
+ * Run one GA4 report over a monitor's periods, split by `dimensions`
+ * @returns {Promise<Object[]>} Rows
+ */
+async function fetchRows(monitor, property, periods, dimensions) {
+  const result = validateQuery(
+    {
+      dimensions,
+      metrics: [monitor.metric],
+      startDate: dashed(periods[0]),
+      endDate: dashed(periods[periods.length - 1]),
+      dimensionFilter: monitor.dimensionFilter,
+      limit: MAX_ROWS,
+    },
+    { maxLimit: MAX_ROWS, fields: fieldNames(await getCatalogue(property)) }
+  );
+  if (!result.valid) throw new Error(`Invalid monitor query: ${result.errors.join("; ")}`);
+  return (await queryGA4(result.params, property)).rows;
+}
+
+/**
+ * The biggest movers per breakdown dimension; dimensions GA4 rejects are skipped
+ * @returns {Promise<Object[]>} [{ dimension, value, actual, expected, change }], biggest change first
+ */
+async function findDrivers(monitor, property, periods, baseline) {
+  const timeDimension = TIME_DIMENSION[monitor.granularity];
+  const drivers = [];
+  for (const dimension of monitor.breakdowns) {
+    try {
+      const rows = await fetchRows(monitor, property, periods, [timeDimension, dimension]);
+      const movers = topMovers(rows, { periods, baseline, timeDimension, dimension, metric: monitor.metric });
+      drivers.push(...movers.map((m) => ({ dimension, ...m })));
+    } catch (err) {
+      log.warn("monitor breakdown failed", { monitorId: monitor.id, dimension, err });
+    }
+  }
+  return drivers.sort((a, b) => Math.abs(b.change) - Math.abs(a.change)).slice(0, 5);
+}
+
+function explainPrompt(monitor, { periods, values, result, drivers }, guard) {
+  const recent = periods
+    .slice(-EXPLAIN_PERIODS)
+    .map((p, i, shown) => `${formatPeriod(p)}: ${values[values.length - shown.length + i]}`)
+    .join("\n");
+  const movers = drivers.length
+    ? drivers
+        .map(
+          (d) =>
+            `- ${d.dimension} = ${guard.mask(d.value, d.dimension)}: ${d.actual} vs ${d.expected} expected (${d.change > 0 ? "+" : ""}${d.change})`
+        )
+        .join("\n")
+    : "(no breakdown available)";
+  const filter = monitor.dimensionFilter
+    ? ` (filter: ${guard.maskText(JSON.stringify(monitor.dimensionFilter))})`
+    : "";
+  const placeholders = guard.instructions();
+
+  return `A GA4 monitor raised an alert. In two or three sentences, say what happened and
+       which dimension value most likely drove it, using only the data below. If the
+       metric fell to zero or near it, say it may be a tracking problem. There are no
+       report ids here, so don't add citations.${placeholders ? `\n       ${placeholders}` : ""}
+
+       Monitor: ${monitor.name}
+       Metric: ${monitor.metric}${filter}
+       Period: ${formatPeriod(periods[periods.length - 1])} (${monitor.granularity})
+       Value: ${result.value}, expected about ${result.expected} — ${result.reason}
+
+       Recent values:
+${recent}
+
+       Biggest changes by dimension value (actual vs its own baseline):
+${movers}`;
+}
+
+/**
+ * An alert as a message for ./webhooks
+ */
+function alertMessage(monitor, property, alert) {
+  const driver = alert.drivers[0];
+  const lines = [
+    `**${monitor.metric}** was ${alert.value} for ${formatPeriod(alert.period)}, expected about ${alert.expected} (${alert.reason}).`,
+    driver && `Biggest change: ${driver.dimension} = ${driver.value} (${driver.actual} vs ${driver.expected}).`,
+    alert.explanation,
+  ];
+  return {
+    title: `🚨 ${monitor.name}: ${monitor.metric} ${alert.direction} — ${property.name}`,
+    content: lines.filter(Boolean).join("\n\n"),
+    footer: `Monitor "${monitor.name}" (${monitor.method}, ${monitor.granularity}), property ${property.id}`,
+    payload: {
+      monitor: {
+        id: monitor.id,
+        name: monitor.name,
+        metric: monitor.metric,
+        granularity: monitor.granularity,
+        method: monitor.method,
+      },
+      property: { id: property.id, name: property.name },
+      alert,
+    },
+  };
+}
+
+/**
+ * Check a monitor now and record the check (and any alert) in its history and
+ * the audit trail
+ * @param {Object} monitor - Full monitor record
+ * @param {string} [trigger] - "schedule" or "manual"
+ * @returns {Promise<Object>} The check: { id, trigger, checkedAt, status: "ok" | "anomaly" | "failed",
+ *   attempts, period?, value?, expected?, lower?, upper?, score?, reason?, alertId?, error? }
+ */
+function checkMonitor(monitor, trigger = "schedule") {
+  return auditRun(
+    "monitor",
+    {
+      user: { id: monitor.ownerId },
+      subject: `${monitor.name} (${monitor.id}, ${trigger})`,
+      propertyId: monitor.propertyId,
+    },
+    () => runCheck(monitor, trigger)
+  );
+}
+
+async function runCheck(monitor, trigger) {
+  const check = {
+    id: `chk_${crypto.randomBytes(6).toString("hex")}`,
+    trigger,
+    checkedAt: new Date().toISOString(),
+  };
+  const property = getProperty(monitor.propertyId);
+  const periods = periodsFor(monitor, new Date(), { timeZone: property?.timeZone });
+  const timeDimension = TIME_DIMENSION[monitor.granularity];
+
+  const fetched = property
+    ? await withRetries(() => fetchRows(monitor, property, periods, [timeDimension]))
+    : { error: `Unknown property "${monitor.propertyId}"`, attempts: 0 };
+  check.attempts = fetched.attempts;
+  if (fetched.error) {
+    log.error("monitor check failed", { monitorId: monitor.id, error: fetched.error });
+    Object.assign(check, { status: "failed", error: fetched.error });
+    monitors.recordCheck(monitor.id, check);
+    return check;
+  }
+
+  const values = seriesFrom(fetched.result, periods, timeDimension, monitor.metric);
+  const { baseline, ...result } = detect(values, monitor);
+  const period = periods[periods.length - 1];
+  Object.assign(check, {
+    status: result.anomalous ? "anomaly" : "ok",
+    period,
+    value: result.value,
+    expected: result.expected,
+    lower: result.lower,
+    upper: result.upper,
+    score: result.score,
+    ...(result.reason ? { reason: result.reason } : {}),
+  });
+
+  // Already alerted for this period
+  const existing = result.anomalous && monitor.alerts.find((a) => a.period === period);
+  if (!result.anomalous || existing) {
+    if (existing) check.alertId = existing.id;
+    monitors.recordCheck(monitor.id, check);
+    return check;
+  }
+
+  const drivers = await findDrivers(monitor, property, periods, baseline);
+  const guard = createGuard();
+  const response = await formatAnswer(explainPrompt(monitor, { periods, values, result, drivers }, guard));
+  const alert = {
+    id: `alt_${crypto.randomBytes(6).toString("hex")}`,
+    createdAt: new Date().toISOString(),
+    period,
+    value: result.value,
+    expected: result.expected,
+    lower: result.lower,
+    upper: result.upper,
+    score: result.score,
+    direction: result.direction,
+    reason: result.reason,
+    drivers,
+    explanation: guard.restore(response.content) || "No explanation available (the AI request failed).",
+    acknowledgedAt: null,
+  };
+  alert.deliveries = await deliverAll(monitor.destinations, alertMessage(monitor, property, alert));
+
+  check.alertId = alert.id;
+  monitors.recordCheck(monitor.id, check, alert);
+  return check;
+}
+
+module.exports = { checkMonitor };
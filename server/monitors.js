@@ -0,0 +1,270 @@
+/**
+ * Metric Monitors
+ * A metric (optionally filtered) watched for anomalies on a cron schedule,
+ * stored in DATA_DIR/monitors.json with its recent checks and the alerts it
+ * raised. ./monitoring runs the checks; ./anomaly decides what is an anomaly.
+ */
+
+const crypto = require("crypto");
+const { readJson, writeJson } = require("./store");
+const { parseCron, nextRun } = require("./cron");
+const { normalizeDestination } = require("./webhooks");
+const { getProperty } = require("./properties");
+const { METHODS, GRANULARITIES } = require("./anomaly");
+
+const MONITORS_FILE = "monitors.json";
+
+// Kept per monitor, newest first
+const CHECK_HISTORY = 30;
+const ALERT_HISTORY = 50;
+
+const MAX_DESTINATIONS = 5;
+const MAX_BREAKDOWNS = 4;
+
+// Checked just after the period closes
+const DEFAULT_CRON = { daily: "0 6 * * *", hourly: "10 * * * *" };
+const DEFAULT_BREAKDOWNS = ["sessionDefaultChannelGroup", "deviceCategory", "country"];
+
+function load() {
+  return readJson(MONITORS_FILE, []);
+}
+
+function save(monitors) {
+  writeJson(MONITORS_FILE, monitors);
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString("hex")}`;
+}
+
+/**
+ * List view: the monitor and its latest check, without the history
+ */
+function summarize({ ownerId, checks, alerts, ...monitor }) {
+  return {
+    ...monitor,
+    lastCheck: checks[0] || null,
+    openAlerts: alerts.filter((a) => !a.acknowledgedAt).length,
+  };
+}
+
+function optionalNumber(value, label) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new Error(`${label} must be a number`);
+  return n;
+}
+
+function boundedInteger(value, fallback, min, max, label) {
+  const n = value === undefined || value === null || value === "" ? fallback : Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new Error(`${label} must be a whole number from ${min} to ${max}`);
+  }
+  return n;
+}
+
+/**
+ * Check and normalize the editable fields; `current` fills in what isn't given
+ * @throws {Error} Saying what is wrong
+ */
+function normalize(input, current = {}) {
+  const merged = { ...current, ...input };
+
+  const name = typeof merged.name === "string" ? merged.name.trim().slice(0, 100) : "";
+  if (!name) throw new Error("Name is required");
+
+  const property = getProperty(merged.propertyId);
+  if (!property) throw new Error(`Unknown property "${merged.propertyId}"`);
+
+  if (!merged.metric || typeof merged.metric !== "string") throw new Error("Metric is required");
+
+  const granularity = merged.granularity || "daily";
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(`Granularity must be one of ${GRANULARITIES.join(", ")}`);
+  }
+  const method = merged.method || "rolling";
+  if (!METHODS.includes(method)) throw new Error(`Method must be one of ${METHODS.join(", ")}`);
+
+  const min = optionalNumber(merged.min, "Minimum");
+  const max = optionalNumber(merged.max, "Maximum");
+  if (method === "threshold" && min === null && max === null) {
+    throw new Error("A threshold monitor needs a minimum or a maximum");
+  }
+  if (min !== null && max !== null && min > max) throw new Error("Minimum is above the maximum");
+
+  const sensitivity = Number(merged.sensitivity ?? 3);
+  if (!Number.isFinite(sensitivity) || sensitivity < 1 || sensitivity > 10) {
+    throw new Error("Sensitivity must be 1 to 10 standard deviations");
+  }
+
+  // A default schedule follows the granularity; a custom one is kept
+  let cron = input.cron || current.cron;
+  if (!cron || (!input.cron && cron === DEFAULT_CRON[current.granularity])) {
+    cron = DEFAULT_CRON[granularity];
+  }
+  parseCron(cron);
+
+  const seasonal = method === "seasonal";
+  const window = boundedInteger(merged.window, seasonal ? 4 : 14, 2, seasonal ? 8 : 90, "Window");
+
+  const breakdowns = merged.breakdowns ?? DEFAULT_BREAKDOWNS;
+  if (!Array.isArray(breakdowns) || breakdowns.length > MAX_BREAKDOWNS) {
+    throw new Error(`Breakdowns must be a list of at most ${MAX_BREAKDOWNS} dimensions`);
+  }
+
+  const destinations = merged.destinations ?? [];
+  if (!Array.isArray(destinations) || destinations.length > MAX_DESTINATIONS) {
+    throw new Error(`At most ${MAX_DESTINATIONS} destinations`);
+  }
+
+  return {
+    name,
+    propertyId: property.id,
+    metric: merged.metric,
+    dimensionFilter: merged.dimensionFilter || null,
+    granularity,
+    method,
+    window,
+    sensitivity,
+    min,
+    max,
+    cron: cron.trim(),
+    breakdowns,
+    destinations: destinations.map(normalizeDestination),
+    enabled: merged.enabled !== false,
+  };
+}
+
+function nextRunAt(monitor, after = new Date()) {
+  if (!monitor.enabled) return null;
+  return nextRun(monitor.cron, after)?.toISOString() || null;
+}
+
+/**
+ * Save a new monitor
+ * @param {string} ownerId
+ * @param {Object} input - { name, propertyId, metric, dimensionFilter?, granularity?, method?,
+ *   window?, sensitivity?, min?, max?, cron?, breakdowns?, destinations?, enabled? }
+ * @returns {Object} The monitor (summary view)
+ */
+function createMonitor(ownerId, input) {
+  const now = new Date().toISOString();
+  const monitor = {
+    id: newId("mon"),
+    ownerId,
+    ...normalize(input),
+    createdAt: now,
+    updatedAt: now,
+    checks: [],
+    alerts: [],
+  };
+  monitor.nextRunAt = nextRunAt(monitor);
+
+  save([...load(), monitor]);
+  return summarize(monitor);
+}
+
+/**
+ * A user's monitor with its checks and alerts, or null if it isn't theirs
+ */
+function getMonitor(id, ownerId) {
+  const monitor = load().find((m) => m.id === id);
+  if (!monitor || monitor.ownerId !== ownerId) return null;
+  return monitor;
+}
+
+function listMonitors(ownerId) {
+  return load()
+    .filter((m) => m.ownerId === ownerId)
+    .map(summarize)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Change a monitor's fields (anything normalize accepts)
+ * @throws {Error} If it doesn't exist or the change is invalid
+ */
+function updateMonitor(id, changes) {
+  const monitors = load();
+  const monitor = monitors.find((m) => m.id === id);
+  if (!monitor) throw new Error(`Monitor "${id}" not found`);
+
+  Object.assign(monitor, normalize(changes, monitor), { updatedAt: new Date().toISOString() });
+  monitor.nextRunAt = nextRunAt(monitor);
+  save(monitors);
+  return summarize(monitor);
+}
+
+function deleteMonitor(id) {
+  save(load().filter((m) => m.id !== id));
+}
+
+/**
+ * Enabled monitors due at `now`, moved on to their next check time
+ * @returns {Object[]} The due monitors (full records)
+ */
+function claimDue(now = new Date()) {
+  const monitors = load();
+  const due = monitors.filter((m) => m.enabled && m.nextRunAt && new Date(m.nextRunAt) <= now);
+  if (due.length === 0) return [];
+
+  for (const monitor of due) monitor.nextRunAt = nextRunAt(monitor, now);
+  save(monitors);
+  return due;
+}
+
+/**
+ * Add a finished check, and the alert it raised if any, to a monitor's history
+ * (no-op if it was deleted meanwhile)
+ */
+function recordCheck(id, check, alert = null) {
+  const monitors = load();
+  const monitor = monitors.find((m) => m.id === id);
+  if (!monitor) return;
+
+  monitor.checks = [check, ...monitor.checks].slice(0, CHECK_HISTORY);
+  if (alert) monitor.alerts = [alert, ...monitor.alerts].slice(0, ALERT_HISTORY);
+  save(monitors);
+}
+
+/**
+ * A user's alerts across their monitors, newest first
+ * @param {string} ownerId
+ * @param {Object} [options]
+ * @param {boolean} [options.open] - Only those not acknowledged yet
+ */
+function listAlerts(ownerId, { open = false } = {}) {
+  return load()
+    .filter((m) => m.ownerId === ownerId)
+    .flatMap((m) => m.alerts.map((a) => ({ ...a, monitorId: m.id, monitorName: m.name })))
+    .filter((a) => !open || !a.acknowledgedAt)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Mark one of a user's alerts as seen
+ * @returns {Object|null} The alert, or null if it isn't theirs
+ */
+function acknowledgeAlert(alertId, ownerId) {
+  const monitors = load();
+  for (const monitor of monitors.filter((m) => m.ownerId === ownerId)) {
+    const alert = monitor.alerts.find((a) => a.id === alertId);
+    if (!alert) continue;
+    alert.acknowledgedAt = alert.acknowledgedAt || new Date().toISOString();
+    save(monitors);
+    return alert;
+  }
+  return null;
+}
+
+module.exports = {
+  createMonitor,
+  getMonitor,
+  listMonitors,
+  updateMonitor,
+  deleteMonitor,
+  claimDue,
+  recordCheck,
+  listAlerts,
+  acknowledgeAlert,
+};
@@ -0,0 +1,131 @@
+/**
+ * OpenAI-compatible provider
+ * Any endpoint that speaks the /chat/completions API: OpenAI itself, or a
+ * local server such as Ollama (OPENAI_BASE_URL=http://localhost:11434/v1).
+ */
+
+const { log } = require("./logger");
+
+// ─── Chat-completions tool format (also used by groq.js) ──
+
+function toFunctionTool({ name, description, parameters }) {
+  return { type: "function", function: { name, description, parameters } };
+}
+
+/**
+ * { text, toolCalls } from a chat-completions assistant message. Arguments
+ * arrive as a JSON string; unparseable ones become {} and fail validation.
+ */
+function fromChatMessage(message = {}) {
+  return {
+    text: message.content || "",
+    toolCalls: (message.tool_calls || []).map((call) => {
+      let input = {};
+      try {
+        input = JSON.parse(call.function.arguments || "{}");
+      } catch (err) {
+        log.warn("unparseable tool arguments", { err, raw: call.function.arguments });
+      }
+      return { id: call.id, name: call.function.name, input };
+    }),
+  };
+}
+
+// ─── Provider ─────────────────────────────────────────────
+
+function model() {
+  return process.env.OPENAI_MODEL;
+}
+
+async function post(body) {
+  const baseUrl = process.env.OPENAI_BASE_URL.replace(/\/+$/, "");
+  const headers = { "Content-Type": "application/json" };
+  // Local endpoints usually don't need a key
+  if (process.env.OPENAI_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+  }
+
+  const res = await fetch(`${baseUrl}/chat/completions`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ model: model(), temperature: 0.3, max_tokens: 2048, ...body }),
+  });
+
+  if (!res.ok) {
+    const detail = (await res.text()).slice(0, 300);
+    const err = new Error(`${baseUrl} returned ${res.status}: ${detail}`);
+    err.status = res.status;
+    throw err;
+  }
+  return res;
+}
+
+/**
+ * @param {Object} request - { system, messages: [{ role, content }] }
+ * @param {Object} [usage] - Receives `tokens` billed, when the endpoint says
+ * @returns {Promise<string>} The model's reply
+ */
+async function complete({ system, messages }, usage = {}) {
+  const res = await post({ messages: [{ role: "system", content: system }, ...messages] });
+  const data = await res.json();
+  usage.tokens = data.usage?.total_tokens;
+  return data.choices?.[0]?.message?.content || "";
+}
+
+/**
+ * @param {Object} request - { system, messages, tools: [{ name, description, parameters }] }
+ * @returns {Promise<Object>} { text, toolCalls: [{ id, name, input }], tokens? }
+ */
+async function callTools({ system, messages, tools }) {
+  const res = await post({
+    messages: [{ role: "system", content: system }, ...messages],
+    tools: tools.map(toFunctionTool),
+    tool_choice: "auto",
+  });
+  const data = await res.json();
+  return { ...fromChatMessage(data.choices?.[0]?.message), tokens: data.usage?.total_tokens };
+}
+
+/**
+ * @param {Object} request - { system, messages: [{ role, content }] }
+ * @param {Object} [usage] - Receives `tokens` billed, when the endpoint says
+ * @returns {AsyncGenerator<string>} Text chunks as they arrive
+ */
+async function* stream({ system, messages }, usage = {}) {
+  const res = await post({
+    messages: [{ role: "system", content: system }, ...messages],
+    stream: true,
+    // A last chunk with the usage and no choices
+    stream_options: { include_usage: true },
+  });
+
+  // Server-Sent Events: "data: {...}" lines, ending with "data: [DONE]"
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const bytes of res.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const data = line.trim().replace(/^data:\s*/, "");
+      if (!line.trim().startsWith("data:") || data === "[DONE]") continue;
+      const chunk = JSON.parse(data);
+      if (chunk.usage?.total_tokens) usage.tokens = chunk.usage.total_tokens;
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+}
+
+module.exports = {
+  name: "openai",
+  label: "OpenAI-compatible",
+  requiredEnv: ["OPENAI_BASE_URL", "OPENAI_MODEL"],
+  model,
+  complete,
+  callTools,
+  stream,
+  toFunctionTool,
+  fromChatMessage,
+};
@@ -0,0 +1,295 @@
+/**
+ * Privacy Guardrail
+ * Keeps raw GA4 rows out of third-party model prompts. Before report data
+ * reaches a model it is minimized — the top PRIVACY_MAX_ROWS rows plus
+ * server-side aggregates of the rest — and sensitive values are swapped for
+ * placeholders such as [EMAIL_1], /checkout?[QUERY_2] or [city_3]:
+ *   - URL query strings and email addresses, wherever they appear
+ *   - whatever PRIVACY_PATTERNS (a JSON list of regexes) matches
+ *   - every value of the dimensions in PRIVACY_DIMENSIONS (e.g. city,campaignName),
+ *     also where earlier answers quote them
+ * The model's answer is put back together server-side: placeholders become the
+ * original values again (PRIVACY_MODE=pseudonymize, the default) or stay hidden
+ * as [withheld] (redact). PRIVACY_MODE=off sends values as they are.
+ *
+ * One guard per question, so the same value gets the same placeholder in every
+ * prompt of that question and `withheld()` can say what was kept back.
+ */
+
+const { log } = require("./logger");
+const { isAdditive } = require("./formatting");
+
+const MODES = ["pseudonymize", "redact", "off"];
+const NOT_A_VALUE = new Set(["", "(not set)", "(other)", "(data not available)"]);
+
+// Placeholders as the model writes them back: [EMAIL_1], [city_3], [customEvent:plan_2]
+const PLACEHOLDER = /\[[\w:]+_\d+\]/g;
+
+// A placeholder cut off at the end of a streamed chunk: held back until the rest arrives
+const PARTIAL_PLACEHOLDER = /\[[\w:]*(?:_\d*)?$/;
+
+const EMAIL = /[\w.%+-]+(?:@|%40)[a-z\d-]+(?:\.[a-z\d-]+)*\.[a-z]{2,}/gi;
+
+// The query string of a path or URL: "/checkout?step=2" keeps "/checkout?"
+const QUERY_STRING = /((?:https?:\/\/[^\s/?#"'`<>()[\]|*]+)?\/[^\s?#"'`<>()[\]|*]*\?)([^\s#"'`<>()[\]|*]+)/gi;
+
+function mode() {
+  const value = (process.env.PRIVACY_MODE || "pseudonymize").toLowerCase();
+  return MODES.includes(value) ? value : "pseudonymize";
+}
+
+function maxRows() {
+  const value = Number(process.env.PRIVACY_MAX_ROWS ?? 50);
+  return Number.isFinite(value) && value > 0 ? Math.floor(value) : Infinity;
+}
+
+function sensitiveDimensions() {
+  return new Set(
+    (process.env.PRIVACY_DIMENSIONS || "")
+      .split(",")
+      .map((d) => d.trim())
+      .filter(Boolean)
+  );
+}
+
+let patterns = null;
+function customPatterns() {
+  if (patterns) return patterns;
+  patterns = [];
+  try {
+    const list = JSON.parse(process.env.PRIVACY_PATTERNS || "[]");
+    for (const source of Array.isArray(list) ? list : []) {
+      patterns.push(new RegExp(source, "gi"));
+    }
+  } catch (err) {
+    log.warn("PRIVACY_PATTERNS must be a JSON list of regular expressions; ignoring it", { err });
+  }
+  return patterns;
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Min, max and mean of each metric across rows
+ */
+function statsOf(rows, metrics) {
+  return Object.fromEntries(
+    metrics.map((metric) => {
+      const values = rows.map((row) => Number(row[metric])).filter(Number.isFinite);
+      return [
+        metric,
+        {
+          min: Math.min(...values),
+          max: Math.max(...values),
+          mean: round(values.reduce((s, v) => s + v, 0) / values.length),
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * A guard for one question's prompts
+ * @returns {Object} { mask, maskText, protect, report, restore, restoreStream, reveal, instructions, withheld }
+ */
+function createGuard() {
+  const active = mode() !== "off";
+  const dimensions = sensitiveDimensions();
+  const placeholders = new Map(); // placeholder → original
+  const byValue = new Map(); // `${label}\u0000${original}` → placeholder
+  const counts = new Map(); // label → count, in the order first seen
+  const summarized = new Map(); // report id → { report, sent, rows }, as last shown
+  const known = new Map(); // protected value → its dimension, from earlier reports (see protect)
+  let knownPattern = null;
+
+  function placeholderFor(label, original) {
+    const key = `${label}\u0000${original}`;
+    if (!byValue.has(key)) {
+      const n = (counts.get(label) || 0) + 1;
+      counts.set(label, n);
+      const placeholder = `[${label}_${n}]`;
+      byValue.set(key, placeholder);
+      placeholders.set(placeholder, original);
+    }
+    return byValue.get(key);
+  }
+
+  /**
+   * Remember the PRIVACY_DIMENSIONS values of an earlier report, so maskText()
+   * replaces them wherever they are quoted (an earlier answer, a follow-up)
+   * @param {Object} rawData - queryGA4 result
+   */
+  function protect(rawData) {
+    if (!active || !rawData?.rows) return;
+    const protectedDimensions = (rawData.metadata?.dimensions || []).filter((d) => dimensions.has(d));
+    for (const row of rawData.rows) {
+      for (const dimension of protectedDimensions) {
+        const value = row[dimension];
+        if (typeof value === "string" && !NOT_A_VALUE.has(value) && !known.has(value)) {
+          known.set(value, dimension);
+          knownPattern = null;
+        }
+      }
+    }
+  }
+
+  // Any remembered value as a whole word, longest first so "New York City" beats "New York"
+  function knownValues() {
+    if (!knownPattern && known.size > 0) {
+      const alternatives = [...known.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map((value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+      knownPattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}_])`, "gu");
+    }
+    return knownPattern;
+  }
+
+  /**
+   * Free text (questions, earlier answers, query params) with pattern matches
+   * and remembered values swapped out
+   */
+  function maskText(text) {
+    if (!active || typeof text !== "string") return text;
+    let masked = text;
+    const values = knownValues();
+    if (values) masked = masked.replace(values, (match) => placeholderFor(known.get(match), match));
+    for (const pattern of customPatterns()) {
+      masked = masked.replace(pattern, (match) => placeholderFor("REDACTED", match));
+    }
+    masked = masked.replace(QUERY_STRING, (match, path, query) => path + placeholderFor("QUERY", query));
+    return masked.replace(EMAIL, (match) => placeholderFor("EMAIL", match));
+  }
+
+  /**
+   * One dimension value: wholly replaced for PRIVACY_DIMENSIONS, otherwise pattern-masked
+   */
+  function mask(value, dimension) {
+    if (!active || typeof value !== "string") return value;
+    if (dimensions.has(dimension) && !NOT_A_VALUE.has(value)) return placeholderFor(dimension, value);
+    return maskText(value);
+  }
+
+  function maskRow(row, rowDimensions) {
+    const masked = { ...row };
+    for (const dimension of rowDimensions) {
+      if (dimension in masked) masked[dimension] = mask(masked[dimension], dimension);
+    }
+    return masked;
+  }
+
+  /**
+   * What a model is shown of a report: at most `limit` rows, masked, with
+   * server-side aggregates (`rest`, `stats`) standing in for the others
+   * @param {string} id - Report id ("R1"), for `withheld()`
+   * @param {Object} rawData - queryGA4 result
+   * @param {number} [limit] - Defaults to PRIVACY_MAX_ROWS
+   */
+  function report(id, rawData, limit = maxRows()) {
+    const { rows, totals, metadata } = rawData;
+    const { cache, propertyId, ...about } = metadata;
+    const shown = rows.slice(0, limit).map((row) => maskRow(row, metadata.dimensions));
+    const data = { rows: shown, totals, metadata: about };
+
+    const omitted = rows.slice(shown.length);
+    summarized.delete(id);
+    if (omitted.length > 0) {
+      summarized.set(id, { report: id, sent: shown.length, rows: rows.length });
+      data.rest = { rows: omitted.length };
+      // Comparison rows nest their values per range; only flat rows are aggregated,
+      // and only additive metrics can be summed for "the other rows"
+      if (!metadata.comparison) {
+        for (const metric of metadata.metrics) {
+          if (isAdditive(rows, metric, totals[metric], !metadata.truncated)) {
+            data.rest[metric] = round(omitted.reduce((s, row) => s + (Number(row[metric]) || 0), 0));
+          }
+        }
+        data.stats = statsOf(rows, metadata.metrics);
+      }
+    }
+    return data;
+  }
+
+  function restoreOnce(text, redact) {
+    return text.replace(PLACEHOLDER, (placeholder) => {
+      if (!placeholders.has(placeholder)) return placeholder;
+      return redact ? "[withheld]" : placeholders.get(placeholder);
+    });
+  }
+
+  function restoreWith(text, redact) {
+    if (placeholders.size === 0 || typeof text !== "string") return text;
+    // Placeholders can hide inside others' originals (a pattern match in a query string)
+    let restored = text;
+    for (let pass = 0; pass < 3; pass++) {
+      const next = restoreOnce(restored, redact);
+      if (next === restored) break;
+      restored = next;
+    }
+    return restored;
+  }
+
+  /**
+   * The model's text with placeholders turned back into values (or [withheld])
+   */
+  function restore(text) {
+    return restoreWith(text, mode() === "redact");
+  }
+
+  /**
+   * Query params the model wrote, with any placeholder in them (a filter value)
+   * turned back into the real value so the report can run
+   */
+  function reveal(params) {
+    if (typeof params === "string") return restoreWith(params, false);
+    if (Array.isArray(params)) return params.map(reveal);
+    if (params && typeof params === "object") {
+      return Object.fromEntries(Object.entries(params).map(([key, value]) => [key, reveal(value)]));
+    }
+    return params;
+  }
+
+  /**
+   * restore() over a stream of text chunks, holding back a placeholder split across chunks
+   * @param {AsyncIterable<string>} chunks
+   * @returns {AsyncGenerator<string>}
+   */
+  async function* restoreStream(chunks) {
+    let pending = "";
+    for await (const chunk of chunks) {
+      pending += chunk;
+      const partial = PARTIAL_PLACEHOLDER.exec(pending);
+      const ready = partial ? pending.slice(0, partial.index) : pending;
+      pending = pending.slice(ready.length);
+      if (ready) yield restore(ready);
+    }
+    if (pending) yield restore(pending);
+  }
+
+  /**
+   * Prompt text telling the model how to treat placeholders, once there are any
+   */
+  function instructions() {
+    if (placeholders.size === 0) return "";
+    return `Values in square brackets such as ${[...placeholders.keys()][0]} stand in for values
+       withheld for privacy. Copy them exactly as written wherever you mention them, and
+       never guess what they stand for.`;
+  }
+
+  /**
+   * What was kept from the model, for the response
+   * @returns {Object|null} { mode, values: [{ kind, count }], rows: [{ report, sent, rows }] },
+   *   or null when nothing was
+   */
+  function withheld() {
+    if (counts.size === 0 && summarized.size === 0) return null;
+    return {
+      mode: mode(),
+      values: [...counts].map(([kind, count]) => ({ kind, count })),
+      rows: [...summarized.values()],
+    };
+  }
+
+  return { mask, maskText, protect, report, restore, restoreStream, reveal, instructions, withheld };
+}
+
+module.exports = { createGuard };
@@ -0,0 +1,320 @@
+/**
+ * Prompts, the GA4 report tool and reply handling shared by every AI provider
+ * Providers only move text and tool calls to and from their API; what we ask
+ * for and how the answer is read lives here.
+ */
+
+const { formatCatalogue } = require("./schema");
+
+// Messages of chat history sent as context for a follow-up
+const HISTORY_LENGTH = 8;
+
+// Reports the model may request in one turn
+const MAX_REPORTS = 5;
+
+const REPORT_TOOL_NAME = "run_ga4_report";
+
+const dateField = (what) => ({
+  type: "string",
+  description: `${what}: "YYYY-MM-DD", "today", "yesterday" or "NdaysAgo"`,
+});
+
+/**
+ * The tool the model calls to request a GA4 report. `parameters` is JSON
+ * Schema; each provider adapter wraps it in its own tool format.
+ */
+const REPORT_TOOL = {
+  name: REPORT_TOOL_NAME,
+  description:
+    "Run a Google Analytics 4 report. Call once per report needed; several calls in one turn run together.",
+  parameters: {
+    type: "object",
+    properties: {
+      dimensions: {
+        type: "array",
+        items: { type: "string" },
+        description: "GA4 dimension names (e.g. date, country). Empty for overall totals.",
+      },
+      metrics: {
+        type: "array",
+        items: { type: "string" },
+        description: "GA4 metric names (e.g. totalUsers, sessions). At least one, except for funnels.",
+      },
+      startDate: dateField("Start date"),
+      endDate: dateField("End date"),
+      dateRanges: {
+        type: "array",
+        description:
+          "Period comparisons only, instead of startDate/endDate. The period asked about comes first.",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string", description: 'e.g. "current", "previous"' },
+            startDate: dateField("Start date"),
+            endDate: dateField("End date"),
+          },
+          required: ["startDate", "endDate"],
+        },
+      },
+      limit: { type: "integer", description: "Max rows (default 20, max 100)" },
+      orderBys: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            metric: {
+              type: "object",
+              properties: { metricName: { type: "string" } },
+              required: ["metricName"],
+            },
+            dimension: {
+              type: "object",
+              properties: { dimensionName: { type: "string" } },
+              required: ["dimensionName"],
+            },
+            desc: { type: "boolean" },
+          },
+        },
+      },
+      dimensionFilter: {
+        type: "object",
+        description:
+          "GA4 FilterExpression on dimensions, to narrow the data to a segment (e.g. mobile traffic, one country, /blog pages). See FILTERS.",
+      },
+      metricFilter: {
+        type: "object",
+        description:
+          "GA4 FilterExpression on the report's metrics, applied to the aggregated rows (e.g. pages with more than 100 sessions). See FILTERS.",
+      },
+      realtime: {
+        type: "boolean",
+        description:
+          "Realtime report of the last 30 minutes (who's on the site right now). Realtime fields only; no dates.",
+      },
+      minutes: { type: "integer", description: "Realtime only: minutes to look back, 1-30 (default 30)" },
+      funnel: {
+        type: "object",
+        description:
+          "Funnel report instead of dimensions and metrics: how many users reach each step in order, and where they drop off. See FUNNELS.",
+        properties: {
+          steps: {
+            type: "array",
+            description: "2-10 steps in order",
+            items: {
+              type: "object",
+              properties: {
+                name: { type: "string", description: 'e.g. "Viewed product"' },
+                event: { type: "string", description: "Event name that completes the step (e.g. add_to_cart)" },
+                page: { type: "string", description: "Or a page path viewed (e.g. /checkout)" },
+                match: { type: "string", description: "How page matches pagePath: EXACT (default), BEGINS_WITH, CONTAINS, ..." },
+              },
+            },
+          },
+          open: { type: "boolean", description: "Open funnel: users may enter at any step (default closed)" },
+          breakdown: { type: "string", description: "Dimension to split each step by (e.g. deviceCategory)" },
+        },
+        required: ["steps"],
+      },
+      refine: {
+        type: "object",
+        description:
+          "Follow-ups only: change one of the previous answer's reports (P1, P2, ...) instead of writing the query again. Give only what changes; leave every other field out. See FOLLOW-UPS.",
+        properties: {
+          report: { type: "string", description: 'The previous report to change, e.g. "P1"' },
+          addDimensions: { type: "array", items: { type: "string" } },
+          removeDimensions: { type: "array", items: { type: "string" } },
+          addMetrics: { type: "array", items: { type: "string" } },
+          removeMetrics: { type: "array", items: { type: "string" } },
+          startDate: dateField("New start date"),
+          endDate: dateField("New end date"),
+          dateRanges: { type: "array", description: "New comparison ranges", items: { type: "object" } },
+          addFilter: {
+            type: "object",
+            description: "Dimension FilterExpression added to (ANDed with) the report's filter",
+          },
+          metricFilter: { type: "object", description: "Replaces the report's metricFilter" },
+          removeFilters: { type: "boolean", description: "Drop the report's filters" },
+          orderBys: { type: "array", description: "Replaces the report's sort", items: { type: "object" } },
+          limit: { type: "integer" },
+        },
+        required: ["report"],
+      },
+    },
+  },
+};
+
+/**
+ * System prompt for query interpretation
+ * @param {Object} [catalogue] - The property's fields from ./metadata (custom ones are listed)
+ */
+const systemPrompt = (catalogue = null) => `You are a Google Analytics 4 data analyst assistant for a team. Your job is to interpret natural language questions about website analytics and fetch the data that answers them with the ${REPORT_TOOL_NAME} tool.
+
+${formatCatalogue(catalogue)}
+
+DATE FORMATS:
+- Specific dates: "YYYY-MM-DD" (e.g., "2026-01-15")
+- Relative dates: "today", "yesterday", "NdaysAgo" (e.g., "7daysAgo", "30daysAgo")
+
+RULES:
+1. To answer with data, call ${REPORT_TOOL_NAME}. Call it several times in one turn when the
+   question needs several reports (e.g. a breakdown by channel plus the overall total) — at most ${MAX_REPORTS}
+2. You work in steps: after your reports run you see their results and may call the tool again to dig
+   deeper (e.g. "why did traffic drop on Tuesday?": the daily trend first, then channels and landing pages
+   for that day). Only ask for what the question needs. Once you have enough data, reply in plain text
+   with a one or two sentence summary of what it shows — the full answer is written afterwards
+3. Choose appropriate dimensions and metrics based on the question
+4. Use sensible date ranges (default: last 7 days)
+5. Set reasonable limits (default: 20, max: 100)
+6. If the question cannot be answered with GA4 data, don't call the tool — reply in plain text
+7. For ambiguous questions, make reasonable assumptions and note them
+8. For comparisons ("this week vs last week", "month over month"), use "dateRanges" instead of startDate/endDate.
+   Put the period being asked about first; changes are reported relative to the later entries.
+   Do not use date, dateHour or dateHourMinute as dimensions in a comparison
+9. For "right now", "currently", "live" or "in the last N minutes" questions, set "realtime": true (and
+   "minutes" if asked) with only the REALTIME fields, e.g. activeUsers by country or unifiedScreenName (page)
+10. When the question names a segment ("mobile", "from France", "on /blog pages", "organic search",
+   "pages with over 100 views"), filter for it rather than dropping it — see FILTERS
+11. For funnel or drop-off questions ("where do users drop off between product page and purchase?",
+   "checkout conversion by step"), run a funnel report — see FUNNELS
+12. For follow-ups that change the previous answer ("now split that by device", "same but last month",
+   "only mobile", "sort by bounce rate"), refine its report rather than rewriting it — see FOLLOW-UPS
+
+FILTERS:
+A filter expression is one of:
+- {"filter": {"fieldName": "...", <one condition>}}
+- {"andGroup": {"expressions": [...]}} — all must match; {"orGroup": {"expressions": [...]}} — any may match
+- {"notExpression": {...}} — excludes what it matches
+Conditions:
+- "stringFilter": {"matchType": "EXACT" | "BEGINS_WITH" | "ENDS_WITH" | "CONTAINS" | "FULL_REGEXP" | "PARTIAL_REGEXP", "value": "...", "caseSensitive": false}
+- "inListFilter": {"values": ["...", "..."]}
+- "numericFilter": {"operation": "EQUAL" | "LESS_THAN" | "LESS_THAN_OR_EQUAL" | "GREATER_THAN" | "GREATER_THAN_OR_EQUAL", "value": {"int64Value": "100"} or {"doubleValue": 0.5}}
+- "betweenFilter": {"fromValue": {...}, "toValue": {...}}
+- "emptyFilter": {}
+"dimensionFilter" narrows the data by dimension values (any dimension, not only the ones in the report).
+"metricFilter" keeps report rows by their metric values; it may only use the report's metrics and numeric,
+between or empty conditions. Rates are ratios: "bounce rate above 50%" is {"doubleValue": 0.5}.
+Match dimension values as GA4 stores them: deviceCategory is "mobile", "desktop" or "tablet";
+countries are English names ("France"); sessionDefaultChannelGroup values are like "Organic Search".
+
+FUNNELS:
+"funnel" replaces dimensions and metrics (leave them out). Each step is an event ("event": "add_to_cart") or
+a page view ("page": "/checkout", with "match": "BEGINS_WITH" for a section); list them in the order users take.
+Funnels are closed by default (users must start at the first step); set "open": true when users may join
+midway. "breakdown" splits every step by one dimension, with "limit" (default 5) values. Use startDate/endDate,
+never dateRanges. Each row has the step's activeUsers, completionRate and dropOffs/dropOffRate to the next step,
+and overallRate from the first step. Standard ecommerce events: view_item, add_to_cart, begin_checkout,
+add_payment_info, purchase.
+
+FOLLOW-UPS:
+When the question lists "Reports behind the previous answer" (P1, P2, ...) and asks to change one of them,
+call ${REPORT_TOOL_NAME} with only {"refine": {"report": "P1", <changes>}}. The report's other dimensions,
+metrics, dates and filters are kept as they were. Changes: addDimensions/removeDimensions,
+addMetrics/removeMetrics, startDate/endDate or dateRanges, addFilter (narrows the existing filter),
+metricFilter, removeFilters, orderBys, limit. On a funnel, addDimensions sets its breakdown.
+For a new question that doesn't build on those reports, write the whole query as usual.
+
+EXAMPLE ${REPORT_TOOL_NAME} input for "now split that by device, for last month" after a report P1:
+{"refine": {"report": "P1", "addDimensions": ["deviceCategory"], "startDate": "30daysAgo", "endDate": "yesterday"}}
+
+EXAMPLE ${REPORT_TOOL_NAME} input for a period comparison:
+{
+  "dimensions": ["sessionDefaultChannelGroup"],
+  "metrics": ["sessions", "totalUsers"],
+  "dateRanges": [
+    {"name": "current", "startDate": "7daysAgo", "endDate": "yesterday"},
+    {"name": "previous", "startDate": "14daysAgo", "endDate": "8daysAgo"}
+  ],
+  "limit": 20
+}
+
+EXAMPLE ${REPORT_TOOL_NAME} input for "where do mobile and desktop shoppers drop off in checkout?":
+{
+  "funnel": {
+    "steps": [
+      {"name": "Viewed product", "event": "view_item"},
+      {"name": "Added to cart", "event": "add_to_cart"},
+      {"name": "Checkout page", "page": "/checkout", "match": "BEGINS_WITH"},
+      {"name": "Purchased", "event": "purchase"}
+    ],
+    "breakdown": "deviceCategory"
+  },
+  "startDate": "28daysAgo",
+  "endDate": "yesterday"
+}
+
+EXAMPLE ${REPORT_TOOL_NAME} input for "mobile traffic from France to /blog pages with more than 50 sessions":
+{
+  "dimensions": ["pagePath"],
+  "metrics": ["sessions"],
+  "dimensionFilter": {
+    "andGroup": {
+      "expressions": [
+        {"filter": {"fieldName": "deviceCategory", "stringFilter": {"matchType": "EXACT", "value": "mobile"}}},
+        {"filter": {"fieldName": "country", "stringFilter": {"matchType": "EXACT", "value": "France"}}},
+        {"filter": {"fieldName": "pagePath", "stringFilter": {"matchType": "BEGINS_WITH", "value": "/blog"}}}
+      ]
+    }
+  },
+  "metricFilter": {
+    "filter": {"fieldName": "sessions", "numericFilter": {"operation": "GREATER_THAN", "value": {"int64Value": "50"}}}
+  }
+}`;
+
+const FORMAT_SYSTEM_PROMPT = `You are a data analyst presenting Google Analytics insights to a team.
+Format your responses using markdown for readability:
+- Don't write tables yourself: where a table helps, put the report's ready-made table marker (e.g. [TABLE_R1]) on a line of its own
+- Use bullet points for key insights
+- Bold important numbers and trends
+- Include percentage changes where relevant
+- Every number in the data is already formatted (1,234 / 45.0% / 2m 34s / $1,234.50); quote figures exactly as given and never convert, round or re-format them
+- Use the provided totals, shares and "rest" sums; never add up, average or compute percentages yourself
+- For comparisons, quote the provided "deltas" exactly (rates change in percentage points, "pp"); never calculate changes yourself
+- Cite the report behind every figure or claim with its id in square brackets, e.g. [R1] or [R2, R3]
+- Suggest 2-3 follow-up questions at the end
+- Be concise but insightful
+Keep the tone professional but friendly.`;
+
+/**
+ * The conversation for a model call, in the { role, content } shape every
+ * provider adapter accepts (role: "user" | "assistant")
+ * @param {string} message - The new user turn
+ * @param {Array} history - Earlier turns; any role other than "user" is the assistant
+ * @param {Array} [scratch] - Turns already taken on this question (agent steps,
+ *   corrections); unlike history they're never trimmed
+ */
+function buildMessages(message, history = [], scratch = []) {
+  return [
+    ...[...history.slice(-HISTORY_LENGTH), ...scratch].map((msg) => ({
+      role: msg.role === "user" ? "user" : "assistant",
+      content: msg.content,
+    })),
+    { role: "user", content: message },
+  ];
+}
+
+/**
+ * Turn a tool-calling reply into what the server acts on
+ * @param {Object} reply - { text, toolCalls: [{ id, name, input }] } from a provider
+ * @returns {Object} { type: "ga4_query", queries: [...], note } (note: any text
+ *   alongside the calls) or { type: "text", content }
+ */
+function readToolCalls({ text, toolCalls }) {
+  const queries = toolCalls
+    .filter((call) => call.name === REPORT_TOOL_NAME)
+    .map((call) => call.input || {})
+    .slice(0, MAX_REPORTS);
+
+  if (queries.length === 0) {
+    return { type: "text", content: text };
+  }
+  return { type: "ga4_query", queries, note: text };
+}
+
+module.exports = {
+  systemPrompt,
+  FORMAT_SYSTEM_PROMPT,
+  REPORT_TOOL,
+  MAX_REPORTS,
+  buildMessages,
+  readToolCalls,
+};
@@ -0,0 +1,138 @@
+/**
+ * GA4 Property Registry
+ * Configured via GA4_PROPERTIES (JSON array), falling back to GA4_PROPERTY_ID:
+ *
+ *   GA4_PROPERTIES=[{"id":"404714744","name":"Main site"},
+ *                   {"id":"398112233","name":"Shop","credentials":"./credentials/shop.json"}]
+ *
+ * `credentials` is optional; without it the default service account is used.
+ * `timeZone` (IANA, e.g. "Europe/Paris") is the property's reporting time
+ * zone, which its dates and hours are in; without it the server's is assumed.
+ * Once an admin edits the list it is saved to DATA_DIR/properties.json, which
+ * then takes precedence over the environment.
+ */
+
+const { readJson, writeJson, exists } = require("./store");
+
+const PROPERTIES_FILE = "properties.json";
+
+let properties = null;
+
+function normalize(p, i) {
+  if (!p || !p.id) throw new Error(`Property #${i + 1} is missing "id"`);
+  if (p.timeZone) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: p.timeZone });
+    } catch {
+      throw new Error(`Property ${p.id} has an unknown timeZone "${p.timeZone}"`);
+    }
+  }
+  return {
+    id: String(p.id),
+    name: p.name || `Property ${p.id}`,
+    credentials: p.credentials || null,
+    timeZone: p.timeZone || null,
+  };
+}
+
+function loadProperties() {
+  if (exists(PROPERTIES_FILE)) {
+    return readJson(PROPERTIES_FILE, []).map(normalize);
+  }
+
+  const raw = process.env.GA4_PROPERTIES;
+
+  if (raw) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`Invalid GA4_PROPERTIES JSON: ${err.message}`);
+    }
+    if (!Array.isArray(parsed) || parsed.length === 0) {
+      throw new Error("GA4_PROPERTIES must be a non-empty JSON array");
+    }
+
+    return parsed.map(normalize);
+  }
+
+  if (process.env.GA4_PROPERTY_ID) {
+    return [
+      normalize(
+        {
+          id: process.env.GA4_PROPERTY_ID,
+          name: process.env.GA4_PROPERTY_NAME,
+          timeZone: process.env.GA4_PROPERTY_TIMEZONE,
+        },
+        0
+      ),
+    ];
+  }
+
+  return [];
+}
+
+function getProperties() {
+  if (!properties) properties = loadProperties();
+  return properties;
+}
+
+/**
+ * Public view of the configured properties (credentials stay server-side)
+ * @returns {Object[]} [{ id, name }]
+ */
+function listProperties() {
+  return getProperties().map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Look up a property by id; no id means the default (first) property
+ * @param {string} [id]
+ * @returns {Object|null} { id, name, credentials } or null if unknown
+ */
+function getProperty(id) {
+  const all = getProperties();
+  if (id === undefined || id === null || id === "") return all[0] || null;
+  return all.find((p) => p.id === String(id)) || null;
+}
+
+/**
+ * Full property list including credential paths (admin only)
+ */
+function listPropertiesWithCredentials() {
+  return getProperties().map((p) => ({ ...p }));
+}
+
+/**
+ * Add or update a property and persist the list
+ * @returns {Object} The saved property
+ */
+function saveProperty(input) {
+  const property = normalize(input, 0);
+  const all = getProperties().filter((p) => p.id !== property.id);
+  const index = getProperties().findIndex((p) => p.id === property.id);
+  all.splice(index === -1 ? all.length : index, 0, property);
+
+  writeJson(PROPERTIES_FILE, all);
+  properties = all;
+  return property;
+}
+
+function removeProperty(id) {
+  const all = getProperties();
+  if (!all.some((p) => p.id === String(id))) {
+    throw new Error(`Property "${id}" not found`);
+  }
+  if (all.length === 1) throw new Error("Cannot remove the last property");
+
+  properties = all.filter((p) => p.id !== String(id));
+  writeJson(PROPERTIES_FILE, properties);
+}
+
+module.exports = {
+  listProperties,
+  getProperty,
+  listPropertiesWithCredentials,
+  saveProperty,
+  removeProperty,
+};
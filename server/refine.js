@@ -0,0 +1,158 @@
+/**
+ * Follow-up Refinements
+ * "Now split that by device" or "same but last month" change a report the
+ * previous answer ran rather than starting over. The model names the report
+ * (P1, P2, ... in the order the previous answer ran them) and only what
+ * changes; the rest is copied from the stored query, so its metrics and
+ * filters aren't lost in the retelling:
+ *   { "refine": { "report": "P1", "addDimensions": ["deviceCategory"] } }
+ * describeChanges() says what differs between the two queries, for the answer.
+ */
+
+const { describeFilter } = require("./filters");
+
+// What a refinement may say, besides which report it changes
+const CHANGES = [
+  "addDimensions",
+  "removeDimensions",
+  "addMetrics",
+  "removeMetrics",
+  "startDate",
+  "endDate",
+  "dateRanges",
+  "addFilter",
+  "metricFilter",
+  "removeFilters",
+  "orderBys",
+  "limit",
+];
+
+const listOf = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+/**
+ * The reports behind the latest answer of a thread, as refinements name them
+ * @param {Object[]} messages - The thread's stored messages
+ * @returns {Object[]} [{ id: "P1", query }], empty when no answer ran a report
+ */
+function previousReports(messages) {
+  const last = [...messages].reverse().find((m) => m.role === "ai" && m.type === "analytics" && m.query);
+  if (!last) return [];
+  const queries = last.reports ? last.reports.map((r) => r.query) : [last.query];
+  return queries.map((query, i) => ({ id: `P${i + 1}`, query }));
+}
+
+/**
+ * A refinement applied to the report it names
+ * @param {Object} refine - The model's "refine" input
+ * @param {Object[]} previous - previousReports()
+ * @returns {Object} { query, base } (base: the report id), or { error }
+ */
+function applyRefinement(refine, previous) {
+  const base = previous.find((p) => p.id === String(refine?.report || "").toUpperCase());
+  if (!base) {
+    const ids = previous.map((p) => p.id).join(", ");
+    return {
+      error: ids
+        ? `refine.report must be one of the previous answer's reports (${ids}), not "${refine?.report}"`
+        : "There is no previous report to refine; write the whole query",
+    };
+  }
+  const unknown = Object.keys(refine).filter((key) => key !== "report" && !CHANGES.includes(key));
+  if (unknown.length > 0) {
+    return { error: `refine can't change ${unknown.join(", ")} (it takes ${CHANGES.join(", ")})` };
+  }
+
+  // Pages of the earlier report don't carry over
+  const { offset, ...query } = structuredClone(base.query);
+  const adding = listOf(refine.addDimensions);
+  const removing = listOf(refine.removeDimensions);
+
+  if (query.funnel) {
+    // A funnel is split by its breakdown, not by report dimensions
+    if (adding.length > 0) query.funnel.breakdown = adding[0];
+    if (removing.includes(query.funnel.breakdown)) query.funnel.breakdown = null;
+  } else {
+    query.dimensions = [...(query.dimensions || []).filter((d) => !removing.includes(d)), ...adding];
+    const dropping = listOf(refine.removeMetrics);
+    query.metrics = [...(query.metrics || []).filter((m) => !dropping.includes(m)), ...listOf(refine.addMetrics)];
+    query.dimensions = [...new Set(query.dimensions)];
+    query.metrics = [...new Set(query.metrics)];
+  }
+
+  if (refine.dateRanges) {
+    query.dateRanges = refine.dateRanges;
+  } else if (refine.startDate || refine.endDate) {
+    query.startDate = refine.startDate ?? query.startDate;
+    query.endDate = refine.endDate ?? query.endDate;
+    query.dateRanges = null;
+  }
+
+  if (refine.removeFilters) {
+    query.dimensionFilter = null;
+    query.metricFilter = null;
+  }
+  if (refine.addFilter) {
+    // Narrower still: the new condition and whatever the report was already filtered to
+    query.dimensionFilter = query.dimensionFilter
+      ? { andGroup: { expressions: [query.dimensionFilter, refine.addFilter] } }
+      : refine.addFilter;
+  }
+  if (refine.metricFilter) query.metricFilter = refine.metricFilter;
+  if (refine.orderBys) query.orderBys = refine.orderBys;
+  if (refine.limit !== undefined) query.limit = refine.limit;
+
+  return { query, base: base.id };
+}
+
+// ─── Describing ───────────────────────────────────────────
+
+function describeDates(query) {
+  if (query.realtime) return `last ${query.minutes} minutes`;
+  if (query.dateRanges?.length > 1) {
+    return query.dateRanges.map((r) => `${r.startDate} – ${r.endDate}`).join(" vs ");
+  }
+  return `${query.startDate} – ${query.endDate}`;
+}
+
+function describeSort(orderBys) {
+  if (!orderBys?.length) return null;
+  return orderBys
+    .map((o) => `${o.metric?.metricName || o.dimension?.dimensionName}${o.desc ? " (descending)" : ""}`)
+    .join(", ");
+}
+
+const joined = (list) => (list?.length ? list.join(", ") : null);
+
+/**
+ * What a refined report changed, field by field
+ * @param {Object} before - The earlier report's validated params
+ * @param {Object} after - The refined report's validated params
+ * @returns {Object[]} [{ field, from, to }]; from/to are text, null when unset
+ */
+function describeChanges(before, after) {
+  // Fields a query doesn't have read as null on both sides, so funnels only show breakdown changes
+  const describe = {
+    dimensions: (q) => joined(q.dimensions),
+    metrics: (q) => joined(q.metrics),
+    breakdown: (q) => q.funnel?.breakdown || null,
+    dates: describeDates,
+    filter: (q) => (q.dimensionFilter ? describeFilter(q.dimensionFilter) : null),
+    "metric filter": (q) => (q.metricFilter ? describeFilter(q.metricFilter) : null),
+    sort: (q) => describeSort(q.orderBys),
+    limit: (q) => (q.limit === undefined ? null : String(q.limit)),
+  };
+  return Object.entries(describe)
+    .map(([field, text]) => ({ field, from: text(before), to: text(after) }))
+    .filter(({ from, to }) => from !== to);
+}
+
+/**
+ * A change in words: "dimensions: date → date, deviceCategory", "+ filter: ..."
+ */
+function describeChange({ field, from, to }) {
+  if (from === null) return `+ ${field}: ${to}`;
+  if (to === null) return `− ${field}: ${from}`;
+  return `${field}: ${from} → ${to}`;
+}
+
+module.exports = { previousReports, applyRefinement, describeChanges, describeChange, CHANGES };
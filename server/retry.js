@@ -0,0 +1,27 @@
+/**
+ * Retries for background work (scheduled reports, monitor checks, deliveries):
+ * SCHEDULE_RETRIES more attempts after the first, SCHEDULE_RETRY_SECONDS apart
+ * (growing with each attempt).
+ */
+
+const RETRIES = Number(process.env.SCHEDULE_RETRIES || 2);
+const RETRY_SECONDS = Number(process.env.SCHEDULE_RETRY_SECONDS || 30);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Call `fn` until it succeeds or the retries run out
+ * @returns {Promise<Object>} { result, attempts } or { error, attempts }
+ */
+async function withRetries(fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { result: await fn(), attempts: attempt };
+    } catch (err) {
+      if (attempt > RETRIES) return { error: err.message, attempts: attempt };
+      await sleep(RETRY_SECONDS * 1000 * attempt);
+    }
+  }
+}
+
+module.exports = { withRetries };
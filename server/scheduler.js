@@ -0,0 +1,224 @@
+/**
+ * Report Scheduler
+ * Runs due schedules (see ./schedules) in-process: a saved question goes through
+ * the analysis agent, saved query params straight to GA4; either way the
+ * formatting step writes the answer, which is posted to every destination.
+ * Building the report and each delivery are retried (see ./retry). Due
+ * monitors (see ./monitors) are checked on the same clock.
+ *
+ * Run the scheduler in one instance only — set SCHEDULER=off on the others.
+ */
+
+const crypto = require("crypto");
+const { queryGA4 } = require("./ga4");
+const { formatAnswer } = require("./ai");
+const { runAgent, buildFormatPrompt, finishAnswer } = require("./agent");
+const { validateQuery } = require("./validate");
+const { getCatalogue, fieldNames } = require("./metadata");
+const { getProperty } = require("./properties");
+const { deliverAll } = require("./webhooks");
+const { withRetries } = require("./retry");
+const { log } = require("./logger");
+const { createGuard } = require("./privacy");
+const { auditRun } = require("./audit");
+const schedules = require("./schedules");
+const monitors = require("./monitors");
+const { checkMonitor } = require("./monitoring");
+
+// How often due schedules and monitors are looked for
+const TICK_MS = 30 * 1000;
+
+// Rows per report in the JSON webhook payload
+const PAYLOAD_ROWS = 100;
+
+let timer = null;
+let ticking = false;
+
+/**
+ * The schedule's GA4 reports, as an agent analysis
+ */
+async function analyze(schedule, property) {
+  if (schedule.question) {
+    const analysis = await runAgent({ message: schedule.question, history: [], property });
+    // No reports: the model answered in text, couldn't build a query or the AI failed
+    if (analysis.type === "text") throw new Error(`No report was run: ${analysis.content}`);
+    return analysis;
+  }
+
+  const result = validateQuery(schedule.query, {
+    maxLimit: 1000,
+    defaultLimit: 100,
+    fields: fieldNames(await getCatalogue(property)),
+  });
+  if (!result.valid) throw new Error(`Invalid query: ${result.errors.join("; ")}`);
+
+  const rawData = await queryGA4(result.params, property);
+  return {
+    reports: [{ id: "R1", step: 1, query: result.params, rawData }],
+    steps: [],
+    summary: "",
+    stopped: null,
+    guard: createGuard(),
+  };
+}
+
+/**
+ * A finished report as a message for ./webhooks: JSON webhooks get the answer
+ * plus each report's data
+ */
+function reportMessage(report) {
+  return {
+    title: `${report.schedule.name} — ${report.property.name}`,
+    content: report.content,
+    footer: `Scheduled report "${report.schedule.name}" (${report.schedule.cron}), property ${report.property.id}, run ${report.run.startedAt}`,
+    payload: {
+      schedule: report.schedule,
+      run: report.run,
+      property: report.property,
+      question: report.question,
+      content: report.content,
+      reports: report.reports.map(({ id, query, rawData }) => ({
+        id,
+        query,
+        rowCount: rawData.metadata.rowCount,
+        totals: rawData.totals,
+        rows: rawData.rows.slice(0, PAYLOAD_ROWS),
+      })),
+    },
+  };
+}
+
+async function buildReport(schedule, property) {
+  const analysis = await analyze(schedule, property);
+  const response = await formatAnswer(buildFormatPrompt(schedule.question || schedule.name, analysis));
+  if (response.error) throw new Error(response.error);
+  return { content: finishAnswer(analysis, response.content), reports: analysis.reports };
+}
+
+function newRun(trigger) {
+  return {
+    id: `run_${crypto.randomBytes(6).toString("hex")}`,
+    trigger,
+    startedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Run a schedule now and record the run in its history (and the audit trail)
+ * @param {Object} schedule - Full schedule record
+ * @param {string} [trigger] - "schedule" or "manual"
+ * @param {Object} [run] - The run startRun() recorded, to finish
+ * @returns {Promise<Object>} The run: { id, trigger, startedAt, finishedAt,
+ *   status: "success" | "partial" | "failed", attempts, error?, content?,
+ *   reports?: [ids], deliveries: [{ type, target, ok, attempts, error? }] }
+ */
+function runSchedule(schedule, trigger = "schedule", run = newRun(trigger)) {
+  return auditRun(
+    "schedule",
+    {
+      user: { id: schedule.ownerId },
+      question: schedule.question,
+      subject: `${schedule.name} (${schedule.id}, ${trigger})`,
+      propertyId: schedule.propertyId,
+    },
+    () => execute(schedule, trigger, run)
+  );
+}
+
+/**
+ * Start a run without waiting for it: it is recorded as "running" and replaced
+ * in the history by the finished run, delivery failures included
+ * @returns {Object} The running run: { id, trigger, startedAt, status, attempts, deliveries }
+ */
+function startRun(schedule, trigger = "manual") {
+  const run = { ...newRun(trigger), status: "running", attempts: 0, deliveries: [] };
+  schedules.recordRun(schedule.id, run);
+  runSchedule(schedule, trigger, { ...run }).catch((err) => {
+    log.error("scheduled report failed", { scheduleId: schedule.id, err });
+    schedules.recordRun(schedule.id, {
+      ...run,
+      status: "failed",
+      error: err.message,
+      finishedAt: new Date().toISOString(),
+    });
+  });
+  return run;
+}
+
+async function execute(schedule, trigger, run) {
+  const property = getProperty(schedule.propertyId);
+
+  const built = property
+    ? await withRetries(() => buildReport(schedule, property))
+    : { error: `Unknown property "${schedule.propertyId}"`, attempts: 0 };
+  run.attempts = built.attempts;
+  run.deliveries = [];
+
+  if (built.error) {
+    log.error("scheduled report failed", { scheduleId: schedule.id, error: built.error });
+    Object.assign(run, { status: "failed", error: built.error });
+  } else {
+    const report = {
+      schedule: { id: schedule.id, name: schedule.name, cron: schedule.cron },
+      run: { id: run.id, trigger, startedAt: run.startedAt },
+      property: { id: property.id, name: property.name },
+      question: schedule.question,
+      ...built.result,
+    };
+
+    run.deliveries = await deliverAll(schedule.destinations, reportMessage(report));
+    const failed = run.deliveries.filter((d) => !d.ok).length;
+    if (failed > 0) log.error("scheduled report deliveries failed", { scheduleId: schedule.id, failed });
+    Object.assign(run, {
+      status: failed === 0 ? "success" : failed < run.deliveries.length ? "partial" : "failed",
+      ...(failed > 0 ? { error: `${failed} of ${run.deliveries.length} deliveries failed` } : {}),
+      content: report.content,
+      reports: report.reports.map((r) => r.id),
+    });
+  }
+
+  run.finishedAt = new Date().toISOString();
+  schedules.recordRun(schedule.id, run);
+  return run;
+}
+
+/**
+ * Run every schedule and check every monitor that is due, one after another
+ * @returns {Promise<Object>} { runs, checks }
+ */
+async function tick(now = new Date()) {
+  if (ticking) return { runs: [], checks: [] };
+  ticking = true;
+  try {
+    const runs = [];
+    for (const schedule of schedules.claimDue(now)) {
+      runs.push(await runSchedule(schedule));
+    }
+    const checks = [];
+    for (const monitor of monitors.claimDue(now)) {
+      checks.push(await checkMonitor(monitor));
+    }
+    return { runs, checks };
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start checking for due schedules and monitors (unless SCHEDULER=off). Runs
+ * missed while the server was down are caught up once on the first check.
+ */
+function startScheduler() {
+  if (timer || process.env.SCHEDULER === "off") return;
+  const check = () => tick().catch((err) => log.error("scheduler tick failed", { err }));
+  timer = setInterval(check, TICK_MS);
+  timer.unref();
+  check();
+}
+
+function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { runSchedule, startRun, tick, startScheduler, stopScheduler };
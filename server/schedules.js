@@ -0,0 +1,189 @@
+/**
+ * Scheduled Reports
+ * Saved questions (or saved /api/query params) with a cron schedule and the
+ * destinations their answers go to, stored in DATA_DIR/schedules.json with
+ * each schedule's recent run history. ./scheduler runs them.
+ */
+
+const crypto = require("crypto");
+const { readJson, writeJson } = require("./store");
+const { parseCron, nextRun } = require("./cron");
+const { normalizeDestination } = require("./webhooks");
+const { getProperty } = require("./properties");
+
+const SCHEDULES_FILE = "schedules.json";
+
+// Runs kept per schedule, newest first
+const HISTORY_LENGTH = 20;
+
+const MAX_DESTINATIONS = 5;
+
+function load() {
+  return readJson(SCHEDULES_FILE, []);
+}
+
+function save(schedules) {
+  writeJson(SCHEDULES_FILE, schedules);
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString("hex")}`;
+}
+
+/**
+ * List view: the schedule and its latest run, without the history
+ */
+function summarize({ ownerId, runs, ...schedule }) {
+  const [last] = runs;
+  return {
+    ...schedule,
+    lastRun: last ? { id: last.id, status: last.status, startedAt: last.startedAt, error: last.error } : null,
+  };
+}
+
+/**
+ * Check and normalize the editable fields; `current` fills in what isn't given
+ * @throws {Error} Saying what is wrong
+ */
+function normalize(input, current = {}) {
+  const merged = { ...current, ...input };
+
+  const name = typeof merged.name === "string" ? merged.name.trim().slice(0, 100) : "";
+  if (!name) throw new Error("Name is required");
+
+  const property = getProperty(merged.propertyId);
+  if (!property) throw new Error(`Unknown property "${merged.propertyId}"`);
+
+  parseCron(merged.cron);
+
+  // A saved question or saved query params: setting one clears the other
+  let { question, query } = merged;
+  if ("question" in input && input.question) query = null;
+  if ("query" in input && input.query) question = null;
+  if (question) {
+    if (typeof question !== "string") throw new Error("Question must be text");
+    if (question.length > 2000) throw new Error("Question too long (max 2000 chars)");
+  } else if (!query || typeof query !== "object" || !(Array.isArray(query.metrics) || query.funnel)) {
+    throw new Error("Give a question, or query params with metrics or a funnel");
+  }
+
+  const destinations = merged.destinations;
+  if (!Array.isArray(destinations) || destinations.length === 0) {
+    throw new Error("At least one destination is required");
+  }
+  if (destinations.length > MAX_DESTINATIONS) {
+    throw new Error(`At most ${MAX_DESTINATIONS} destinations`);
+  }
+
+  return {
+    name,
+    propertyId: property.id,
+    cron: merged.cron.trim(),
+    question: question ? question.trim() : null,
+    query: question ? null : query,
+    destinations: destinations.map(normalizeDestination),
+    enabled: merged.enabled !== false,
+  };
+}
+
+function nextRunAt(schedule, after = new Date()) {
+  if (!schedule.enabled) return null;
+  return nextRun(schedule.cron, after)?.toISOString() || null;
+}
+
+/**
+ * Save a new schedule
+ * @param {string} ownerId
+ * @param {Object} input - { name, propertyId, cron, question | query, destinations, enabled? }
+ * @returns {Object} The schedule (summary view)
+ */
+function createSchedule(ownerId, input) {
+  const now = new Date().toISOString();
+  const schedule = {
+    id: newId("sch"),
+    ownerId,
+    ...normalize(input),
+    createdAt: now,
+    updatedAt: now,
+    runs: [],
+  };
+  schedule.nextRunAt = nextRunAt(schedule);
+
+  save([...load(), schedule]);
+  return summarize(schedule);
+}
+
+/**
+ * A user's schedule with its run history, or null if it isn't theirs
+ */
+function getSchedule(id, ownerId) {
+  const schedule = load().find((s) => s.id === id);
+  if (!schedule || schedule.ownerId !== ownerId) return null;
+  return schedule;
+}
+
+function listSchedules(ownerId) {
+  return load()
+    .filter((s) => s.ownerId === ownerId)
+    .map(summarize)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Change a schedule's fields (anything normalize accepts)
+ * @throws {Error} If it doesn't exist or the change is invalid
+ */
+function updateSchedule(id, changes) {
+  const schedules = load();
+  const schedule = schedules.find((s) => s.id === id);
+  if (!schedule) throw new Error(`Schedule "${id}" not found`);
+
+  Object.assign(schedule, normalize(changes, schedule), { updatedAt: new Date().toISOString() });
+  schedule.nextRunAt = nextRunAt(schedule);
+  save(schedules);
+  return summarize(schedule);
+}
+
+function deleteSchedule(id) {
+  save(load().filter((s) => s.id !== id));
+}
+
+/**
+ * Enabled schedules due at `now`, moved on to their next run time so a slow
+ * run isn't started twice
+ * @returns {Object[]} The due schedules (full records)
+ */
+function claimDue(now = new Date()) {
+  const schedules = load();
+  const due = schedules.filter((s) => s.enabled && s.nextRunAt && new Date(s.nextRunAt) <= now);
+  if (due.length === 0) return [];
+
+  for (const schedule of due) schedule.nextRunAt = nextRunAt(schedule, now);
+  save(schedules);
+  return due;
+}
+
+/**
+ * Add a run to a schedule's history, or update the one with the same id once
+ * it finishes (no-op if the schedule was deleted meanwhile)
+ */
+function recordRun(id, run) {
+  const schedules = load();
+  const schedule = schedules.find((s) => s.id === id);
+  if (!schedule) return;
+
+  const i = schedule.runs.findIndex((r) => r.id === run.id);
+  if (i >= 0) schedule.runs[i] = run;
+  else schedule.runs = [run, ...schedule.runs].slice(0, HISTORY_LENGTH);
+  save(schedules);
+}
+
+module.exports = {
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  deleteSchedule,
+  claimDue,
+  recordRun,
+};
@@ -0,0 +1,170 @@
+/**
+ * GA4 Metric & Dimension Catalogue
+ * The built-in, curated fields the assistant is pointed at first. A property's
+ * full field list, custom definitions included, comes from ./metadata; this
+ * catalogue is its fallback and the "common" subset shown everywhere.
+ */
+
+const DIMENSION_GROUPS = [
+  { category: "Time", fields: ["date", "dateHour", "dateHourMinute"] },
+  { category: "Geography", fields: ["country", "city", "region", "continent"] },
+  { category: "Platform / device", fields: ["deviceCategory", "browser", "operatingSystem", "platform"] },
+  { category: "Page / screen", fields: ["pagePath", "pageTitle", "landingPage", "landingPagePlusQueryString"] },
+  { category: "Traffic source", fields: ["source", "medium", "sessionDefaultChannelGroup", "campaignName"] },
+  { category: "User", fields: ["newVsReturning", "userAgeBracket", "userGender"] },
+  { category: "Event", fields: ["eventName", "isConversionEvent"] },
+];
+
+const METRIC_GROUPS = [
+  {
+    category: "User",
+    fields: ["totalUsers", "newUsers", "activeUsers", "active1DayUsers", "active7DayUsers", "active28DayUsers"],
+  },
+  { category: "Session", fields: ["sessions", "sessionsPerUser", "engagedSessions", "engagementRate"] },
+  { category: "Page / screen", fields: ["screenPageViews", "screenPageViewsPerSession", "screenPageViewsPerUser"] },
+  { category: "Engagement", fields: ["bounceRate", "averageSessionDuration", "userEngagementDuration"] },
+  { category: "Event", fields: ["eventCount", "eventsPerSession", "conversions"] },
+  { category: "Ecommerce", fields: ["totalRevenue", "transactions"] },
+];
+
+const DIMENSIONS = DIMENSION_GROUPS.flatMap((g) => g.fields);
+const METRICS = METRIC_GROUPS.flatMap((g) => g.fields);
+
+// Custom fields listed in the prompt, per kind; the rest are still accepted
+const MAX_PROMPT_CUSTOM_FIELDS = 100;
+
+// The realtime API (runRealtimeReport) covers the last 30 minutes with its own, smaller field set
+const REALTIME_DIMENSIONS = [
+  "country",
+  "city",
+  "deviceCategory",
+  "platform",
+  "unifiedScreenName",
+  "eventName",
+  "minutesAgo",
+  "audienceName",
+];
+const REALTIME_METRICS = ["activeUsers", "eventCount", "screenPageViews", "keyEvents"];
+const REALTIME_MAX_MINUTES = 30;
+
+// Subset surfaced to users via /api/schema
+const COMMON_METRICS = [
+  "totalUsers",
+  "newUsers",
+  "activeUsers",
+  "sessions",
+  "screenPageViews",
+  "bounceRate",
+  "averageSessionDuration",
+  "engagedSessions",
+  "engagementRate",
+  "eventCount",
+  "conversions",
+];
+
+const COMMON_DIMENSIONS = [
+  "date",
+  "country",
+  "city",
+  "deviceCategory",
+  "browser",
+  "operatingSystem",
+  "pagePath",
+  "pageTitle",
+  "source",
+  "medium",
+  "sessionDefaultChannelGroup",
+  "landingPage",
+];
+
+// Names models commonly reach for that GA4 doesn't know (UA-era or plain English)
+const ALIASES = {
+  users: "totalUsers",
+  pageviews: "screenPageViews",
+  pageViews: "screenPageViews",
+  views: "screenPageViews",
+  avgSessionDuration: "averageSessionDuration",
+  sessionDuration: "averageSessionDuration",
+  revenue: "totalRevenue",
+  device: "deviceCategory",
+  channel: "sessionDefaultChannelGroup",
+  channelGroup: "sessionDefaultChannelGroup",
+  defaultChannelGroup: "sessionDefaultChannelGroup",
+  campaign: "campaignName",
+  page: "pagePath",
+  os: "operatingSystem",
+  userType: "newVsReturning",
+};
+
+// Standard-report names mapped onto their realtime equivalents
+const REALTIME_ALIASES = {
+  ...ALIASES,
+  users: "activeUsers",
+  totalUsers: "activeUsers",
+  conversions: "keyEvents",
+  page: "unifiedScreenName",
+  pagePath: "unifiedScreenName",
+  pageTitle: "unifiedScreenName",
+};
+
+// Event-scoped dimensions that runReport refuses to combine with session-level ratios
+const INCOMPATIBLE = [
+  {
+    dimensions: ["eventName", "isConversionEvent"],
+    metrics: [
+      "bounceRate",
+      "engagementRate",
+      "averageSessionDuration",
+      "sessionsPerUser",
+      "screenPageViewsPerSession",
+      "eventsPerSession",
+    ],
+  },
+];
+
+/**
+ * Render the catalogue as the AVAILABLE ... blocks used in system prompts
+ * @param {Object} [catalogue] - A property's catalogue from ./metadata; adds its custom fields
+ * @returns {string}
+ */
+function formatCatalogue(catalogue = null) {
+  const list = (groups) => groups.map((g) => `- ${g.fields.join(", ")}`).join("\n");
+  const custom = (fields, kind) => {
+    const mine = fields.filter((f) => f.custom).slice(0, MAX_PROMPT_CUSTOM_FIELDS);
+    if (mine.length === 0) return "";
+    const lines = mine.map((f) => `- ${f.apiName}: ${f.uiName}${f.description ? ` — ${f.description}` : ""}`);
+    return `\n\nCUSTOM ${kind} FOR THIS PROPERTY (use the exact name before the colon):\n${lines.join("\n")}`;
+  };
+  const more =
+    catalogue?.source === "ga4"
+      ? "\n\nAny other standard GA4 dimension or metric this property supports is also accepted."
+      : "";
+
+  return `AVAILABLE GA4 DIMENSIONS:
+${list(DIMENSION_GROUPS)}
+
+AVAILABLE GA4 METRICS:
+${list(METRIC_GROUPS)}${catalogue ? custom(catalogue.dimensions, "DIMENSIONS") : ""}${
+    catalogue ? custom(catalogue.metrics, "METRICS") : ""
+  }${more}
+
+REALTIME (last ${REALTIME_MAX_MINUTES} minutes, "realtime": true) — only these fields:
+- Dimensions: ${REALTIME_DIMENSIONS.join(", ")}
+- Metrics: ${REALTIME_METRICS.join(", ")}`;
+}
+
+module.exports = {
+  DIMENSION_GROUPS,
+  METRIC_GROUPS,
+  DIMENSIONS,
+  METRICS,
+  COMMON_METRICS,
+  COMMON_DIMENSIONS,
+  ALIASES,
+  INCOMPATIBLE,
+  REALTIME_DIMENSIONS,
+  REALTIME_METRICS,
+  REALTIME_ALIASES,
+  REALTIME_MAX_MINUTES,
+  formatCatalogue,
+};
@@ -0,0 +1,171 @@
+/**
+ * Minimal SMTP Client
+ * Just enough SMTP to send a plain-text report: EHLO, STARTTLS when offered,
+ * AUTH PLAIN, one message to a few recipients.
+ *
+ * SMTP_HOST, SMTP_PORT (default 587, or 465 with SMTP_SECURE=true for TLS from
+ * the start), SMTP_USER / SMTP_PASS (optional), SMTP_FROM
+ */
+
+const net = require("net");
+const os = require("os");
+const tls = require("tls");
+
+const TIMEOUT_MS = 15000;
+
+function smtpConfig() {
+  const secure = process.env.SMTP_SECURE === "true";
+  return {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || (secure ? 465 : 587)),
+    secure,
+    user: process.env.SMTP_USER || "",
+    pass: process.env.SMTP_PASS || "",
+    from: process.env.SMTP_FROM || process.env.SMTP_USER || "",
+  };
+}
+
+/**
+ * Read SMTP replies ("250-first line" ... "250 last line") off a socket, in order
+ */
+function replyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  function onData(chunk) {
+    buffer += chunk.toString("utf8");
+    let end;
+    while ((end = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, end).replace(/\r$/, "");
+      buffer = buffer.slice(end + 1);
+      lines.push(line.slice(4));
+      if (line[3] === "-") continue;
+      const reply = { code: Number(line.slice(0, 3)), text: lines.join("\n") };
+      lines = [];
+      if (waiting.length > 0) waiting.shift().resolve(reply);
+      else replies.push(reply);
+    }
+  }
+
+  function onFailure(err) {
+    failure = failure || err || new Error("SMTP connection closed");
+    waiting.splice(0).forEach((w) => w.reject(failure));
+  }
+
+  socket.on("data", onData);
+  socket.on("error", onFailure);
+  socket.on("close", () => onFailure());
+
+  return {
+    next() {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    // Hand the socket over (for STARTTLS)
+    detach() {
+      socket.off("data", onData);
+      socket.removeAllListeners("error");
+      socket.removeAllListeners("close");
+    },
+  };
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once("error", reject);
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error("SMTP server timed out")));
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once("error", reject);
+  });
+}
+
+// Non-ASCII subjects as an RFC 2047 encoded word
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+/**
+ * Send a plain-text email through the configured SMTP server
+ * @param {Object} mail
+ * @param {string[]} mail.to - Recipient addresses
+ * @param {string} mail.subject
+ * @param {string} mail.text - Body
+ * @throws {Error} If SMTP isn't configured or the server rejects a command
+ */
+async function sendMail({ to, subject, text }) {
+  const config = smtpConfig();
+  if (!config.host || !config.from) {
+    throw new Error("Email delivery needs SMTP_HOST and SMTP_FROM");
+  }
+
+  let socket = await connect(config);
+  let reader = replyReader(socket);
+
+  async function command(line, expected, label = line.split(" ")[0]) {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (Math.floor(reply.code / 100) !== expected) {
+      throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  }
+
+  try {
+    await command(null, 2, "greeting");
+    const hello = await command(`EHLO ${os.hostname()}`, 2);
+
+    if (!config.secure && /^STARTTLS$/im.test(hello.text)) {
+      await command("STARTTLS", 2);
+      reader.detach();
+      socket = await upgrade(socket, config.host);
+      reader = replyReader(socket);
+      await command(`EHLO ${os.hostname()}`, 2);
+    }
+
+    if (config.user) {
+      const credentials = Buffer.from(`\0${config.user}\0${config.pass}`).toString("base64");
+      await command(`AUTH PLAIN ${credentials}`, 2, "AUTH");
+    }
+
+    await command(`MAIL FROM:<${config.from}>`, 2, "MAIL FROM");
+    for (const address of to) {
+      await command(`RCPT TO:<${address}>`, 2, `RCPT TO ${address}`);
+    }
+    await command("DATA", 3);
+    // Dot-stuff lines that start with "." so they don't end the message
+    const message = buildMessage({ from: config.from, to, subject, text }).replace(/^\./gm, "..");
+    await command(`${message}\r\n.`, 2, "DATA");
+    socket.write("QUIT\r\n");
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = { sendMail };
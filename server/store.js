@@ -0,0 +1,117 @@
+/**
+ * JSON File Store
+ * Small persistent state (users, properties, ...) lives as JSON files in
+ * DATA_DIR (default ./data). Writes go through a temp file + rename so a crash
+ * never leaves a half-written file behind. Append-only logs (the audit trail)
+ * are JSON Lines files instead.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, "..", "data"));
+
+function filePath(name) {
+  return path.join(DATA_DIR, name);
+}
+
+/**
+ * Read a JSON file from the data directory
+ * @param {string} name - File name, may include a subdirectory (e.g., 'conversations/abc.json')
+ * @param {*} fallback - Returned when the file doesn't exist yet
+ */
+function readJson(name, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath(name), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw new Error(`Failed to read ${filePath(name)}: ${err.message}`);
+  }
+}
+
+/**
+ * Atomically write a JSON file to the data directory
+ * @param {string} name - File name
+ * @param {*} data - JSON-serializable value
+ * @param {Object} [options]
+ * @param {number} [options.mode] - File permissions (e.g., 0o600 for secrets)
+ */
+function writeJson(name, data, options = {}) {
+  const target = filePath(name);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const tmp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: options.mode || 0o644 });
+  fs.renameSync(tmp, target);
+}
+
+function exists(name) {
+  return fs.existsSync(filePath(name));
+}
+
+function remove(name) {
+  fs.rmSync(filePath(name), { force: true });
+}
+
+/**
+ * Names of the files in a data subdirectory ending in `extension`
+ * @returns {string[]} e.g. ['conversations/abc.json', ...]
+ */
+function listFiles(dir, extension) {
+  try {
+    return fs
+      .readdirSync(filePath(dir))
+      .filter((f) => f.endsWith(extension))
+      .map((f) => path.join(dir, f));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+function listJson(dir) {
+  return listFiles(dir, ".json");
+}
+
+/**
+ * Append a value to a JSON Lines file (one JSON document per line), for logs
+ * that only grow
+ */
+function appendLine(name, value) {
+  const target = filePath(name);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.appendFileSync(target, `${JSON.stringify(value)}\n`);
+}
+
+/**
+ * Read a JSON Lines file, skipping lines that don't parse (e.g. cut short by a crash)
+ * @returns {Array} [] when the file doesn't exist
+ */
+function readLines(name) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath(name), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw new Error(`Failed to read ${filePath(name)}: ${err.message}`);
+  }
+  return text.split("\n").flatMap((line) => {
+    if (!line) return [];
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+module.exports = {
+  DATA_DIR,
+  readJson,
+  writeJson,
+  exists,
+  remove,
+  listFiles,
+  listJson,
+  appendLine,
+  readLines,
+};
@@ -0,0 +1,211 @@
+/**
+ * User Accounts & API Keys
+ * Users are stored in DATA_DIR/users.json. API keys are shown once when
+ * issued; only their SHA-256 hash is kept.
+ */
+
+const crypto = require("crypto");
+const { readJson, writeJson } = require("./store");
+
+const USERS_FILE = "users.json";
+
+// Ordered from least to most privileged
+const ROLES = ["viewer", "analyst", "admin"];
+
+const KEY_PREFIX = "gtc_";
+
+function load() {
+  return readJson(USERS_FILE, []);
+}
+
+function save(users) {
+  writeJson(USERS_FILE, users, { mode: 0o600 });
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString("hex")}`;
+}
+
+function assertRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role "${role}". Use one of: ${ROLES.join(", ")}`);
+  }
+}
+
+/**
+ * Whether `role` grants at least the permissions of `required`
+ */
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Public view of a user (no key hashes)
+ */
+function sanitize(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    role: user.role,
+    createdAt: user.createdAt,
+    keys: user.keys.map(({ id, prefix, label, createdAt, revokedAt }) => ({
+      id,
+      prefix,
+      label,
+      createdAt,
+      revokedAt,
+    })),
+  };
+}
+
+function hasUsers() {
+  return load().length > 0;
+}
+
+function listUsers() {
+  return load().map(sanitize);
+}
+
+function newKey(label) {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+  return {
+    key,
+    record: {
+      id: newId("key"),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      label: label || null,
+      hash: hashKey(key),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+    },
+  };
+}
+
+/**
+ * Names are unique, ignoring case, so CLI lookups by name find one user
+ * @param {Object} [self] - The user being renamed, who may keep their own name
+ */
+function assertName(users, name, self = null) {
+  if (!name || typeof name !== "string") throw new Error("User name is required");
+  if (users.some((u) => u !== self && u.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`User "${name}" already exists`);
+  }
+}
+
+/**
+ * Create a user with a first API key
+ * @returns {Object} { user, key } — the plaintext key is only available here
+ */
+function createUser(name, role = "viewer") {
+  const users = load();
+  assertName(users, name);
+  assertRole(role);
+
+  const { key, record } = newKey("initial");
+  const user = {
+    id: newId("usr"),
+    name,
+    role,
+    createdAt: new Date().toISOString(),
+    keys: [record],
+  };
+
+  users.push(user);
+  save(users);
+  return { user: sanitize(user), key };
+}
+
+function findUser(users, idOrName) {
+  const user = users.find((u) => u.id === idOrName || u.name === idOrName);
+  if (!user) throw new Error(`User "${idOrName}" not found`);
+  return user;
+}
+
+function updateUser(idOrName, changes) {
+  const users = load();
+  const user = findUser(users, idOrName);
+  if (changes.role !== undefined) {
+    assertRole(changes.role);
+    user.role = changes.role;
+  }
+  if (changes.name !== undefined) {
+    assertName(users, changes.name, user);
+    user.name = changes.name;
+  }
+  save(users);
+  return sanitize(user);
+}
+
+function deleteUser(idOrName) {
+  const users = load();
+  const user = findUser(users, idOrName);
+  save(users.filter((u) => u !== user));
+  return sanitize(user);
+}
+
+/**
+ * Issue an additional API key for a user
+ * @returns {Object} { keyId, key }
+ */
+function issueKey(idOrName, label) {
+  const users = load();
+  const user = findUser(users, idOrName);
+  const { key, record } = newKey(label);
+  user.keys.push(record);
+  save(users);
+  return { keyId: record.id, key };
+}
+
+function revokeKey(keyId) {
+  const users = load();
+  for (const user of users) {
+    const record = user.keys.find((k) => k.id === keyId);
+    if (record) {
+      record.revokedAt = record.revokedAt || new Date().toISOString();
+      save(users);
+      return { userId: user.id, keyId };
+    }
+  }
+  throw new Error(`Key "${keyId}" not found`);
+}
+
+/**
+ * Resolve an API key to its user, comparing hashes in constant time
+ * @returns {Object|null} { id, name, role } or null
+ */
+function authenticateKey(key) {
+  if (!key || typeof key !== "string") return null;
+
+  const provided = Buffer.from(hashKey(key), "hex");
+  let match = null;
+
+  // Check every active key so timing doesn't reveal where a match was found
+  for (const user of load()) {
+    for (const record of user.keys) {
+      if (record.revokedAt) continue;
+      const stored = Buffer.from(record.hash, "hex");
+      if (stored.length === provided.length && crypto.timingSafeEqual(stored, provided)) {
+        match = user;
+      }
+    }
+  }
+
+  return match ? { id: match.id, name: match.name, role: match.role } : null;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hasUsers,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  issueKey,
+  revokeKey,
+  authenticateKey,
+};
@@ -0,0 +1,481 @@
+const {
+  DIMENSIONS,
+  METRICS,
+  ALIASES,
+  INCOMPATIBLE,
+  REALTIME_DIMENSIONS,
+  REALTIME_METRICS,
+  REALTIME_ALIASES,
+  REALTIME_MAX_MINUTES,
+} = require("./schema");
+const { validateFilter, MATCH_TYPES } = require("./filters");
+
+// GA4 Data API hard limits per report
+const MAX_DIMENSIONS = 9;
+const MAX_METRICS = 10;
+const MAX_DATE_RANGES = 4;
+
+// Funnel reports: steps per funnel, and breakdown values (limit) per report
+const MAX_FUNNEL_STEPS = 10;
+const FUNNEL_LIMIT = { default: 5, max: 15 };
+
+const DEFAULT_RANGE_NAMES = ["current", "previous"];
+// Date dimensions can't be lined up across ranges (each range has its own days)
+const DATE_DIMENSIONS = ["date", "dateHour", "dateHourMinute"];
+
+const RELATIVE_DATE = /^(today|yesterday|\d+daysAgo)$/;
+const ABSOLUTE_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Resolve a field name against the catalogue, repairing case and known aliases
+ * @returns {string|null} Canonical name, or null if unknown
+ */
+function resolveField(name, catalogue, aliases = ALIASES) {
+  if (typeof name !== "string") return null;
+  const trimmed = name.trim();
+  if (catalogue.includes(trimmed)) return trimmed;
+
+  const alias = aliases[trimmed] || aliases[trimmed.toLowerCase()];
+  if (alias && catalogue.includes(alias)) return alias;
+
+  const lower = trimmed.toLowerCase();
+  return catalogue.find((c) => c.toLowerCase() === lower) || null;
+}
+
+function resolveFields(list, catalogue, kind, errors, warnings, aliases) {
+  if (!Array.isArray(list)) {
+    errors.push(`"${kind}s" must be an array of GA4 ${kind} names`);
+    return [];
+  }
+
+  const resolved = [];
+  for (const name of list) {
+    const match = resolveField(name, catalogue, aliases);
+    if (!match) {
+      errors.push(`Unknown ${kind} "${name}"`);
+      continue;
+    }
+    if (match !== name) warnings.push(`Replaced ${kind} "${name}" with "${match}"`);
+    if (!resolved.includes(match)) resolved.push(match);
+  }
+  return resolved;
+}
+
+function isValidDate(value) {
+  if (typeof value !== "string") return false;
+  if (RELATIVE_DATE.test(value)) return true;
+  if (!ABSOLUTE_DATE.test(value)) return false;
+
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().startsWith(value);
+}
+
+function checkDates(startDate, endDate, label, errors) {
+  if (!isValidDate(startDate)) {
+    errors.push(`Invalid ${label}startDate "${startDate}" (use YYYY-MM-DD, today, yesterday or NdaysAgo)`);
+  }
+  if (!isValidDate(endDate)) {
+    errors.push(`Invalid ${label}endDate "${endDate}" (use YYYY-MM-DD, today, yesterday or NdaysAgo)`);
+  }
+  if (ABSOLUTE_DATE.test(startDate) && ABSOLUTE_DATE.test(endDate) && startDate > endDate) {
+    errors.push(`${label}startDate ${startDate} is after endDate ${endDate}`);
+  }
+}
+
+function validateDateRanges(dateRanges, dimensions, errors) {
+  if (!Array.isArray(dateRanges) || dateRanges.length < 2) {
+    errors.push("dateRanges must be an array of at least 2 ranges to compare");
+    return null;
+  }
+  if (dateRanges.length > MAX_DATE_RANGES) {
+    errors.push(`Too many dateRanges (${dateRanges.length}); GA4 allows at most ${MAX_DATE_RANGES}`);
+  }
+
+  const names = new Set();
+  const ranges = dateRanges.map((range, i) => {
+    const name = String(range?.name || DEFAULT_RANGE_NAMES[i] || `range${i + 1}`);
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name) || /^(date_range_|RESERVED_)/.test(name)) {
+      errors.push(`Invalid date range name "${name}" (letters, digits and underscores only)`);
+    }
+    if (names.has(name)) errors.push(`Duplicate date range name "${name}"`);
+    names.add(name);
+
+    checkDates(range?.startDate, range?.endDate, `dateRanges[${i}].`, errors);
+    return { name, startDate: range?.startDate, endDate: range?.endDate };
+  });
+
+  const dateDims = dimensions.filter((d) => DATE_DIMENSIONS.includes(d));
+  if (dateDims.length > 0) {
+    errors.push(
+      `Dimension(s) ${dateDims.join(", ")} cannot be used in a comparison; compare totals or a non-date breakdown`
+    );
+  }
+
+  return ranges;
+}
+
+function validateOrderBys(orderBys, dimensions, metrics, warnings) {
+  if (!Array.isArray(orderBys)) {
+    warnings.push("Ignored malformed orderBys (expected an array)");
+    return null;
+  }
+
+  const kept = orderBys.filter((o) => {
+    const metricName = o?.metric?.metricName;
+    const dimensionName = o?.dimension?.dimensionName;
+    const ok =
+      (metricName && metrics.includes(metricName)) ||
+      (dimensionName && dimensions.includes(dimensionName));
+    if (!ok) warnings.push(`Ignored orderBy ${JSON.stringify(o)} (field not in query)`);
+    return ok;
+  });
+
+  return kept.length > 0
+    ? kept.map((o) => ({ ...o, desc: Boolean(o.desc) }))
+    : null;
+}
+
+/**
+ * Check a query's dimensionFilter and metricFilter against its catalogue: a
+ * dimension filter may use any dimension, a metric filter only the report's metrics
+ * @returns {Object} { dimensionFilter, metricFilter } (repaired, or null)
+ */
+function validateFilters(params, { dimensionCatalogue, metricCatalogue, metrics, aliases }, errors, warnings) {
+  const resolveDimension = (name) => {
+    const match = resolveField(name, dimensionCatalogue, aliases);
+    if (match) return { name: match };
+    return resolveField(name, metricCatalogue, aliases)
+      ? { error: `"${name}" is a metric; filter it with metricFilter` }
+      : { error: `Unknown dimension "${name}"` };
+  };
+  const resolveMetric = (name) => {
+    const match = resolveField(name, metricCatalogue, aliases);
+    if (!match) {
+      return resolveField(name, dimensionCatalogue, aliases)
+        ? { error: `"${name}" is a dimension; filter it with dimensionFilter` }
+        : { error: `Unknown metric "${name}"` };
+    }
+    return metrics.includes(match)
+      ? { name: match }
+      : { error: `metric "${match}" must be one of the report's metrics to filter on it` };
+  };
+
+  return {
+    dimensionFilter: validateFilter(
+      params.dimensionFilter,
+      { label: "dimensionFilter", resolve: resolveDimension },
+      errors,
+      warnings
+    ),
+    metricFilter: validateFilter(params.metricFilter, { label: "metricFilter", resolve: resolveMetric }, errors, warnings),
+  };
+}
+
+/**
+ * Validate and repair GA4 query params before they reach runReport
+ * @param {Object} params - Query params as produced by the AI or /api/query
+ * @param {Object} [options]
+ * @param {number} [options.maxLimit] - Upper bound for `limit` (default 100)
+ * @param {number} [options.defaultLimit] - Used when `limit` is missing (default 20)
+ * @param {Object} [options.fields] - The property's fields ({ dimensions, metrics, aliases }
+ *   from ./metadata); defaults to the built-in catalogue
+ * @returns {Object} { valid, params, errors: [...], warnings: [...] }
+ */
+function validateQuery(params, options = {}) {
+  const { maxLimit = 100, defaultLimit = 20, fields = null } = options;
+  const aliases = fields ? { ...ALIASES, ...fields.aliases } : ALIASES;
+  const errors = [];
+  const warnings = [];
+
+  if (!params || typeof params !== "object") {
+    return { valid: false, params: null, errors: ["Query must be a JSON object"], warnings };
+  }
+  if (params.realtime && params.funnel) {
+    return { valid: false, params: null, errors: ["A funnel can't be a realtime report"], warnings };
+  }
+  if (params.realtime) return validateRealtimeQuery(params, { maxLimit, defaultLimit });
+  if (params.funnel) return validateFunnelQuery(params, { fields, aliases });
+
+  // Comparisons default to totals only; date dimensions can't be compared
+  const defaultDimensions = params.dateRanges ? [] : ["date"];
+  const dimensions = resolveFields(
+    params.dimensions ?? defaultDimensions,
+    fields?.dimensions || DIMENSIONS,
+    "dimension",
+    errors,
+    warnings,
+    aliases
+  );
+  const metrics = resolveFields(
+    params.metrics ?? [],
+    fields?.metrics || METRICS,
+    "metric",
+    errors,
+    warnings,
+    aliases
+  );
+
+  if (metrics.length === 0 && !errors.some((e) => e.includes("metric"))) {
+    errors.push("At least one metric is required");
+  }
+  if (dimensions.length > MAX_DIMENSIONS) {
+    errors.push(`Too many dimensions (${dimensions.length}); GA4 allows at most ${MAX_DIMENSIONS}`);
+  }
+  if (metrics.length > MAX_METRICS) {
+    errors.push(`Too many metrics (${metrics.length}); GA4 allows at most ${MAX_METRICS}`);
+  }
+
+  for (const rule of INCOMPATIBLE) {
+    const dims = dimensions.filter((d) => rule.dimensions.includes(d));
+    const mets = metrics.filter((m) => rule.metrics.includes(m));
+    if (dims.length > 0 && mets.length > 0) {
+      errors.push(
+        `Dimension(s) ${dims.join(", ")} cannot be combined with metric(s) ${mets.join(", ")}`
+      );
+    }
+  }
+
+  // Comparisons use named dateRanges; the first range wins startDate/endDate
+  const dateRanges = params.dateRanges
+    ? validateDateRanges(params.dateRanges, dimensions, errors)
+    : null;
+
+  const startDate = dateRanges?.[0]?.startDate ?? params.startDate ?? "7daysAgo";
+  const endDate = dateRanges?.[0]?.endDate ?? params.endDate ?? "yesterday";
+  if (!dateRanges) checkDates(startDate, endDate, "", errors);
+
+  let limit = parseInt(params.limit ?? defaultLimit, 10);
+  if (isNaN(limit) || limit < 1) {
+    warnings.push(`Invalid limit "${params.limit}", using ${defaultLimit}`);
+    limit = defaultLimit;
+  }
+  if (limit > maxLimit) {
+    warnings.push(`Clamped limit ${limit} to ${maxLimit}`);
+    limit = maxLimit;
+  }
+
+  let offset = parseInt(params.offset ?? 0, 10);
+  if (isNaN(offset) || offset < 0) {
+    errors.push(`Invalid offset "${params.offset}" (must be a non-negative integer)`);
+    offset = 0;
+  }
+  // GA4 pages a comparison by (combination, range) rows, which don't line up
+  // with the grouped rows it comes back as (see ./ga4)
+  if (dateRanges && offset > 0) {
+    errors.push("Comparisons (dateRanges) come back in one page; raise limit or fetch all rows instead of an offset");
+  }
+
+  const orderBys = params.orderBys
+    ? validateOrderBys(params.orderBys, dimensions, metrics, warnings)
+    : null;
+
+  const { dimensionFilter, metricFilter } = validateFilters(
+    params,
+    {
+      dimensionCatalogue: fields?.dimensions || DIMENSIONS,
+      metricCatalogue: fields?.metrics || METRICS,
+      metrics,
+      aliases,
+    },
+    errors,
+    warnings
+  );
+
+  return {
+    valid: errors.length === 0,
+    params: {
+      ...params,
+      dimensions,
+      metrics,
+      startDate,
+      endDate,
+      dateRanges,
+      limit,
+      offset,
+      orderBys,
+      dimensionFilter,
+      metricFilter,
+    },
+    errors,
+    warnings,
+  };
+}
+
+/**
+ * Validate a realtime query (runRealtimeReport): realtime fields only, a
+ * look-back in minutes instead of dates
+ * @returns {Object} Same shape as validateQuery
+ */
+function validateRealtimeQuery(params, { maxLimit, defaultLimit }) {
+  const errors = [];
+  const warnings = [];
+
+  const dimensions = resolveFields(
+    params.dimensions ?? [],
+    REALTIME_DIMENSIONS,
+    "realtime dimension",
+    errors,
+    warnings,
+    REALTIME_ALIASES
+  );
+  const metrics = resolveFields(
+    params.metrics ?? ["activeUsers"],
+    REALTIME_METRICS,
+    "realtime metric",
+    errors,
+    warnings,
+    REALTIME_ALIASES
+  );
+  if (metrics.length === 0 && !errors.some((e) => e.includes("metric"))) {
+    errors.push("At least one metric is required");
+  }
+  if (params.dateRanges || params.startDate || params.endDate) {
+    warnings.push("Ignored dates on a realtime query (it always covers the last minutes)");
+  }
+
+  let minutes = parseInt(params.minutes ?? REALTIME_MAX_MINUTES, 10);
+  if (isNaN(minutes) || minutes < 1 || minutes > REALTIME_MAX_MINUTES) {
+    errors.push(`Invalid minutes "${params.minutes}" (must be 1-${REALTIME_MAX_MINUTES})`);
+    minutes = REALTIME_MAX_MINUTES;
+  }
+
+  let limit = parseInt(params.limit ?? defaultLimit, 10);
+  if (isNaN(limit) || limit < 1) {
+    warnings.push(`Invalid limit "${params.limit}", using ${defaultLimit}`);
+    limit = defaultLimit;
+  }
+  if (limit > maxLimit) {
+    warnings.push(`Clamped limit ${limit} to ${maxLimit}`);
+    limit = maxLimit;
+  }
+
+  const orderBys = params.orderBys
+    ? validateOrderBys(params.orderBys, dimensions, metrics, warnings)
+    : null;
+
+  const { dimensionFilter, metricFilter } = validateFilters(
+    params,
+    {
+      dimensionCatalogue: REALTIME_DIMENSIONS,
+      metricCatalogue: REALTIME_METRICS,
+      metrics,
+      aliases: REALTIME_ALIASES,
+    },
+    errors,
+    warnings
+  );
+
+  return {
+    valid: errors.length === 0,
+    params: { realtime: true, dimensions, metrics, minutes, limit, orderBys, dimensionFilter, metricFilter },
+    errors,
+    warnings,
+  };
+}
+
+/**
+ * One funnel step: reached by triggering an event, or by viewing a page
+ * @returns {Object|null} { name, event } or { name, page, match }
+ */
+function validateFunnelStep(step, i, errors) {
+  const label = `funnel.steps[${i}]`;
+  if (!step || typeof step !== "object") {
+    errors.push(`${label} must be an object with an "event" or a "page"`);
+    return null;
+  }
+  const hasEvent = typeof step.event === "string" && step.event.trim() !== "";
+  const hasPage = typeof step.page === "string" && step.page.trim() !== "";
+  if (hasEvent === hasPage) {
+    errors.push(`${label} needs either an "event" (event name) or a "page" (page path), not both`);
+    return null;
+  }
+  const name = String(step.name || step.event || step.page).trim().slice(0, 100);
+  if (hasEvent) return { name, event: step.event.trim() };
+
+  const match = String(step.match || "EXACT").toUpperCase();
+  if (!MATCH_TYPES.includes(match)) {
+    errors.push(`${label}: unknown match "${step.match}" (use ${MATCH_TYPES.join(", ")})`);
+    return null;
+  }
+  if (match.endsWith("REGEXP")) {
+    try {
+      new RegExp(step.page);
+    } catch {
+      errors.push(`${label}: invalid regular expression "${step.page}"`);
+      return null;
+    }
+  }
+  return { name, page: step.page.trim(), match };
+}
+
+/**
+ * Validate a funnel query (runFunnelReport): ordered steps, open or closed,
+ * an optional breakdown dimension, one date range
+ * @returns {Object} Same shape as validateQuery
+ */
+function validateFunnelQuery(params, { fields, aliases }) {
+  const errors = [];
+  const warnings = [];
+  const { funnel } = params;
+  const dimensionCatalogue = fields?.dimensions || DIMENSIONS;
+
+  if (typeof funnel !== "object" || !Array.isArray(funnel.steps)) {
+    errors.push('"funnel" must be an object with a list of "steps"');
+  } else if (funnel.steps.length < 2 || funnel.steps.length > MAX_FUNNEL_STEPS) {
+    errors.push(`A funnel needs 2 to ${MAX_FUNNEL_STEPS} steps (got ${funnel.steps.length})`);
+  }
+  const steps = Array.isArray(funnel?.steps)
+    ? funnel.steps.map((step, i) => validateFunnelStep(step, i, errors))
+    : [];
+
+  let breakdown = null;
+  if (funnel?.breakdown) {
+    breakdown = resolveField(funnel.breakdown, dimensionCatalogue, aliases);
+    if (!breakdown) errors.push(`Unknown breakdown dimension "${funnel.breakdown}"`);
+    else if (breakdown !== funnel.breakdown) {
+      warnings.push(`Replaced breakdown "${funnel.breakdown}" with "${breakdown}"`);
+    }
+  }
+
+  if (params.dateRanges?.length > 1) {
+    errors.push("A funnel covers one period; run one funnel per period to compare them");
+  }
+  if (params.metricFilter) errors.push("A funnel takes no metricFilter; its counts are always users per step");
+  if (params.metrics?.length || params.dimensions?.length) {
+    warnings.push("Ignored dimensions and metrics on a funnel (steps are counted in active users)");
+  }
+
+  const [range] = params.dateRanges || [];
+  const startDate = range?.startDate ?? params.startDate ?? "7daysAgo";
+  const endDate = range?.endDate ?? params.endDate ?? "yesterday";
+  checkDates(startDate, endDate, "", errors);
+
+  let limit = parseInt(params.limit ?? FUNNEL_LIMIT.default, 10);
+  if (isNaN(limit) || limit < 1) limit = FUNNEL_LIMIT.default;
+  if (limit > FUNNEL_LIMIT.max) {
+    warnings.push(`Clamped the funnel's breakdown limit ${limit} to ${FUNNEL_LIMIT.max}`);
+    limit = FUNNEL_LIMIT.max;
+  }
+
+  const { dimensionFilter } = validateFilters(
+    { dimensionFilter: params.dimensionFilter },
+    { dimensionCatalogue, metricCatalogue: fields?.metrics || METRICS, metrics: [], aliases },
+    errors,
+    warnings
+  );
+
+  return {
+    valid: errors.length === 0,
+    params: {
+      funnel: { steps: steps.filter(Boolean), open: Boolean(funnel?.open), breakdown },
+      startDate,
+      endDate,
+      limit,
+      dimensionFilter,
+    },
+    errors,
+    warnings,
+  };
+}
+
+module.exports = { validateQuery };
@@ -0,0 +1,185 @@
+/**
+ * Report & Alert Delivery
+ * Where scheduled reports and monitor alerts go. Each destination is one of:
+ *   { type: "slack", url }    Slack incoming webhook ({ text } in Slack's mrkdwn)
+ *   { type: "webhook", url }  Generic JSON POST
+ *   { type: "email", to: [] } Plain-text email through SMTP (see ./smtp)
+ *
+ * Slack and webhook URLs may not point at loopback, link-local or private
+ * addresses (this server's own network, cloud metadata endpoints) unless their
+ * host is listed in WEBHOOK_ALLOWED_HOSTS. Hosts are checked when a destination
+ * is saved and again, by the addresses they resolve to, before each delivery.
+ */
+
+const dns = require("dns").promises;
+const net = require("net");
+const { sendMail } = require("./smtp");
+const { withRetries } = require("./retry");
+
+const TYPES = ["slack", "webhook", "email"];
+const MAX_RECIPIENTS = 20;
+const TIMEOUT_MS = 10000;
+
+const EMAIL = /^[^\s@<>,]+@[^\s@<>,]+\.[^\s@<>,]+$/;
+
+// Addresses a delivery may not reach (IPv4-mapped IPv6 ones included)
+const PRIVATE = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+].forEach(([address, prefix]) => PRIVATE.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+].forEach(([address, prefix]) => PRIVATE.addSubnet(address, prefix, "ipv6"));
+
+function allowedHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+const isPrivate = (address) => PRIVATE.check(address, net.isIP(address) === 6 ? "ipv6" : "ipv4");
+
+/**
+ * Whether a URL's host may be delivered to without resolving it: not a
+ * private address or a local name, or listed in WEBHOOK_ALLOWED_HOSTS
+ */
+function isPublicHost(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (allowedHosts().includes(host)) return true;
+  if (net.isIP(host)) return !isPrivate(host);
+  return host !== "localhost" && !host.endsWith(".localhost");
+}
+
+/**
+ * Refuse a URL whose host resolves to a private address, right before sending to it
+ * @throws {Error} Naming the host
+ */
+async function assertPublic(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (allowedHosts().includes(host)) return;
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  if (!isPublicHost(url) || addresses.some(({ address }) => isPrivate(address))) {
+    throw new Error(`${url.host} is a private or local address`);
+  }
+}
+
+/**
+ * Validate a destination
+ * @returns {Object} { type, url } or { type, to }
+ * @throws {Error} Saying what is wrong with it
+ */
+function normalizeDestination(destination, i = 0) {
+  const label = `Destination #${i + 1}`;
+  if (!destination || !TYPES.includes(destination.type)) {
+    throw new Error(`${label}: type must be one of ${TYPES.join(", ")}`);
+  }
+
+  if (destination.type === "email") {
+    const to = [].concat(destination.to || []).map((a) => String(a).trim()).filter(Boolean);
+    if (to.length === 0) throw new Error(`${label}: at least one email address is required`);
+    if (to.length > MAX_RECIPIENTS) throw new Error(`${label}: at most ${MAX_RECIPIENTS} recipients`);
+    const bad = to.find((a) => !EMAIL.test(a));
+    if (bad) throw new Error(`${label}: invalid email address "${bad}"`);
+    return { type: "email", to };
+  }
+
+  let url;
+  try {
+    url = new URL(destination.url);
+  } catch {
+    throw new Error(`${label}: a valid URL is required`);
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new Error(`${label}: URL must be http or https`);
+  }
+  if (!isPublicHost(url)) {
+    throw new Error(`${label}: ${url.host} is a private or local address (see WEBHOOK_ALLOWED_HOSTS)`);
+  }
+  return { type: destination.type, url: url.toString() };
+}
+
+/**
+ * Where a destination points, for run history (no URL paths — Slack's carry the secret)
+ */
+function describeDestination(destination) {
+  if (destination.type === "email") return destination.to.join(", ");
+  return new URL(destination.url).host;
+}
+
+// Slack's mrkdwn: *bold*, <url|text> links, no headings
+function slackText(markdown) {
+  return markdown
+    .replace(/\*\*(.+?)\*\*/g, "*$1*")
+    .replace(/^#{1,6}\s+(.+)$/gm, "*$1*")
+    .replace(/\[([^\]]+)\]\((https?:[^)]+)\)/g, "<$2|$1>");
+}
+
+async function post(url, body) {
+  await assertPublic(new URL(url));
+  // Redirects aren't followed: they could lead anywhere the check above doesn't cover
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    redirect: "manual",
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    throw new Error(`${new URL(url).host} answered ${res.status}`);
+  }
+}
+
+/**
+ * Send a message to one destination
+ * @param {Object} destination - From normalizeDestination
+ * @param {Object} message
+ * @param {string} message.title - Slack heading, email subject
+ * @param {string} message.content - Markdown body
+ * @param {string} [message.footer] - Appended to emails
+ * @param {Object} message.payload - Body for JSON webhooks
+ * @throws {Error} If delivery fails
+ */
+async function deliver(destination, { title, content, footer, payload }) {
+  if (destination.type === "slack") {
+    return post(destination.url, { text: `*${title}*\n\n${slackText(content)}` });
+  }
+  if (destination.type === "webhook") {
+    return post(destination.url, payload);
+  }
+  return sendMail({
+    to: destination.to,
+    subject: title,
+    text: footer ? `${content}\n\n—\n${footer}` : content,
+  });
+}
+
+/**
+ * Send a message to every destination, retrying each (see ./retry)
+ * @returns {Promise<Object[]>} [{ type, target, ok, attempts, error? }]
+ */
+async function deliverAll(destinations, message) {
+  const deliveries = [];
+  for (const destination of destinations) {
+    const sent = await withRetries(() => deliver(destination, message));
+    deliveries.push({
+      type: destination.type,
+      target: describeDestination(destination),
+      ok: !sent.error,
+      attempts: sent.attempts,
+      ...(sent.error ? { error: sent.error } : {}),
+    });
+  }
+  return deliveries;
+}
+
+module.exports = { normalizeDestination, deliver, deliverAll, TYPES };
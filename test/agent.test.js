@@ -0,0 +1,146 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ga4, gaReport, llm } = require("./support/app");
+const { runAgent, buildFormatPrompt } = require("../server/agent");
+
+beforeEach(() => {
+  ga4.reset();
+  llm.reset();
+});
+
+const property = { id: "123456", name: "Test" };
+
+// Sessions by date, or by channel / landing page when those are asked for
+function serveTraffic() {
+  ga4.serve((request) => {
+    const dimension = request.dimensions[0]?.name || "date";
+    const rows = {
+      date: [
+        ["20260105", "120"],
+        ["20260106", "40"],
+      ],
+      sessionDefaultChannelGroup: [
+        ["Organic Search", "10"],
+        ["Direct", "30"],
+      ],
+      landingPage: [["/pricing", "25"]],
+    }[dimension];
+    return gaReport({ dimensions: [dimension], metrics: ["sessions"], rows, totals: [["160"]] });
+  });
+}
+
+const lastPrompt = (call) => call.messages.at(-1).parts[0].text;
+
+test("runs reports over several steps, showing the model each step's results", async () => {
+  serveTraffic();
+  llm.script(
+    { dimensions: ["date"], metrics: ["sessions"] },
+    [
+      { dimensions: ["sessionDefaultChannelGroup"], metrics: ["sessions"], startDate: "2026-01-06", endDate: "2026-01-06" },
+      { dimensions: ["landingPage"], metrics: ["sessions"], startDate: "2026-01-06", endDate: "2026-01-06" },
+    ],
+    "Tuesday's drop came from organic search on /pricing."
+  );
+
+  const steps = [];
+  const result = await runAgent({
+    message: "Why did traffic drop on Tuesday?",
+    history: [],
+    property,
+    onStep: (step) => steps.push(step),
+  });
+
+  assert.equal(result.type, "analysis");
+  assert.deepEqual(
+    result.reports.map((r) => [r.id, r.step]),
+    [
+      ["R1", 1],
+      ["R2", 2],
+      ["R3", 2],
+    ]
+  );
+  assert.deepEqual(
+    result.steps.map((s) => s.reports),
+    [["R1"], ["R2", "R3"]]
+  );
+  assert.deepEqual(steps, result.steps);
+  assert.equal(result.summary, "Tuesday's drop came from organic search on /pricing.");
+  assert.equal(result.stopped, null);
+  assert.ok(result.tokens > 0);
+
+  // Each step after the first sees the previous results and the question
+  assert.match(lastPrompt(llm.calls[1]), /R1 — rows: \[\{"date":"20260105","sessions":120\}/);
+  assert.match(lastPrompt(llm.calls[2]), /R3 — params/);
+  assert.equal(llm.calls[2].messages[0].parts[0].text, "Why did traffic drop on Tuesday?");
+});
+
+test("answers in text when the model needs no data", async () => {
+  llm.script("GA4 doesn't record weather.");
+
+  const result = await runAgent({ message: "Was it sunny?", history: [], property });
+
+  assert.deepEqual(result, { type: "text", content: "GA4 doesn't record weather.", provider: result.provider });
+  assert.equal(ga4.requests.length, 0);
+});
+
+test("stops at the step limit", async () => {
+  serveTraffic();
+  const trend = { dimensions: ["date"], metrics: ["sessions"] };
+  llm.script(trend, trend, trend);
+
+  const result = await runAgent({ message: "Dig into everything", history: [], property, maxSteps: 2 });
+
+  assert.equal(result.stopped, "steps");
+  assert.equal(result.reports.length, 2);
+  assert.equal(llm.calls.length, 2);
+  assert.equal(llm.replies.length, 1);
+  assert.match(buildFormatPrompt("Dig into everything", result), /hit its step limit/);
+});
+
+test("stops once the token budget is spent", async () => {
+  serveTraffic();
+  llm.script({ dimensions: ["date"], metrics: ["sessions"] }, "Not reached.");
+
+  const result = await runAgent({ message: "sessions?", history: [], property, maxTokens: 10 });
+
+  assert.equal(result.stopped, "tokens");
+  assert.equal(llm.calls.length, 1);
+});
+
+test("answers from the reports already run when a later step fails", async () => {
+  serveTraffic();
+  llm.script({ dimensions: ["date"], metrics: ["sessions"] }, new Error("overloaded"));
+
+  const result = await runAgent({ message: "sessions?", history: [], property });
+
+  assert.equal(result.type, "analysis");
+  assert.deepEqual(
+    result.reports.map((r) => r.id),
+    ["R1"]
+  );
+});
+
+test("answers 'right now' questions from the realtime API", async () => {
+  ga4.serve(gaReport({ dimensions: ["country"], metrics: ["activeUsers"], rows: [["France", "9"]], totals: [["9"]] }));
+  llm.script({ realtime: true, dimensions: ["country"], metrics: ["activeUsers"] }, "9 people, mostly in France.");
+
+  const result = await runAgent({ message: "Who's on the site right now?", history: [], property });
+
+  assert.equal(ga4.requests[0].minuteRanges[0].startMinutesAgo, 29);
+  assert.equal(result.reports[0].query.minutes, 30);
+  assert.match(buildFormatPrompt("Who's on the site right now?", result), /realtime data: activity in the last 30 minutes/);
+});
+
+test("keeps the question in view however long the thread is", async () => {
+  serveTraffic();
+  const history = Array.from({ length: 8 }, (_, i) => ({ role: i % 2 ? "ai" : "user", content: `turn ${i}` }));
+  const trend = { dimensions: ["date"], metrics: ["sessions"] };
+  llm.script(trend, trend, trend, "Done.");
+
+  await runAgent({ message: "the question", history, property });
+
+  const texts = llm.calls[3].messages.map((m) => m.parts[0].text);
+  assert.equal(texts[0], "turn 0");
+  assert.ok(texts.includes("the question"));
+});
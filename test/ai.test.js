@@ -0,0 +1,70 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.AI_PROVIDERS = "claude, groq";
+process.env.ANTHROPIC_API_KEY = "test";
+const { llm } = require("./support/app");
+const ai = require("../server/ai");
+
+beforeEach(() => llm.reset());
+
+function rateLimited() {
+  const err = new Error("429 rate_limit_error: Number of requests has exceeded your rate limit");
+  err.status = 429;
+  return err;
+}
+
+test("reads the fallback chain from AI_PROVIDERS", () => {
+  assert.deepEqual(
+    ai.providerChain().map((p) => p.name),
+    ["claude", "groq"]
+  );
+  assert.deepEqual(ai.requiredEnv(), ["ANTHROPIC_API_KEY", "GROQ_API_KEY"]);
+});
+
+test("interprets with the primary provider and reports it", async () => {
+  llm.script({ metrics: ["sessions"] });
+
+  const { tokens, ...result } = await ai.interpret("sessions?");
+
+  assert.deepEqual(result, {
+    type: "ga4_query",
+    queries: [{ metrics: ["sessions"] }],
+    note: "",
+    provider: { name: "claude", model: "claude-sonnet-4-20250514" },
+  });
+  // The fake API reports no usage, so tokens are estimated
+  assert.ok(tokens > 0);
+});
+
+test("falls back to the next provider when the primary is rate limited", async () => {
+  llm.script(rateLimited(), "Formatted by the fallback.");
+
+  const result = await ai.formatAnswer("format this");
+
+  assert.equal(result.content, "Formatted by the fallback.");
+  assert.equal(result.provider.name, "groq");
+  assert.deepEqual(
+    llm.calls.map((c) => c.provider),
+    ["claude", "groq"]
+  );
+});
+
+test("returns an error naming every provider when all fail", async () => {
+  llm.script(rateLimited(), new Error("service unavailable"));
+
+  const result = await ai.interpret("sessions?");
+
+  assert.match(result.error, /^AI processing failed: claude: 429 .*; groq: service unavailable$/);
+});
+
+test("streams from the fallback if the primary fails before sending anything", async () => {
+  llm.script(new Error("overloaded"), "Streamed by the fallback provider.");
+
+  const used = {};
+  let text = "";
+  for await (const chunk of ai.streamFormat("format this", used)) text += chunk;
+
+  assert.equal(text, "Streamed by the fallback provider.");
+  assert.equal(used.provider.name, "groq");
+});
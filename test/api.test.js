@@ -0,0 +1,391 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ga4, gaReport, llm, startApp, parseEvents } = require("./support/app");
+const conversations = require("../server/conversations");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  ga4.reset();
+  llm.reset();
+});
+
+const SESSIONS_BY_DAY = gaReport({
+  dimensions: ["date"],
+  metrics: ["sessions"],
+  rows: [
+    ["20260101", "120"],
+    ["20260102", "95"],
+  ],
+  totals: [["215"]],
+});
+
+const chat = (message, extra = {}) => app.request("POST", "/api/chat", { body: { message, ...extra } });
+
+// ─── /api/chat ────────────────────────────────────────────
+
+test("health check reports the configured property", async () => {
+  const res = await app.request("GET", "/api/health");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.property, "123456");
+});
+
+test("answers a question with GA4 data", async () => {
+  llm.script(
+    { dimensions: ["date"], metrics: ["sessions"], startDate: "7daysAgo", endDate: "yesterday" },
+    "Sessions were steady.",
+    "You had **215** sessions [R1]."
+  );
+  ga4.serve(SESSIONS_BY_DAY);
+
+  const res = await chat("How many sessions last week?");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.type, "analytics");
+  assert.equal(res.body.content, "You had **215** sessions [R1].");
+  assert.deepEqual(res.body.rawData.totals, { sessions: 215 });
+  assert.deepEqual(res.body.citations, ["R1"]);
+  assert.deepEqual(res.body.steps, [{ step: 1, note: "", reports: ["R1"] }]);
+  assert.deepEqual(res.body.query.metrics, ["sessions"]);
+  assert.deepEqual(res.body.provider, { name: "gemini", model: "gemini-2.0-flash" });
+  assert.ok(res.body.conversationId);
+  assert.ok(res.body.messageId);
+
+  // After the model has seen the data, the formatting step gets the question, data and summary
+  assert.match(llm.calls[1].messages.at(-1).parts[0].text, /R1 — totals: \{"sessions":215\}/);
+  const formatCall = llm.calls[2];
+  assert.match(formatCall.messages[0].parts[0].text, /How many sessions last week\?/);
+  // ... with every figure already formatted
+  assert.match(formatCall.messages[0].parts[0].text, /"totals":\{"sessions":"215"\}/);
+  assert.match(formatCall.messages[0].parts[0].text, /Analyst's summary .*: Sessions were steady\./);
+});
+
+test("tells the formatting step when the data is partial", async () => {
+  llm.script({ dimensions: ["date"], metrics: ["sessions"] }, "Done.", "Top days.");
+  ga4.serve({ ...SESSIONS_BY_DAY, rowCount: 90 });
+
+  const res = await chat("Sessions by day this quarter");
+
+  assert.equal(res.body.rawData.metadata.truncated, true);
+  assert.match(llm.calls[2].messages[0].parts[0].text, /PARTIAL DATA: only 2 of 90 rows/);
+});
+
+test("returns text-only answers without querying GA4", async () => {
+  llm.script("I can only answer questions about your GA4 data.");
+
+  const res = await chat("What's the weather?");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.type, "text");
+  assert.equal(res.body.content, "I can only answer questions about your GA4 data.");
+  assert.equal(ga4.requests.length, 0);
+});
+
+test("runs every report the model asks for before formatting", async () => {
+  llm.script(
+    [
+      { dimensions: ["country"], metrics: ["sessions"] },
+      { metrics: ["sessions"] },
+    ],
+    "France leads.",
+    "France leads [R1]; 215 sessions overall [R2]."
+  );
+  ga4.serve((request) =>
+    request.dimensions[0].name === "country"
+      ? gaReport({ dimensions: ["country"], metrics: ["sessions"], rows: [["France", "150"]], totals: [["215"]] })
+      : gaReport({ dimensions: ["date"], metrics: ["sessions"], rows: [["20260101", "215"]], totals: [["215"]] })
+  );
+
+  const res = await chat("Sessions by country, and the total");
+
+  assert.equal(res.status, 200);
+  assert.equal(ga4.requests.length, 2);
+  assert.equal(res.body.reports.length, 2);
+  assert.deepEqual(res.body.query.dimensions, ["country"]);
+  assert.deepEqual(res.body.reports[1].rawData.totals, { sessions: 215 });
+
+  assert.deepEqual(res.body.citations, ["R1", "R2"]);
+  const prompt = llm.calls[2].messages[0].parts[0].text;
+  assert.match(prompt, /R1 — GA4 Data/);
+  assert.match(prompt, /R2 — GA4 Data/);
+
+  const exported = await app.request(
+    "GET",
+    `/api/conversations/${res.body.conversationId}/messages/${res.body.messageId}/export?format=json&report=2`
+  );
+  assert.equal(exported.status, 200);
+  assert.deepEqual(exported.body.metadata.query.dimensions, ["date"]);
+});
+
+test("asks the model to correct a tool call with missing input", async () => {
+  llm.script({}, { dimensions: ["date"], metrics: ["sessions"] }, "Done.", "Fixed.");
+  ga4.serve(SESSIONS_BY_DAY);
+
+  const res = await chat("sessions?");
+
+  assert.equal(res.body.type, "analytics");
+  assert.match(llm.calls[1].messages.at(-1).parts[0].text, /At least one metric is required/);
+  assert.match(llm.calls[1].messages.at(-2).parts[0].text, /Called run_ga4_report with \{\}/);
+});
+
+test("feeds validation errors back so the model can correct its query", async () => {
+  llm.script(
+    { dimensions: ["date"], metrics: ["revenuePerVisitor"] },
+    { dimensions: ["date"], metrics: ["sessions"] },
+    "Done.",
+    "Corrected answer."
+  );
+  ga4.serve(SESSIONS_BY_DAY);
+
+  const res = await chat("revenue per visitor");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.type, "analytics");
+  assert.match(llm.calls[1].messages.at(-1).parts[0].text, /rejected by validation/);
+  assert.deepEqual(ga4.requests[0].metrics, [{ name: "sessions" }]);
+});
+
+test("gives up after repeated invalid queries", async () => {
+  const invalid = { metrics: ["notAMetric"] };
+  llm.script(invalid, invalid, invalid);
+
+  const res = await chat("something impossible");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.type, "text");
+  assert.match(res.body.content, /couldn't build a valid Google Analytics query/);
+  assert.equal(ga4.requests.length, 0);
+});
+
+test("surfaces AI provider failures as a text answer", async () => {
+  llm.script(new Error("quota exceeded"));
+
+  const res = await chat("sessions?");
+
+  assert.equal(res.status, 200);
+  assert.match(res.body.content, /AI processing failed: quota exceeded/);
+});
+
+test("reports GA4 permission errors and records them in the thread", async () => {
+  llm.script({ dimensions: ["date"], metrics: ["sessions"] });
+  ga4.fail("7 PERMISSION_DENIED: User does not have sufficient permissions for this property.");
+
+  const res = await chat("sessions?");
+
+  assert.equal(res.status, 500);
+  assert.equal(res.body.error, "Failed to process your query. Please try again.");
+  assert.equal(res.body.details, undefined);
+
+  const thread = await app.request("GET", `/api/conversations/${res.body.conversationId}`);
+  assert.equal(thread.body.messages.at(-1).type, "error");
+});
+
+test("reports GA4 not-found errors", async () => {
+  llm.script({ dimensions: ["date"], metrics: ["sessions"] });
+  ga4.fail("5 NOT_FOUND: Requested entity was not found.");
+
+  const res = await chat("sessions?");
+
+  assert.equal(res.status, 500);
+  assert.ok(res.body.conversationId);
+});
+
+test("rejects bad chat requests", async () => {
+  assert.equal((await chat("")).status, 400);
+  assert.equal((await chat("x".repeat(2001))).status, 400);
+  assert.equal((await chat("hi", { propertyId: "999" })).status, 400);
+  assert.equal((await chat("hi", { conversationId: "cnv_0000" })).status, 404);
+});
+
+test("continues a thread with its history as context", async () => {
+  llm.script("First answer.");
+  const first = await chat("first question");
+
+  llm.reset();
+  llm.script("Second answer.");
+  await chat("follow-up", { conversationId: first.body.conversationId });
+
+  const [call] = llm.calls;
+  assert.deepEqual(
+    call.messages.map((m) => m.parts[0].text),
+    ["first question", "First answer.", "follow-up"]
+  );
+});
+
+test("keeps every message and change saved to a thread while a turn runs", async () => {
+  llm.script("First answer.");
+  const { conversationId } = (await chat("first question")).body;
+
+  // Each request holds the copy of the thread it loaded while its turn runs
+  const one = conversations.getConversation(conversationId, "anonymous");
+  const two = conversations.getConversation(conversationId, "anonymous");
+  const renamer = conversations.getConversation(conversationId, "anonymous");
+  conversations.renameConversation(renamer, "Renamed");
+  conversations.shareConversation(renamer);
+  conversations.appendMessages(one, [{ role: "user", content: "question one" }]);
+  conversations.appendMessages(two, [{ role: "user", content: "question two" }]);
+
+  const { body } = await app.request("GET", `/api/conversations/${conversationId}`);
+  assert.equal(body.title, "Renamed");
+  assert.ok(body.shareId);
+  assert.deepEqual(
+    body.messages.map((m) => m.content),
+    ["first question", "First answer.", "question one", "question two"]
+  );
+  // The copies are brought up to date too
+  assert.equal(two.messages.length, 4);
+});
+
+test("streams progress and the answer as server-sent events", async () => {
+  llm.script(
+    { dimensions: ["date"], metrics: ["sessions"] },
+    "Steady.",
+    "Sessions held steady over the week at around one hundred a day."
+  );
+  ga4.serve(SESSIONS_BY_DAY);
+
+  const res = await app.request("POST", "/api/chat/stream", { body: { message: "sessions?" } });
+  const events = parseEvents(res.body);
+  const names = events.map((e) => e.event);
+
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+  assert.deepEqual([...new Set(names)], ["conversation", "status", "query", "data", "step", "token", "done"]);
+  const text = events.filter((e) => e.event === "token").map((e) => e.data.text).join("");
+  assert.equal(text, "Sessions held steady over the week at around one hundred a day.");
+  assert.equal(events.at(-1).data.type, "analytics");
+  assert.equal(events.at(-1).data.provider.name, "gemini");
+});
+
+// ─── /api/query ───────────────────────────────────────────
+
+const query = (body) => app.request("POST", "/api/query", { body });
+
+test("runs a direct query with a paged response", async () => {
+  ga4.serve({ ...SESSIONS_BY_DAY, rowCount: 50 });
+
+  const res = await query({ dimensions: ["date"], metrics: ["sessions"], limit: 2 });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.rows.length, 2);
+  assert.equal(res.body.page.rowCount, 50);
+  assert.ok(res.body.page.nextCursor);
+
+  await query({ dimensions: ["date"], metrics: ["sessions"], limit: 2, cursor: res.body.page.nextCursor });
+  assert.equal(ga4.requests[1].offset, 2);
+});
+
+test("requires at least one metric", async () => {
+  const res = await query({ dimensions: ["date"] });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "At least one metric is required");
+});
+
+test("rejects unknown fields with details", async () => {
+  const res = await query({ dimensions: ["planet"], metrics: ["sessions"] });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "Invalid query");
+  assert.ok(res.body.details.some((d) => d.includes("planet")));
+  assert.equal(ga4.requests.length, 0);
+});
+
+test("rejects incompatible dimension/metric combinations", async () => {
+  const res = await query({ dimensions: ["eventName"], metrics: ["bounceRate"] });
+  assert.equal(res.status, 400);
+  assert.ok(res.body.details.length > 0);
+});
+
+test("rejects bad dates and cursors", async () => {
+  const badDate = await query({ metrics: ["sessions"], startDate: "last tuesday" });
+  assert.equal(badDate.status, 400);
+
+  const badCursor = await query({ metrics: ["sessions"], cursor: "not-a-cursor" });
+  assert.equal(badCursor.status, 400);
+  assert.equal(badCursor.body.error, "Invalid cursor");
+});
+
+test("pages comparisons only as a whole", async () => {
+  const dateRanges = [
+    { name: "current", startDate: "7daysAgo", endDate: "yesterday" },
+    { name: "previous", startDate: "14daysAgo", endDate: "8daysAgo" },
+  ];
+  ga4.serve(
+    gaReport({
+      dimensions: ["deviceCategory", "dateRange"],
+      metrics: ["sessions"],
+      rows: [
+        ["mobile", "current", "150"],
+        ["mobile", "previous", "100"],
+      ],
+      rowCount: 6,
+    })
+  );
+
+  const res = await query({ dimensions: ["deviceCategory"], metrics: ["sessions"], dateRanges, limit: 1 });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.metadata.truncated, true);
+  assert.equal(res.body.page.nextCursor, null);
+
+  const paged = await query({ dimensions: ["deviceCategory"], metrics: ["sessions"], dateRanges, offset: 2 });
+  assert.equal(paged.status, 400);
+  assert.match(paged.body.details[0], /Comparisons \(dateRanges\) come back in one page/);
+  assert.equal(ga4.requests.length, 1);
+});
+
+test("repairs aliases and clamps the limit", async () => {
+  ga4.serve(SESSIONS_BY_DAY);
+
+  const res = await query({ dimensions: ["date"], metrics: ["users"], limit: 50000 });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(ga4.requests[0].metrics, [{ name: "totalUsers" }]);
+  assert.equal(ga4.requests[0].limit, 1000);
+});
+
+test("runs realtime queries with realtime field names", async () => {
+  ga4.serve(gaReport({ dimensions: ["unifiedScreenName"], metrics: ["activeUsers"], rows: [["Pricing", "7"]] }));
+
+  const res = await query({ realtime: true, dimensions: ["pagePath"], metrics: ["users"], minutes: 5 });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(ga4.requests[0].dimensions, [{ name: "unifiedScreenName" }]);
+  assert.deepEqual(ga4.requests[0].metrics, [{ name: "activeUsers" }]);
+  assert.equal(ga4.requests[0].minuteRanges[0].startMinutesAgo, 4);
+  assert.equal(res.body.metadata.realtime, true);
+  assert.equal(res.body.page, undefined);
+
+  const bad = await query({ realtime: true, dimensions: ["landingPage"], metrics: ["sessions"], minutes: 90 });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.details.length, 3);
+});
+
+test("serves the live panel one shared snapshot per property", async () => {
+  ga4.serve((request) => {
+    const [{ name }] = request.dimensions;
+    return gaReport({ dimensions: [name], metrics: ["activeUsers"], rows: [["x", "4"]], totals: [["4"]] });
+  });
+
+  const res = await app.request("GET", "/api/realtime");
+  await app.request("GET", "/api/realtime");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.activeUsers, 4);
+  assert.deepEqual(Object.keys(res.body.breakdowns), ["country", "unifiedScreenName", "deviceCategory", "eventName"]);
+  assert.equal(res.body.pollSeconds, 30);
+  assert.equal(ga4.requests.length, 4);
+});
+
+test("hides GA4 error details from direct queries", async () => {
+  ga4.fail("7 PERMISSION_DENIED: no access");
+
+  const res = await query({ metrics: ["sessions"] });
+
+  assert.equal(res.status, 500);
+  assert.deepEqual(res.body, { error: "Failed to query GA4" });
+});
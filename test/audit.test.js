@@ -0,0 +1,193 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ga4, gaReport, llm, startApp } = require("./support/app");
+const { costOf } = require("../server/audit");
+const users = require("../server/users");
+
+let app;
+let admin;
+
+// The admin endpoints need an admin, so this file runs with users from the start
+before(async () => {
+  app = await startApp();
+  admin = users.createUser("Admin", "admin");
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  ga4.reset();
+  llm.reset();
+});
+
+const sessionsByCountry = () =>
+  gaReport({
+    dimensions: ["country"],
+    metrics: ["sessions"],
+    rows: [
+      ["United States", "120"],
+      ["France", "80"],
+    ],
+  });
+
+const as = (method, url, options = {}) => app.request(method, url, { key: admin.key, ...options });
+
+async function ask(message) {
+  llm.script({ dimensions: ["country"], metrics: ["sessions"] }, "Done.", "**200** sessions.");
+  ga4.serve(sessionsByCountry());
+  return as("POST", "/api/chat", { body: { message } });
+}
+
+const audit = async (query = "") => (await as("GET", `/api/admin/audit${query}`)).body.entries;
+
+/**
+ * Run `fn` collecting what the logger writes (the test harness silences the console)
+ */
+async function captureLogs(fn) {
+  const lines = [];
+  const { log, error } = console;
+  console.log = console.error = (line) => lines.push(line);
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+  return lines.map((line) => JSON.parse(line));
+}
+
+test("gives every API request an id, reusing a sensible X-Request-Id", async () => {
+  const generated = await as("GET", "/api/properties");
+  assert.match(generated.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+
+  const given = await as("GET", "/api/properties", { headers: { "X-Request-Id": "trace-42" } });
+  assert.equal(given.headers.get("x-request-id"), "trace-42");
+
+  const junk = await as("GET", "/api/properties", { headers: { "X-Request-Id": "a b<c>" } });
+  assert.notEqual(junk.headers.get("x-request-id"), "a b<c>");
+});
+
+test("logs JSON lines tagged with the request id and user", async () => {
+  const lines = await captureLogs(() =>
+    as("GET", "/api/properties", { headers: { "X-Request-Id": "logged-1" } })
+  );
+
+  const done = lines.find((l) => l.msg === "request");
+  assert.equal(done.level, "info");
+  assert.equal(done.requestId, "logged-1");
+  assert.equal(done.userId, admin.user.id);
+  assert.equal(done.path, "/api/properties");
+  assert.equal(done.status, 200);
+  assert.equal(typeof done.durationMs, "number");
+});
+
+test("audits a chat answer: question, GA4 report, AI calls and cost", async () => {
+  const { headers } = await ask("Sessions by country?");
+  const id = headers.get("x-request-id");
+
+  const [entry] = (await audit()).filter((e) => e.id === id);
+  assert.equal(entry.type, "chat");
+  assert.equal(entry.status, "ok");
+  assert.equal(entry.httpStatus, 200);
+  assert.equal(entry.question, "Sessions by country?");
+  assert.equal(entry.propertyId, "123456");
+  assert.deepEqual(entry.user, { id: admin.user.id, name: "Admin", role: "admin" });
+
+  assert.equal(entry.reports.length, 1);
+  assert.deepEqual(entry.reports[0].query.dimensions, ["country"]);
+  assert.equal(entry.reports[0].rowCount, 2);
+  assert.equal(typeof entry.reports[0].latencyMs, "number");
+
+  assert.deepEqual(entry.models.map((m) => m.purpose), ["plan", "plan", "answer"]);
+  assert.ok(entry.models.every((m) => m.provider === "gemini" && m.tokens > 0));
+  assert.equal(entry.tokens, entry.models.reduce((sum, m) => sum + m.tokens, 0));
+  assert.ok(Math.abs(entry.costUsd - costOf("gemini-2.0-flash", entry.tokens)) < 1e-9);
+});
+
+test("records the tokens the provider billed, estimating only when it doesn't say", async () => {
+  const modelsOf = async (headers) =>
+    (await audit()).find((e) => e.id === headers.get("x-request-id")).models;
+
+  const estimated = await modelsOf((await ask("Sessions by country?")).headers);
+  assert.ok(estimated.every((m) => m.estimated === true));
+
+  llm.usage = { input: 900, output: 100 };
+  const billed = await modelsOf((await ask("Sessions by country?")).headers);
+  assert.deepEqual(
+    billed.map(({ purpose, tokens, estimated }) => ({ purpose, tokens, estimated })),
+    [
+      { purpose: "plan", tokens: 1000, estimated: false },
+      { purpose: "plan", tokens: 1000, estimated: false },
+      { purpose: "answer", tokens: 1000, estimated: false },
+    ]
+  );
+
+  llm.script({ dimensions: ["country"], metrics: ["sessions"] }, "Done.", "Streamed answer with **200** sessions.");
+  ga4.serve(sessionsByCountry());
+  const streamed = await modelsOf((await as("POST", "/api/chat/stream", { body: { message: "Stream it" } })).headers);
+  assert.deepEqual(streamed.at(-1), {
+    provider: "gemini",
+    model: "gemini-2.0-flash",
+    purpose: "answer",
+    tokens: 1000,
+    estimated: false,
+  });
+});
+
+test("records failures with what went wrong, without stack traces", async () => {
+  llm.script({ dimensions: ["country"], metrics: ["sessions"] });
+  ga4.fail("PERMISSION_DENIED");
+  const { headers } = await as("POST", "/api/query", {
+    body: { metrics: ["sessions"], dimensions: ["country"] },
+  });
+
+  const [entry] = (await audit("?type=query")).filter((e) => e.id === headers.get("x-request-id"));
+  assert.equal(entry.status, "error");
+  assert.equal(entry.httpStatus, 500);
+  assert.match(entry.reports[0].error, /PERMISSION_DENIED/);
+  assert.ok(entry.errors.some((e) => e.startsWith("query failed")));
+  assert.ok(!JSON.stringify(entry).includes("    at "));
+
+  const failures = await audit("?status=error");
+  assert.ok(failures.every((e) => e.status === "error"));
+});
+
+test("summarizes usage per user, model and question", async () => {
+  await ask("Sessions by country?");
+  await ask("sessions  by Country");
+  await ask("Top pages");
+
+  const { status, body } = await as("GET", "/api/admin/usage?days=7");
+  assert.equal(status, 200);
+  assert.equal(body.days, 7);
+  assert.ok(body.requests >= 3);
+  assert.equal(body.failures, body.byType.chat.failures + (body.byType.query?.failures || 0));
+
+  const [mine] = body.byUser.filter((u) => u.userId === admin.user.id);
+  assert.equal(mine.name, "Admin");
+
+  assert.equal(body.topQuestions[0].count >= 3, true);
+  assert.match(body.topQuestions[0].question, /sessions\s+by country/i);
+
+  const [gemini] = body.byModel;
+  assert.equal(gemini.model, "gemini-2.0-flash");
+  assert.ok(gemini.calls >= 9);
+  assert.ok(gemini.costUsd > 0);
+  assert.ok(body.ga4.reports >= 3);
+  assert.ok(body.ga4.rows >= 6);
+});
+
+test("only admins see usage and the audit trail", async () => {
+  const analyst = users.createUser("Analyst", "analyst");
+
+  assert.equal((await app.request("GET", "/api/admin/usage", { key: analyst.key })).status, 403);
+  assert.equal((await app.request("GET", "/api/admin/audit", { key: analyst.key })).status, 403);
+
+  llm.script("Hello!");
+  await app.request("POST", "/api/chat", { key: analyst.key, body: { message: "Hi" } });
+
+  const { body } = await as("GET", `/api/admin/audit?userId=${analyst.user.id}`);
+  assert.equal(body.entries.length, 1);
+  assert.deepEqual(body.entries[0].user, { id: analyst.user.id, name: "Analyst", role: "analyst" });
+  assert.deepEqual(body.entries[0].reports, []);
+});
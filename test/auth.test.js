@@ -0,0 +1,89 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { llm, startApp } = require("./support/app");
+const users = require("../server/users");
+
+let app;
+const keys = {};
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+test("without users the app is open, as an analyst", async () => {
+  const res = await app.request("GET", "/api/me");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.role, "analyst");
+});
+
+test("once users exist every API route needs a key", async () => {
+  for (const role of users.ROLES) {
+    keys[role] = users.createUser(`${role}-user`, role).key;
+  }
+
+  assert.equal((await app.request("GET", "/api/me")).status, 401);
+  assert.equal((await app.request("POST", "/api/chat", { body: { message: "hi" } })).status, 401);
+  assert.equal((await app.request("GET", "/api/me", { key: "gtc_not-a-real-key" })).status, 401);
+
+  const me = await app.request("GET", "/api/me", { key: keys.viewer });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.name, "viewer-user");
+});
+
+test("keys are not accepted in the query string", async () => {
+  const res = await app.request("GET", `/api/me?token=${keys.admin}`);
+  assert.equal(res.status, 401);
+});
+
+test("direct queries need the analyst role", async () => {
+  const body = { metrics: ["sessions"], dimensions: ["planet"] };
+
+  const viewer = await app.request("POST", "/api/query", { body, key: keys.viewer });
+  assert.equal(viewer.status, 403);
+  assert.equal(viewer.body.error, "Forbidden. Requires the analyst role.");
+
+  // Past the role check — rejected by validation instead
+  const analyst = await app.request("POST", "/api/query", { body, key: keys.analyst });
+  assert.equal(analyst.status, 400);
+});
+
+test("admin routes need the admin role", async () => {
+  assert.equal((await app.request("GET", "/api/admin/users", { key: keys.analyst })).status, 403);
+
+  const res = await app.request("GET", "/api/admin/users", { key: keys.admin });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.users.length, 3);
+});
+
+test("conversations are private to their owner", async () => {
+  llm.script({ type: "text", content: "Hello." });
+  const chat = await app.request("POST", "/api/chat", { body: { message: "hi" }, key: keys.viewer });
+  assert.equal(chat.status, 200);
+
+  const path = `/api/conversations/${chat.body.conversationId}`;
+  assert.equal((await app.request("GET", path, { key: keys.viewer })).status, 200);
+  assert.equal((await app.request("GET", path, { key: keys.admin })).status, 404);
+});
+
+test("revoked keys stop working", async () => {
+  const { keyId, key } = users.issueKey("viewer-user", "laptop");
+  assert.equal((await app.request("GET", "/api/me", { key })).status, 200);
+
+  users.revokeKey(keyId);
+  assert.equal((await app.request("GET", "/api/me", { key })).status, 401);
+});
+
+test("renames keep user names unique and non-empty", async () => {
+  assert.throws(() => users.updateUser("viewer-user", { name: "ADMIN-USER" }), /already exists/);
+  assert.throws(() => users.updateUser("viewer-user", { name: "" }), /User name is required/);
+  assert.equal(users.updateUser("viewer-user", { name: "Viewer-User" }).name, "Viewer-User");
+
+  const res = await app.request("PATCH", `/api/admin/users/${users.listUsers().find((u) => u.name === "Viewer-User").id}`, {
+    body: { name: "analyst-user" },
+    key: keys.admin,
+  });
+  assert.equal(res.status, 400);
+});
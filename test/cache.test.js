@@ -0,0 +1,112 @@
+// The other suites run without the cache; this one uses the disk backend
+process.env.GA4_CACHE = "disk";
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { ga4, gaReport, DATA_DIR, startApp } = require("./support/app");
+const { queryGA4 } = require("../server/ga4");
+const { resolveDate } = require("../server/cache");
+const users = require("../server/users");
+
+let app;
+let admin;
+const asAdmin = (method, url) => app.request(method, url, { key: admin.key });
+
+before(async () => {
+  app = await startApp();
+  admin = users.createUser("Admin", "admin");
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  ga4.reset();
+  ga4.serve(gaReport({ dimensions: ["deviceCategory"], metrics: ["sessions"], rows: [["mobile", "10"]] }));
+  await asAdmin("DELETE", "/api/admin/cache");
+});
+
+const mobile = { filter: { fieldName: "deviceCategory", stringFilter: { matchType: "EXACT", value: "mobile" } } };
+const seconds = ({ cachedAt, expiresAt }) => (new Date(expiresAt) - new Date(cachedAt)) / 1000;
+
+test("serves the same query from the cache, however its fields are ordered", async () => {
+  const first = await queryGA4({
+    dimensions: ["deviceCategory"],
+    metrics: ["sessions"],
+    startDate: "7daysAgo",
+    endDate: "yesterday",
+    dimensionFilter: mobile,
+  });
+  const second = await queryGA4({
+    dimensionFilter: { filter: { stringFilter: { value: "mobile", matchType: "EXACT" }, fieldName: "deviceCategory" } },
+    endDate: resolveDate("yesterday"),
+    startDate: resolveDate("7daysAgo"),
+    metrics: ["sessions"],
+    dimensions: ["deviceCategory"],
+  });
+
+  assert.equal(ga4.requests.length, 1);
+  assert.equal(first.metadata.cache.hit, false);
+  assert.equal(second.metadata.cache.hit, true);
+  assert.equal(second.metadata.cache.key, first.metadata.cache.key);
+  assert.deepEqual(second.rows, first.rows);
+
+  // A different limit is a different report
+  await queryGA4({ dimensions: ["deviceCategory"], metrics: ["sessions"], dimensionFilter: mobile, limit: 5 });
+  assert.equal(ga4.requests.length, 2);
+});
+
+test("keeps ranges that include today briefly and past ones longest", async () => {
+  const ttl = async (endDate) =>
+    seconds((await queryGA4({ metrics: ["sessions"], startDate: "30daysAgo", endDate })).metadata.cache);
+
+  assert.equal(await ttl("today"), 5 * 60);
+  assert.equal(await ttl("yesterday"), 60 * 60);
+  assert.equal(await ttl("10daysAgo"), 24 * 60 * 60);
+});
+
+test("fresh queries bypass the lookup but refresh the entry", async () => {
+  const params = { metrics: ["sessions"] };
+  await queryGA4(params);
+  const fresh = await queryGA4(params, undefined, { fresh: true });
+  const again = await queryGA4(params);
+
+  assert.equal(ga4.requests.length, 2);
+  assert.equal(fresh.metadata.cache.hit, false);
+  assert.equal(again.metadata.cache.hit, true);
+  assert.equal(again.metadata.cache.cachedAt, fresh.metadata.cache.cachedAt);
+});
+
+test("stores entries as files under DATA_DIR/cache", async () => {
+  const { key } = (await queryGA4({ metrics: ["sessions"] })).metadata.cache;
+
+  const entry = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "cache", `${key}.json`), "utf8"));
+  assert.equal(entry.key, key);
+  assert.deepEqual(entry.summary.metrics, ["sessions"]);
+  assert.equal(entry.value.rows[0].sessions, 10);
+});
+
+test("lets admins inspect and flush the cache, and no one else", async () => {
+  const { key } = (await queryGA4({ metrics: ["sessions"] })).metadata.cache;
+  await queryGA4({ metrics: ["totalUsers"] });
+
+  const listed = (await asAdmin("GET", "/api/admin/cache")).body;
+  assert.equal(listed.backend, "disk");
+  assert.equal(listed.entries.length, 2);
+  assert.ok(listed.entries.some((e) => e.key === key));
+  assert.ok(listed.entries.every((e) => e.propertyId === "123456" && e.expired === false && !e.value));
+
+  assert.deepEqual((await asAdmin("DELETE", `/api/admin/cache/${key}`)).body, { flushed: 1 });
+  assert.deepEqual((await asAdmin("DELETE", "/api/admin/cache?propertyId=999")).body, { flushed: 0 });
+  assert.deepEqual((await asAdmin("DELETE", "/api/admin/cache?propertyId=123456")).body, { flushed: 1 });
+  assert.equal((await asAdmin("GET", "/api/admin/cache")).body.entries.length, 0);
+
+  const analyst = users.createUser("Analyst", "analyst");
+  const as = (method, url) => app.request(method, url, { key: analyst.key });
+  assert.equal((await as("GET", "/api/admin/cache")).status, 403);
+  assert.equal((await as("DELETE", "/api/admin/cache")).status, 403);
+  assert.equal((await as("DELETE", `/api/admin/cache/${key}`)).status, 403);
+  assert.equal((await app.request("GET", "/api/admin/cache")).status, 401);
+});
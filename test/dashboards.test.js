@@ -0,0 +1,191 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ga4, gaReport, llm, startApp } = require("./support/app");
+const users = require("../server/users");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  ga4.reset();
+  llm.reset();
+});
+
+const sessionsByDay = () =>
+  gaReport({
+    dimensions: ["date"],
+    metrics: ["sessions"],
+    rows: [
+      ["20240101", "120"],
+      ["20240102", "80"],
+    ],
+  });
+
+async function createDashboard(body = {}) {
+  return (await app.request("POST", "/api/dashboards", { body: { name: "Traffic", ...body } })).body;
+}
+
+// The `query` of a chat answer, as the UI pins it
+async function chatQuery() {
+  llm.script({ dimensions: ["date"], metrics: ["sessions"], startDate: "14daysAgo" }, "Done.", "**200** sessions.");
+  ga4.serve(sessionsByDay());
+  const { body } = await app.request("POST", "/api/chat", { body: { message: "Sessions by day" } });
+  return body.query;
+}
+
+function pin(dashboard, body) {
+  return app.request("POST", `/api/dashboards/${dashboard.id}/tiles`, {
+    body: { title: "Sessions by day", propertyId: "123456", ...body },
+  });
+}
+
+test("pins a chat answer's query and re-runs it when the board loads", async () => {
+  const dashboard = await createDashboard();
+  const query = await chatQuery();
+
+  const tile = await pin(dashboard, { query });
+  assert.equal(tile.status, 201);
+  assert.match(tile.body.id, /^tile_/);
+  assert.equal(tile.body.query.startDate, "14daysAgo");
+  assert.equal(tile.body.width, "half");
+
+  ga4.reset();
+  ga4.serve(sessionsByDay());
+  const { body } = await app.request("GET", `/api/dashboards/${dashboard.id}/data`);
+
+  assert.equal(body.range, null);
+  assert.equal(body.tiles[0].id, tile.body.id);
+  assert.equal(body.tiles[0].data.rows.length, 2);
+  assert.equal(ga4.requests[0].dateRanges[0].startDate, "14daysAgo");
+
+  const [listed] = (await app.request("GET", "/api/dashboards")).body.dashboards.filter(
+    (d) => d.id === dashboard.id
+  );
+  assert.equal(listed.tileCount, 1);
+  assert.equal(listed.editable, true);
+});
+
+test("applies the board's date range to every tile but comparisons and realtime", async () => {
+  const dashboard = await createDashboard();
+  await pin(dashboard, { query: { dimensions: ["date"], metrics: ["sessions"], startDate: "7daysAgo" } });
+  await pin(dashboard, {
+    title: "This week vs last",
+    query: {
+      metrics: ["sessions"],
+      dateRanges: [
+        { startDate: "7daysAgo", endDate: "yesterday", name: "current" },
+        { startDate: "14daysAgo", endDate: "8daysAgo", name: "previous" },
+      ],
+    },
+  });
+  await pin(dashboard, { title: "Live", query: { realtime: true, metrics: ["activeUsers"] } });
+  ga4.serve(sessionsByDay());
+
+  const { body } = await app.request(
+    "GET",
+    `/api/dashboards/${dashboard.id}/data?startDate=2024-01-01&endDate=2024-01-31`
+  );
+
+  assert.deepEqual(body.range, { startDate: "2024-01-01", endDate: "2024-01-31" });
+  assert.equal(body.tiles.length, 3);
+  const [daily, comparison, realtime] = ga4.requests;
+  assert.deepEqual(daily.dateRanges, [{ startDate: "2024-01-01", endDate: "2024-01-31" }]);
+  assert.equal(comparison.dateRanges.length, 2);
+  assert.equal(comparison.dateRanges[1].startDate, "14daysAgo");
+  assert.ok(realtime.minuteRanges);
+
+  const halfRange = await app.request("GET", `/api/dashboards/${dashboard.id}/data?startDate=2024-01-01`);
+  assert.equal(halfRange.status, 400);
+});
+
+test("reports a failing tile without failing the board", async () => {
+  const dashboard = await createDashboard();
+  await pin(dashboard, { query: { metrics: ["sessions"] } });
+  ga4.fail("PERMISSION_DENIED");
+
+  const { status, body } = await app.request("GET", `/api/dashboards/${dashboard.id}/data`);
+
+  assert.equal(status, 200);
+  assert.equal(body.tiles[0].error, "Failed to query GA4");
+});
+
+test("rejects invalid tiles", async () => {
+  const dashboard = await createDashboard();
+
+  assert.match((await pin(dashboard, { query: { metrics: ["notAMetric"] } })).body.error, /Unknown metric/);
+  assert.match((await pin(dashboard, { query: { dimensions: ["date"] } })).body.error, /At least one metric/);
+  assert.match(
+    (await pin(dashboard, { propertyId: "999", query: { metrics: ["sessions"] } })).body.error,
+    /Unknown property/
+  );
+  assert.match(
+    (await pin(dashboard, { title: " ", query: { metrics: ["sessions"] } })).body.error,
+    /Title is required/
+  );
+});
+
+test("renames, reorders, resizes and removes tiles", async () => {
+  const dashboard = await createDashboard();
+  const { body: first } = await pin(dashboard, { title: "First", query: { metrics: ["sessions"] } });
+  const { body: second } = await pin(dashboard, { title: "Second", query: { metrics: ["activeUsers"] } });
+
+  const reordered = await app.request("PATCH", `/api/dashboards/${dashboard.id}`, {
+    body: { name: "Weekly", tileOrder: [second.id, first.id] },
+  });
+  assert.equal(reordered.body.name, "Weekly");
+  assert.deepEqual(reordered.body.tiles.map((t) => t.title), ["Second", "First"]);
+
+  const badOrder = await app.request("PATCH", `/api/dashboards/${dashboard.id}`, { body: { tileOrder: [first.id] } });
+  assert.match(badOrder.body.error, /every tile id once/);
+
+  const wide = await app.request("PATCH", `/api/dashboards/${dashboard.id}/tiles/${first.id}`, {
+    body: { width: "full", title: "Sessions" },
+  });
+  assert.equal(wide.body.width, "full");
+  assert.equal(wide.body.title, "Sessions");
+
+  const removed = await app.request("DELETE", `/api/dashboards/${dashboard.id}/tiles/${second.id}`);
+  assert.deepEqual(removed.body.tiles.map((t) => t.id), [first.id]);
+
+  await app.request("DELETE", `/api/dashboards/${dashboard.id}`);
+  assert.equal((await app.request("GET", `/api/dashboards/${dashboard.id}`)).status, 404);
+});
+
+test("shared boards are read-only for teammates; private ones are hidden", async () => {
+  const shared = await createDashboard({ name: "Team KPIs", shared: true });
+  const hidden = await createDashboard({ name: "Mine" });
+  await pin(shared, { query: { metrics: ["sessions"] } });
+  // Must be last: once users exist, every request needs a key
+  const viewer = users.createUser("Viewer", "viewer");
+  const as = (method, url, body) => app.request(method, url, { key: viewer.key, body });
+
+  const list = (await as("GET", "/api/dashboards")).body.dashboards;
+  assert.deepEqual(list.map((d) => d.name), ["Team KPIs"]);
+  assert.equal(list[0].editable, false);
+  assert.equal(list[0].ownerName, "Anonymous");
+
+  ga4.serve(sessionsByDay());
+  assert.equal((await as("GET", `/api/dashboards/${shared.id}/data`)).body.tiles.length, 1);
+  assert.equal((await as("PATCH", `/api/dashboards/${shared.id}`, { name: "Mine now" })).status, 403);
+  assert.equal((await as("POST", `/api/dashboards/${shared.id}/tiles`, { title: "x" })).status, 403);
+  assert.equal((await as("GET", `/api/dashboards/${hidden.id}`)).status, 404);
+
+  // Viewers keep boards of their own
+  const own = await as("POST", "/api/dashboards", { name: "Viewer board" });
+  assert.equal(own.status, 201);
+  assert.equal(own.body.editable, true);
+
+  // ...but can't pin queries to them, which would run what /api/query won't
+  const pinned = await as("POST", `/api/dashboards/${own.body.id}/tiles`, {
+    title: "Sessions",
+    query: { metrics: ["sessions"] },
+  });
+  assert.equal(pinned.status, 403);
+  assert.match(pinned.body.error, /analyst/);
+});
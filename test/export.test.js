@@ -0,0 +1,45 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ExcelJS = require("exceljs");
+
+const { exportData } = require("../server/export");
+
+const rawData = {
+  rows: [
+    { pagePath: "=HYPERLINK(\"http://evil.example\",\"Click\")", sessions: 12 },
+    { pagePath: "+1 offer", sessions: 5 },
+    { pagePath: "-", sessions: -3 },
+    { pagePath: "@SUM(A1)", sessions: 2 },
+    { pagePath: "/pricing", sessions: 40 },
+  ],
+  totals: { sessions: 56 },
+  metadata: {
+    dimensions: ["pagePath"],
+    metrics: ["sessions"],
+    dateRange: { startDate: "7daysAgo", endDate: "yesterday" },
+    propertyId: "123456",
+  },
+};
+
+test("keeps text cells that look like formulas as text in CSV", async () => {
+  const { body } = await exportData("csv", rawData);
+  const lines = body.toString("utf8").split("\r\n");
+
+  assert.ok(lines.includes(`"'=HYPERLINK(""http://evil.example"",""Click"")",12`));
+  assert.ok(lines.includes("'+1 offer,5"));
+  assert.ok(lines.includes("'-,-3"));
+  assert.ok(lines.includes("'@SUM(A1),2"));
+  assert.ok(lines.includes("/pricing,40"));
+});
+
+test("keeps text cells that look like formulas as text in XLSX", async () => {
+  const { body } = await exportData("xlsx", rawData);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(body);
+  const sheet = workbook.getWorksheet("Data");
+
+  const column = sheet.getColumn(1).values.slice(2, 7);
+  assert.deepEqual(column, ["'=HYPERLINK(\"http://evil.example\",\"Click\")", "'+1 offer", "'-", "'@SUM(A1)", "/pricing"]);
+  // Numbers, negative ones included, stay numbers
+  assert.equal(sheet.getRow(4).getCell(2).value, -3);
+});
@@ -0,0 +1,179 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ga4, gaReport, llm, startApp } = require("./support/app");
+const { validateQuery } = require("../server/validate");
+const { describeFilter } = require("../server/filters");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  ga4.reset();
+  llm.reset();
+});
+
+const lastPrompt = (call) => call.messages.at(-1).parts[0].text;
+
+const exact = (fieldName, value) => ({ filter: { fieldName, stringFilter: { matchType: "EXACT", value } } });
+
+const blogPages = () =>
+  gaReport({
+    dimensions: ["pagePath"],
+    metrics: ["sessions"],
+    rows: [
+      ["/blog/ga4-tips", "120"],
+      ["/blog/launch", "80"],
+    ],
+  });
+
+test("runs a question's segment as filters and says which were applied", async () => {
+  const dimensionFilter = {
+    andGroup: {
+      expressions: [
+        exact("deviceCategory", "mobile"),
+        exact("country", "France"),
+        { filter: { fieldName: "pagePath", stringFilter: { matchType: "BEGINS_WITH", value: "/blog" } } },
+      ],
+    },
+  };
+  const metricFilter = {
+    filter: { fieldName: "sessions", numericFilter: { operation: "GREATER_THAN", value: { int64Value: "50" } } },
+  };
+  llm.script(
+    { dimensions: ["pagePath"], metrics: ["sessions"], dimensionFilter, metricFilter },
+    "Done.",
+    "Two blog posts draw mobile visitors from France [R1]."
+  );
+  ga4.serve(blogPages());
+
+  const { body } = await app.request("POST", "/api/chat", {
+    body: { message: "Mobile traffic from France to /blog pages with more than 50 sessions" },
+  });
+
+  assert.equal(ga4.requests[0].dimensionFilter.andGroup.expressions.length, 3);
+  assert.deepEqual(ga4.requests[0].metricFilter, metricFilter);
+
+  const described = 'deviceCategory is "mobile" and country is "France" and pagePath begins with "/blog"';
+  assert.deepEqual(body.filters, [{ report: "R1", dimension: described, metric: "sessions > 50" }]);
+  assert.ok(lastPrompt(llm.calls[2]).includes(`R1 — Filters applied (mention them): ${described}; rows where sessions > 50`));
+});
+
+test("feeds filter errors back to the model", async () => {
+  llm.script(
+    { dimensions: ["pagePath"], metrics: ["sessions"], dimensionFilter: exact("devise", "mobile") },
+    { dimensions: ["pagePath"], metrics: ["sessions"], dimensionFilter: exact("deviceCategory", "mobile") },
+    "Done.",
+    "Answer."
+  );
+  ga4.serve(blogPages());
+
+  await app.request("POST", "/api/chat", { body: { message: "Mobile pages" } });
+
+  assert.match(lastPrompt(llm.calls[1]), /Unknown dimension "devise"/);
+  assert.equal(ga4.requests.length, 1);
+  assert.equal(ga4.requests[0].dimensionFilter.filter.fieldName, "deviceCategory");
+});
+
+test("rejects filters on unknown fields, the wrong kind of field or metrics not in the report", () => {
+  const errorsFor = (params) => validateQuery({ metrics: ["sessions"], ...params }).errors;
+
+  assert.match(errorsFor({ dimensionFilter: exact("planet", "Mars") })[0], /Unknown dimension "planet"/);
+  assert.match(errorsFor({ dimensionFilter: exact("sessions", "5") })[0], /is a metric; filter it with metricFilter/);
+  assert.match(
+    errorsFor({
+      metricFilter: { filter: { fieldName: "bounceRate", numericFilter: { operation: "LESS_THAN", value: 0.5 } } },
+    })[0],
+    /must be one of the report's metrics/
+  );
+  assert.match(
+    errorsFor({ metricFilter: { filter: { fieldName: "sessions", stringFilter: { value: "5" } } } })[0],
+    /metricFilter takes numericFilter/
+  );
+  assert.match(
+    errorsFor({ dimensionFilter: { filter: { fieldName: "pagePath", stringFilter: { matchType: "FULL_REGEXP", value: "(" } } } })[0],
+    /invalid regular expression/
+  );
+  assert.match(errorsFor({ dimensionFilter: { andGroup: { expressions: [] } } })[0], /non-empty list/);
+  assert.match(errorsFor({ dimensionFilter: "mobile" })[0], /must be a GA4 FilterExpression object/);
+});
+
+test("repairs bare filters, lists, case, aliases and rates given as percentages", () => {
+  const { valid, params, warnings } = validateQuery({
+    dimensions: ["pagePath"],
+    metrics: ["sessions", "bounceRate"],
+    dimensionFilter: [
+      { fieldName: "devicecategory", stringFilter: { matchType: "contains", value: "mob" } },
+      { notExpression: { fieldName: "country", inListFilter: { values: ["France", "Spain"] } } },
+    ],
+    metricFilter: {
+      orGroup: {
+        expressions: [
+          { filter: { fieldName: "bounceRate", betweenFilter: { fromValue: 40, toValue: "60" } } },
+          { filter: { fieldName: "sessions", numericFilter: { operation: ">=", value: 1000 } } },
+        ],
+      },
+    },
+  });
+
+  assert.equal(valid, true);
+  const [device, notCountry] = params.dimensionFilter.andGroup.expressions;
+  assert.deepEqual(device.filter, {
+    fieldName: "deviceCategory",
+    stringFilter: { matchType: "CONTAINS", value: "mob", caseSensitive: false },
+  });
+  assert.deepEqual(notCountry.notExpression.filter.inListFilter.values, ["France", "Spain"]);
+  assert.deepEqual(params.metricFilter.orGroup.expressions[0].filter.betweenFilter, {
+    fromValue: { doubleValue: 0.4 },
+    toValue: { doubleValue: 0.6 },
+  });
+  assert.deepEqual(params.metricFilter.orGroup.expressions[1].filter.numericFilter, {
+    operation: "GREATER_THAN_OR_EQUAL",
+    value: { int64Value: "1000" },
+  });
+  assert.ok(warnings.some((w) => w.includes('Replaced dimensionFilter field "devicecategory"')));
+  assert.ok(warnings.some((w) => w.includes("as 40%")));
+
+  assert.equal(
+    describeFilter(params.dimensionFilter),
+    'deviceCategory contains "mob" and not (country is one of "France", "Spain")'
+  );
+  assert.equal(describeFilter(params.metricFilter), "bounceRate between 40.0% and 60.0% or sessions ≥ 1,000");
+});
+
+test("direct queries pass metric filters through, and monitors keep the repaired filter", async () => {
+  ga4.serve(blogPages());
+  const res = await app.request("POST", "/api/query", {
+    body: {
+      dimensions: ["pagePath"],
+      metrics: ["sessions"],
+      metricFilter: { filter: { fieldName: "sessions", numericFilter: { operation: "GREATER_THAN", value: 100 } } },
+    },
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(ga4.requests[0].metricFilter.filter.numericFilter.value, { int64Value: "100" });
+
+  const bad = await app.request("POST", "/api/query", {
+    body: { metrics: ["sessions"], dimensionFilter: exact("planet", "Mars") },
+  });
+  assert.equal(bad.status, 400);
+  assert.ok(bad.body.details.some((d) => d.includes('Unknown dimension "planet"')));
+
+  const monitor = await app.request("POST", "/api/monitors", {
+    body: {
+      name: "Mobile sessions",
+      propertyId: "123456",
+      metric: "sessions",
+      dimensionFilter: { fieldName: "deviceCategory", stringFilter: { value: "mobile" } },
+    },
+  });
+  assert.equal(monitor.status, 201);
+  assert.deepEqual(monitor.body.dimensionFilter, {
+    filter: { fieldName: "deviceCategory", stringFilter: { matchType: "EXACT", value: "mobile", caseSensitive: false } },
+  });
+});
@@ -0,0 +1,178 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ga4, gaReport, llm, startApp, parseEvents } = require("./support/app");
+const { formatMetric, formatDelta, reportTable } = require("../server/formatting");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  ga4.reset();
+  llm.reset();
+  delete process.env.PRIVACY_MODE;
+});
+
+const lastPrompt = (call) => call.messages.at(-1).parts[0].text;
+
+const byCountry = () =>
+  gaReport({
+    dimensions: ["country"],
+    metrics: ["sessions", "bounceRate"],
+    rows: [
+      ["United States", "1200", "0.4123"],
+      ["France", "600", "0.55"],
+      ["Germany", "200", "0.6"],
+    ],
+    totals: [["2000", "0.47"]],
+  });
+
+test("formats values by metric type, falling back to the metric's name", () => {
+  const typed = {
+    metricTypes: { userEngagementDuration: "TYPE_SECONDS", purchaseRevenue: "TYPE_CURRENCY", eventValue: "TYPE_FLOAT" },
+    currencyCode: "EUR",
+  };
+  assert.equal(formatMetric("sessions", 1234567), "1,234,567");
+  assert.equal(formatMetric("bounceRate", 0.4523), "45.2%");
+  assert.equal(formatMetric("averageSessionDuration", 154.23), "2m 34s");
+  assert.equal(formatMetric("averageSessionDuration", 3723), "1h 2m");
+  assert.equal(formatMetric("userEngagementDuration", 42, typed), "42s");
+  assert.equal(formatMetric("purchaseRevenue", 1234.5, typed), "€1,234.50");
+  assert.equal(formatMetric("totalRevenue", 99), "99.00");
+  assert.equal(formatMetric("screenPageViewsPerSession", 3.14159), "3.14");
+  assert.equal(formatMetric("eventValue", 7, typed), "7.00");
+});
+
+test("formats changes as relative percentages, and rates in percentage points", () => {
+  assert.equal(formatDelta("sessions", { absolute: 25, percent: 12.5 }), "+12.5%");
+  assert.equal(formatDelta("sessions", { absolute: -10, percent: -4 }), "−4.0%");
+  assert.equal(formatDelta("sessions", { absolute: 40, percent: null }), "+40");
+  assert.equal(formatDelta("bounceRate", { absolute: -0.021, percent: -4.5 }), "−2.1 pp");
+});
+
+test("builds a table with shares, a total row and a note when rows are cut", () => {
+  const rawData = {
+    rows: [
+      { date: "20260115", sessions: 1500, bounceRate: 0.4 },
+      { date: "20260116", sessions: 500, bounceRate: 0.5 },
+    ],
+    totals: { sessions: 2000, bounceRate: 0.425 },
+    metadata: { dimensions: ["date"], metrics: ["sessions", "bounceRate"], rowCount: 2 },
+  };
+  assert.equal(
+    reportTable(rawData),
+    [
+      "| date | sessions | bounceRate | share of sessions |",
+      "| --- | --- | --- | --- |",
+      "| 2026-01-15 | 1,500 | 40.0% | 75.0% |",
+      "| 2026-01-16 | 500 | 50.0% | 25.0% |",
+      "| **Total** | **2,000** | **42.5%** | **100.0%** |",
+    ].join("\n")
+  );
+
+  const many = {
+    rows: Array.from({ length: 30 }, (_, i) => ({ pagePath: `/a|${i}`, sessions: 10 })),
+    totals: { sessions: 1000 },
+    metadata: { dimensions: ["pagePath"], metrics: ["sessions"], rowCount: 100, truncated: true },
+  };
+  const table = reportTable(many).split("\n");
+  assert.equal(table[2], "| /a\\|0 | 10 | 1.0% |");
+  assert.equal(table[22], "| **Total (all 100 rows)** | **1,000** | **100.0%** |");
+  assert.equal(table.at(-1), "_Top 20 of 100 rows._");
+
+  // A single total has no table
+  assert.equal(reportTable({ rows: [{ sessions: 5 }], totals: {}, metadata: { dimensions: [], metrics: ["sessions"] } }), "");
+});
+
+test("hands the model formatted figures and shares, and inserts the table where it asks", async () => {
+  llm.script(
+    { dimensions: ["country"], metrics: ["sessions", "bounceRate"] },
+    "Done.",
+    "The US leads with **1,200** sessions [R1].\n\n[TABLE_R1]\n\nFrance bounces most."
+  );
+  ga4.serve(byCountry());
+
+  const { body } = await app.request("POST", "/api/chat", { body: { message: "Sessions by country" } });
+
+  const prompt = lastPrompt(llm.calls[2]);
+  assert.ok(prompt.includes('{"country":"United States","sessions":"1,200","bounceRate":"41.2%","share of sessions":"60.0%"}'));
+  assert.ok(prompt.includes('"totals":{"sessions":"2,000","bounceRate":"47.0%"}'));
+  assert.match(prompt, /Ready-made tables: \[TABLE_R1\] \(country by sessions, bounceRate, 3 rows\)/);
+
+  assert.equal(
+    body.content,
+    [
+      "The US leads with **1,200** sessions [R1].",
+      "",
+      "| country | sessions | bounceRate | share of sessions |",
+      "| --- | --- | --- | --- |",
+      "| United States | 1,200 | 41.2% | 60.0% |",
+      "| France | 600 | 55.0% | 30.0% |",
+      "| Germany | 200 | 60.0% | 10.0% |",
+      "| **Total** | **2,000** | **47.0%** | **100.0%** |",
+      "",
+      "France bounces most.",
+    ].join("\n")
+  );
+});
+
+test("uses GA4's metric types and currency, and streams tables in whole", async () => {
+  llm.script(
+    { dimensions: ["country"], metrics: ["totalRevenue", "userEngagementDuration"] },
+    "Done.",
+    "Revenue by country [R1]:\n[TABLE_R1]\n[TABLE_R9]"
+  );
+  ga4.serve({
+    ...gaReport({
+      dimensions: ["country"],
+      metrics: ["totalRevenue", "userEngagementDuration"],
+      rows: [
+        ["Germany", "1234.5", "154"],
+        ["France", "100", "3725"],
+      ],
+      totals: [["1334.5", "3879"]],
+    }),
+    metricHeaders: [
+      { name: "totalRevenue", type: "TYPE_CURRENCY" },
+      { name: "userEngagementDuration", type: "TYPE_SECONDS" },
+    ],
+    metadata: { currencyCode: "EUR" },
+  });
+
+  const res = await app.request("POST", "/api/chat/stream", { body: { message: "Revenue by country" } });
+  const events = parseEvents(res.body);
+
+  const streamed = events.filter((e) => e.event === "token").map((e) => e.data.text).join("");
+  const done = events.find((e) => e.event === "done").data;
+  assert.equal(streamed, done.content);
+  assert.ok(done.content.includes("| Germany | €1,234.50 | 2m 34s | 92.5% |"));
+  assert.ok(done.content.includes("| France | €100.00 | 1h 2m | 7.5% |"));
+  // Markers for reports that don't exist are dropped
+  assert.ok(!done.content.includes("[TABLE_R9]"));
+  assert.equal(done.rawData.metadata.currencyCode, "EUR");
+});
+
+test("tables follow the privacy mode like the rest of the answer", async () => {
+  process.env.PRIVACY_MODE = "redact";
+  llm.script({ dimensions: ["pagePath"], metrics: ["sessions"] }, "Done.", "[TABLE_R1]");
+  ga4.serve(
+    gaReport({
+      dimensions: ["pagePath"],
+      metrics: ["sessions"],
+      rows: [
+        ["/checkout?coupon=SAVE10", "30"],
+        ["/pricing", "10"],
+      ],
+    })
+  );
+
+  const { body } = await app.request("POST", "/api/chat", { body: { message: "Top pages" } });
+
+  assert.ok(body.content.includes("| /checkout?[withheld] | 30 |"));
+  assert.ok(!body.content.includes("SAVE10"));
+});
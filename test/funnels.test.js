@@ -0,0 +1,181 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ga4, gaFunnel, llm, startApp } = require("./support/app");
+const { validateQuery } = require("../server/validate");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  ga4.reset();
+  llm.reset();
+});
+
+const lastPrompt = (call) => call.messages.at(-1).parts[0].text;
+
+const checkout = {
+  steps: [
+    { name: "Viewed product", event: "view_item" },
+    { name: "Checkout page", page: "/checkout", match: "begins_with" },
+    { name: "Purchased", event: "purchase" },
+  ],
+};
+
+test("runs funnel questions as funnel reports with drop-offs and a funnel table", async () => {
+  llm.script(
+    { funnel: checkout, startDate: "28daysAgo", endDate: "yesterday" },
+    "Done.",
+    "Most shoppers leave before checkout [R1].\n\n[TABLE_R1]"
+  );
+  ga4.serve(
+    gaFunnel({
+      rows: [
+        ["1. Viewed product", "1000"],
+        ["2. Checkout page", "400"],
+        ["3. Purchased", "100"],
+      ],
+    })
+  );
+
+  const { body } = await app.request("POST", "/api/chat", {
+    body: { message: "Where do users drop off between product page and purchase?" },
+  });
+
+  const [request] = ga4.requests;
+  assert.equal(request.funnel.isOpenFunnel, false);
+  assert.deepEqual(request.funnel.steps[0], {
+    name: "Viewed product",
+    filterExpression: { funnelEventFilter: { eventName: "view_item" } },
+  });
+  assert.deepEqual(request.funnel.steps[1].filterExpression, {
+    funnelFieldFilter: { fieldName: "pagePath", stringFilter: { matchType: "BEGINS_WITH", value: "/checkout" } },
+  });
+  assert.deepEqual(request.dateRanges, [{ startDate: "28daysAgo", endDate: "yesterday" }]);
+
+  const [first, , last] = body.rawData.rows;
+  assert.deepEqual(first, {
+    funnelStepName: "1. Viewed product",
+    activeUsers: 1000,
+    completionRate: 0.4,
+    dropOffs: 600,
+    dropOffRate: 0.6,
+    overallRate: 1,
+  });
+  assert.equal(last.dropOffs, null);
+  assert.equal(body.rawData.metadata.funnel.conversionRate, 0.1);
+
+  assert.match(lastPrompt(llm.calls[2]), /closed funnel of 3 steps/);
+  assert.match(lastPrompt(llm.calls[2]), /Overall conversion from the first\s+to the last step: 10\.0%/);
+  assert.equal(
+    body.content,
+    [
+      "Most shoppers leave before checkout [R1].",
+      "",
+      "| funnelStepName | activeUsers | completionRate | dropOffs | dropOffRate | overallRate |",
+      "| --- | --- | --- | --- | --- | --- |",
+      "| 1. Viewed product | 1,000 | 40.0% | 600 | 60.0% | 100.0% |",
+      "| 2. Checkout page | 400 | 25.0% | 300 | 75.0% | 40.0% |",
+      "| 3. Purchased | 100 |  |  |  | 10.0% |",
+    ].join("\n")
+  );
+});
+
+test("breaks open funnels down by a dimension, everyone first", async () => {
+  ga4.serve(
+    gaFunnel({
+      breakdown: "deviceCategory",
+      rows: [
+        ["1. Viewed product", "desktop", "300"],
+        ["2. Checkout page", "desktop", "150"],
+        ["3. Purchased", "desktop", "60"],
+        ["1. Viewed product", "RESERVED_TOTAL", "1000"],
+        ["2. Checkout page", "RESERVED_TOTAL", "400"],
+        ["3. Purchased", "RESERVED_TOTAL", "100"],
+        ["1. Viewed product", "mobile", "700"],
+        ["2. Checkout page", "mobile", "250"],
+        ["3. Purchased", "mobile", "40"],
+      ],
+    })
+  );
+
+  const res = await app.request("POST", "/api/query", {
+    body: { funnel: { ...checkout, open: true, breakdown: "device" }, limit: 3 },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(ga4.requests[0].funnel.isOpenFunnel, true);
+  assert.deepEqual(ga4.requests[0].funnelBreakdown, { breakdownDimension: { name: "deviceCategory" }, limit: 3 });
+
+  const { rows, metadata } = res.body;
+  assert.deepEqual(
+    rows.filter((r) => r.funnelStepName.startsWith("1.")).map((r) => r.deviceCategory),
+    ["(all users)", "mobile", "desktop"]
+  );
+  assert.equal(rows.find((r) => r.deviceCategory === "mobile").dropOffs, 450);
+  assert.deepEqual(metadata.dimensions, ["funnelStepName", "deviceCategory"]);
+  assert.equal(metadata.funnel.conversionRate, 0.1);
+});
+
+test("exports every row of a broken-down funnel within GA4's breakdown limit", async () => {
+  const report = gaFunnel({
+    breakdown: "deviceCategory",
+    rows: [
+      ["1. Viewed product", "RESERVED_TOTAL", "1000"],
+      ["2. Checkout page", "RESERVED_TOTAL", "400"],
+      ["3. Purchased", "RESERVED_TOTAL", "100"],
+      ["1. Viewed product", "mobile", "700"],
+      ["2. Checkout page", "mobile", "250"],
+      ["3. Purchased", "mobile", "40"],
+    ],
+  });
+  // Like GA4, which rejects a breakdown limit over 15
+  ga4.serve((request) => {
+    if (request.funnelBreakdown.limit > 15) throw new Error("INVALID_ARGUMENT: funnelBreakdown.limit");
+    return report;
+  });
+  llm.script({ funnel: { ...checkout, breakdown: "deviceCategory" } }, "Done.", "[TABLE_R1]");
+
+  const chat = await app.request("POST", "/api/chat", { body: { message: "Checkout funnel by device" } });
+  const res = await app.request(
+    "GET",
+    `/api/conversations/${chat.body.conversationId}/messages/${chat.body.messageId}/export?format=json&all=1`
+  );
+
+  assert.equal(res.status, 200);
+  assert.equal(ga4.requests.at(-1).funnelBreakdown.limit, 5);
+  const exported = typeof res.body === "string" ? JSON.parse(res.body) : res.body;
+  assert.equal(exported.rows.length, 6);
+});
+
+test("rejects funnels with too few steps, unclear steps, unknown breakdowns or several periods", () => {
+  const errorsFor = (params) => validateQuery(params).errors;
+
+  assert.match(errorsFor({ funnel: { steps: [{ event: "purchase" }] } })[0], /needs 2 to 10 steps/);
+  assert.match(
+    errorsFor({ funnel: { steps: [{ event: "view_item", page: "/p" }, { event: "purchase" }] } })[0],
+    /needs either an "event"/
+  );
+  assert.match(errorsFor({ funnel: { ...checkout, breakdown: "planet" } })[0], /Unknown breakdown dimension "planet"/);
+  assert.match(
+    errorsFor({
+      funnel: checkout,
+      dateRanges: [
+        { startDate: "7daysAgo", endDate: "yesterday" },
+        { startDate: "14daysAgo", endDate: "8daysAgo" },
+      ],
+    })[0],
+    /run one funnel per period/
+  );
+  assert.match(errorsFor({ funnel: checkout, realtime: true })[0], /funnel/i);
+
+  const { valid, params, warnings } = validateQuery({ funnel: checkout, metrics: ["sessions"] });
+  assert.equal(valid, true);
+  assert.equal(params.funnel.steps[1].match, "BEGINS_WITH");
+  assert.ok(warnings.some((w) => w.includes("Ignored dimensions and metrics")));
+});
@@ -0,0 +1,214 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ga4, gaReport } = require("./support/app");
+const { queryGA4, queryAllGA4 } = require("../server/ga4");
+
+beforeEach(() => ga4.reset());
+
+test("parses rows and totals into numbers keyed by field name", async () => {
+  ga4.serve(
+    gaReport({
+      dimensions: ["country"],
+      metrics: ["sessions", "bounceRate"],
+      rows: [
+        ["France", "120", "0.42"],
+        ["Spain", "80", "0.5"],
+      ],
+      totals: [["200", "0.45"]],
+      rowCount: 2,
+    })
+  );
+
+  const result = await queryGA4({ dimensions: ["country"], metrics: ["sessions", "bounceRate"] });
+
+  assert.deepEqual(result.rows, [
+    { country: "France", sessions: 120, bounceRate: 0.42 },
+    { country: "Spain", sessions: 80, bounceRate: 0.5 },
+  ]);
+  assert.deepEqual(result.totals, { sessions: 200, bounceRate: 0.45 });
+  assert.equal(result.metadata.rowCount, 2);
+  assert.equal(result.metadata.propertyId, "123456");
+  assert.equal(result.metadata.truncated, false);
+});
+
+test("builds the runReport request with defaults", async () => {
+  ga4.serve(gaReport({ dimensions: ["date"], metrics: ["sessions"], rows: [] }));
+
+  await queryGA4({ dimensions: ["date"], metrics: ["sessions"], limit: 5 });
+
+  const [request] = ga4.requests;
+  assert.equal(request.property, "properties/123456");
+  assert.deepEqual(request.dateRanges, [{ startDate: "7daysAgo", endDate: "yesterday" }]);
+  assert.equal(request.limit, 5);
+  assert.equal(request.offset, undefined);
+  assert.deepEqual(request.orderBys, [{ metric: { metricName: "sessions" }, desc: true }]);
+});
+
+test("groups comparison rows by range and computes deltas", async () => {
+  ga4.serve(
+    gaReport({
+      dimensions: ["deviceCategory", "dateRange"],
+      metrics: ["sessions"],
+      rows: [
+        ["mobile", "current", "150"],
+        ["mobile", "previous", "100"],
+        ["desktop", "current", "50"],
+        ["desktop", "previous", "0"],
+      ],
+      totals: [["200"], ["100"]],
+    })
+  );
+
+  const result = await queryGA4({
+    dimensions: ["deviceCategory"],
+    metrics: ["sessions"],
+    dateRanges: [
+      { name: "current", startDate: "7daysAgo", endDate: "yesterday" },
+      { name: "previous", startDate: "14daysAgo", endDate: "8daysAgo" },
+    ],
+  });
+
+  assert.equal(result.metadata.comparison, true);
+  const mobile = result.rows.find((r) => r.deviceCategory === "mobile");
+  assert.deepEqual(mobile.ranges, { current: { sessions: 150 }, previous: { sessions: 100 } });
+  assert.deepEqual(mobile.deltas.previous.sessions, { absolute: 50, percent: 50 });
+  const desktop = result.rows.find((r) => r.deviceCategory === "desktop");
+  assert.equal(desktop.deltas.previous.sessions.percent, null);
+});
+
+test("asks for every range of a comparison and marks rows a short page split", async () => {
+  ga4.serve(
+    gaReport({
+      dimensions: ["deviceCategory", "dateRange"],
+      metrics: ["sessions"],
+      rows: [
+        ["mobile", "current", "150"],
+        ["mobile", "previous", "100"],
+        ["desktop", "current", "50"],
+      ],
+      totals: [["200"], ["160"]],
+      rowCount: 6,
+    })
+  );
+
+  const result = await queryGA4({
+    dimensions: ["deviceCategory"],
+    metrics: ["sessions"],
+    limit: 2,
+    dateRanges: [
+      { name: "current", startDate: "7daysAgo", endDate: "yesterday" },
+      { name: "previous", startDate: "14daysAgo", endDate: "8daysAgo" },
+    ],
+  });
+
+  assert.equal(ga4.requests[0].limit, 4);
+  assert.equal(result.metadata.rowCount, 3);
+  assert.equal(result.metadata.partialRows, 1);
+  // desktop's previous range may be on the next page: unknown, not 0
+  const desktop = result.rows.find((r) => r.deviceCategory === "desktop");
+  assert.equal(desktop.partial, true);
+  assert.deepEqual(desktop.ranges.previous, { sessions: null });
+  assert.deepEqual(desktop.deltas.previous.sessions, { absolute: null, percent: null });
+  assert.equal(result.rows.find((r) => r.deviceCategory === "mobile").partial, undefined);
+});
+
+test("flags a page that stops short of the total row count", async () => {
+  ga4.serve(
+    gaReport({
+      dimensions: ["pagePath"],
+      metrics: ["screenPageViews"],
+      rows: [["/a", "10"]],
+      rowCount: 40,
+    })
+  );
+
+  const result = await queryGA4({
+    dimensions: ["pagePath"],
+    metrics: ["screenPageViews"],
+    limit: 1,
+    offset: 5,
+  });
+
+  assert.equal(ga4.requests[0].offset, 5);
+  assert.equal(result.metadata.rowCount, 40);
+  assert.equal(result.metadata.returned, 1);
+  assert.equal(result.metadata.truncated, true);
+});
+
+test("fetch-all walks pages until every row is in", async () => {
+  ga4.serve((request) => {
+    const rows = [];
+    const end = Math.min(25, (request.offset || 0) + request.limit);
+    for (let i = request.offset || 0; i < end; i++) rows.push([`/p${i}`, String(100 - i)]);
+    return gaReport({ dimensions: ["pagePath"], metrics: ["sessions"], rows, rowCount: 25 });
+  });
+
+  const result = await queryAllGA4({ dimensions: ["pagePath"], metrics: ["sessions"] }, undefined, {
+    maxRows: 10,
+  });
+
+  assert.equal(result.rows.length, 10);
+  assert.equal(result.metadata.truncated, true);
+
+  ga4.reset();
+  ga4.serve((request) =>
+    gaReport({
+      dimensions: ["pagePath"],
+      metrics: ["sessions"],
+      rows: [[`/p${request.offset || 0}`, "1"]],
+      rowCount: 3,
+    })
+  );
+  const all = await queryAllGA4({ dimensions: ["pagePath"], metrics: ["sessions"], limit: 1 });
+  assert.deepEqual(
+    all.rows.map((r) => r.pagePath),
+    ["/p0", "/p1", "/p2"]
+  );
+  assert.equal(all.metadata.truncated, false);
+});
+
+test("runs realtime reports over the last minutes, uncached", async () => {
+  ga4.serve(
+    gaReport({
+      dimensions: ["country"],
+      metrics: ["activeUsers"],
+      rows: [
+        ["France", "12"],
+        ["Spain", "3"],
+      ],
+      totals: [["15"]],
+    })
+  );
+
+  const params = { realtime: true, dimensions: ["country"], metrics: ["activeUsers"], minutes: 10 };
+  const result = await queryGA4(params);
+  await queryGA4(params);
+
+  const [request] = ga4.requests;
+  assert.deepEqual(request.minuteRanges, [{ name: "last10Minutes", startMinutesAgo: 9, endMinutesAgo: 0 }]);
+  assert.equal(request.dateRanges, undefined);
+  assert.equal(ga4.requests.length, 2);
+  assert.deepEqual(result.rows[0], { country: "France", activeUsers: 12 });
+  assert.deepEqual(result.totals, { activeUsers: 15 });
+  assert.equal(result.metadata.realtime, true);
+  assert.equal(result.metadata.minutes, 10);
+});
+
+test("explains permission errors", async () => {
+  ga4.fail("7 PERMISSION_DENIED: User does not have sufficient permissions for this property.");
+
+  await assert.rejects(queryGA4({ metrics: ["sessions"] }), /Permission denied\. Check service account access/);
+});
+
+test("explains unknown properties", async () => {
+  ga4.fail("5 NOT_FOUND: Requested entity was not found.");
+
+  await assert.rejects(queryGA4({ metrics: ["sessions"] }), /Property 123456 not found/);
+});
+
+test("passes other GA4 errors through", async () => {
+  ga4.fail("3 INVALID_ARGUMENT: Field foo is not a valid metric.");
+
+  await assert.rejects(queryGA4({ metrics: ["foo"] }), /INVALID_ARGUMENT/);
+});
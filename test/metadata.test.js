@@ -0,0 +1,121 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ga4, gaReport, llm, startApp } = require("./support/app");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  ga4.reset();
+  llm.reset();
+});
+
+const METADATA = {
+  dimensions: [
+    { apiName: "date", uiName: "Date", description: "The date of the event.", category: "Time" },
+    { apiName: "country", uiName: "Country", description: "The country of the user.", category: "Geography" },
+    {
+      apiName: "customEvent:plan_type",
+      uiName: "Plan type",
+      description: "Subscription plan picked at signup",
+      category: "Custom",
+      customDefinition: true,
+    },
+  ],
+  metrics: [
+    { apiName: "sessions", uiName: "Sessions", description: "Sessions.", category: "Session", type: "TYPE_INTEGER" },
+    {
+      apiName: "keyEvents",
+      uiName: "Key events",
+      description: "Key events.",
+      category: "Event",
+      type: "TYPE_INTEGER",
+      deprecatedApiNames: ["conversions"],
+    },
+    {
+      apiName: "customEvent:loan_amount",
+      uiName: "Loan amount",
+      description: "Requested loan amount",
+      category: "Custom",
+      type: "TYPE_CURRENCY",
+      customDefinition: true,
+    },
+  ],
+};
+
+const schema = (query = "") => app.request("GET", `/api/schema${query}`);
+
+test("falls back to the built-in catalogue when metadata can't be fetched", async () => {
+  const res = await schema();
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, "builtin");
+  assert.ok(res.body.dimensions.some((d) => d.apiName === "sessionDefaultChannelGroup"));
+  assert.ok(res.body.commonMetrics.includes("sessions"));
+  assert.ok(res.body.realtime.metrics.includes("activeUsers"));
+});
+
+test("serves the property's metadata, custom definitions included", async () => {
+  ga4.serveMetadata(METADATA);
+
+  const res = await schema("?refresh=1");
+
+  assert.equal(res.body.source, "ga4");
+  assert.equal(res.body.propertyId, "123456");
+  const plan = res.body.dimensions.find((d) => d.apiName === "customEvent:plan_type");
+  assert.equal(plan.custom, true);
+  assert.equal(plan.description, "Subscription plan picked at signup");
+  const loan = res.body.metrics.find((m) => m.apiName === "customEvent:loan_amount");
+  assert.equal(loan.type, "TYPE_CURRENCY");
+  assert.equal(res.body.metrics.find((m) => m.apiName === "sessions").custom, false);
+
+  // Cached: no metadata needed for the next read
+  ga4.reset();
+  assert.equal((await schema()).body.source, "ga4");
+});
+
+test("rejects an unknown property", async () => {
+  const res = await schema("?propertyId=999");
+  assert.equal(res.status, 400);
+});
+
+test("lists custom fields in the interpretation prompt and accepts them", async () => {
+  llm.script(
+    { dimensions: ["customEvent:plan_type"], metrics: ["customEvent:loan_amount"] },
+    "Done.",
+    "Premium plans request the most [R1]."
+  );
+  ga4.serve(
+    gaReport({
+      dimensions: ["customEvent:plan_type"],
+      metrics: ["customEvent:loan_amount"],
+      rows: [["premium", "50000"]],
+    })
+  );
+
+  const res = await app.request("POST", "/api/chat", { body: { message: "Loan amounts by plan" } });
+
+  assert.equal(res.body.type, "analytics");
+  assert.match(llm.calls[0].system, /customEvent:plan_type: Plan type — Subscription plan picked at signup/);
+  assert.match(llm.calls[0].system, /CUSTOM METRICS FOR THIS PROPERTY/);
+  assert.deepEqual(ga4.requests[0].dimensions, [{ name: "customEvent:plan_type" }]);
+});
+
+test("validates direct queries against the property's fields", async () => {
+  ga4.serve(gaReport({ dimensions: ["date"], metrics: ["keyEvents"], rows: [] }));
+
+  const ok = await app.request("POST", "/api/query", { body: { metrics: ["conversions"] } });
+  assert.equal(ok.status, 200);
+  assert.deepEqual(ga4.requests[0].metrics, [{ name: "keyEvents" }]);
+
+  // In the built-in catalogue, but not in this property's metadata
+  const missing = await app.request("POST", "/api/query", { body: { metrics: ["totalRevenue"] } });
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.body.details, ['Unknown metric "totalRevenue"']);
+});
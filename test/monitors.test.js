@@ -0,0 +1,248 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ga4, gaReport, llm, startApp } = require("./support/app");
+const { startWebhookReceiver } = require("./support/receivers");
+const { detect, periodsFor } = require("../server/anomaly");
+const { tick } = require("../server/scheduler");
+const users = require("../server/users");
+
+let app;
+let receiver;
+
+before(async () => {
+  app = await startApp();
+  receiver = await startWebhookReceiver();
+});
+
+after(async () => {
+  await Promise.all([app.close(), receiver.close()]);
+});
+
+beforeEach(() => {
+  ga4.reset();
+  llm.reset();
+  receiver.reset();
+});
+
+const rolling = { method: "rolling", granularity: "daily", window: 7, sensitivity: 3 };
+
+function createMonitor(body) {
+  return app.request("POST", "/api/monitors", {
+    body: { name: "Daily sessions", metric: "sessions", window: 7, ...body },
+  });
+}
+
+/**
+ * GA4 serving a steady ~100 sessions a day that fell to 20 yesterday, mostly
+ * on mobile; the country breakdown fails
+ */
+function serveDrop() {
+  const periods = periodsFor(rolling);
+  const last = periods[periods.length - 1];
+  ga4.serve((request) => {
+    const dimensions = request.dimensions.map((d) => d.name);
+    if (dimensions.includes("country")) throw new Error("INVALID_ARGUMENT");
+    if (dimensions.includes("deviceCategory")) {
+      return gaReport({
+        dimensions,
+        metrics: ["sessions"],
+        rows: periods.flatMap((p) =>
+          p === last
+            ? [[p, "desktop", "20"]]
+            : [
+                [p, "mobile", "70"],
+                [p, "desktop", "30"],
+              ]
+        ),
+      });
+    }
+    return gaReport({
+      dimensions,
+      metrics: ["sessions"],
+      rows: periods.map((p, i) => [p, p === last ? "20" : String(98 + (i % 3) * 2)]),
+    });
+  });
+  return last;
+}
+
+// ─── Detection ────────────────────────────────────────────
+
+test("flags a value far from the rolling mean", () => {
+  const steady = [10, 12, 8, 11, 9, 10, 10];
+
+  const spike = detect([...steady, 30], rolling);
+  assert.equal(spike.anomalous, true);
+  assert.equal(spike.direction, "spike");
+  assert.equal(spike.expected, 10);
+  assert.match(spike.reason, /standard deviations above the previous 7 days/);
+
+  assert.equal(detect([...steady, 11], rolling).anomalous, false);
+  // A flat series still needs a real change, not a change of one
+  assert.equal(detect([5, 5, 5, 5, 5, 5, 5, 7], rolling).anomalous, false);
+});
+
+test("compares against the same weekday for seasonal monitors", () => {
+  const rule = { ...rolling, method: "seasonal", window: 2 };
+  // Weekends are quiet: a quiet day a week after two quiet days isn't an anomaly
+  const week = [20, 100, 100, 100, 100, 100, 20];
+  const series = [...week, ...week, 21];
+  assert.equal(series.length, periodsFor(rule).length);
+
+  const result = detect(series, rule);
+  assert.equal(result.anomalous, false);
+  assert.equal(result.expected, 20);
+  assert.equal(detect(series, { ...rolling, sensitivity: 1 }).anomalous, true);
+});
+
+test("threshold monitors alert only outside min and max", () => {
+  const rule = { method: "threshold", granularity: "daily", window: 7, min: 50, max: null };
+
+  const low = detect([10, 200, 40], rule);
+  assert.equal(low.anomalous, true);
+  assert.equal(low.direction, "drop");
+  assert.equal(low.reason, "below the minimum of 50");
+  assert.equal(low.score, null);
+  assert.equal(detect([10, 200, 60], rule).anomalous, false);
+});
+
+test("checks the last period GA4 has had time to process, in the property's time zone", () => {
+  const daily = { ...rolling, window: 2 };
+  const hourly = { ...daily, granularity: "hourly" };
+  const last = (rule, iso, options) => periodsFor(rule, new Date(iso), options).at(-1);
+  const paris = { timeZone: "Europe/Paris" };
+
+  // 00:30 in Paris: yesterday may still be processing
+  assert.equal(last(daily, "2024-01-09T23:30:00Z", { ...paris, lagHours: 1 }), "20240108");
+  assert.equal(last(daily, "2024-01-09T23:30:00Z", { ...paris, lagHours: 0 }), "20240109");
+  assert.equal(last(daily, "2024-01-10T05:00:00Z", paris), "20240109");
+
+  // 14:05 in Paris: the hour that just ended may still be processing
+  assert.equal(last(hourly, "2024-01-10T13:05:00Z", { ...paris, lagHours: 1 }), "2024011012");
+  assert.equal(last(hourly, "2024-01-10T13:05:00Z", { ...paris, lagHours: 0 }), "2024011013");
+
+  // The same moment is already the 10th in Paris but still the 9th in Los Angeles
+  assert.equal(last(daily, "2024-01-10T07:30:00Z", paris), "20240109");
+  assert.equal(last(daily, "2024-01-10T07:30:00Z", { timeZone: "America/Los_Angeles" }), "20240108");
+  assert.deepEqual(periodsFor(daily, new Date("2024-01-10T07:30:00Z"), paris), ["20240107", "20240108", "20240109"]);
+});
+
+// ─── Management ───────────────────────────────────────────
+
+test("creates, lists, updates and deletes monitors", async () => {
+  const created = await createMonitor({ metric: "Sessions" });
+
+  assert.equal(created.status, 201);
+  assert.match(created.body.id, /^mon_/);
+  assert.equal(created.body.metric, "sessions");
+  assert.equal(created.body.cron, "0 6 * * *");
+  assert.equal(created.body.lastCheck, null);
+
+  const list = await app.request("GET", "/api/monitors");
+  assert.ok(list.body.monitors.some((m) => m.id === created.body.id));
+
+  const hourly = await app.request("PATCH", `/api/monitors/${created.body.id}`, {
+    body: { granularity: "hourly", enabled: false },
+  });
+  assert.equal(hourly.body.cron, "10 * * * *");
+  assert.equal(hourly.body.nextRunAt, null);
+
+  await app.request("DELETE", `/api/monitors/${created.body.id}`);
+  assert.equal((await app.request("GET", `/api/monitors/${created.body.id}`)).status, 404);
+});
+
+test("rejects invalid monitors", async () => {
+  assert.match((await createMonitor({ metric: "notAMetric" })).body.error, /Unknown metric "notAMetric"/);
+  assert.match((await createMonitor({ method: "threshold" })).body.error, /needs a minimum or a maximum/);
+  assert.match((await createMonitor({ sensitivity: 0 })).body.error, /Sensitivity must be 1 to 10/);
+  assert.match((await createMonitor({ method: "seasonal", window: 12 })).body.error, /from 2 to 8/);
+  assert.match((await createMonitor({ dimensionFilter: "mobile" })).body.error, /dimensionFilter must be/);
+});
+
+// ─── Checks ───────────────────────────────────────────────
+
+test("raises an alert with its drivers and an explanation, and delivers it", async () => {
+  const { body: monitor } = await createMonitor({
+    breakdowns: ["deviceCategory", "country"],
+    destinations: [{ type: "webhook", url: `${receiver.url}/hook` }],
+  });
+  const period = serveDrop();
+  llm.script("Sessions fell to 20, almost all of it mobile, which went to zero — possibly a tracking problem.");
+
+  const check = await app.request("POST", `/api/monitors/${monitor.id}/check`);
+
+  assert.equal(check.body.status, "anomaly");
+  assert.equal(check.body.trigger, "manual");
+  assert.equal(check.body.period, period);
+  assert.equal(check.body.value, 20);
+  assert.ok(check.body.alertId);
+  assert.match(llm.calls[0].messages[0].parts[0].text, /deviceCategory = mobile: 0 vs 70 expected \(-70\)/);
+
+  const [alert] = (await app.request("GET", "/api/alerts?open=1")).body.alerts;
+  assert.equal(alert.id, check.body.alertId);
+  assert.equal(alert.monitorName, "Daily sessions");
+  assert.equal(alert.direction, "drop");
+  assert.deepEqual(alert.drivers[0], { dimension: "deviceCategory", value: "mobile", actual: 0, expected: 70, change: -70 });
+  assert.match(alert.explanation, /mobile, which went to zero/);
+  assert.deepEqual(alert.deliveries.map((d) => d.ok), [true]);
+
+  const [hook] = receiver.posts;
+  assert.equal(hook.body.monitor.id, monitor.id);
+  assert.equal(hook.body.alert.id, alert.id);
+
+  // Same period again: recorded, but not alerted twice
+  llm.reset();
+  const again = await app.request("POST", `/api/monitors/${monitor.id}/check`);
+  assert.equal(again.body.alertId, alert.id);
+  assert.equal(llm.calls.length, 0);
+  assert.equal(receiver.posts.length, 1);
+
+  const acknowledged = await app.request("POST", `/api/alerts/${alert.id}/acknowledge`);
+  assert.ok(acknowledged.body.acknowledgedAt);
+  assert.deepEqual((await app.request("GET", "/api/alerts?open=1")).body.alerts, []);
+  const detail = await app.request("GET", `/api/monitors/${monitor.id}`);
+  assert.equal(detail.body.checks.length, 2);
+  assert.equal(detail.body.alerts.length, 1);
+});
+
+test("records a failed check when GA4 keeps failing", async () => {
+  const { body: monitor } = await createMonitor({});
+  ga4.fail("PERMISSION_DENIED");
+
+  const check = await app.request("POST", `/api/monitors/${monitor.id}/check`);
+
+  assert.equal(check.body.status, "failed");
+  assert.equal(check.body.attempts, 3);
+  assert.match(check.body.error, /PERMISSION_DENIED/);
+  const [listed] = (await app.request("GET", "/api/monitors")).body.monitors.filter((m) => m.id === monitor.id);
+  assert.equal(listed.lastCheck.status, "failed");
+  assert.equal(listed.openAlerts, 0);
+});
+
+test("the scheduler checks monitors that are due, once", async () => {
+  const { body: monitor } = await createMonitor({ cron: "*/5 * * * *", breakdowns: [] });
+  serveDrop();
+  llm.script("Sessions dropped.");
+
+  const due = new Date(new Date(monitor.nextRunAt).getTime() + 1000);
+  const { checks } = await tick(due);
+
+  assert.equal(checks.length, 1);
+  assert.equal(checks[0].trigger, "schedule");
+  assert.equal(checks[0].status, "anomaly");
+  assert.deepEqual(await tick(due), { runs: [], checks: [] });
+});
+
+test("keeps monitors and alerts private to their owner", async () => {
+  const { body: monitor } = await createMonitor({});
+  const [alert] = (await app.request("GET", "/api/alerts")).body.alerts;
+  // Must be last: once users exist, every request needs a key
+  const viewer = users.createUser("Viewer", "viewer");
+  const analyst = users.createUser("Analyst", "analyst");
+
+  assert.equal((await app.request("GET", "/api/alerts", { key: viewer.key })).status, 403);
+  assert.equal((await app.request("GET", `/api/monitors/${monitor.id}`, { key: analyst.key })).status, 404);
+  assert.deepEqual((await app.request("GET", "/api/alerts", { key: analyst.key })).body.alerts, []);
+  const acknowledge = await app.request("POST", `/api/alerts/${alert.id}/acknowledge`, { key: analyst.key });
+  assert.equal(acknowledge.status, 404);
+});
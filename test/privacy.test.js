@@ -0,0 +1,242 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Read when the guard is built, so set before anything under server/ loads
+process.env.PRIVACY_DIMENSIONS = "city";
+process.env.PRIVACY_PATTERNS = JSON.stringify(["cust-\\d+"]);
+
+const { ga4, gaReport, llm, startApp, parseEvents } = require("./support/app");
+const { createGuard } = require("../server/privacy");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  ga4.reset();
+  llm.reset();
+  delete process.env.PRIVACY_MODE;
+});
+
+const lastPrompt = (call) => call.messages.at(-1).parts[0].text;
+
+const pagesReport = () =>
+  gaReport({
+    dimensions: ["pagePath"],
+    metrics: ["screenPageViews"],
+    rows: [
+      ["/checkout?step=2&coupon=SAVE10", "500"],
+      ["/account/jane.doe@example.com/orders", "120"],
+      ["/pricing", "80"],
+    ],
+  });
+
+test("masks query strings and emails before the model sees them, then restores the answer", async () => {
+  llm.script(
+    { dimensions: ["pagePath"], metrics: ["screenPageViews"] },
+    "Checkout leads.",
+    "**/checkout?[QUERY_1]** leads [R1], then [EMAIL_1]'s orders page."
+  );
+  ga4.serve(pagesReport());
+
+  const { body } = await app.request("POST", "/api/chat", { body: { message: "Top pages?" } });
+
+  for (const call of llm.calls.slice(1)) {
+    const prompt = lastPrompt(call);
+    assert.ok(!prompt.includes("coupon=SAVE10"), "query string reached the model");
+    assert.ok(!prompt.includes("jane.doe@example.com"), "email reached the model");
+  }
+  const formatPrompt = lastPrompt(llm.calls[2]);
+  assert.match(formatPrompt, /\/checkout\?\[QUERY_1\]/);
+  assert.match(formatPrompt, /\/account\/\[EMAIL_1\]\/orders/);
+  assert.match(formatPrompt, /placeholders|stand in for values/);
+
+  assert.equal(
+    body.content,
+    "**/checkout?step=2&coupon=SAVE10** leads [R1], then jane.doe@example.com's orders page."
+  );
+  assert.deepEqual(body.withheld.values, [
+    { kind: "QUERY", count: 1 },
+    { kind: "EMAIL", count: 1 },
+  ]);
+  // The user still gets the real rows
+  assert.equal(body.rawData.rows[0].pagePath, "/checkout?step=2&coupon=SAVE10");
+});
+
+test("restores placeholders split across streamed chunks", async () => {
+  llm.script(
+    { dimensions: ["pagePath"], metrics: ["screenPageViews"] },
+    "Done.",
+    "The busiest page by far is /checkout?[QUERY_1], ahead of /account/[EMAIL_1]/orders."
+  );
+  ga4.serve(pagesReport());
+
+  const res = await app.request("POST", "/api/chat/stream", { body: { message: "Top pages?" } });
+  const events = parseEvents(res.body);
+
+  const streamed = events.filter((e) => e.event === "token").map((e) => e.data.text).join("");
+  const expected =
+    "The busiest page by far is /checkout?step=2&coupon=SAVE10, ahead of /account/jane.doe@example.com/orders.";
+  assert.equal(streamed, expected);
+  const done = events.find((e) => e.event === "done").data;
+  assert.equal(done.content, expected);
+  assert.equal(done.withheld.values.length, 2);
+});
+
+test("sends the top rows and server-side aggregates of the rest", async () => {
+  const rows = Array.from({ length: 80 }, (_, i) => [`/post-${i}`, String(200 - i), String(0.5)]);
+  llm.script({ dimensions: ["pagePath"], metrics: ["sessions", "bounceRate"], limit: 100 }, "Done.", "Summary.");
+  ga4.serve(
+    gaReport({
+      dimensions: ["pagePath"],
+      metrics: ["sessions", "bounceRate"],
+      rows,
+      totals: [[String(rows.reduce((s, r) => s + Number(r[1]), 0)), "0.5"]],
+    })
+  );
+
+  const { body } = await app.request("POST", "/api/chat", { body: { message: "Sessions by post" } });
+
+  const formatPrompt = lastPrompt(llm.calls[2]);
+  assert.ok(formatPrompt.includes('"/post-49"'));
+  assert.ok(!formatPrompt.includes('"/post-50"'));
+  const restSessions = rows.slice(50).reduce((s, r) => s + Number(r[1]), 0);
+  assert.ok(formatPrompt.includes(`"rest":{"rows":30,"sessions":"${restSessions.toLocaleString("en-US")}"}`));
+  assert.match(formatPrompt, /"stats":\{"sessions":\{"min":"121","max":"200"/);
+  assert.match(formatPrompt, /Only the first 50 of 80 rows are listed/);
+
+  assert.deepEqual(body.withheld.rows, [{ report: "R1", sent: 50, rows: 80 }]);
+  assert.deepEqual(body.withheld.values, []);
+  assert.equal(body.rawData.rows.length, 80);
+});
+
+test("runs a filter the model wrote with a placeholder on the real value", async () => {
+  llm.script(
+    { dimensions: ["pagePath"], metrics: ["screenPageViews"] },
+    {
+      dimensions: ["deviceCategory"],
+      metrics: ["screenPageViews"],
+      dimensionFilter: {
+        filter: { fieldName: "pagePath", stringFilter: { matchType: "EXACT", value: "/checkout?[QUERY_1]" } },
+      },
+    },
+    "Done.",
+    "Answer."
+  );
+  ga4.serve((request) =>
+    request.dimensions[0].name === "pagePath"
+      ? pagesReport()
+      : gaReport({ dimensions: ["deviceCategory"], metrics: ["screenPageViews"], rows: [["mobile", "400"]] })
+  );
+
+  await app.request("POST", "/api/chat", { body: { message: "Which devices reach checkout step 2?" } });
+
+  assert.equal(ga4.requests[1].dimensionFilter.filter.stringFilter.value, "/checkout?step=2&coupon=SAVE10");
+});
+
+test("masks earlier answers in the conversation history", async () => {
+  llm.script("Sure.");
+  await app.request("POST", "/api/chat", {
+    body: {
+      message: "And yesterday?",
+      history: [
+        { role: "user", content: "Who signed up?" },
+        { role: "ai", content: "Mostly jane.doe@example.com via /signup?ref=cust-4411." },
+      ],
+    },
+  });
+
+  const texts = llm.calls[0].messages.map((m) => m.parts[0].text).join("\n");
+  assert.ok(!texts.includes("jane.doe@example.com"));
+  assert.ok(!texts.includes("ref=cust-4411"));
+  assert.match(texts, /\[EMAIL_1\] via \/signup\?\[QUERY_1\]/);
+});
+
+test("masks protected values an earlier answer quoted from its reports", async () => {
+  llm.script(
+    { dimensions: ["city"], metrics: ["sessions"] },
+    "Done.",
+    "[city_1] leads [R1], ahead of [city_2]."
+  );
+  ga4.serve(
+    gaReport({
+      dimensions: ["city"],
+      metrics: ["sessions"],
+      rows: [
+        ["Lyon", "90"],
+        ["Saint-Étienne", "40"],
+      ],
+    })
+  );
+  const first = await app.request("POST", "/api/chat", { body: { message: "Sessions by city" } });
+  assert.equal(first.body.content, "Lyon leads [R1], ahead of Saint-Étienne.");
+
+  llm.script("Sure.");
+  await app.request("POST", "/api/chat", {
+    body: { message: "Why is Lyon ahead of Lyonnais traffic?", conversationId: first.body.conversationId },
+  });
+
+  const texts = llm.calls[3].messages.map((m) => m.parts[0].text).join("\n");
+  assert.ok(!texts.includes("Lyon "), "a protected value reached the model");
+  assert.ok(!texts.includes("Saint-Étienne"), "a protected value reached the model");
+  assert.match(texts, /\[city_1\] leads \[R1\], ahead of \[city_2\]\./);
+  // Whole values only, in the question as well
+  assert.match(texts, /Why is \[city_1\] ahead of Lyonnais traffic\?/);
+});
+
+test("masks URLs and emails pasted into the question itself", async () => {
+  llm.script({ dimensions: ["pagePath"], metrics: ["screenPageViews"] }, "Done.", "Views of [EMAIL_1]'s page [R1].");
+  ga4.serve(pagesReport());
+
+  const { body } = await app.request("POST", "/api/chat", {
+    body: { message: "How many views did /signup?ref=spring-sale get from jane.doe@example.com?" },
+  });
+
+  for (const call of [llm.calls[0], llm.calls[2]]) {
+    const prompt = lastPrompt(call);
+    assert.ok(!prompt.includes("jane.doe@example.com"));
+    assert.ok(!prompt.includes("spring-sale"));
+    assert.match(prompt, /\/signup\?\[QUERY_\d+\] get from \[EMAIL_\d+\]/);
+  }
+  assert.ok(body.content.includes("jane.doe@example.com"));
+});
+
+test("pseudonymizes whole dimensions and custom patterns; redact mode keeps them hidden", () => {
+  const guard = createGuard();
+  const data = guard.report("R1", {
+    rows: [
+      { city: "Lyon", sessions: 10 },
+      { city: "(not set)", sessions: 4 },
+      { city: "Account cust-1234", sessions: 2 },
+    ],
+    totals: { sessions: 16 },
+    metadata: { dimensions: ["city"], metrics: ["sessions"], rowCount: 3, propertyId: "123456" },
+  });
+  assert.deepEqual(
+    data.rows.map((r) => r.city),
+    ["[city_1]", "(not set)", "[city_2]"]
+  );
+  assert.equal(data.metadata.propertyId, undefined);
+  assert.equal(guard.maskText("see cust-1234"), "see [REDACTED_1]");
+
+  const answer = "[city_1] leads; [city_9] is unknown.";
+  assert.equal(guard.restore(answer), "Lyon leads; [city_9] is unknown.");
+  process.env.PRIVACY_MODE = "redact";
+  assert.equal(guard.restore(answer), "[withheld] leads; [city_9] is unknown.");
+  assert.deepEqual(guard.withheld().values, [
+    { kind: "city", count: 2 },
+    { kind: "REDACTED", count: 1 },
+  ]);
+});
+
+test("PRIVACY_MODE=off sends values as they are", () => {
+  process.env.PRIVACY_MODE = "off";
+  const guard = createGuard();
+  assert.equal(guard.maskText("/checkout?step=2 by a@b.co"), "/checkout?step=2 by a@b.co");
+  assert.equal(guard.instructions(), "");
+  assert.equal(guard.withheld(), null);
+});
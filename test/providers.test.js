@@ -0,0 +1,247 @@
+const { test, beforeEach, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { llm } = require("./support/app");
+const { REPORT_TOOL, MAX_REPORTS, buildMessages, readToolCalls } = require("../server/prompts");
+
+const PROVIDERS = {
+  claude: require("../server/claude"),
+  gemini: require("../server/gemini"),
+  groq: require("../server/groq"),
+};
+
+beforeEach(() => llm.reset());
+
+const QUERY = { dimensions: ["date"], metrics: ["sessions"] };
+const REQUEST = {
+  system: "You are a test.",
+  messages: [
+    { role: "user", content: "sessions?" },
+    { role: "assistant", content: "{}" },
+    { role: "user", content: "and by country?" },
+  ],
+};
+
+// ─── Shared parsing ───────────────────────────────────────
+
+test("reads report tool calls into queries", () => {
+  const reply = {
+    text: "",
+    toolCalls: [
+      { id: "a", name: "run_ga4_report", input: QUERY },
+      { id: "b", name: "run_ga4_report", input: { metrics: ["sessions"] } },
+    ],
+  };
+  assert.deepEqual(readToolCalls(reply), {
+    type: "ga4_query",
+    queries: [QUERY, { metrics: ["sessions"] }],
+    note: "",
+  });
+});
+
+test("treats a reply without tool calls as text", () => {
+  assert.deepEqual(readToolCalls({ text: "GA4 doesn't track revenue forecasts.", toolCalls: [] }), {
+    type: "text",
+    content: "GA4 doesn't track revenue forecasts.",
+  });
+});
+
+test("ignores unknown tools and caps the number of reports", () => {
+  const call = (name) => ({ name, input: QUERY });
+  const reply = { text: "", toolCalls: [call("search_web"), ...Array(7).fill(call("run_ga4_report"))] };
+
+  const result = readToolCalls(reply);
+  assert.equal(result.queries.length, MAX_REPORTS);
+  assert.deepEqual(readToolCalls({ text: "No.", toolCalls: [call("search_web")] }).type, "text");
+});
+
+test("keeps the last 8 history turns before the question", () => {
+  const history = Array.from({ length: 10 }, (_, i) => ({
+    role: i % 2 ? "ai" : "user",
+    content: `turn ${i}`,
+  }));
+  const messages = buildMessages("and by country?", history);
+
+  assert.equal(messages.length, 9);
+  assert.deepEqual(messages[0], { role: "user", content: "turn 2" });
+  assert.deepEqual(messages[1], { role: "assistant", content: "turn 3" });
+  assert.deepEqual(messages.at(-1), { role: "user", content: "and by country?" });
+});
+
+// ─── SDK adapters ─────────────────────────────────────────
+
+for (const [name, provider] of Object.entries(PROVIDERS)) {
+  test(`${name}: completes with the system prompt and conversation`, async () => {
+    llm.script("Hello from the model.");
+
+    assert.equal(await provider.complete(REQUEST), "Hello from the model.");
+    const [call] = llm.calls;
+    assert.equal(call.provider, name);
+    assert.equal(call.system, "You are a test.");
+    assert.equal(call.messages.length, 3);
+  });
+
+  test(`${name}: streams the reply in chunks`, async () => {
+    const answer = "Sessions rose 12% week over week, driven by organic search.";
+    llm.script(answer);
+
+    const chunks = [];
+    for await (const text of provider.stream(REQUEST)) chunks.push(text);
+
+    assert.equal(chunks.join(""), answer);
+    assert.ok(chunks.length > 1);
+  });
+
+  test(`${name}: returns structured tool calls`, async () => {
+    llm.script([QUERY, { metrics: ["totalUsers"] }]);
+
+    const reply = await provider.callTools({ ...REQUEST, tools: [REPORT_TOOL] });
+
+    assert.deepEqual(
+      reply.toolCalls.map((c) => [c.name, c.input]),
+      [
+        ["run_ga4_report", QUERY],
+        ["run_ga4_report", { metrics: ["totalUsers"] }],
+      ]
+    );
+  });
+
+  test(`${name}: returns text when the model calls no tool`, async () => {
+    llm.script("That isn't in your analytics data.");
+
+    const reply = await provider.callTools({ ...REQUEST, tools: [REPORT_TOOL] });
+
+    assert.equal(reply.text, "That isn't in your analytics data.");
+    assert.deepEqual(reply.toolCalls, []);
+  });
+
+  test(`${name}: reports the tokens billed for completions and streams`, async () => {
+    llm.usage = { input: 120, output: 30 };
+    llm.script("Hello.", "Sessions rose 12% week over week, driven by organic search.");
+
+    const completed = {};
+    await provider.complete(REQUEST, completed);
+    assert.equal(completed.tokens, 150);
+
+    const streamed = {};
+    for await (const text of provider.stream(REQUEST, streamed)) assert.equal(typeof text, "string");
+    assert.equal(streamed.tokens, 150);
+  });
+
+  test(`${name}: lets SDK errors propagate`, async () => {
+    llm.script(new Error("socket hang up"));
+    await assert.rejects(provider.complete(REQUEST), /socket hang up/);
+  });
+}
+
+// ─── OpenAI-compatible endpoint ───────────────────────────
+
+let server;
+const received = [];
+
+before(async () => {
+  // A minimal /chat/completions endpoint, like Ollama's
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const payload = JSON.parse(body);
+      received.push({ headers: req.headers, payload });
+
+      if (payload.model === "overloaded") {
+        res.writeHead(429, { "Content-Type": "application/json" });
+        return res.end('{"error":"rate limited"}');
+      }
+      if (payload.tools) {
+        const tool_calls = [
+          { id: "c1", type: "function", function: { name: "run_ga4_report", arguments: JSON.stringify(QUERY) } },
+          { id: "c2", type: "function", function: { name: "run_ga4_report", arguments: "{not json" } },
+        ];
+        res.writeHead(200, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ choices: [{ message: { content: null, tool_calls } }] }));
+      }
+      const usage = { prompt_tokens: 40, completion_tokens: 5, total_tokens: 45 };
+      if (!payload.stream) {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ choices: [{ message: { content: "Local answer." } }], usage }));
+      }
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      for (const text of ["Local ", "streamed ", "answer."]) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`);
+      }
+      if (payload.stream_options?.include_usage) res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+      res.end("data: [DONE]\n\n");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1/`;
+  process.env.OPENAI_MODEL = "llama3.1";
+  delete process.env.OPENAI_API_KEY;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const openai = require("../server/openai");
+
+test("openai: completes against a compatible endpoint", async () => {
+  assert.equal(await openai.complete(REQUEST), "Local answer.");
+
+  const { headers, payload } = received.at(-1);
+  assert.equal(headers.authorization, undefined);
+  assert.equal(payload.model, "llama3.1");
+  assert.deepEqual(payload.messages[0], { role: "system", content: "You are a test." });
+  assert.equal(payload.messages.length, 4);
+});
+
+test("openai: sends the API key when one is set", async () => {
+  process.env.OPENAI_API_KEY = "sk-test";
+  try {
+    await openai.complete(REQUEST);
+    assert.equal(received.at(-1).headers.authorization, "Bearer sk-test");
+  } finally {
+    delete process.env.OPENAI_API_KEY;
+  }
+});
+
+test("openai: sends function tools and parses their arguments", async () => {
+  const reply = await openai.callTools({ ...REQUEST, tools: [REPORT_TOOL] });
+
+  const { payload } = received.at(-1);
+  assert.equal(payload.tools[0].type, "function");
+  assert.equal(payload.tools[0].function.name, "run_ga4_report");
+  assert.deepEqual(payload.tools[0].function.parameters, REPORT_TOOL.parameters);
+  assert.equal(reply.text, "");
+  // Unparseable arguments become an empty input, which validation rejects
+  assert.deepEqual(
+    reply.toolCalls.map((c) => c.input),
+    [QUERY, {}]
+  );
+});
+
+test("openai: streams server-sent events", async () => {
+  const chunks = [];
+  for await (const text of openai.stream(REQUEST)) chunks.push(text);
+  assert.deepEqual(chunks, ["Local ", "streamed ", "answer."]);
+});
+
+test("openai: reports the tokens billed, asking for them when streaming", async () => {
+  const completed = {};
+  await openai.complete(REQUEST, completed);
+  assert.equal(completed.tokens, 45);
+
+  const streamed = {};
+  for await (const text of openai.stream(REQUEST, streamed)) assert.equal(typeof text, "string");
+  assert.deepEqual(received.at(-1).payload.stream_options, { include_usage: true });
+  assert.equal(streamed.tokens, 45);
+});
+
+test("openai: reports HTTP errors with their status", async () => {
+  process.env.OPENAI_MODEL = "overloaded";
+  try {
+    await assert.rejects(openai.complete(REQUEST), (err) => err.status === 429 && /429/.test(err.message));
+  } finally {
+    process.env.OPENAI_MODEL = "llama3.1";
+  }
+});
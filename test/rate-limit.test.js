@@ -0,0 +1,28 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.RATE_LIMIT_PER_MINUTE = "3";
+const { startApp } = require("./support/app");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+test("limits API requests per client", async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await app.request("GET", "/api/health")).status, 200);
+  }
+
+  const limited = await app.request("GET", "/api/health");
+  assert.equal(limited.status, 429);
+  assert.deepEqual(limited.body, { error: "Too many requests. Please wait a moment." });
+});
+
+test("does not limit the frontend", async () => {
+  const res = await app.request("GET", "/");
+  assert.equal(res.status, 200);
+});
@@ -0,0 +1,137 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ga4, gaReport, llm, startApp } = require("./support/app");
+const { applyRefinement, describeChanges } = require("../server/refine");
+const { validateQuery } = require("../server/validate");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  ga4.reset();
+  llm.reset();
+});
+
+const lastPrompt = (call) => call.messages.at(-1).parts[0].text;
+
+const mobile = { filter: { fieldName: "deviceCategory", stringFilter: { matchType: "EXACT", value: "mobile" } } };
+
+const daily = () =>
+  gaReport({
+    dimensions: ["date"],
+    metrics: ["sessions", "bounceRate"],
+    rows: [
+      ["20260101", "100", "0.4"],
+      ["20260102", "120", "0.5"],
+    ],
+  });
+
+test("follow-ups refine the previous answer's report and say what changed", async () => {
+  ga4.serve(daily());
+  llm.script(
+    { dimensions: ["date"], metrics: ["sessions", "bounceRate"], dimensionFilter: mobile },
+    "Done.",
+    "Mobile sessions rose [R1]."
+  );
+  const first = await app.request("POST", "/api/chat", { body: { message: "Daily mobile sessions and bounce rate" } });
+
+  llm.script(
+    { refine: { report: "P1", addDimensions: ["deviceCategory"], startDate: "30daysAgo", endDate: "yesterday" } },
+    "Done.",
+    "Split by device [R1]."
+  );
+  const { body } = await app.request("POST", "/api/chat", {
+    body: { message: "Now split that by device, for the last month", conversationId: first.body.conversationId },
+  });
+
+  // The model is shown the stored query to refine
+  assert.match(lastPrompt(llm.calls[3]), /Reports behind the previous answer[\s\S]*P1 — \{"dimensions":\["date"\]/);
+
+  // Metrics and filters carry over; only the named changes apply
+  const request = ga4.requests[1];
+  assert.deepEqual(request.dimensions.map((d) => d.name), ["date", "deviceCategory"]);
+  assert.deepEqual(request.metrics.map((m) => m.name), ["sessions", "bounceRate"]);
+  assert.deepEqual(request.dimensionFilter.filter.stringFilter.value, "mobile");
+  assert.deepEqual(request.dateRanges, [{ startDate: "30daysAgo", endDate: "yesterday" }]);
+
+  assert.deepEqual(body.refinements, [
+    {
+      report: "R1",
+      refines: "P1",
+      changes: [
+        { field: "dimensions", from: "date", to: "date, deviceCategory" },
+        { field: "dates", from: "7daysAgo – yesterday", to: "30daysAgo – yesterday" },
+      ],
+    },
+  ]);
+  assert.ok(
+    lastPrompt(llm.calls[5]).includes(
+      "R1 — Follow-up to the previous answer's P1; changed (mention briefly): dimensions: date → date, deviceCategory"
+    )
+  );
+});
+
+test("feeds a refinement of a report that doesn't exist back to the model", async () => {
+  ga4.serve(daily());
+  llm.script(
+    { refine: { report: "P1", addDimensions: ["country"] } },
+    { dimensions: ["date"], metrics: ["sessions"] },
+    "Done.",
+    "Answer."
+  );
+
+  const { body } = await app.request("POST", "/api/chat", { body: { message: "Split that by country" } });
+
+  assert.match(lastPrompt(llm.calls[1]), /no previous report to refine/);
+  assert.equal(ga4.requests.length, 1);
+  assert.equal(body.refinements, undefined);
+});
+
+test("applies filter, sort and breakdown changes on top of the stored query", () => {
+  const base = validateQuery({
+    dimensions: ["pagePath"],
+    metrics: ["sessions"],
+    dimensionFilter: mobile,
+    offset: 100,
+  }).params;
+  const previous = [{ id: "P1", query: base }];
+
+  const france = { filter: { fieldName: "country", stringFilter: { value: "France" } } };
+  const { query } = applyRefinement(
+    {
+      report: "p1",
+      addFilter: france,
+      orderBys: [{ metric: { metricName: "sessions" }, desc: false }],
+      limit: 5,
+    },
+    previous
+  );
+  assert.equal(query.offset, undefined);
+  assert.deepEqual(query.dimensionFilter, { andGroup: { expressions: [base.dimensionFilter, france] } });
+
+  const refined = validateQuery(query).params;
+  assert.deepEqual(describeChanges(base, refined), [
+    { field: "filter", from: 'deviceCategory is "mobile"', to: 'deviceCategory is "mobile" and country is "France"' },
+    { field: "sort", from: null, to: "sessions" },
+    { field: "limit", from: "20", to: "5" },
+  ]);
+
+  const cleared = applyRefinement({ report: "P1", removeFilters: true }, previous).query;
+  assert.equal(cleared.dimensionFilter, null);
+
+  assert.match(applyRefinement({ report: "P2" }, previous).error, /one of the previous answer's reports \(P1\)/);
+  assert.match(applyRefinement({ report: "P1", metrics: ["users"] }, previous).error, /can't change metrics/);
+
+  const funnel = {
+    funnel: { steps: [{ name: "Cart", event: "add_to_cart" }, { name: "Bought", event: "purchase" }], breakdown: null },
+  };
+  const split = applyRefinement({ report: "P1", addDimensions: ["deviceCategory"] }, [{ id: "P1", query: funnel }]);
+  assert.equal(split.query.funnel.breakdown, "deviceCategory");
+  assert.deepEqual(describeChanges(funnel, split.query), [{ field: "breakdown", from: null, to: "deviceCategory" }]);
+});
@@ -0,0 +1,318 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ga4, gaReport, llm, startApp } = require("./support/app");
+const { startWebhookReceiver, startSmtpServer } = require("./support/receivers");
+const { parseCron, nextRun } = require("../server/cron");
+const { tick } = require("../server/scheduler");
+const { deliver } = require("../server/webhooks");
+const users = require("../server/users");
+
+let app;
+let receiver;
+let smtp;
+
+before(async () => {
+  app = await startApp();
+  receiver = await startWebhookReceiver();
+  smtp = await startSmtpServer();
+  Object.assign(process.env, {
+    SMTP_HOST: "127.0.0.1",
+    SMTP_PORT: String(smtp.port),
+    SMTP_FROM: "reports@example.com",
+    SMTP_USER: "reports",
+    SMTP_PASS: "secret",
+  });
+});
+
+after(async () => {
+  await Promise.all([app.close(), receiver.close(), smtp.close()]);
+});
+
+beforeEach(() => {
+  ga4.reset();
+  llm.reset();
+  receiver.reset();
+  smtp.messages = [];
+});
+
+const sessionsByDay = () =>
+  gaReport({
+    dimensions: ["date"],
+    metrics: ["sessions"],
+    rows: [
+      ["20240101", "120"],
+      ["20240102", "80"],
+    ],
+  });
+
+// Start a run, which answers at once, and wait for it to finish in the history
+async function runNow(id) {
+  const started = await app.request("POST", `/api/schedules/${id}/run`);
+  assert.equal(started.status, 202);
+  assert.equal(started.body.status, "running");
+  for (;;) {
+    const run = (await app.request("GET", `/api/schedules/${id}`)).body.runs.find((r) => r.id === started.body.id);
+    if (run.status !== "running") return run;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+function createSchedule(body) {
+  return app.request("POST", "/api/schedules", {
+    body: {
+      name: "Weekly traffic",
+      cron: "0 9 * * mon",
+      destinations: [{ type: "slack", url: `${receiver.url}/slack` }],
+      ...body,
+    },
+  });
+}
+
+// ─── Cron ─────────────────────────────────────────────────
+
+test("finds the next time a cron expression fires", () => {
+  const from = new Date(2024, 0, 3, 10, 30); // Wednesday
+
+  assert.deepEqual(nextRun("0 9 * * mon", from), new Date(2024, 0, 8, 9, 0));
+  assert.deepEqual(nextRun("*/15 * * * *", from), new Date(2024, 0, 3, 10, 45));
+  assert.deepEqual(nextRun("@monthly", from), new Date(2024, 1, 1, 0, 0));
+  assert.deepEqual(nextRun("0 8 1-7 * 5", from), new Date(2024, 0, 4, 8, 0)); // day 1-7 or Friday
+  assert.deepEqual(nextRun("0 9 */2 * mon", from), new Date(2024, 0, 15, 9, 0)); // odd days that are Mondays
+  assert.deepEqual(nextRun("30 17 * * 1-5", new Date(2024, 0, 5, 18, 0)), new Date(2024, 0, 8, 17, 30));
+  assert.equal(nextRun("0 0 31 2 *", from), null);
+});
+
+test("explains what is wrong with a cron expression", () => {
+  assert.throws(() => parseCron("0 9 * *"), /expected 5 fields/);
+  assert.throws(() => parseCron("61 * * * *"), /minute 61 is out of range/);
+  assert.throws(() => parseCron("0 9 * * someday"), /Invalid day of week "someday"/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid step/);
+});
+
+// ─── Management ───────────────────────────────────────────
+
+test("creates, lists, updates and deletes schedules", async () => {
+  const created = await createSchedule({ question: "Sessions by day last week" });
+
+  assert.equal(created.status, 201);
+  assert.match(created.body.id, /^sch_/);
+  assert.equal(created.body.enabled, true);
+  assert.ok(new Date(created.body.nextRunAt).getDay() === 1);
+  assert.equal(created.body.lastRun, null);
+
+  const list = await app.request("GET", "/api/schedules");
+  assert.ok(list.body.schedules.some((s) => s.id === created.body.id));
+
+  const paused = await app.request("PATCH", `/api/schedules/${created.body.id}`, { body: { enabled: false } });
+  assert.equal(paused.body.enabled, false);
+  assert.equal(paused.body.nextRunAt, null);
+  assert.equal(paused.body.question, "Sessions by day last week");
+
+  const deleted = await app.request("DELETE", `/api/schedules/${created.body.id}`);
+  assert.equal(deleted.status, 200);
+  assert.equal((await app.request("GET", `/api/schedules/${created.body.id}`)).status, 404);
+});
+
+test("refuses webhooks to private and local addresses unless allowed", async () => {
+  for (const url of [
+    "http://169.254.169.254/latest/meta-data",
+    "http://10.0.0.5/hook",
+    "http://192.168.1.1/hook",
+    "http://localhost:8080/hook",
+    "http://[::1]/hook",
+    "http://[::ffff:127.0.0.1]/hook",
+  ]) {
+    const res = await createSchedule({ question: "Sessions", destinations: [{ type: "webhook", url }] });
+    assert.equal(res.status, 400, url);
+    assert.match(res.body.error, /private or local address/);
+  }
+
+  // Checked again when delivering, whatever was saved
+  const allowed = process.env.WEBHOOK_ALLOWED_HOSTS;
+  process.env.WEBHOOK_ALLOWED_HOSTS = "";
+  try {
+    await assert.rejects(
+      deliver({ type: "webhook", url: `${receiver.url}/hook` }, { payload: {} }),
+      /127\.0\.0\.1:\d+ is a private or local address/
+    );
+  } finally {
+    process.env.WEBHOOK_ALLOWED_HOSTS = allowed;
+  }
+  assert.equal(receiver.posts.length, 0);
+});
+
+test("rejects invalid schedules", async () => {
+  const badCron = await createSchedule({ question: "Sessions", cron: "every monday" });
+  assert.equal(badCron.status, 400);
+  assert.match(badCron.body.error, /Invalid schedule/);
+
+  const badDestination = await createSchedule({
+    question: "Sessions",
+    destinations: [{ type: "slack", url: "ftp://x" }],
+  });
+  assert.match(badDestination.body.error, /URL must be http or https/);
+
+  const badEmail = await createSchedule({
+    question: "Sessions",
+    destinations: [{ type: "email", to: ["nobody"] }],
+  });
+  assert.match(badEmail.body.error, /invalid email address "nobody"/);
+
+  const nothingToRun = await createSchedule({});
+  assert.match(nothingToRun.body.error, /Give a question, or query params/);
+
+  const badQuery = await createSchedule({ query: { metrics: ["notAMetric"] } });
+  assert.match(badQuery.body.error, /Unknown metric "notAMetric"/);
+});
+
+// ─── Runs ─────────────────────────────────────────────────
+
+test("runs a saved question and posts the answer to Slack and a JSON webhook", async () => {
+  const { body: schedule } = await createSchedule({
+    question: "Sessions by day last week",
+    destinations: [
+      { type: "slack", url: `${receiver.url}/slack` },
+      { type: "webhook", url: `${receiver.url}/hook` },
+    ],
+  });
+  llm.script({ dimensions: ["date"], metrics: ["sessions"] }, "Done.", "## Traffic\n**200** sessions [R1].");
+  ga4.serve(sessionsByDay());
+
+  const run = await runNow(schedule.id);
+
+  assert.equal(run.status, "success");
+  assert.equal(run.trigger, "manual");
+  assert.deepEqual(run.reports, ["R1"]);
+  assert.deepEqual(
+    run.deliveries.map(({ type, target, ok }) => ({ type, target, ok })),
+    [
+      { type: "slack", target: new URL(receiver.url).host, ok: true },
+      { type: "webhook", target: new URL(receiver.url).host, ok: true },
+    ]
+  );
+
+  const [slack, hook] = receiver.posts;
+  assert.equal(slack.path, "/slack");
+  assert.equal(slack.body.text, "*Weekly traffic — Test property*\n\n*Traffic*\n*200* sessions [R1].");
+  assert.equal(hook.body.schedule.id, schedule.id);
+  assert.equal(hook.body.question, "Sessions by day last week");
+  assert.equal(hook.body.reports[0].rowCount, 2);
+  assert.deepEqual(hook.body.reports[0].rows[0], { date: "20240101", sessions: 120 });
+
+  const detail = await app.request("GET", `/api/schedules/${schedule.id}`);
+  assert.equal(detail.body.runs[0].id, run.id);
+  assert.equal(detail.body.runs[0].content, "## Traffic\n**200** sessions [R1].");
+  const [listed] = (await app.request("GET", "/api/schedules")).body.schedules.filter((s) => s.id === schedule.id);
+  assert.equal(listed.lastRun.status, "success");
+  assert.equal(listed.runs, undefined);
+});
+
+test("runs saved query params without the agent", async () => {
+  const { body: schedule } = await createSchedule({
+    query: { dimensions: ["date"], metrics: ["sessions"], startDate: "7daysAgo" },
+    destinations: [{ type: "webhook", url: `${receiver.url}/hook` }],
+  });
+  llm.script("Sessions held steady.");
+  ga4.serve(sessionsByDay());
+
+  const run = await runNow(schedule.id);
+
+  assert.equal(run.status, "success");
+  assert.equal(llm.calls.length, 1);
+  assert.match(llm.calls[0].messages[0].parts[0].text, /R1 — GA4 Data/);
+  assert.equal(ga4.requests[0].dateRanges[0].startDate, "7daysAgo");
+  assert.equal(receiver.posts[0].body.content, "Sessions held steady.");
+});
+
+test("retries failed deliveries and records what happened", async () => {
+  const { body: schedule } = await createSchedule({
+    query: { metrics: ["sessions"] },
+    destinations: [
+      { type: "slack", url: `${receiver.url}/slack` },
+      { type: "webhook", url: "http://127.0.0.1:9/unreachable" },
+    ],
+  });
+  llm.script("Steady.");
+  ga4.serve(sessionsByDay());
+  receiver.failNext(1);
+
+  const run = await runNow(schedule.id);
+
+  assert.equal(run.status, "partial");
+  assert.equal(run.error, "1 of 2 deliveries failed");
+  const [slack, hook] = run.deliveries;
+  assert.deepEqual({ ok: slack.ok, attempts: slack.attempts }, { ok: true, attempts: 2 });
+  assert.equal(hook.ok, false);
+  assert.equal(hook.attempts, 3);
+  assert.ok(hook.error);
+  assert.equal(receiver.posts.length, 1);
+});
+
+test("records a failed run when GA4 keeps failing", async () => {
+  const { body: schedule } = await createSchedule({ query: { metrics: ["sessions"] } });
+  ga4.fail("PERMISSION_DENIED");
+
+  const run = await runNow(schedule.id);
+
+  assert.equal(run.status, "failed");
+  assert.equal(run.attempts, 3);
+  assert.match(run.error, /PERMISSION_DENIED/);
+  assert.deepEqual(run.deliveries, []);
+  assert.equal(receiver.posts.length, 0);
+});
+
+test("emails the answer through SMTP", async () => {
+  const { body: schedule } = await createSchedule({
+    query: { metrics: ["sessions"] },
+    destinations: [{ type: "email", to: ["team@example.com", "boss@example.com"] }],
+  });
+  llm.script("Traffic was up — 200 sessions.");
+  ga4.serve(sessionsByDay());
+
+  const run = await runNow(schedule.id);
+
+  assert.equal(run.status, "success");
+  const [mail] = smtp.messages;
+  assert.equal(mail.auth, "\0reports\0secret");
+  assert.equal(mail.from, "reports@example.com");
+  assert.deepEqual(mail.to, ["team@example.com", "boss@example.com"]);
+  assert.match(mail.data, /^Subject: =\?UTF-8\?B\?/m);
+  const body = Buffer.from(mail.data.split("\r\n\r\n")[1].replace(/\r\n/g, ""), "base64").toString("utf8");
+  assert.match(body, /^Traffic was up — 200 sessions\./);
+  assert.match(body, /Scheduled report "Weekly traffic" \(0 9 \* \* mon\)/);
+});
+
+test("the scheduler runs schedules that are due, once", async () => {
+  const { body: schedule } = await createSchedule({
+    query: { metrics: ["sessions"] },
+    cron: "*/5 * * * *",
+    destinations: [{ type: "webhook", url: `${receiver.url}/hook` }],
+  });
+  llm.script("Steady.");
+  ga4.serve(sessionsByDay());
+
+  const due = new Date(new Date(schedule.nextRunAt).getTime() + 1000);
+  const { runs } = await tick(due);
+
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].trigger, "schedule");
+  assert.equal(receiver.posts.length, 1);
+  assert.deepEqual(await tick(due), { runs: [], checks: [] });
+
+  const detail = await app.request("GET", `/api/schedules/${schedule.id}`);
+  assert.ok(new Date(detail.body.nextRunAt) > due);
+  assert.equal(detail.body.runs.length, 1);
+});
+
+test("keeps schedules private to their owner", async () => {
+  const { body: schedule } = await createSchedule({ query: { metrics: ["sessions"] } });
+  // Must be last: once users exist, every request needs a key
+  const viewer = users.createUser("Viewer", "viewer");
+  const analyst = users.createUser("Analyst", "analyst");
+
+  assert.equal((await app.request("GET", "/api/schedules", { key: viewer.key })).status, 403);
+  const other = await app.request("GET", `/api/schedules/${schedule.id}`, { key: analyst.key });
+  assert.equal(other.status, 404);
+  assert.deepEqual((await app.request("GET", "/api/schedules", { key: analyst.key })).body.schedules, []);
+});
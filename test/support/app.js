@@ -0,0 +1,91 @@
+/**
+ * Test environment and HTTP client for the Express app
+ * Points the server at a throwaway DATA_DIR, a single fake property and the
+ * fake SDKs, then mounts the app on a random port.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "ga4-team-chat-test-"));
+process.on("exit", () => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+  DATA_DIR,
+  GOOGLE_APPLICATION_CREDENTIALS: path.join(DATA_DIR, "no-credentials.json"),
+  GA4_PROPERTY_ID: "123456",
+  GA4_PROPERTY_NAME: "Test property",
+  AI_PROVIDER: process.env.AI_PROVIDER || "gemini",
+  GEMINI_API_KEY: "test",
+  GROQ_API_KEY: "test",
+  GA4_CACHE: process.env.GA4_CACHE || "off",
+  SCHEDULE_RETRY_SECONDS: "0",
+  // The test webhook receivers listen on loopback
+  WEBHOOK_ALLOWED_HOSTS: process.env.WEBHOOK_ALLOWED_HOSTS || "127.0.0.1",
+  RATE_LIMIT_PER_MINUTE: process.env.RATE_LIMIT_PER_MINUTE || "1000",
+  NODE_ENV: "test",
+  // Empty rather than unset, so a developer's .env can't fill them in
+  GA4_PROPERTIES: "",
+  GA_CREDENTIALS_JSON: "",
+});
+
+const fakes = require("./fakes");
+
+// Keep the test output readable — the server logs every query and error
+for (const method of ["log", "warn", "error"]) {
+  console[method] = () => {};
+}
+
+/**
+ * Start the app on a random port
+ * @returns {Promise<Object>} { request(method, path, { body, key, headers }), close() }
+ */
+async function startApp() {
+  const app = require("../../server/index");
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * @returns {Promise<Object>} { status, headers, body } — body parsed when JSON
+   */
+  async function request(method, urlPath, { body, key, headers: extra = {} } = {}) {
+    const headers = { ...extra };
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    if (key) headers.Authorization = `Bearer ${key}`;
+
+    const res = await fetch(`${base}${urlPath}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    const isJson = (res.headers.get("content-type") || "").includes("application/json");
+    return { status: res.status, headers: res.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  function close() {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  return { request, close };
+}
+
+/**
+ * Parse a Server-Sent Events body into [{ event, data }]
+ */
+function parseEvents(text) {
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const event = /^event: (.+)$/m.exec(block)?.[1];
+      const data = /^data: (.+)$/m.exec(block)?.[1];
+      return { event, data: data ? JSON.parse(data) : null };
+    });
+}
+
+module.exports = { ...fakes, DATA_DIR, startApp, parseEvents };
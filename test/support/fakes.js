@@ -0,0 +1,308 @@
+/**
+ * Stand-ins for the external services
+ * Replaces the GA4 Data API client and the Claude / Gemini / Groq SDKs with
+ * fakes that serve scripted responses. Must be required before anything under server/,
+ * since those modules pick up the SDK exports when they load.
+ */
+
+const analyticsData = require("@google-analytics/data");
+const genai = require("@google/genai");
+
+// ─── GA4 ──────────────────────────────────────────────────
+
+const ga4 = {
+  // runReport / runRealtimeReport / runFunnelReport requests received, most
+  // recent last (realtime ones have minuteRanges, funnel ones a funnel)
+  requests: [],
+  handler: null,
+  // getMetadata response; without one the call fails and the built-in catalogue is used
+  metadata: null,
+
+  /**
+   * Serve a report for every runReport / runRealtimeReport / runFunnelReport call
+   * @param {Object|Function} report - The response, or (request) => response
+   */
+  serve(report) {
+    this.handler = typeof report === "function" ? report : () => report;
+  },
+
+  /**
+   * Make every runReport call reject, like a gRPC error from the API
+   */
+  fail(message) {
+    this.handler = () => {
+      throw new Error(message);
+    };
+  },
+
+  /**
+   * Serve a Metadata resource for getMetadata
+   * @param {Object} metadata - { dimensions: [{ apiName, ... }], metrics: [...] }
+   */
+  serveMetadata(metadata) {
+    this.metadata = metadata;
+  },
+
+  reset() {
+    this.requests = [];
+    this.handler = null;
+    this.metadata = null;
+  },
+};
+
+analyticsData.BetaAnalyticsDataClient = class FakeAnalyticsDataClient {
+  async runReport(request) {
+    ga4.requests.push(request);
+    if (!ga4.handler) throw new Error("No GA4 report scripted for this test");
+    return [await ga4.handler(request)];
+  }
+
+  async runRealtimeReport(request) {
+    return this.runReport(request);
+  }
+
+  async getMetadata() {
+    if (!ga4.metadata) throw new Error("No GA4 metadata scripted for this test");
+    return [ga4.metadata];
+  }
+};
+
+// v1alpha's export is a getter, so the whole namespace is swapped
+analyticsData.v1alpha = {
+  AlphaAnalyticsDataClient: class FakeAlphaAnalyticsDataClient {
+    async runFunnelReport(request) {
+      ga4.requests.push(request);
+      if (!ga4.handler) throw new Error("No GA4 report scripted for this test");
+      return [await ga4.handler(request)];
+    }
+  },
+};
+
+/**
+ * Build a runReport response
+ * @param {Object} spec
+ * @param {string[]} spec.dimensions - Dimension names (add "dateRange" for comparisons)
+ * @param {string[]} spec.metrics - Metric names
+ * @param {Array[]} spec.rows - [...dimensionValues, ...metricValues] per row
+ * @param {Array[]} [spec.totals] - Metric values per totals row
+ * @param {number} [spec.rowCount] - Defaults to rows.length
+ */
+function gaReport({ dimensions, metrics, rows, totals = [], rowCount }) {
+  const split = (row) => ({
+    dimensionValues: row.slice(0, dimensions.length).map((value) => ({ value: String(value) })),
+    metricValues: row.slice(dimensions.length).map((value) => ({ value: String(value) })),
+  });
+  return {
+    dimensionHeaders: dimensions.map((name) => ({ name })),
+    metricHeaders: metrics.map((name) => ({ name })),
+    rows: rows.map(split),
+    totals: totals.map((values) => ({
+      metricValues: values.map((value) => ({ value: String(value) })),
+    })),
+    rowCount: rowCount ?? rows.length,
+  };
+}
+
+/**
+ * Build a runFunnelReport response: its funnelTable, as GA4 names steps ("1. Viewed product")
+ * @param {Object} spec
+ * @param {string} [spec.breakdown] - Breakdown dimension; each row then starts with the step's value
+ * @param {Array[]} spec.rows - [stepName, (breakdownValue,) activeUsers] per row
+ */
+function gaFunnel({ breakdown, rows }) {
+  const dimensions = ["funnelStepName", ...(breakdown ? [breakdown] : [])];
+  return {
+    funnelTable: {
+      dimensionHeaders: dimensions.map((name) => ({ name })),
+      // GA4's own completion columns come after the user counts and are recomputed server-side
+      metricHeaders: [{ name: "activeUsers" }, { name: "funnelStepCompletionRate" }],
+      rows: rows.map((row) => ({
+        dimensionValues: row.slice(0, dimensions.length).map((value) => ({ value: String(value) })),
+        metricValues: [{ value: String(row[dimensions.length]) }, { value: "0" }],
+      })),
+    },
+  };
+}
+
+// ─── LLM ──────────────────────────────────────────────────
+
+const llm = {
+  // { provider, system, messages } for every model call, most recent last
+  calls: [],
+  replies: [],
+  // { input, output } tokens the fake APIs report for every call, or null to
+  // report none (like some OpenAI-compatible endpoints)
+  usage: null,
+
+  /**
+   * Queue model replies, consumed one per call (query interpretation and formatting)
+   * @param {...(string|Object|Object[]|Error)} replies - Strings are text; an object is
+   *   one run_ga4_report call with that input, an array several; Errors are thrown
+   */
+  script(...replies) {
+    this.replies.push(...replies);
+  },
+
+  /**
+   * Record a call and take the next reply
+   * @returns {Object} { text, toolCalls: [{ id, name, input }] }
+   */
+  next(call) {
+    this.calls.push(call);
+    if (this.replies.length === 0) throw new Error("No model reply scripted for this call");
+    const reply = this.replies.shift();
+    if (reply instanceof Error) throw reply;
+    if (typeof reply === "string") return { text: reply, toolCalls: [] };
+    const inputs = Array.isArray(reply) ? reply : [reply];
+    return {
+      text: "",
+      toolCalls: inputs.map((input, i) => ({ id: `call_${i}`, name: "run_ga4_report", input })),
+    };
+  },
+
+  /**
+   * Next reply as plain text, for calls made without tools
+   */
+  nextText(call) {
+    const { text, toolCalls } = this.next(call);
+    return toolCalls.length > 0 ? JSON.stringify(toolCalls.map((c) => c.input)) : text;
+  },
+
+  reset() {
+    this.calls = [];
+    this.replies = [];
+    this.usage = null;
+  },
+};
+
+// Usage in each API's own shape, when llm.usage is set
+const usageOf = {
+  gemini: ({ input, output }) => ({
+    usageMetadata: { promptTokenCount: input, candidatesTokenCount: output, totalTokenCount: input + output },
+  }),
+  groq: ({ input, output }) => ({
+    usage: { prompt_tokens: input, completion_tokens: output, total_tokens: input + output },
+  }),
+  claude: ({ input, output }) => ({ usage: { input_tokens: input, output_tokens: output } }),
+};
+const usageFor = (provider) => (llm.usage ? usageOf[provider](llm.usage) : {});
+
+// Gemini chunks a streamed reply in a few pieces, like the real API
+function chunksOf(text, size = 16) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+  return chunks;
+}
+
+genai.GoogleGenAI = class FakeGoogleGenAI {
+  constructor() {
+    this.models = {
+      generateContent: async ({ contents, config }) => {
+        const call = { provider: "gemini", system: config.systemInstruction, messages: contents };
+        if (!config.tools) return { text: llm.nextText(call), ...usageFor("gemini") };
+
+        const { text, toolCalls } = llm.next(call);
+        const functionCalls = toolCalls.map(({ id, name, input }) => ({ id, name, args: input }));
+        return {
+          candidates: [
+            {
+              content: {
+                parts: [
+                  ...(text ? [{ text }] : []),
+                  ...functionCalls.map((functionCall) => ({ functionCall })),
+                ],
+              },
+            },
+          ],
+          functionCalls: functionCalls.length > 0 ? functionCalls : undefined,
+          ...usageFor("gemini"),
+        };
+      },
+      generateContentStream: async ({ contents, config }) => {
+        const text = llm.nextText({ provider: "gemini", system: config.systemInstruction, messages: contents });
+        const usage = usageFor("gemini");
+        return (async function* () {
+          const chunks = chunksOf(text);
+          // The last chunk carries the final usage
+          for (const [i, chunk] of chunks.entries()) {
+            yield { text: chunk, ...(i === chunks.length - 1 ? usage : {}) };
+          }
+        })();
+      },
+    };
+  }
+};
+
+class FakeGroq {
+  constructor() {
+    this.chat = {
+      completions: {
+        create: async ({ messages, stream, tools }) => {
+          const [system, ...rest] = messages;
+          const call = { provider: "groq", system: system.content, messages: rest };
+          if (tools) {
+            const { text, toolCalls } = llm.next(call);
+            const message = { role: "assistant", content: text || null };
+            if (toolCalls.length > 0) {
+              message.tool_calls = toolCalls.map(({ id, name, input }) => ({
+                id,
+                type: "function",
+                function: { name, arguments: JSON.stringify(input) },
+              }));
+            }
+            return { choices: [{ message }], ...usageFor("groq") };
+          }
+          const text = llm.nextText(call);
+          if (!stream) return { choices: [{ message: { content: text } }], ...usageFor("groq") };
+          const { usage } = usageFor("groq");
+          return (async function* () {
+            for (const chunk of chunksOf(text)) yield { choices: [{ delta: { content: chunk } }] };
+            // Groq reports usage with a final, empty chunk
+            if (usage) yield { choices: [{ delta: {} }], x_groq: { id: "req_1", usage } };
+          })();
+        },
+      },
+    };
+  }
+}
+
+class FakeAnthropic {
+  constructor() {
+    this.messages = {
+      create: async ({ system, messages, stream, tools }) => {
+        const call = { provider: "claude", system, messages };
+        if (tools) {
+          const { text, toolCalls } = llm.next(call);
+          return {
+            content: [
+              ...(text ? [{ type: "text", text }] : []),
+              ...toolCalls.map(({ id, name, input }) => ({ type: "tool_use", id, name, input })),
+            ],
+            ...usageFor("claude"),
+          };
+        }
+        const text = llm.nextText(call);
+        if (!stream) return { content: [{ type: "text", text }], ...usageFor("claude") };
+        const { usage } = usageFor("claude");
+        return (async function* () {
+          // Input tokens come with the start, the output count with the closing delta
+          const started = usage && { input_tokens: usage.input_tokens, output_tokens: 1 };
+          yield { type: "message_start", message: { usage: started } };
+          for (const chunk of chunksOf(text)) {
+            yield { type: "content_block_delta", delta: { type: "text_delta", text: chunk } };
+          }
+          yield { type: "message_delta", usage: usage && { output_tokens: usage.output_tokens } };
+          yield { type: "message_stop" };
+        })();
+      },
+    };
+  }
+}
+
+// These SDKs export the client class itself, so swap the cached modules
+require("groq-sdk");
+require("@anthropic-ai/sdk");
+require.cache[require.resolve("groq-sdk")].exports = FakeGroq;
+require.cache[require.resolve("@anthropic-ai/sdk")].exports = FakeAnthropic;
+
+module.exports = { ga4, gaReport, gaFunnel, llm };
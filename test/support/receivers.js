@@ -0,0 +1,101 @@
+/**
+ * Local stand-ins for report destinations
+ * An HTTP server that records webhook posts and a bare-bones SMTP server that
+ * records the mail it accepts, both on random ports.
+ */
+
+const http = require("http");
+const net = require("net");
+
+/**
+ * @returns {Promise<Object>} { url, posts: [{ path, body }], failNext(count, status), close() }
+ */
+async function startWebhookReceiver() {
+  const receiver = { posts: [], failures: 0, failStatus: 500 };
+
+  const server = http.createServer((req, res) => {
+    let text = "";
+    req.on("data", (chunk) => (text += chunk));
+    req.on("end", () => {
+      if (receiver.failures > 0) {
+        receiver.failures--;
+        res.writeHead(receiver.failStatus).end("unavailable");
+        return;
+      }
+      receiver.posts.push({ path: req.url, body: JSON.parse(text) });
+      res.writeHead(200).end("ok");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return Object.assign(receiver, {
+    url: `http://127.0.0.1:${server.address().port}`,
+    // Answer the next `count` posts with an error status
+    failNext(count, status = 500) {
+      receiver.failures = count;
+      receiver.failStatus = status;
+    },
+    reset() {
+      receiver.posts = [];
+      receiver.failures = 0;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  });
+}
+
+/**
+ * @returns {Promise<Object>} { port, messages: [{ from, to, data, auth }], close() }
+ */
+async function startSmtpServer() {
+  const smtp = { messages: [] };
+
+  const server = net.createServer((socket) => {
+    const message = { to: [] };
+    let buffer = "";
+    let inData = false;
+
+    socket.write("220 localhost test SMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      if (inData) {
+        const end = buffer.indexOf("\r\n.\r\n");
+        if (end === -1) return;
+        message.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        smtp.messages.push(message);
+        socket.write("250 queued\r\n");
+      }
+      let end;
+      while (!inData && (end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const [verb] = line.split(" ");
+        if (verb === "EHLO") socket.write("250-localhost\r\n250 AUTH PLAIN\r\n");
+        else if (verb === "AUTH") {
+          message.auth = Buffer.from(line.split(" ")[2], "base64").toString("utf8");
+          socket.write("235 ok\r\n");
+        } else if (line.startsWith("MAIL FROM:")) {
+          message.from = line.slice(10).replace(/[<>]/g, "");
+          socket.write("250 ok\r\n");
+        } else if (line.startsWith("RCPT TO:")) {
+          message.to.push(line.slice(8).replace(/[<>]/g, ""));
+          socket.write("250 ok\r\n");
+        } else if (verb === "DATA") {
+          inData = true;
+          socket.write("354 go ahead\r\n");
+        } else if (verb === "QUIT") {
+          socket.end("221 bye\r\n");
+        } else socket.write("500 unknown\r\n");
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return Object.assign(smtp, {
+    port: server.address().port,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  });
+}
+
+module.exports = { startWebhookReceiver, startSmtpServer };